@@ -85,6 +85,130 @@ async function init() {
     )
   `);
 
+  // Resource records — stored items for stateful resource mocks (mocks.is_resource = 1)
+  await turso.execute(`
+    CREATE TABLE IF NOT EXISTS resource_records (
+      record_id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      mock_id TEXT NOT NULL,
+      item_id TEXT NOT NULL,
+      data TEXT DEFAULT '{}',
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (project_id) REFERENCES projects(project_id) ON DELETE CASCADE,
+      FOREIGN KEY (mock_id) REFERENCES mocks(mock_id) ON DELETE CASCADE
+    )
+  `);
+  await turso.execute('CREATE INDEX IF NOT EXISTS idx_resource_records_mock ON resource_records(mock_id, item_id)');
+
+  // Call counters for sequential response selection (one row per mock + client key)
+  await turso.execute(`
+    CREATE TABLE IF NOT EXISTS response_sequences (
+      mock_id TEXT NOT NULL,
+      project_id TEXT NOT NULL,
+      client_key TEXT NOT NULL DEFAULT '',
+      calls INTEGER DEFAULT 0,
+      updated_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (mock_id, client_key),
+      FOREIGN KEY (project_id) REFERENCES projects(project_id) ON DELETE CASCADE,
+      FOREIGN KEY (mock_id) REFERENCES mocks(mock_id) ON DELETE CASCADE
+    )
+  `);
+
+  // Scenarios — named project states that pin one response per mock
+  await turso.execute(`
+    CREATE TABLE IF NOT EXISTS scenarios (
+      scenario_id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      UNIQUE (project_id, name),
+      FOREIGN KEY (project_id) REFERENCES projects(project_id) ON DELETE CASCADE
+    )
+  `);
+  await turso.execute(`
+    CREATE TABLE IF NOT EXISTS scenario_responses (
+      scenario_id TEXT NOT NULL,
+      mock_id TEXT NOT NULL,
+      response_id TEXT NOT NULL,
+      PRIMARY KEY (scenario_id, mock_id),
+      FOREIGN KEY (scenario_id) REFERENCES scenarios(scenario_id) ON DELETE CASCADE,
+      FOREIGN KEY (mock_id) REFERENCES mocks(mock_id) ON DELETE CASCADE,
+      FOREIGN KEY (response_id) REFERENCES mock_responses(response_id) ON DELETE CASCADE
+    )
+  `);
+
+  // Binary assets served by file responses (mock_responses.kind = 'file')
+  await turso.execute(`
+    CREATE TABLE IF NOT EXISTS assets (
+      asset_id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      filename TEXT NOT NULL,
+      content_type TEXT DEFAULT 'application/octet-stream',
+      size_bytes INTEGER DEFAULT 0,
+      data BLOB NOT NULL,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (project_id) REFERENCES projects(project_id) ON DELETE CASCADE
+    )
+  `);
+  await turso.execute('CREATE INDEX IF NOT EXISTS idx_assets_project ON assets(project_id)');
+
+  // WebSocket mock endpoints, served at /m/:projectSlug/ws<path>
+  await turso.execute(`
+    CREATE TABLE IF NOT EXISTS ws_endpoints (
+      endpoint_id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      name TEXT,
+      path TEXT NOT NULL,
+      is_active INTEGER DEFAULT 1,
+      on_connect TEXT DEFAULT '[]',
+      replies TEXT DEFAULT '[]',
+      broadcasts TEXT DEFAULT '[]',
+      close_config TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      UNIQUE (project_id, path),
+      FOREIGN KEY (project_id) REFERENCES projects(project_id) ON DELETE CASCADE
+    )
+  `);
+
+  // Outgoing callbacks sent after a mock call, one row per callback
+  await turso.execute(`
+    CREATE TABLE IF NOT EXISTS callback_deliveries (
+      delivery_id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL,
+      mock_id TEXT NOT NULL,
+      response_id TEXT,
+      url TEXT NOT NULL,
+      method TEXT NOT NULL,
+      request_headers TEXT DEFAULT '{}',
+      request_body TEXT DEFAULT '',
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      response_status INTEGER,
+      response_body TEXT,
+      error TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      updated_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (mock_id) REFERENCES mocks(mock_id) ON DELETE CASCADE
+    )
+  `);
+  await turso.execute('CREATE INDEX IF NOT EXISTS idx_callback_deliveries_mock ON callback_deliveries(mock_id, created_at)');
+
+  // Requests deleted by retention pruning, per owner ("<org_id>" or "u:<user_id>") and month,
+  // so monthly quotas still count them
+  await turso.execute(`
+    CREATE TABLE IF NOT EXISTS pruned_request_counts (
+      owner_key TEXT NOT NULL,
+      month TEXT NOT NULL,
+      request_count INTEGER DEFAULT 0,
+      PRIMARY KEY (owner_key, month)
+    )
+  `);
+  await turso.execute('CREATE INDEX IF NOT EXISTS idx_request_logs_created ON request_logs(created_at)');
+
   // Subscriptions — tracks Dodo Payments subscription state per org/user
   await turso.execute(`
     CREATE TABLE IF NOT EXISTS subscriptions (
@@ -159,6 +283,188 @@ async function init() {
     // Column already exists — ignore
   }
 
+  // Stateful resource mocks (CRUD backed by resource_records)
+  try {
+    await turso.execute('ALTER TABLE mocks ADD COLUMN is_resource INTEGER DEFAULT 0');
+    console.log('🔄 Migration: added is_resource column to mocks');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    await turso.execute('ALTER TABLE mocks ADD COLUMN resource_seeded_at TEXT');
+    console.log('🔄 Migration: added resource_seeded_at column to mocks');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Record-and-playback proxy (upstream forwarding for unmatched requests)
+  try {
+    await turso.execute('ALTER TABLE projects ADD COLUMN upstream_url TEXT');
+    console.log('🔄 Migration: added upstream_url column to projects');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    await turso.execute("ALTER TABLE projects ADD COLUMN proxy_mode TEXT DEFAULT 'off'");
+    console.log('🔄 Migration: added proxy_mode column to projects');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    await turso.execute('ALTER TABLE mocks ADD COLUMN is_recorded INTEGER DEFAULT 0');
+    console.log('🔄 Migration: added is_recorded column to mocks');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Response kinds (static / proxy passthrough)
+  try {
+    await turso.execute("ALTER TABLE mock_responses ADD COLUMN kind TEXT DEFAULT 'static'");
+    console.log('🔄 Migration: added kind column to mock_responses');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    await turso.execute("ALTER TABLE mock_responses ADD COLUMN proxy_config TEXT DEFAULT '{}'");
+    console.log('🔄 Migration: added proxy_config column to mock_responses');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Request validation against expected_body / expected_headers
+  try {
+    await turso.execute("ALTER TABLE mocks ADD COLUMN validation_mode TEXT DEFAULT 'off'");
+    console.log('🔄 Migration: added validation_mode column to mocks');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    await turso.execute('ALTER TABLE mocks ADD COLUMN validation_status INTEGER DEFAULT 400');
+    console.log('🔄 Migration: added validation_status column to mocks');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    await turso.execute('ALTER TABLE request_logs ADD COLUMN validation_errors TEXT');
+    console.log('🔄 Migration: added validation_errors column to request_logs');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Explicit response priority (highest matching priority wins)
+  try {
+    await turso.execute('ALTER TABLE mock_responses ADD COLUMN priority INTEGER DEFAULT 0');
+    console.log('🔄 Migration: added priority column to mock_responses');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Response selection mode (random / sequential / ...) and its counter scope
+  try {
+    await turso.execute("ALTER TABLE mocks ADD COLUMN selection_mode TEXT DEFAULT 'random'");
+    console.log('🔄 Migration: added selection_mode column to mocks');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    await turso.execute("ALTER TABLE mocks ADD COLUMN sequence_scope TEXT DEFAULT 'global'");
+    console.log('🔄 Migration: added sequence_scope column to mocks');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Project-wide active scenario
+  try {
+    await turso.execute('ALTER TABLE projects ADD COLUMN active_scenario_id TEXT');
+    console.log('🔄 Migration: added active_scenario_id column to projects');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Chaos / fault injection settings (mock keys override the project's)
+  try {
+    await turso.execute("ALTER TABLE projects ADD COLUMN chaos_config TEXT DEFAULT '{}'");
+    console.log('🔄 Migration: added chaos_config column to projects');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    await turso.execute("ALTER TABLE mocks ADD COLUMN chaos_config TEXT DEFAULT '{}'");
+    console.log('🔄 Migration: added chaos_config column to mocks');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Per-response delay (fixed, or a delay_ms..delay_max_ms range); NULL falls back to the mock's delay
+  try {
+    await turso.execute('ALTER TABLE mock_responses ADD COLUMN delay_ms INTEGER');
+    console.log('🔄 Migration: added delay_ms column to mock_responses');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    await turso.execute('ALTER TABLE mock_responses ADD COLUMN delay_max_ms INTEGER');
+    console.log('🔄 Migration: added delay_max_ms column to mock_responses');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // File responses point at an asset
+  try {
+    await turso.execute('ALTER TABLE mock_responses ADD COLUMN asset_id TEXT');
+    console.log('🔄 Migration: added asset_id column to mock_responses');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Server-Sent Events responses
+  try {
+    await turso.execute("ALTER TABLE mock_responses ADD COLUMN sse_config TEXT DEFAULT '{}'");
+    console.log('🔄 Migration: added sse_config column to mock_responses');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // GraphQL mocks are served from the project's SDL
+  try {
+    await turso.execute('ALTER TABLE projects ADD COLUMN graphql_sdl TEXT');
+    console.log('🔄 Migration: added graphql_sdl column to projects');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Outgoing callbacks (webhook simulation)
+  try {
+    await turso.execute("ALTER TABLE mock_responses ADD COLUMN callbacks TEXT DEFAULT '[]'");
+    console.log('🔄 Migration: added callbacks column to mock_responses');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Mock-level request matchers take part in route selection
+  try {
+    await turso.execute("ALTER TABLE mocks ADD COLUMN request_matchers TEXT DEFAULT '{}'");
+    console.log('🔄 Migration: added request_matchers column to mocks');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Bumped on every mock/response write so other instances rebuild their route index
+  try {
+    await turso.execute('ALTER TABLE projects ADD COLUMN routes_version INTEGER DEFAULT 0');
+    console.log('🔄 Migration: added routes_version column to projects');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Response templating is opt-in per response: bodies stored before it existed stay literal
+  try {
+    await turso.execute('ALTER TABLE mock_responses ADD COLUMN templating INTEGER DEFAULT 0');
+    console.log('🔄 Migration: added templating column to mock_responses');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
   process.exit(0);
 }
 
@@ -24,8 +24,14 @@ const templatesRouter = require("./routes/templates");
 const billingRouter = require("./routes/billing");
 const webhooksRouter = require("./routes/webhooks");
 const aiRouter = require("./routes/ai");
+const adminRouter = require("./routes/admin");
 const authenticate = require("./middleware/auth");
+const requireAdminKey = require("./middleware/admin");
 const { mockExecutionLimiter, apiLimiter } = require("./middleware/rateLimiter");
+const { attachWebSocketServer } = require("./services/websocket.service");
+const { flushRequestLogs, flushRequestLogsOnFinish } = require("./services/request-log.service");
+const { startRequestLogPruning } = require("./services/retention.service");
+const { keepRawBody } = require("./services/proxy.service");
 
 /**
  * Dodo Payments webhooks — MUST be mounted BEFORE express.json()
@@ -36,8 +42,13 @@ app.use("/webhooks", webhooksRouter);
 /**
  * Global middleware
  */
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Imported OpenAPI / Postman / HAR documents get a larger JSON limit than every other route
+app.use(["/projects/import", "/projects/:id/import"], express.json({ limit: '5mb' }));
+// Base64 asset uploads: a 5 MB file is ~6.7 MB encoded
+app.use("/projects/:projectId/assets", express.json({ limit: '7mb' }));
+// keepRawBody: proxied mock requests are forwarded with their original bytes
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
@@ -66,10 +77,18 @@ app.use("/auth", authenticate, authRouter);
  * Mock execution — PUBLIC, no auth required.
  * Rate limited: 100 requests per 15 minutes per IP per project.
  */
+// On Vercel the function may be frozen before the flush timer fires
+if (process.env.VERCEL) app.use("/m", flushRequestLogsOnFinish);
 app.use("/m", mockExecutionLimiter, mockRouter);
 
 
 
+/**
+ * Operator API — guarded by ADMIN_API_KEY instead of a Clerk session.
+ * Mounted before the management routes, whose "/" mount would demand one.
+ */
+app.use("/admin", apiLimiter, requireAdminKey, adminRouter);
+
 /**
  * Protected management routes
  * Rate limited: 200 requests per 15 minutes per IP.
@@ -113,9 +132,23 @@ turso.execute(`
 });
 
 if (require.main === module) {
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`🐦 MockBird API running on port ${PORT}`);
   });
+  // WebSocket mocks (/m/:projectSlug/ws/...) share the HTTP server
+  attachWebSocketServer(server);
+
+  // Delete request logs past each owner's plan retention
+  startRequestLogPruning();
+
+  // Graceful shutdown: stop accepting requests, then write the buffered request logs
+  const shutdown = (signal) => {
+    console.log(`${signal} received, flushing request logs...`);
+    server.close();
+    flushRequestLogs().finally(() => process.exit(0));
+  };
+  process.once("SIGTERM", shutdown);
+  process.once("SIGINT", shutdown);
 }
 
 module.exports = app;
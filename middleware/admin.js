@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+/**
+ * middleware/admin.js
+ *
+ * Guards the operator-only /admin API. Requests must send the ADMIN_API_KEY
+ * environment variable's value in the X-Admin-Key header; without the
+ * variable the admin API is disabled.
+ */
+function requireAdminKey(req, res, next) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey) {
+        return res.status(503).json({ error: 'ADMIN_API_DISABLED', message: 'Set ADMIN_API_KEY to enable the admin API' });
+    }
+
+    // Compare digests so the check takes the same time whatever the key length
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    const provided = req.get('x-admin-key');
+    if (!provided || !crypto.timingSafeEqual(digest(provided), digest(adminKey))) {
+        return res.status(401).json({ error: 'UNAUTHORIZED', message: 'Missing or invalid X-Admin-Key header' });
+    }
+    next();
+}
+
+module.exports = requireAdminKey;
@@ -1,5 +1,6 @@
 const { getAuth } = require('@clerk/express');
 const turso = require('../db');
+const { flushRequestLogs } = require('../services/request-log.service');
 
 /**
  * Plan limits enforced across MockBird.
@@ -16,6 +17,8 @@ const PLAN_LIMITS = {
         maxResponsesPerMock: 3,
         requestLogsRetentionDays: 7,
         monthlyRequests: 1000,
+        maxAssets: 10,
+        maxAssetBytes: 20 * 1024 * 1024,
     },
     pro: {
         maxProjects: 50,
@@ -23,6 +26,8 @@ const PLAN_LIMITS = {
         maxResponsesPerMock: 20,
         requestLogsRetentionDays: 30,
         monthlyRequests: 100000,
+        maxAssets: 200,
+        maxAssetBytes: 500 * 1024 * 1024,
     },
 };
 
@@ -84,15 +89,46 @@ async function getOrgPlan(orgId) {
 
 const _monthlyCounters = new Map();
 
-function _counterKey(orgId, userId) {
+/**
+ * The usage month requests count towards: its "YYYY-MM" key and first instant.
+ */
+function currentUsageMonth() {
     const now = new Date();
-    const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-    return `${orgId || `u:${userId}`}:${month}`;
+    return {
+        month: `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`,
+        start: new Date(now.getFullYear(), now.getMonth(), 1).toISOString(),
+    };
 }
 
-function _monthStartISO() {
-    const now = new Date();
-    return new Date(now.getFullYear(), now.getMonth(), 1).toISOString();
+function _ownerKey(orgId, userId) {
+    return orgId || `u:${userId}`;
+}
+
+function _counterKey(orgId, userId) {
+    return `${_ownerKey(orgId, userId)}:${currentUsageMonth().month}`;
+}
+
+/**
+ * Requests an owner made this month: their request_logs rows plus the rows
+ * retention pruning already deleted (kept in pruned_request_counts).
+ */
+async function countMonthlyRequests(orgId, userId) {
+    const { month, start } = currentUsageMonth();
+    const scopeWhere = orgId
+        ? 'p.org_id = ?'
+        : 'p.user_id = ? AND p.org_id IS NULL';
+
+    // Buffered rows are not in the table yet
+    await flushRequestLogs();
+    const result = await turso.execute(
+        `SELECT
+           (SELECT COUNT(*) FROM request_logs rl
+            INNER JOIN projects p ON rl.project_id = p.project_id
+            WHERE ${scopeWhere} AND rl.created_at >= ?)
+         + COALESCE((SELECT request_count FROM pruned_request_counts WHERE owner_key = ? AND month = ?), 0) as count`,
+        [orgId || userId, start, _ownerKey(orgId, userId), month]
+    );
+    return Number(result.rows[0]?.count ?? 0);
 }
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
@@ -224,19 +260,8 @@ async function _ensureCounter(orgId, userId) {
     let entry = _monthlyCounters.get(key);
 
     if (!entry) {
-        const scopeWhere = orgId
-            ? 'p.org_id = ?'
-            : 'p.user_id = ? AND p.org_id IS NULL';
-        const scopeVal = orgId || userId;
-
         try {
-            const result = await turso.execute(
-                `SELECT COUNT(*) as count FROM request_logs rl
-                 INNER JOIN projects p ON rl.project_id = p.project_id
-                 WHERE ${scopeWhere} AND rl.created_at >= ?`,
-                [scopeVal, _monthStartISO()]
-            );
-            entry = { count: Number(result.rows[0]?.count ?? 0) };
+            entry = { count: await countMonthlyRequests(orgId, userId) };
         } catch {
             entry = { count: 0 };
         }
@@ -285,4 +310,6 @@ module.exports = {
     enforceResponseLimit,
     checkMonthlyQuota,
     incrementMonthlyCounter,
+    currentUsageMonth,
+    countMonthlyRequests,
 };
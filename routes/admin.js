@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { pruneRequestLogs } = require('../services/retention.service');
+const { requestLogStats } = require('../services/request-log.service');
+const { callbackStats } = require('../services/callback.service');
+
+/**
+ * routes/admin.js — operator endpoints, guarded by middleware/admin.js.
+ */
+
+// POST /admin/request-logs/prune — delete request logs past their owner's retention now
+router.post('/request-logs/prune', async (req, res) => {
+    try {
+        const result = await pruneRequestLogs();
+        res.status(200).json({ data: result });
+    } catch (error) {
+        console.error('POST /admin/request-logs/prune error:', error);
+        res.status(500).json({ error: 'Failed to prune request logs' });
+    }
+});
+
+// GET /admin/request-logs/stats — the request log writer's counters
+router.get('/request-logs/stats', (req, res) => {
+    res.status(200).json({ data: requestLogStats() });
+});
+
+// GET /admin/callbacks/stats — pending callback deliveries and the ones dropped over the limits
+router.get('/callbacks/stats', (req, res) => {
+    res.status(200).json({ data: callbackStats() });
+});
+
+module.exports = router;
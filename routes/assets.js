@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { getAuth } = require('@clerk/express');
+const turso = require('../db');
+const {
+    ASSET_MAX_BYTES, contentDisposition, createAsset, listAssets, findAsset, deleteAsset, checkAssetLimit,
+} = require('../services/asset.service');
+
+// Mounted by routes/projects.js at /projects/:projectId/assets (auth applied there)
+
+// Raw uploads of any content type; JSON (base64) bodies were already parsed, with a larger limit, in index.js
+const rawBody = express.raw({ type: () => true, limit: ASSET_MAX_BYTES });
+
+/**
+ * Scope helper: projects are org-scoped when orgId is present, user-scoped otherwise.
+ * Mirrors the same pattern used in projects.js for consistency.
+ */
+function getScope(auth) {
+    if (auth.orgId) {
+        return { scopeWhere: 'org_id = ?', scopeValues: [auth.orgId] };
+    }
+    return { scopeWhere: 'user_id = ? AND org_id IS NULL', scopeValues: [auth.userId] };
+}
+
+async function findOwnedProject(req) {
+    const { scopeWhere, scopeValues } = getScope(getAuth(req));
+    const result = await turso.execute(
+        `SELECT * FROM projects WHERE project_id = ? AND (${scopeWhere})`,
+        [req.params.projectId, ...scopeValues]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Upload helper: the file is either the raw request body (name in ?filename=)
+ * or JSON { filename, contentType, data } with base64 `data`.
+ */
+function readUpload(req) {
+    if (Buffer.isBuffer(req.body)) {
+        return {
+            filename: req.query.filename,
+            contentType: req.get('content-type'),
+            data: req.body,
+        };
+    }
+    const { filename, contentType, data } = req.body || {};
+    if (typeof data !== 'string') return null;
+    return { filename, contentType, data: Buffer.from(data, 'base64') };
+}
+
+// ─── LIST / READ ──────────────────────────────────────────────────────────────
+
+// GET /projects/:projectId/assets
+router.get('/', async (req, res) => {
+    try {
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+
+        res.status(200).json({ data: await listAssets(project.project_id) });
+    } catch (error) {
+        console.error('List assets error:', error);
+        res.status(500).json({ error: 'Failed to fetch assets' });
+    }
+});
+
+// GET /projects/:projectId/assets/:assetId
+router.get('/:assetId', async (req, res) => {
+    try {
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+        const asset = await findAsset(project.project_id, req.params.assetId);
+        if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+        res.status(200).json({ data: asset });
+    } catch (error) {
+        console.error('Get asset error:', error);
+        res.status(500).json({ error: 'Failed to fetch asset' });
+    }
+});
+
+// GET /projects/:projectId/assets/:assetId/content — download the stored bytes
+router.get('/:assetId/content', async (req, res) => {
+    try {
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+        const asset = await findAsset(project.project_id, req.params.assetId, { withData: true });
+        if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+        res.setHeader('Content-Type', asset.content_type);
+        res.setHeader('Content-Disposition', contentDisposition('attachment', asset.filename));
+        res.status(200).send(asset.data);
+    } catch (error) {
+        console.error('Download asset error:', error);
+        res.status(500).json({ error: 'Failed to download asset' });
+    }
+});
+
+// ─── UPLOAD / DELETE ──────────────────────────────────────────────────────────
+
+// POST /projects/:projectId/assets
+router.post('/', rawBody, async (req, res) => {
+    try {
+        const upload = readUpload(req);
+        if (!upload || upload.data.length === 0) {
+            return res.status(400).json({ error: 'Send the file as the request body, or JSON with base64 "data"' });
+        }
+        if (!upload.filename) return res.status(400).json({ error: 'filename is required' });
+        if (upload.data.length > ASSET_MAX_BYTES) {
+            return res.status(413).json({ error: `Assets are limited to ${ASSET_MAX_BYTES} bytes` });
+        }
+
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+        const limitError = await checkAssetLimit(getAuth(req), project.project_id, upload.data.length);
+        if (limitError) return res.status(403).json(limitError);
+
+        const asset = await createAsset(project.project_id, upload);
+        res.status(201).json({ data: asset });
+    } catch (error) {
+        console.error('Upload asset error:', error);
+        res.status(500).json({ error: 'Failed to upload asset' });
+    }
+});
+
+// DELETE /projects/:projectId/assets/:assetId — refused while a file response uses it
+router.delete('/:assetId', async (req, res) => {
+    try {
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+        const asset = await findAsset(project.project_id, req.params.assetId);
+        if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+        const usage = await turso.execute('SELECT COUNT(*) as count FROM mock_responses WHERE asset_id = ?', [asset.asset_id]);
+        const inUse = Number(usage.rows[0]?.count ?? 0);
+        if (inUse > 0) {
+            return res.status(409).json({ error: `Asset is used by ${inUse} response(s); point them elsewhere first` });
+        }
+
+        await deleteAsset(asset.asset_id);
+        res.status(200).json({ message: 'Asset deleted successfully' });
+    } catch (error) {
+        console.error('Delete asset error:', error);
+        res.status(500).json({ error: 'Failed to delete asset' });
+    }
+});
+
+module.exports = router;
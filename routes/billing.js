@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { getAuth } = require('@clerk/express');
 const turso = require('../db');
-const { getPlanKey, getLimits, PLAN_LIMITS } = require('../middleware/billing');
+const { getPlanKey, getLimits, PLAN_LIMITS, countMonthlyRequests } = require('../middleware/billing');
 const DodoPayments = require('dodopayments').default || require('dodopayments');
 
 /**
@@ -20,7 +20,7 @@ router.get('/usage', async (req, res) => {
         const projectWhere = isOrg ? 'p.org_id = ?' : 'p.user_id = ? AND p.org_id IS NULL';
         const scopeValues = isOrg ? [auth.orgId] : [auth.userId];
 
-        const [projectResult, mockResult, requestResult] = await Promise.all([
+        const [projectResult, mockResult, monthlyRequests] = await Promise.all([
             turso.execute(
                 `SELECT COUNT(*) as count FROM projects p WHERE ${projectWhere}`,
                 scopeValues
@@ -31,13 +31,7 @@ router.get('/usage', async (req, res) => {
                  WHERE ${projectWhere}`,
                 scopeValues
             ),
-            turso.execute(
-                `SELECT COUNT(*) as count FROM request_logs rl
-                 INNER JOIN projects p ON rl.project_id = p.project_id
-                 WHERE ${projectWhere}
-                   AND rl.created_at >= ?`,
-                [...scopeValues, _monthStartISO()]
-            ),
+            countMonthlyRequests(auth.orgId || null, auth.userId),
         ]);
 
         res.status(200).json({
@@ -51,7 +45,7 @@ router.get('/usage', async (req, res) => {
                     used: Number(mockResult.rows[0]?.count ?? 0),
                 },
                 monthlyRequests: {
-                    used: Number(requestResult.rows[0]?.count ?? 0),
+                    used: monthlyRequests,
                     limit: limits.monthlyRequests,
                 },
             },
@@ -206,9 +200,4 @@ router.post('/cancel-subscription', async (req, res) => {
     }
 });
 
-function _monthStartISO() {
-    const now = new Date();
-    return new Date(now.getFullYear(), now.getMonth(), 1).toISOString();
-}
-
 module.exports = router;
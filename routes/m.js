@@ -2,37 +2,60 @@ const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const turso = require('../db');
-const { matchPath, evaluateCondition, responseMatchesConditions, pickResponse } = require('../utils/execution');
+const { matchPath, pickResponse, selectCandidates, pickInSequence, responseDelay } = require('../utils/execution');
+const { renderTemplate, buildTemplateContext } = require('../utils/templating');
 const { checkMonthlyQuota, incrementMonthlyCounter } = require('../middleware/billing');
+const { handleResourceRequest } = require('../services/resource.service');
+const { forwardRequest, recordResponse, proxyMockResponse } = require('../services/proxy.service');
+const { validateRequest } = require('../utils/validation');
+const { nextSequencePosition } = require('../services/sequence.service');
+const { resolveScenario, pinnedResponse } = require('../services/scenario.service');
+const { mergeChaosConfig, planChaos } = require('../utils/chaos');
+const { findAsset, contentDisposition } = require('../services/asset.service');
+const { parseRange } = require('../utils/range');
+const { parseSseConfig, formatSseEvent } = require('../utils/sse');
+const { selectMock } = require('../utils/matchers');
+const { loadSchema, prepareGraphqlRequest, executeGraphqlRequest } = require('../utils/graphql');
+const { loadGraphqlOverrides, pickOverride, overrideValue } = require('../services/graphql.service');
+const { scheduleCallbacks } = require('../services/callback.service');
+const { getRouteIndex } = require('../services/route-index.service');
+const { queueRequestLog } = require('../services/request-log.service');
 
 /**
  * Find the best matching mock for a given project, path, and method.
- * Priority: exact match > longest pattern match.
+ * Mocks whose request matchers reject `req` are skipped; of the rest the most
+ * specific wins (see selectMock in utils/matchers.js), then resource mocks (any method).
+ * Resource matches carry `resourceItemId` (null for the collection path).
+ * With `recordedOnly` (playback mode) only mocks recorded from the upstream are considered.
  */
-async function findMatchingMock(projectId, requestPath, method) {
-    // Try exact match first
-    const exact = await turso.execute(
-        `SELECT * FROM mocks 
-     WHERE project_id = ? AND path = ? AND method = ? AND is_active = 1`,
-        [projectId, requestPath, method]
-    );
-    if (exact.rows.length > 0) {
-        return { mock: exact.rows[0], pathParams: {} };
-    }
+async function findMatchingMock(project, requestPath, method, { recordedOnly = false, req = null } = {}) {
+    const index = await getRouteIndex(project);
 
-    // Try pattern matching — fetch all active mocks for this project+method
-    const allMocks = await turso.execute(
-        `SELECT * FROM mocks 
-     WHERE project_id = ? AND method = ? AND is_active = 1 
-     ORDER BY LENGTH(path) DESC`,
-        [projectId, method]
-    );
-
-    for (const mock of allMocks.rows) {
-        if (!mock.path.includes('{')) continue; // skip non-parametric paths
-        const result = matchPath(mock.path, requestPath);
+    // Every active mock for this project+method whose path fits is a candidate;
+    // request matchers and specificity decide between them
+    const query = req ? req.query : {};
+    const candidates = [];
+    for (const mock of index.mocksFor(method)) {
+        if (recordedOnly && !mock.is_recorded) continue;
+        const result = matchPath(mock.path, requestPath, query);
         if (result.isMatch) {
-            return { mock, pathParams: result.params };
+            candidates.push({ mock, pathParams: result.params });
+        }
+    }
+    const selected = selectMock(candidates, req || { headers: {}, query: {}, body: {} });
+    if (selected) return selected;
+
+    // Finally, stateful resource mocks answer every method on /path and /path/{id}
+    if (recordedOnly) return null;
+    for (const mock of index.resources) {
+        const collection = matchPath(mock.path, requestPath);
+        if (collection.isMatch) {
+            return { mock, pathParams: collection.params, resourceItemId: null };
+        }
+        const item = matchPath(`${mock.path.replace(/\/$/, '')}/{__itemId}`, requestPath);
+        if (item.isMatch) {
+            const { __itemId, ...pathParams } = item.params;
+            return { mock, pathParams, resourceItemId: __itemId };
         }
     }
 
@@ -40,44 +63,350 @@ async function findMatchingMock(projectId, requestPath, method) {
 }
 
 /**
- * Log the request asynchronously (don't block the response).
+ * Queue the request's log row; the buffered writer stores it shortly after (never blocks the response).
+ */
+function logRequest({ mockId, projectId, req, responseStatus, responseTimeMs, responseHeaders = null, responseBody = null, validationErrors = null }) {
+    // Sanitize headers to prevent logging sensitive tokens
+    const sanitizedHeaders = { ...req.headers };
+    delete sanitizedHeaders['cookie'];
+    delete sanitizedHeaders['authorization'];
+    delete sanitizedHeaders['set-cookie'];
+    delete sanitizedHeaders['x-api-key'];
+
+    queueRequestLog({
+        log_id: uuidv4(),
+        mock_id: mockId || null,
+        project_id: projectId || null,
+        request_path: req.path,
+        request_method: req.method,
+        request_headers: JSON.stringify(sanitizedHeaders),
+        request_body: typeof req.body === 'object' ? JSON.stringify(req.body) : (req.body || ''),
+        request_query: JSON.stringify(req.query),
+        response_status: responseStatus,
+        response_time_ms: responseTimeMs,
+        response_headers: responseHeaders ? (typeof responseHeaders === 'object' ? JSON.stringify(responseHeaders) : responseHeaders) : '{}',
+        response_body: responseBody ? (typeof responseBody === 'object' ? JSON.stringify(responseBody) : responseBody) : '',
+        validation_errors: validationErrors ? JSON.stringify(validationErrors) : null,
+        ip_address: req.ip || req.connection?.remoteAddress || '',
+        user_agent: req.get('user-agent') || '',
+        created_at: new Date().toISOString(),
+    });
+}
+
+/**
+ * Forward an unmatched request to the project's upstream and relay the response.
+ * In record mode the response is also saved as a new mock for later playback.
  */
-async function logRequest({ mockId, projectId, req, responseStatus, responseTimeMs, responseHeaders = null, responseBody = null }) {
+async function proxyToUpstream({ project, proxyMode, mockPath, method, req, res, startTime }) {
+    let upstream;
     try {
-        // Sanitize headers to prevent logging sensitive tokens
-        const sanitizedHeaders = { ...req.headers };
-        delete sanitizedHeaders['cookie'];
-        delete sanitizedHeaders['authorization'];
-        delete sanitizedHeaders['set-cookie'];
-        delete sanitizedHeaders['x-api-key'];
-
-        await turso.execute(
-            `INSERT INTO request_logs 
-        (log_id, mock_id, project_id, request_path, request_method, request_headers, request_body, request_query, response_status, response_time_ms, response_headers, response_body, ip_address, user_agent, created_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                uuidv4(),
-                mockId || null,
-                projectId || null,
-                req.path,
-                req.method,
-                JSON.stringify(sanitizedHeaders),
-                typeof req.body === 'object' ? JSON.stringify(req.body) : (req.body || ''),
-                JSON.stringify(req.query),
-                responseStatus,
-                responseTimeMs,
-                responseHeaders ? (typeof responseHeaders === 'object' ? JSON.stringify(responseHeaders) : responseHeaders) : '{}',
-                responseBody ? (typeof responseBody === 'object' ? JSON.stringify(responseBody) : responseBody) : '',
-                req.ip || req.connection?.remoteAddress || '',
-                req.get('user-agent') || '',
-                new Date().toISOString()
-            ]
-        );
+        upstream = await forwardRequest(project.upstream_url, mockPath, req);
     } catch (err) {
-        console.error('Failed to write request log:', err);
+        console.warn(`Upstream request failed for project ${project.project_id}:`, err.message);
+        logRequest({ mockId: null, projectId: project.project_id, req, responseStatus: 502, responseTimeMs: Date.now() - startTime });
+        return res.status(502).json({
+            error: err.code === 'BLOCKED_HOST' ? 'UPSTREAM_BLOCKED' : 'UPSTREAM_UNAVAILABLE',
+            message: err.code === 'BLOCKED_HOST' ? err.message : `Could not reach upstream ${project.upstream_url}`,
+        });
+    }
+
+    let recorded = null;
+    if (proxyMode === 'record') {
+        try {
+            recorded = await recordResponse(project, mockPath, method, upstream);
+        } catch (err) {
+            // Still relay the upstream response if recording fails
+            console.error('Failed to record upstream response:', err);
+        }
+    }
+
+    incrementMonthlyCounter(project.org_id, project.user_id);
+    logRequest({
+        mockId: recorded?.mock_id || null,
+        projectId: project.project_id,
+        req,
+        responseStatus: upstream.status,
+        responseTimeMs: Date.now() - startTime,
+        responseHeaders: upstream.headers,
+        responseBody: upstream.body.toString('utf8'),
+    });
+
+    return relayUpstream(res, upstream, recorded ? 'recorded' : 'forwarded');
+}
+
+/**
+ * Send an upstream result to the client, tagged with X-Mockbird-Proxy.
+ */
+function relayUpstream(res, upstream, proxyTag, chaos = null) {
+    // Keep MockBird's permissive CORS headers rather than the upstream's
+    Object.entries(upstream.headers)
+        .filter(([key]) => !key.toLowerCase().startsWith('access-control-'))
+        .forEach(([key, value]) => res.setHeader(key, value));
+    res.setHeader('X-Mockbird-Proxy', proxyTag);
+    return sendBody(res, upstream.status, upstream.body, chaos);
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * A response's custom headers as an object (malformed JSON → no headers).
+ */
+function parseResponseHeaders(response) {
+    try {
+        return typeof response.headers === 'string' ? JSON.parse(response.headers) : (response.headers || {});
+    } catch {
+        return {};
+    }
+}
+
+function hasHeader(headers, name) {
+    return Object.keys(headers).some((key) => key.toLowerCase() === name);
+}
+
+/**
+ * Send a response body, applying the truncate / trickle parts of a chaos plan.
+ * Truncated bodies announce their full Content-Length, send half and then close
+ * the connection; trickled bodies are written `chunkBytes` at a time.
+ */
+async function sendBody(res, status, body, chaos = null) {
+    if (!chaos || (chaos.fault !== 'truncate' && !chaos.trickle)) return res.status(status).send(body);
+
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(typeof body === 'string' ? body : String(body ?? ''));
+    const payload = chaos.fault === 'truncate' ? buffer.subarray(0, Math.floor(buffer.length / 2)) : buffer;
+    res.status(status);
+    res.setHeader('Content-Length', buffer.length);
+    res.setHeader('X-Mockbird-Chaos', chaos.fault === 'truncate' ? 'truncate' : 'trickle');
+
+    const chunkBytes = chaos.trickle ? chaos.trickle.chunkBytes : payload.length;
+    for (let offset = 0; offset < payload.length; offset += chunkBytes) {
+        if (res.destroyed) return;
+        if (offset > 0) await sleep(chaos.trickle.intervalMs);
+        res.write(payload.subarray(offset, offset + chunkBytes));
+    }
+
+    if (chaos.fault === 'truncate') {
+        // Let the partial body flush before cutting the connection
+        res.write('', () => res.destroy());
+    } else {
+        res.end();
+    }
+}
+
+/**
+ * Serve a file response: the stored asset with its Content-Type and an inline
+ * Content-Disposition (both overridable by the response's headers). Range
+ * requests on 200 responses get 206 Partial Content, or 416 when unsatisfiable.
+ */
+async function sendFileResponse({ project, mock, response, req, res, startTime, chaos }) {
+    const asset = await findAsset(project.project_id, response.asset_id, { withData: true });
+    if (!asset) {
+        logRequest({ mockId: mock.mock_id, projectId: project.project_id, req, responseStatus: 404, responseTimeMs: Date.now() - startTime });
+        return res.status(404).json({
+            error: 'ASSET_NOT_FOUND',
+            message: 'The file behind this response no longer exists',
+        });
     }
+
+    const headers = parseResponseHeaders(response);
+    if (!hasHeader(headers, 'content-type')) headers['Content-Type'] = asset.content_type;
+    if (!hasHeader(headers, 'content-disposition')) headers['Content-Disposition'] = contentDisposition('inline', asset.filename);
+    headers['Accept-Ranges'] = 'bytes';
+
+    let status = response.status_code;
+    let body = asset.data;
+    const range = status === 200 ? parseRange(req.headers.range, body.length) : null;
+    if (range === 'unsatisfiable') {
+        status = 416;
+        headers['Content-Range'] = `bytes */${body.length}`;
+        body = Buffer.alloc(0);
+    } else if (range) {
+        status = 206;
+        headers['Content-Range'] = `bytes ${range.start}-${range.end}/${body.length}`;
+        body = body.subarray(range.start, range.end + 1);
+    }
+    Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value));
+
+    incrementMonthlyCounter(project.org_id, project.user_id);
+    logRequest({
+        mockId: mock.mock_id,
+        projectId: project.project_id,
+        req,
+        responseStatus: status,
+        responseTimeMs: Date.now() - startTime,
+        responseHeaders: headers,
+        responseBody: `[file ${asset.filename}, ${body.length} bytes]`,
+    });
+    return sendBody(res, status, body, chaos);
 }
 
+/**
+ * Stream an SSE response: each configured event after its delay, over
+ * text/event-stream, starting over after the last one when `loop` is set.
+ * String event data is rendered as a template. Stops when the client disconnects.
+ */
+async function streamSseResponse({ project, mock, response, req, res, startTime, templateContext }) {
+    const config = parseSseConfig(response.sse_config);
+    const events = Array.isArray(config.events) ? config.events : [];
+    // Never loop without a pause, even if a stored config slipped past validation
+    const looping = Boolean(config.loop) && events.some((event) => event.delay > 0);
+
+    const headers = parseResponseHeaders(response);
+    if (!hasHeader(headers, 'content-type')) headers['Content-Type'] = 'text/event-stream; charset=utf-8';
+    if (!hasHeader(headers, 'cache-control')) headers['Cache-Control'] = 'no-cache';
+    headers['Connection'] = 'keep-alive';
+    headers['X-Accel-Buffering'] = 'no';
+    Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value));
+
+    incrementMonthlyCounter(project.org_id, project.user_id);
+    logRequest({
+        mockId: mock.mock_id,
+        projectId: project.project_id,
+        req,
+        responseStatus: response.status_code,
+        responseTimeMs: Date.now() - startTime,
+        responseHeaders: headers,
+        responseBody: `[sse ${events.length} events${looping ? ', looping' : ''}]`,
+    });
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    res.status(response.status_code);
+    res.flushHeaders();
+    if (config.retry !== undefined) res.write(`retry: ${config.retry}\n\n`);
+
+    do {
+        for (const event of events) {
+            if (event.delay > 0) await sleep(event.delay);
+            if (closed) return;
+
+            let data = event.data;
+            if (response.templating && typeof data === 'string') {
+                try {
+                    data = renderTemplate(data, templateContext);
+                } catch (err) {
+                    console.warn(`Template render failed for mock ${mock.mock_id}:`, err.message);
+                }
+            }
+            res.write(formatSseEvent({ ...event, data }));
+        }
+    } while (looping && !closed);
+
+    if (!closed) res.end();
+}
+
+function setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,PATCH,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', '*');
+}
+
+/**
+ * GraphQL handler — POST /m/:projectSlug/graphql, served from the project's SDL.
+ * Operation overrides replace the whole result; otherwise the operation is
+ * executed with generated data and field overrides. Projects without a schema
+ * fall through to their REST mocks.
+ */
+router.post('/:projectSlug/graphql', async (req, res, next) => {
+    const startTime = Date.now();
+    setCorsHeaders(res);
+
+    try {
+        const projectResult = await turso.execute('SELECT * FROM projects WHERE slug = ?', [req.params.projectSlug]);
+        const project = projectResult.rows[0];
+        if (!project || !project.graphql_sdl) return next();
+
+        const quota = await checkMonthlyQuota(project.org_id, project.user_id);
+        if (!quota.allowed) {
+            return res.status(429).json({
+                error: 'MONTHLY_QUOTA_EXCEEDED',
+                message: 'This project has exceeded its monthly request quota. The project owner can upgrade their plan for more requests.',
+                used: quota.used,
+                limit: quota.limit,
+            });
+        }
+
+        const schema = loadSchema(project.graphql_sdl);
+        const { query, variables, operationName } = req.body || {};
+        const prepared = prepareGraphqlRequest(schema, { query, operationName });
+        if (prepared.error) {
+            logRequest({
+                mockId: null,
+                projectId: project.project_id,
+                req,
+                responseStatus: prepared.error.status,
+                responseTimeMs: Date.now() - startTime,
+                responseBody: prepared.error.body,
+            });
+            return res.status(prepared.error.status).json(prepared.error.body);
+        }
+
+        // Overrides see { operationName, variables, args } as the request body
+        const conditionReq = (args) => ({
+            headers: req.headers,
+            query: req.query,
+            ip: req.ip,
+            method: 'POST',
+            body: { operationName: prepared.operationName, variables: variables || {}, args },
+        });
+        const templateContext = (args) => buildTemplateContext(conditionReq(args), {}, '/graphql');
+
+        const overrides = await loadGraphqlOverrides(project);
+        const operationOverride = prepared.operationName ? pickOverride(overrides, prepared.operationName, conditionReq({})) : null;
+
+        const headers = { 'Content-Type': 'application/json' };
+        let status = 200;
+        let body;
+        if (operationOverride) {
+            const { mock, response } = operationOverride;
+            const delay = responseDelay(mock, response);
+            if (delay > 0) await sleep(delay);
+
+            Object.assign(headers, parseResponseHeaders(response));
+            status = response.status_code;
+            body = response.body || '';
+            if (response.templating) {
+                try {
+                    body = renderTemplate(body, templateContext({}), { json: true });
+                } catch (err) {
+                    console.warn(`Template render failed for mock ${mock.mock_id}:`, err.message);
+                }
+            }
+        } else {
+            const result = await executeGraphqlRequest(schema, prepared, {
+                variables,
+                overrideFor: (coordinate, args) => {
+                    const override = pickOverride(overrides, coordinate, conditionReq(args));
+                    return override ? overrideValue(override.response, templateContext(args)) : undefined;
+                },
+            });
+            status = result.status;
+            body = JSON.stringify(result.body);
+        }
+
+        incrementMonthlyCounter(project.org_id, project.user_id);
+        logRequest({
+            mockId: operationOverride ? operationOverride.mock.mock_id : null,
+            projectId: project.project_id,
+            req,
+            responseStatus: status,
+            responseTimeMs: Date.now() - startTime,
+            responseHeaders: headers,
+            responseBody: body,
+        });
+
+        Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value));
+        res.status(status).send(body);
+    } catch (error) {
+        console.error('GraphQL mock error:', error);
+        res.status(500).json({
+            error: 'INTERNAL_ERROR',
+            message: 'An error occurred while processing the GraphQL request',
+        });
+    }
+});
+
 /**
  * Main mock handler — matches all methods on /m/:projectSlug/{*path}
  * This is a PUBLIC endpoint — no auth required.
@@ -97,9 +426,7 @@ router.all('/:projectSlug/{*path}', async (req, res) => {
 
 
     // Always add CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,PATCH,OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', '*');
+    setCorsHeaders(res);
 
     if (method === 'OPTIONS') {
         return res.status(204).send();
@@ -130,11 +457,25 @@ router.all('/:projectSlug/{*path}', async (req, res) => {
             });
         }
 
+        // The scenario in effect pins responses: X-Mockbird-Scenario header, else the project's active one
+        const { scenario, requested } = await resolveScenario(project, req);
+        if (requested) {
+            return res.status(404).json({
+                error: 'SCENARIO_NOT_FOUND',
+                message: `No scenario named "${requested}" in this project`,
+            });
+        }
+        if (scenario) res.setHeader('X-Mockbird-Scenario', scenario.name);
+
         // 3. Find matching mock
-        const match = await findMatchingMock(project.project_id, mockPath, method);
+        const proxyMode = project.upstream_url ? project.proxy_mode : 'off';
+        const match = await findMatchingMock(project, mockPath, method, { recordedOnly: proxyMode === 'playback', req });
+        if (!match && (proxyMode === 'proxy' || proxyMode === 'record')) {
+            return await proxyToUpstream({ project, proxyMode, mockPath, method, req, res, startTime });
+        }
         if (!match) {
             const elapsed = Date.now() - startTime;
-            await logRequest({
+            logRequest({
                 mockId: null,
                 projectId: project.project_id,
                 req, responseStatus: 404, responseTimeMs: elapsed
@@ -147,13 +488,90 @@ router.all('/:projectSlug/{*path}', async (req, res) => {
 
         const { mock, pathParams } = match;
 
-        // 4. Fetch responses for this mock
-        const responsesResult = await turso.execute(
-            'SELECT * FROM mock_responses WHERE mock_id = ? ORDER BY is_default DESC, created_at ASC',
-            [mock.mock_id]
-        );
+        // Reject requests that don't satisfy the mock's expected body / headers
+        const validationErrors = validateRequest(mock, req);
+        if (validationErrors.length > 0) {
+            const status = mock.validation_status || 400;
+            const payload = {
+                error: 'VALIDATION_FAILED',
+                message: `Request does not match the expectations of ${method} ${mock.path}`,
+                errors: validationErrors,
+            };
+            incrementMonthlyCounter(project.org_id, project.user_id);
+            logRequest({
+                mockId: mock.mock_id,
+                projectId: project.project_id,
+                req,
+                responseStatus: status,
+                responseTimeMs: Date.now() - startTime,
+                responseHeaders: { 'Content-Type': 'application/json' },
+                responseBody: payload,
+                validationErrors,
+            });
+            return res.status(status).json(payload);
+        }
+
+        // Chaos settings: random latency, then at most one injected fault
+        const chaos = planChaos(mergeChaosConfig(project.chaos_config, mock.chaos_config));
+        if (chaos.delayMs > 0) await sleep(chaos.delayMs);
+        if (chaos.fault === 'drop') {
+            incrementMonthlyCounter(project.org_id, project.user_id);
+            logRequest({ mockId: mock.mock_id, projectId: project.project_id, req, responseStatus: 0, responseTimeMs: Date.now() - startTime });
+            return req.socket.destroy();
+        }
+        if (chaos.fault === 'failure') {
+            incrementMonthlyCounter(project.org_id, project.user_id);
+            logRequest({
+                mockId: mock.mock_id,
+                projectId: project.project_id,
+                req,
+                responseStatus: chaos.failure.status,
+                responseTimeMs: Date.now() - startTime,
+                responseHeaders: { 'Content-Type': 'application/json' },
+                responseBody: chaos.failure.body,
+            });
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('X-Mockbird-Chaos', 'failure');
+            return res.status(chaos.failure.status).send(chaos.failure.body);
+        }
+
+        // Resource mocks read and mutate stored items instead of picking a canned response
+        if (match.resourceItemId !== undefined) {
+            const result = await handleResourceRequest(mock, match.resourceItemId, req);
+
+            const delay = mock.response_delay_ms || 0;
+            if (delay > 0) {
+                await new Promise((resolve) => setTimeout(resolve, delay));
+            }
+
+            incrementMonthlyCounter(project.org_id, project.user_id);
+            logRequest({
+                mockId: mock.mock_id,
+                projectId: project.project_id,
+                req,
+                responseStatus: result.status,
+                responseTimeMs: Date.now() - startTime,
+                responseHeaders: { 'Content-Type': 'application/json' },
+                responseBody: result.body,
+            });
 
-        const response = pickResponse(responsesResult.rows, req, pathParams);
+            if (result.status === 204) return res.status(204).send();
+            res.setHeader('Content-Type', 'application/json');
+            return sendBody(res, result.status, JSON.stringify(result.body), chaos);
+        }
+
+        // 4. Responses for this mock, from the route index — sequential modes step through them in creation order
+        const sequential = mock.selection_mode && mock.selection_mode !== 'random';
+        const responses = (await getRouteIndex(project)).responsesFor(mock.mock_id, { sequential });
+
+        // A scenario pin wins over conditions and sequences
+        let response = scenario ? await pinnedResponse(scenario.scenario_id, mock.mock_id, responses) : null;
+        if (!response && sequential && responses.length > 0) {
+            const position = await nextSequencePosition(mock, req);
+            response = pickInSequence(selectCandidates(responses, req, pathParams), position, mock.selection_mode);
+        } else if (!response) {
+            response = pickResponse(responses, req, pathParams);
+        }
         if (!response) {
             return res.status(404).json({
                 error: 'NO_RESPONSE_DEFINED',
@@ -161,20 +579,59 @@ router.all('/:projectSlug/{*path}', async (req, res) => {
             });
         }
 
-        // 5. Apply delay
-        const delay = mock.response_delay_ms || 0;
+        // 5. Apply delay — the response's own delay (or range), else the mock's
+        const delay = responseDelay(mock, response);
         if (delay > 0) {
             await new Promise((resolve) => setTimeout(resolve, delay));
         }
 
-        // 6. Parse and set response headers
-        let headers = {};
-        try {
-            headers = typeof response.headers === 'string' ? JSON.parse(response.headers) : (response.headers || {});
-        } catch {
-            headers = {};
+        // Proxy responses pass the request through to a real backend
+        if (response.kind === 'proxy') {
+            let upstream;
+            try {
+                upstream = await proxyMockResponse(response, req, pathParams);
+            } catch (err) {
+                console.warn(`Proxy response failed for mock ${mock.mock_id}:`, err.message);
+                logRequest({ mockId: mock.mock_id, projectId: project.project_id, req, responseStatus: 502, responseTimeMs: Date.now() - startTime });
+                return res.status(502).json({
+                    error: err.code === 'BLOCKED_HOST' ? 'UPSTREAM_BLOCKED' : 'UPSTREAM_UNAVAILABLE',
+                    message: err.code === 'BLOCKED_HOST' ? err.message : 'The proxy response could not reach its target URL',
+                });
+            }
+
+            incrementMonthlyCounter(project.org_id, project.user_id);
+            logRequest({
+                mockId: mock.mock_id,
+                projectId: project.project_id,
+                req,
+                responseStatus: upstream.status,
+                responseTimeMs: Date.now() - startTime,
+                responseHeaders: upstream.headers,
+                responseBody: upstream.body.toString('utf8'),
+            });
+            scheduleCallbacks({ mock, response, req, pathParams, mockPath, responseStatus: upstream.status, responseBody: upstream.body.toString('utf8') });
+            return relayUpstream(res, upstream, 'passthrough', chaos);
         }
 
+        // File and SSE responses have no body to expose to callbacks
+        if (response.kind === 'file' || response.kind === 'sse') {
+            scheduleCallbacks({ mock, response, req, pathParams, mockPath });
+        }
+
+        // File responses serve an uploaded asset
+        if (response.kind === 'file') {
+            return await sendFileResponse({ project, mock, response, req, res, startTime, chaos });
+        }
+
+        // SSE responses stream their events over text/event-stream
+        if (response.kind === 'sse') {
+            const templateContext = buildTemplateContext(req, pathParams, mockPath);
+            return await streamSseResponse({ project, mock, response, req, res, startTime, templateContext });
+        }
+
+        // 6. Parse and set response headers
+        const headers = parseResponseHeaders(response);
+
         // Set Content-Type based on mock type if not overridden
         if (!headers['Content-Type'] && !headers['content-type']) {
             const typeMap = {
@@ -186,13 +643,33 @@ router.all('/:projectSlug/{*path}', async (req, res) => {
             headers['Content-Type'] = typeMap[mock.response_type] || 'application/json';
         }
 
+        // 7. Render templated body/header values against the request (responses with templating on)
+        const contentType = String(headers['Content-Type'] || headers['content-type']);
+        let body = response.body || '';
+        if (response.templating) {
+            const templateContext = buildTemplateContext(req, pathParams, mockPath);
+            try {
+                body = renderTemplate(body, templateContext, { json: contentType.includes('json') });
+                for (const [key, value] of Object.entries(headers)) {
+                    headers[key] = renderTemplate(String(value), templateContext);
+                }
+            } catch (err) {
+                if (err.code === 'TEMPLATE_LIMIT') {
+                    logRequest({ mockId: mock.mock_id, projectId: project.project_id, req, responseStatus: 500, responseTimeMs: Date.now() - startTime });
+                    return res.status(500).json({ error: 'TEMPLATE_LIMIT_EXCEEDED', message: err.message });
+                }
+                // Malformed template — serve the body verbatim rather than failing the request
+                console.warn(`Template render failed for mock ${mock.mock_id}:`, err.message);
+            }
+        }
+
         Object.entries(headers).forEach(([key, value]) => {
             res.setHeader(key, value);
         });
 
         const elapsed = Date.now() - startTime;
 
-        // 7. Log the request and count it against the monthly quota
+        // 8. Log the request and count it against the monthly quota
         incrementMonthlyCounter(project.org_id, project.user_id);
         logRequest({
             mockId: mock.mock_id,
@@ -201,11 +678,12 @@ router.all('/:projectSlug/{*path}', async (req, res) => {
             responseStatus: response.status_code,
             responseTimeMs: elapsed,
             responseHeaders: headers,
-            responseBody: response.body || ''
+            responseBody: body
         });
+        scheduleCallbacks({ mock, response, req, pathParams, mockPath, responseStatus: response.status_code, responseBody: body });
 
-        // 8. Send response
-        res.status(response.status_code).send(response.body || '');
+        // 9. Send response
+        await sendBody(res, response.status_code, body, chaos);
 
     } catch (error) {
         console.error('Mock execution error:', error);
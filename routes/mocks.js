@@ -5,6 +5,21 @@ const { getAuth } = require('@clerk/express');
 const turso = require('../db');
 const authenticate = require('../middleware/auth');
 const { enforceMockLimit, enforceResponseLimit } = require('../middleware/billing');
+const { resetResource } = require('../services/resource.service');
+const { validateProxyConfig } = require('../services/proxy.service');
+const { resetSequence, checkSequenceScope } = require('../services/sequence.service');
+const { VALIDATION_STATUSES, checkValidationConfig } = require('../utils/validation');
+const { SELECTION_MODES, checkPathPattern } = require('../utils/execution');
+const { checkChaosConfig } = require('../utils/chaos');
+const { checkRequestMatchers } = require('../utils/matchers');
+const { findAsset } = require('../services/asset.service');
+const { checkSseConfig } = require('../utils/sse');
+const { checkCallbacks } = require('../services/callback.service');
+const { invalidateRouteIndex, invalidateMockRoutes } = require('../services/route-index.service');
+const { flushRequestLogs } = require('../services/request-log.service');
+const { logRetention } = require('../services/retention.service');
+
+const RESPONSE_KINDS = ['static', 'proxy', 'file', 'sse'];
 
 // All routes in this file are protected
 router.use(authenticate);
@@ -20,6 +35,69 @@ function getScope(auth) {
     return { scopeWhere: 'p.user_id = ? AND p.org_id IS NULL', scopeValues: [auth.userId] };
 }
 
+/**
+ * Validate the kind / proxyConfig / assetId / sseConfig of a response payload.
+ * Returns an error message, or null when the payload is acceptable.
+ */
+async function validateResponseKind({ kind, proxyConfig, assetId, sseConfig }, projectId) {
+    if (kind !== undefined && !RESPONSE_KINDS.includes(kind)) {
+        return `kind must be one of: ${RESPONSE_KINDS.join(', ')}`;
+    }
+    if (kind === 'proxy') return validateProxyConfig(proxyConfig);
+    if (kind === 'file') {
+        if (!assetId) return 'assetId is required for file responses';
+        if (!await findAsset(projectId, assetId)) return 'assetId must name an asset of this project';
+    }
+    if (kind === 'sse') return checkSseConfig(sseConfig);
+    return null;
+}
+
+/**
+ * REST mock paths always start with "/"; GraphQL overrides (method GRAPHQL)
+ * are addressed by `Type.field` or an operation name instead.
+ */
+function normalizeMockPath(path, method) {
+    if (String(method).toUpperCase() === 'GRAPHQL') return path.replace(/^\//, '');
+    return path.startsWith('/') ? path : `/${path}`;
+}
+
+/**
+ * Validate a response's delay / delayMax pair (as they will be after the change).
+ * null delay means "use the mock's delay". Returns an error message or null.
+ */
+function validateResponseDelay(delay, delayMax) {
+    const isMs = (value) => typeof value === 'number' && Number.isInteger(value) && value >= 0;
+    if (delay !== null && delay !== undefined && !isMs(delay)) return 'delay must be a non-negative integer (ms)';
+    if (delayMax === null || delayMax === undefined) return null;
+    if (!isMs(delayMax)) return 'delayMax must be a non-negative integer (ms)';
+    if (delay === null || delay === undefined) return 'delayMax requires delay';
+    if (delayMax < delay) return 'delayMax must not be less than delay';
+    return null;
+}
+
+/**
+ * Validate the request-validation settings of a mock payload.
+ * Returns an error message, or null when the settings are usable.
+ */
+function validateValidationSettings(mode, status, expectedBody) {
+    if (status !== undefined && !VALIDATION_STATUSES.includes(Number(status))) {
+        return `validationStatus must be one of: ${VALIDATION_STATUSES.join(', ')}`;
+    }
+    return checkValidationConfig(mode, expectedBody);
+}
+
+/**
+ * Validate the selectionMode / sequenceScope pair of a mock payload.
+ * Returns an error message, or null when the settings are usable.
+ */
+function validateSelectionSettings(mode, scope) {
+    if (mode !== undefined && !SELECTION_MODES.includes(mode)) {
+        return `selectionMode must be one of: ${SELECTION_MODES.join(', ')}`;
+    }
+    if (scope !== undefined) return checkSequenceScope(scope);
+    return null;
+}
+
 // ─── MOCK CRUD ──────────────────────────────────────────────────────────────
 
 // GET /projects/:projectId/mocks
@@ -57,13 +135,26 @@ router.get('/projects/:projectId/mocks', async (req, res) => {
 router.post('/projects/:projectId/mocks', enforceMockLimit, async (req, res) => {
     try {
         const { projectId } = req.params;
-        const { name, path, method, description, responseType, responseDelay, expectedBody, expectedHeaders } = req.body;
+        const {
+            name, path, method, description, responseType, responseDelay, expectedBody, expectedHeaders, isResource,
+            validationMode, validationStatus, selectionMode, sequenceScope, chaosConfig, requestMatchers,
+        } = req.body;
         const auth = getAuth(req);
         const { scopeWhere, scopeValues } = getScope(auth);
 
         if (!name || !path || !method) {
             return res.status(400).json({ error: 'name, path, and method are required' });
         }
+        const pathError = checkPathPattern(path);
+        if (pathError) return res.status(400).json({ error: pathError });
+        const validationError = validateValidationSettings(validationMode || 'off', validationStatus, expectedBody);
+        if (validationError) return res.status(400).json({ error: validationError });
+        const selectionError = validateSelectionSettings(selectionMode, sequenceScope);
+        if (selectionError) return res.status(400).json({ error: selectionError });
+        const chaosError = chaosConfig ? checkChaosConfig(chaosConfig) : null;
+        if (chaosError) return res.status(400).json({ error: chaosError });
+        const matchersError = requestMatchers ? checkRequestMatchers(requestMatchers) : null;
+        if (matchersError) return res.status(400).json({ error: matchersError });
 
         // Verify project ownership (org-aware)
         const project = await turso.execute(
@@ -76,20 +167,27 @@ router.post('/projects/:projectId/mocks', enforceMockLimit, async (req, res) =>
 
         const mockId = uuidv4();
         const now = new Date().toISOString();
-        const normalizedPath = path.startsWith('/') ? path : `/${path}`;
+        const normalizedPath = normalizeMockPath(path, method);
 
         await turso.execute(
-            `INSERT INTO mocks (mock_id, project_id, name, path, method, description, response_type, response_delay_ms, expected_body, expected_headers, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            `INSERT INTO mocks (mock_id, project_id, name, path, method, description, response_type, response_delay_ms, expected_body, expected_headers, is_resource, validation_mode, validation_status, selection_mode, sequence_scope, chaos_config, request_matchers, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
                 mockId, projectId, name, normalizedPath,
                 method.toUpperCase(), description || '',
                 responseType || 'json', responseDelay || 0,
                 expectedBody || '', expectedHeaders || '{}',
+                isResource ? 1 : 0,
+                validationMode || 'off', Number(validationStatus) || 400,
+                selectionMode || 'random', sequenceScope || 'global',
+                JSON.stringify(chaosConfig || {}),
+                requestMatchers ? (typeof requestMatchers === 'string' ? requestMatchers : JSON.stringify(requestMatchers)) : '{}',
                 now, now
             ]
         );
 
+        await invalidateRouteIndex(projectId);
+
         const result = await turso.execute('SELECT * FROM mocks WHERE mock_id = ?', [mockId]);
         res.status(201).json({ data: result.rows[0] });
     } catch (error) {
@@ -132,13 +230,16 @@ router.get('/mocks/:id', async (req, res) => {
 router.put('/mocks/:id', async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, path, method, description, responseType, responseDelay, isActive, expectedBody, expectedHeaders } = req.body;
+        const {
+            name, path, method, description, responseType, responseDelay, isActive, expectedBody, expectedHeaders, isResource,
+            validationMode, validationStatus, selectionMode, sequenceScope, chaosConfig, requestMatchers,
+        } = req.body;
 
         // Verify ownership through project (org-aware)
         const auth = getAuth(req);
         const { scopeWhere, scopeValues } = getScope(auth);
         const existing = await turso.execute(
-            `SELECT m.mock_id FROM mocks m
+            `SELECT m.mock_id, m.project_id, m.method, m.validation_mode, m.expected_body FROM mocks m
        INNER JOIN projects p ON m.project_id = p.project_id
        WHERE m.mock_id = ? AND (${scopeWhere})`,
             [id, ...scopeValues]
@@ -147,8 +248,27 @@ router.put('/mocks/:id', async (req, res) => {
             return res.status(404).json({ error: 'Mock not found' });
         }
 
+        if (path) {
+            const pathError = checkPathPattern(path);
+            if (pathError) return res.status(400).json({ error: pathError });
+        }
+
+        // Check the settings as they will be after the update
+        const validationError = validateValidationSettings(
+            validationMode ?? existing.rows[0].validation_mode ?? 'off',
+            validationStatus,
+            expectedBody ?? existing.rows[0].expected_body
+        );
+        if (validationError) return res.status(400).json({ error: validationError });
+        const selectionError = validateSelectionSettings(selectionMode, sequenceScope);
+        if (selectionError) return res.status(400).json({ error: selectionError });
+        const chaosError = chaosConfig ? checkChaosConfig(chaosConfig) : null;
+        if (chaosError) return res.status(400).json({ error: chaosError });
+        const matchersError = requestMatchers ? checkRequestMatchers(requestMatchers) : null;
+        if (matchersError) return res.status(400).json({ error: matchersError });
+
         const now = new Date().toISOString();
-        const normalizedPath = path ? (path.startsWith('/') ? path : `/${path}`) : null;
+        const normalizedPath = path ? normalizeMockPath(path, method ?? existing.rows[0].method) : null;
 
         await turso.execute(
             `UPDATE mocks SET 
@@ -161,6 +281,13 @@ router.put('/mocks/:id', async (req, res) => {
         is_active = COALESCE(?, is_active),
         expected_body = COALESCE(?, expected_body),
         expected_headers = COALESCE(?, expected_headers),
+        is_resource = COALESCE(?, is_resource),
+        validation_mode = COALESCE(?, validation_mode),
+        validation_status = COALESCE(?, validation_status),
+        selection_mode = COALESCE(?, selection_mode),
+        sequence_scope = COALESCE(?, sequence_scope),
+        chaos_config = COALESCE(?, chaos_config),
+        request_matchers = COALESCE(?, request_matchers),
         updated_at = ?
        WHERE mock_id = ?`,
             [
@@ -170,9 +297,18 @@ router.put('/mocks/:id', async (req, res) => {
                 isActive !== undefined ? (isActive ? 1 : 0) : null,
                 expectedBody !== undefined ? expectedBody : null,
                 expectedHeaders !== undefined ? expectedHeaders : null,
+                isResource !== undefined ? (isResource ? 1 : 0) : null,
+                validationMode || null,
+                validationStatus !== undefined ? Number(validationStatus) : null,
+                selectionMode || null, sequenceScope || null,
+                chaosConfig !== undefined ? JSON.stringify(chaosConfig || {}) : null,
+                requestMatchers !== undefined
+                    ? (typeof requestMatchers === 'string' ? requestMatchers : JSON.stringify(requestMatchers || {}))
+                    : null,
                 now, id
             ]
         );
+        await invalidateRouteIndex(existing.rows[0].project_id);
 
         const updated = await turso.execute('SELECT * FROM mocks WHERE mock_id = ?', [id]);
         res.status(200).json({ data: updated.rows[0] });
@@ -189,7 +325,7 @@ router.delete('/mocks/:id', async (req, res) => {
         const auth = getAuth(req);
         const { scopeWhere, scopeValues } = getScope(auth);
         const existing = await turso.execute(
-            `SELECT m.mock_id FROM mocks m
+            `SELECT m.mock_id, m.project_id FROM mocks m
        INNER JOIN projects p ON m.project_id = p.project_id
        WHERE m.mock_id = ? AND (${scopeWhere})`,
             [id, ...scopeValues]
@@ -199,6 +335,7 @@ router.delete('/mocks/:id', async (req, res) => {
         }
 
         await turso.execute('DELETE FROM mocks WHERE mock_id = ?', [id]);
+        await invalidateRouteIndex(existing.rows[0].project_id);
         res.status(200).json({ message: 'Mock deleted successfully' });
     } catch (error) {
         console.error('Delete mock error:', error);
@@ -206,12 +343,86 @@ router.delete('/mocks/:id', async (req, res) => {
     }
 });
 
+// ─── RESOURCE STATE ───────────────────────────────────────────────────────────
+
+// POST /mocks/:id/resource/reset — restore a resource mock's items to its seed data
+router.post('/mocks/:id/resource/reset', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const auth = getAuth(req);
+        const { scopeWhere, scopeValues } = getScope(auth);
+
+        const mockResult = await turso.execute(
+            `SELECT m.* FROM mocks m
+       INNER JOIN projects p ON m.project_id = p.project_id
+       WHERE m.mock_id = ? AND (${scopeWhere})`,
+            [id, ...scopeValues]
+        );
+        const mock = mockResult.rows[0];
+        if (!mock) {
+            return res.status(404).json({ error: 'Mock not found' });
+        }
+        if (!mock.is_resource) {
+            return res.status(400).json({ error: 'Mock is not a resource' });
+        }
+
+        const items = await resetResource(mock);
+        await invalidateRouteIndex(mock.project_id);
+        res.status(200).json({ data: items });
+    } catch (error) {
+        console.error('POST /mocks/:id/resource/reset error:', error);
+        res.status(500).json({ error: 'Failed to reset resource' });
+    }
+});
+
+// ─── RESPONSE SEQUENCES ───────────────────────────────────────────────────────
+
+// POST /mocks/:id/sequence/reset — restart sequential selection (optionally for one client)
+router.post('/mocks/:id/sequence/reset', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { clientKey } = req.body || {};
+        const auth = getAuth(req);
+        const { scopeWhere, scopeValues } = getScope(auth);
+
+        const mockResult = await turso.execute(
+            `SELECT m.mock_id FROM mocks m
+       INNER JOIN projects p ON m.project_id = p.project_id
+       WHERE m.mock_id = ? AND (${scopeWhere})`,
+            [id, ...scopeValues]
+        );
+        if (mockResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Mock not found' });
+        }
+
+        const cleared = await resetSequence(id, clientKey);
+        res.status(200).json({ data: { cleared } });
+    } catch (error) {
+        console.error('POST /mocks/:id/sequence/reset error:', error);
+        res.status(500).json({ error: 'Failed to reset sequence' });
+    }
+});
+
 // ─── MOCK RESPONSES ──────────────────────────────────────────────────────────
 
 // GET /mocks/:id/responses
 router.get('/mocks/:id/responses', async (req, res) => {
     try {
         const { id } = req.params;
+        const auth = getAuth(req);
+        const { scopeWhere, scopeValues } = getScope(auth);
+
+        // Responses carry callback signing secrets and proxy targets
+        const mockCheck = await turso.execute(
+            `SELECT m.mock_id FROM mocks m
+       INNER JOIN projects p ON m.project_id = p.project_id
+       WHERE m.mock_id = ? AND (${scopeWhere})`,
+            [id, ...scopeValues]
+        );
+        if (mockCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Mock not found' });
+        }
+
         const result = await turso.execute(
             'SELECT * FROM mock_responses WHERE mock_id = ? ORDER BY is_default DESC, created_at ASC',
             [id]
@@ -227,13 +438,18 @@ router.get('/mocks/:id/responses', async (req, res) => {
 router.post('/mocks/:id/responses', enforceResponseLimit, async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, statusCode, headers, body, isDefault, weight, conditions } = req.body;
+        const {
+            name, statusCode, headers, body, isDefault, weight, conditions, kind, proxyConfig, priority, delay, delayMax, assetId, sseConfig, callbacks, templating,
+        } = req.body;
         const auth = getAuth(req);
         const { scopeWhere, scopeValues } = getScope(auth);
 
+        const delayError = validateResponseDelay(delay, delayMax);
+        if (delayError) return res.status(400).json({ error: delayError });
+
         // Verify mock exists and belongs to user/org
         const mockCheck = await turso.execute(
-            `SELECT m.mock_id FROM mocks m
+            `SELECT m.mock_id, m.project_id FROM mocks m
        INNER JOIN projects p ON m.project_id = p.project_id
        WHERE m.mock_id = ? AND (${scopeWhere})`,
             [id, ...scopeValues]
@@ -242,6 +458,11 @@ router.post('/mocks/:id/responses', enforceResponseLimit, async (req, res) => {
             return res.status(404).json({ error: 'Mock not found' });
         }
 
+        const kindError = await validateResponseKind({ kind, proxyConfig, assetId, sseConfig }, mockCheck.rows[0].project_id);
+        if (kindError) return res.status(400).json({ error: kindError });
+        const callbacksError = callbacks !== undefined ? checkCallbacks(callbacks) : null;
+        if (callbacksError) return res.status(400).json({ error: callbacksError });
+
         // If this is default, unset other defaults
         if (isDefault) {
             await turso.execute(
@@ -255,8 +476,8 @@ router.post('/mocks/:id/responses', enforceResponseLimit, async (req, res) => {
         const conditionsStr = conditions ? (typeof conditions === 'string' ? conditions : JSON.stringify(conditions)) : '[]';
 
         await turso.execute(
-            `INSERT INTO mock_responses (response_id, mock_id, name, status_code, headers, body, is_default, weight, conditions, created_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            `INSERT INTO mock_responses (response_id, mock_id, name, status_code, headers, body, is_default, weight, conditions, kind, proxy_config, priority, delay_ms, delay_max_ms, asset_id, sse_config, callbacks, templating, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
                 responseId, id, name || 'Response',
                 statusCode || 200,
@@ -265,9 +486,19 @@ router.post('/mocks/:id/responses', enforceResponseLimit, async (req, res) => {
                 isDefault ? 1 : 0,
                 weight || 100,
                 conditionsStr,
+                kind || 'static',
+                proxyConfig ? (typeof proxyConfig === 'string' ? proxyConfig : JSON.stringify(proxyConfig)) : '{}',
+                Number(priority) || 0,
+                delay ?? null,
+                delayMax ?? null,
+                kind === 'file' ? assetId : null,
+                sseConfig ? (typeof sseConfig === 'string' ? sseConfig : JSON.stringify(sseConfig)) : '{}',
+                callbacks ? (typeof callbacks === 'string' ? callbacks : JSON.stringify(callbacks)) : '[]',
+                templating === false ? 0 : 1,
                 now
             ]
         );
+        await invalidateRouteIndex(mockCheck.rows[0].project_id);
 
         const result = await turso.execute(
             'SELECT * FROM mock_responses WHERE response_id = ?',
@@ -284,7 +515,58 @@ router.post('/mocks/:id/responses', enforceResponseLimit, async (req, res) => {
 router.put('/mocks/:id/responses/:responseId', async (req, res) => {
     try {
         const { id, responseId } = req.params;
-        const { name, statusCode, headers, body, isDefault, weight, conditions } = req.body;
+        const {
+            name, statusCode, headers, body, isDefault, weight, conditions, kind, proxyConfig, priority, delay, delayMax, assetId, sseConfig, callbacks, templating,
+        } = req.body;
+        const auth = getAuth(req);
+        const { scopeWhere, scopeValues } = getScope(auth);
+
+        // Verify mock exists and belongs to user/org
+        const mockCheck = await turso.execute(
+            `SELECT m.mock_id, m.project_id FROM mocks m
+       INNER JOIN projects p ON m.project_id = p.project_id
+       WHERE m.mock_id = ? AND (${scopeWhere})`,
+            [id, ...scopeValues]
+        );
+        if (mockCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Mock not found' });
+        }
+
+        // Switching to (or editing) a proxy, file or SSE response needs a usable config
+        if (kind !== undefined || proxyConfig !== undefined || assetId !== undefined || sseConfig !== undefined) {
+            const current = await turso.execute(
+                'SELECT kind, proxy_config, asset_id, sse_config FROM mock_responses WHERE response_id = ? AND mock_id = ?',
+                [responseId, id]
+            );
+            const existing = current.rows[0] || {};
+            const kindError = await validateResponseKind({
+                kind: kind ?? existing.kind,
+                proxyConfig: proxyConfig ?? existing.proxy_config,
+                assetId: assetId ?? existing.asset_id,
+                sseConfig: sseConfig ?? existing.sse_config,
+            }, mockCheck.rows[0].project_id);
+            if (kindError) return res.status(400).json({ error: kindError });
+        }
+
+        if (callbacks !== undefined) {
+            const callbacksError = checkCallbacks(callbacks);
+            if (callbacksError) return res.status(400).json({ error: callbacksError });
+        }
+
+        // Delays are checked as a pair; clearing delay (null) also clears delayMax
+        let nextDelay;
+        let nextDelayMax;
+        if (delay !== undefined || delayMax !== undefined) {
+            const current = await turso.execute(
+                'SELECT delay_ms, delay_max_ms FROM mock_responses WHERE response_id = ? AND mock_id = ?',
+                [responseId, id]
+            );
+            const existing = current.rows[0] || {};
+            nextDelay = delay !== undefined ? delay : (existing.delay_ms ?? null);
+            nextDelayMax = delayMax !== undefined ? delayMax : (delay === null ? null : (existing.delay_max_ms ?? null));
+            const delayError = validateResponseDelay(nextDelay, nextDelayMax);
+            if (delayError) return res.status(400).json({ error: delayError });
+        }
 
         // If setting new default, unset others
         if (isDefault) {
@@ -306,7 +588,14 @@ router.put('/mocks/:id/responses/:responseId', async (req, res) => {
         body = COALESCE(?, body),
         is_default = COALESCE(?, is_default),
         weight = COALESCE(?, weight),
-        conditions = COALESCE(?, conditions)
+        conditions = COALESCE(?, conditions),
+        kind = COALESCE(?, kind),
+        proxy_config = COALESCE(?, proxy_config),
+        priority = COALESCE(?, priority),
+        asset_id = COALESCE(?, asset_id),
+        sse_config = COALESCE(?, sse_config),
+        callbacks = COALESCE(?, callbacks),
+        templating = COALESCE(?, templating)
        WHERE response_id = ? AND mock_id = ?`,
             [
                 name || null,
@@ -316,10 +605,26 @@ router.put('/mocks/:id/responses/:responseId', async (req, res) => {
                 isDefault !== undefined ? (isDefault ? 1 : 0) : null,
                 weight !== undefined ? weight : null,
                 conditionsStr,
+                kind || null,
+                proxyConfig !== undefined ? (typeof proxyConfig === 'string' ? proxyConfig : JSON.stringify(proxyConfig)) : null,
+                priority !== undefined ? Number(priority) || 0 : null,
+                assetId || null,
+                sseConfig !== undefined ? (typeof sseConfig === 'string' ? sseConfig : JSON.stringify(sseConfig)) : null,
+                callbacks !== undefined ? (typeof callbacks === 'string' ? callbacks : JSON.stringify(callbacks)) : null,
+                templating !== undefined ? (templating ? 1 : 0) : null,
                 responseId, id
             ]
         );
 
+        // Not COALESCEd above: null is meaningful (fall back to the mock's delay)
+        if (nextDelay !== undefined) {
+            await turso.execute(
+                'UPDATE mock_responses SET delay_ms = ?, delay_max_ms = ? WHERE response_id = ? AND mock_id = ?',
+                [nextDelay, nextDelayMax, responseId, id]
+            );
+        }
+        await invalidateMockRoutes(id);
+
         const updated = await turso.execute(
             'SELECT * FROM mock_responses WHERE response_id = ?',
             [responseId]
@@ -335,10 +640,24 @@ router.put('/mocks/:id/responses/:responseId', async (req, res) => {
 router.delete('/mocks/:id/responses/:responseId', async (req, res) => {
     try {
         const { id, responseId } = req.params;
+        const { scopeWhere, scopeValues } = getScope(getAuth(req));
+
+        // Verify mock exists and belongs to user/org
+        const mockCheck = await turso.execute(
+            `SELECT m.mock_id FROM mocks m
+       INNER JOIN projects p ON m.project_id = p.project_id
+       WHERE m.mock_id = ? AND (${scopeWhere})`,
+            [id, ...scopeValues]
+        );
+        if (mockCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Mock not found' });
+        }
+
         await turso.execute(
             'DELETE FROM mock_responses WHERE response_id = ? AND mock_id = ?',
             [responseId, id]
         );
+        await invalidateMockRoutes(id);
         res.status(200).json({ message: 'Response deleted successfully' });
     } catch (error) {
         console.error('Delete response error:', error);
@@ -356,12 +675,28 @@ router.get('/mocks/:id/request-logs', async (req, res) => {
         const limit = Math.min(100, parseInt(req.query.limit) || 50);
         const offset = (page - 1) * limit;
         const { startDate, endDate } = req.query;
+        const auth = getAuth(req);
+        const { scopeWhere, scopeValues } = getScope(auth);
+
+        const owner = await turso.execute(
+            `SELECT p.org_id FROM mocks m
+       INNER JOIN projects p ON m.project_id = p.project_id
+       WHERE m.mock_id = ? AND (${scopeWhere})`,
+            [id, ...scopeValues]
+        );
+        if (owner.rows.length === 0) {
+            return res.status(404).json({ error: 'Mock not found' });
+        }
+        // Rows past the owner's plan retention are hidden until pruning deletes them
+        const retention = await logRetention(owner.rows[0].org_id || null);
 
-        let dateFilter = '';
-        const dateValues = [];
+        let dateFilter = ' AND created_at >= ?';
+        const dateValues = [retention.cutoff];
         if (startDate) { dateFilter += ' AND created_at >= ?'; dateValues.push(startDate); }
         if (endDate) { dateFilter += ' AND created_at <= ?'; dateValues.push(endDate); }
 
+        // Include requests still waiting in the log buffer
+        await flushRequestLogs();
         const [logsResult, countResult] = await Promise.all([
             turso.execute(
                 `SELECT * FROM request_logs
@@ -380,6 +715,7 @@ router.get('/mocks/:id/request-logs', async (req, res) => {
         res.status(200).json({
             data: logsResult.rows,
             pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+            retention,
         });
     } catch (error) {
         console.error('GET /mocks/:id/request-logs error:', error);
@@ -387,6 +723,56 @@ router.get('/mocks/:id/request-logs', async (req, res) => {
     }
 });
 
+// ─── CALLBACK DELIVERIES ──────────────────────────────────────────────────────
+
+// GET /mocks/:id/callback-deliveries?page=1&limit=50&status=
+router.get('/mocks/:id/callback-deliveries', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, parseInt(req.query.limit) || 50);
+        const offset = (page - 1) * limit;
+        const { status } = req.query;
+
+        const auth = getAuth(req);
+        const { scopeWhere, scopeValues } = getScope(auth);
+        const mockCheck = await turso.execute(
+            `SELECT m.mock_id FROM mocks m
+       INNER JOIN projects p ON m.project_id = p.project_id
+       WHERE m.mock_id = ? AND (${scopeWhere})`,
+            [id, ...scopeValues]
+        );
+        if (mockCheck.rows.length === 0) {
+            return res.status(404).json({ error: 'Mock not found' });
+        }
+
+        const statusFilter = status ? ' AND status = ?' : '';
+        const statusValues = status ? [status] : [];
+        const [deliveriesResult, countResult] = await Promise.all([
+            turso.execute(
+                `SELECT * FROM callback_deliveries
+                 WHERE mock_id = ? ${statusFilter}
+                 ORDER BY created_at DESC
+                 LIMIT ? OFFSET ?`,
+                [id, ...statusValues, limit, offset]
+            ),
+            turso.execute(
+                `SELECT COUNT(*) as total FROM callback_deliveries WHERE mock_id = ? ${statusFilter}`,
+                [id, ...statusValues]
+            ),
+        ]);
+
+        const total = countResult.rows[0]?.total ?? 0;
+        res.status(200).json({
+            data: deliveriesResult.rows,
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+        });
+    } catch (error) {
+        console.error('GET /mocks/:id/callback-deliveries error:', error);
+        res.status(500).json({ error: 'Failed to fetch callback deliveries' });
+    }
+});
+
 // ─── DUPLICATE ────────────────────────────────────────────────────────────────
 
 // POST /mocks/:id/duplicate — clone a single mock (counts against mock limit)
@@ -428,22 +814,30 @@ router.post('/mocks/:id/duplicate', async (req, res) => {
         const now = new Date().toISOString();
 
         await turso.execute(
-            `INSERT INTO mocks (mock_id, project_id, name, path, method, description, is_active, response_type, response_delay_ms, created_at, updated_at)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            `INSERT INTO mocks (mock_id, project_id, name, path, method, description, is_active, response_type, response_delay_ms, expected_body, expected_headers, is_resource, validation_mode, validation_status, selection_mode, sequence_scope, chaos_config, request_matchers, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [newMockId, original.project_id, `${original.name} (Copy)`,
                 original.path, original.method, original.description,
-                original.is_active, original.response_type, original.response_delay_ms, now, now]
+                original.is_active, original.response_type, original.response_delay_ms,
+                original.expected_body, original.expected_headers, original.is_resource,
+                original.validation_mode, original.validation_status,
+                original.selection_mode, original.sequence_scope, original.chaos_config || '{}', original.request_matchers || '{}', now, now]
         );
 
-        const responses = await turso.execute('SELECT * FROM mock_responses WHERE mock_id = ?', [id]);
+        // Keep creation order so sequential selection replays the same sequence
+        const responses = await turso.execute('SELECT * FROM mock_responses WHERE mock_id = ? ORDER BY created_at ASC, rowid ASC', [id]);
         for (const resp of responses.rows) {
             await turso.execute(
-                `INSERT INTO mock_responses (response_id, mock_id, name, status_code, headers, body, is_default, weight, created_at)
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [uuidv4(), newMockId, resp.name, resp.status_code, resp.headers, resp.body, resp.is_default, resp.weight, now]
+                `INSERT INTO mock_responses (response_id, mock_id, name, status_code, headers, body, is_default, weight, conditions, kind, proxy_config, priority, delay_ms, delay_max_ms, asset_id, sse_config, callbacks, templating, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [uuidv4(), newMockId, resp.name, resp.status_code, resp.headers, resp.body, resp.is_default, resp.weight,
+                    resp.conditions, resp.kind, resp.proxy_config, resp.priority, resp.delay_ms, resp.delay_max_ms, resp.asset_id, resp.sse_config,
+                    resp.callbacks || '[]', resp.templating ?? 0, now]
             );
         }
 
+        await invalidateRouteIndex(original.project_id);
+
         const newMock = await turso.execute('SELECT * FROM mocks WHERE mock_id = ?', [newMockId]);
         res.status(201).json({ data: newMock.rows[0] });
     } catch (error) {
@@ -3,8 +3,52 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { getAuth } = require('@clerk/express');
 const turso = require('../db');
-const { enforceProjectLimit } = require('../middleware/billing');
+const { enforceProjectLimit, getLimits, getPlanKey } = require('../middleware/billing');
 const { ensureUserExists } = require('../utils/userSync');
+const yaml = require('js-yaml');
+const { openApiToEndpoints, buildOpenApiDocument } = require('../utils/openapi');
+const { postmanToEndpoints, insomniaToEndpoints, buildPostmanCollection } = require('../utils/postman');
+const { harToEndpoints } = require('../utils/har');
+const { createMocksFromEndpoints } = require('../services/import.service');
+const { invalidateRouteIndex } = require('../services/route-index.service');
+const { flushRequestLogs } = require('../services/request-log.service');
+const { PROXY_MODES } = require('../services/proxy.service');
+const { copyScenarios } = require('../services/scenario.service');
+const { resetProjectSequences } = require('../services/sequence.service');
+const { checkAssetCopyLimit, copyAssets } = require('../services/asset.service');
+const { copyWsEndpoints } = require('../services/websocket.service');
+const { checkChaosConfig } = require('../utils/chaos');
+const { checkGraphqlSdl } = require('../utils/graphql');
+const { checkPublicUrl } = require('../utils/network');
+const scenariosRouter = require('./scenarios');
+const assetsRouter = require('./assets');
+const wsEndpointsRouter = require('./ws-endpoints');
+
+/**
+ * Importers: each converts an uploaded document into normalized endpoints.
+ * Keyed by the :format segment of the import routes.
+ */
+const IMPORTERS = {
+    openapi: openApiToEndpoints,
+    postman: postmanToEndpoints,
+    insomnia: insomniaToEndpoints,
+    har: harToEndpoints,
+};
+
+/**
+ * Exporters: each renders a project (mocks with nested responses) as a document.
+ * Keyed by the :format segment of the export route.
+ */
+const EXPORTERS = {
+    openapi: (project, mocks, { serverUrl }) => buildOpenApiDocument(project, mocks, { serverUrl }),
+    postman: (project, mocks, { serverUrl }) => buildPostmanCollection(project, mocks, { serverUrl }),
+};
+
+// YAML (or any text) uploads arrive as raw strings; JSON is already parsed globally
+const textBody = express.text({
+    type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml', 'text/plain', 'application/har+json'],
+    limit: '5mb',
+});
 
 // Helper: generate URL-safe slug from name
 function generateSlug(name) {
@@ -34,6 +78,60 @@ function getScope(auth) {
     return { scopeWhere: 'user_id = ? AND org_id IS NULL', scopeValues: [auth.userId] };
 }
 
+/**
+ * Import helper: the document is either the raw request body (JSON or YAML text)
+ * or wrapped as { document, name?, description?, isPublic? }.
+ */
+function readImportDocument(body) {
+    if (body && typeof body === 'object' && body.document !== undefined) return body.document;
+    return body;
+}
+
+/**
+ * Import helper: returns a 403 payload when adding `incoming` mocks would exceed
+ * the plan's per-project mock limit, otherwise null.
+ */
+async function checkImportLimit(auth, projectId, incoming) {
+    const limits = await getLimits(auth);
+    let current = 0;
+    if (projectId) {
+        const result = await turso.execute('SELECT COUNT(*) as count FROM mocks WHERE project_id = ?', [projectId]);
+        current = Number(result.rows[0]?.count ?? 0);
+    }
+    if (current + incoming <= limits.maxMocksPerProject) return { limits, error: null };
+
+    return {
+        limits,
+        error: {
+            error: 'PLAN_LIMIT_REACHED',
+            message: `Your plan allows up to ${limits.maxMocksPerProject} mocks per project. This import would add ${incoming}.`,
+            limit: limits.maxMocksPerProject,
+            current,
+            plan: await getPlanKey(auth),
+        },
+    };
+}
+
+/**
+ * Import helper: run the importer for :format, returning { result } or { status, payload }.
+ */
+function convertImportDocument(format, body) {
+    const importer = IMPORTERS[format];
+    if (!importer) {
+        return { status: 400, payload: { error: `Unsupported import format "${format}"`, supported: Object.keys(IMPORTERS) } };
+    }
+    let result;
+    try {
+        result = importer(readImportDocument(body));
+    } catch (err) {
+        return { status: 400, payload: { error: `Invalid ${format} document`, details: err.message } };
+    }
+    if (result.endpoints.length === 0) {
+        return { status: 400, payload: { error: `No endpoints found in ${format} document` } };
+    }
+    return { result };
+}
+
 // ─── LIST / SEARCH ────────────────────────────────────────────────────────────
 
 // GET /projects?search=
@@ -160,6 +258,124 @@ router.post('/batch-create', enforceProjectLimit, async (req, res) => {
     }
 });
 
+// ─── IMPORT ───────────────────────────────────────────────────────────────────
+
+// POST /projects/import/:format — create a new project from an imported document
+router.post('/import/:format', textBody, enforceProjectLimit, async (req, res) => {
+    try {
+        const auth = getAuth(req);
+
+        // Lazily ensure user exists to prevent SQLite FOREIGN KEY errors
+        await ensureUserExists(auth.userId);
+
+        const { format } = req.params;
+        const { result, status, payload } = convertImportDocument(format, req.body);
+        if (!result) return res.status(status).json(payload);
+
+        const { limits, error } = await checkImportLimit(auth, null, result.endpoints.length);
+        if (error) return res.status(403).json(error);
+
+        const options = req.body && typeof req.body === 'object' && req.body.document !== undefined ? req.body : {};
+        const name = options.name || result.title || `Imported ${format} project`;
+        const projectId = uuidv4();
+        const slug = await uniqueSlug(generateSlug(name));
+        const now = new Date().toISOString();
+
+        await turso.execute(
+            `INSERT INTO projects (project_id, name, description, slug, user_id, org_id, is_public, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [projectId, name, options.description ?? result.description ?? '', slug, auth.userId, auth.orgId || null, options.isPublic ? 1 : 0, now, now]
+        );
+
+        const { mocks, skipped } = await createMocksFromEndpoints(projectId, result.endpoints, { maxResponsesPerMock: limits.maxResponsesPerMock });
+
+        const project = await turso.execute('SELECT * FROM projects WHERE project_id = ?', [projectId]);
+        res.status(201).json({ data: project.rows[0], imported: mocks.length, mocks, skipped });
+    } catch (error) {
+        console.error('POST /projects/import/:format error:', error);
+        res.status(500).json({ error: 'Failed to import project' });
+    }
+});
+
+// POST /projects/:id/import/:format — add mocks from an imported document to an existing project
+router.post('/:id/import/:format', textBody, async (req, res) => {
+    try {
+        const auth = getAuth(req);
+        const { id, format } = req.params;
+        const { scopeWhere, scopeValues } = getScope(auth);
+
+        const existing = await turso.execute(
+            `SELECT project_id FROM projects WHERE project_id = ? AND (${scopeWhere})`,
+            [id, ...scopeValues]
+        );
+        if (existing.rows.length === 0) return res.status(404).json({ error: 'Project not found' });
+
+        const { result, status, payload } = convertImportDocument(format, req.body);
+        if (!result) return res.status(status).json(payload);
+
+        const { limits, error } = await checkImportLimit(auth, id, result.endpoints.length);
+        if (error) return res.status(403).json(error);
+
+        const { mocks, skipped } = await createMocksFromEndpoints(id, result.endpoints, { maxResponsesPerMock: limits.maxResponsesPerMock });
+        await turso.execute('UPDATE projects SET updated_at = ? WHERE project_id = ?', [new Date().toISOString(), id]);
+        await invalidateRouteIndex(id);
+
+        res.status(201).json({ imported: mocks.length, mocks, skipped });
+    } catch (error) {
+        console.error('POST /projects/:id/import/:format error:', error);
+        res.status(500).json({ error: 'Failed to import mocks' });
+    }
+});
+
+// ─── EXPORT ───────────────────────────────────────────────────────────────────
+
+// GET /projects/:id/export/:format?output=yaml
+router.get('/:id/export/:format', async (req, res) => {
+    try {
+        const auth = getAuth(req);
+        const { id, format } = req.params;
+        const { scopeWhere, scopeValues } = getScope(auth);
+
+        const exporter = EXPORTERS[format];
+        if (!exporter) {
+            return res.status(400).json({ error: `Unsupported export format "${format}"`, supported: Object.keys(EXPORTERS) });
+        }
+
+        const result = await turso.execute(
+            `SELECT * FROM projects WHERE project_id = ? AND (${scopeWhere})`,
+            [id, ...scopeValues]
+        );
+        const project = result.rows[0];
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+
+        const [mocksResult, responsesResult] = await Promise.all([
+            turso.execute('SELECT * FROM mocks WHERE project_id = ? ORDER BY created_at ASC', [id]),
+            turso.execute(
+                `SELECT mr.* FROM mock_responses mr
+                 INNER JOIN mocks m ON mr.mock_id = m.mock_id
+                 WHERE m.project_id = ?
+                 ORDER BY mr.is_default DESC, mr.created_at ASC`,
+                [id]
+            ),
+        ]);
+        const mocks = mocksResult.rows.map((mock) => ({
+            ...mock,
+            responses: responsesResult.rows.filter((r) => r.mock_id === mock.mock_id),
+        }));
+
+        const serverUrl = `${req.protocol}://${req.get('host')}/m/${project.slug}`;
+        const doc = exporter(project, mocks, { serverUrl });
+
+        if (req.query.output === 'yaml') {
+            return res.status(200).type('application/yaml').send(yaml.dump(doc, { noRefs: true, lineWidth: -1 }));
+        }
+        res.status(200).json(doc);
+    } catch (error) {
+        console.error('GET /projects/:id/export/:format error:', error);
+        res.status(500).json({ error: 'Failed to export project' });
+    }
+});
+
 // ─── READ ─────────────────────────────────────────────────────────────────────
 
 // GET /projects/:id  (includes mocks array)
@@ -194,7 +410,7 @@ router.put('/:id', async (req, res) => {
     try {
         const auth = getAuth(req);
         const { id } = req.params;
-        const { name, description, isPublic } = req.body;
+        const { name, description, isPublic, upstreamUrl, proxyMode, chaosConfig, graphqlSdl } = req.body;
         const { scopeWhere, scopeValues } = getScope(auth);
 
         const existing = await turso.execute(
@@ -203,16 +419,43 @@ router.put('/:id', async (req, res) => {
         );
         if (existing.rows.length === 0) return res.status(404).json({ error: 'Project not found' });
 
+        if (upstreamUrl && !/^https?:\/\/[^/]+/i.test(upstreamUrl)) {
+            return res.status(400).json({ error: 'upstreamUrl must be an http(s) URL' });
+        }
+        const upstreamError = upstreamUrl ? await checkPublicUrl(upstreamUrl, 'upstreamUrl') : null;
+        if (upstreamError) return res.status(400).json({ error: upstreamError });
+        if (proxyMode !== undefined && !PROXY_MODES.includes(proxyMode)) {
+            return res.status(400).json({ error: `proxyMode must be one of: ${PROXY_MODES.join(', ')}` });
+        }
+        // An empty string or null clears the upstream
+        const nextUpstream = upstreamUrl !== undefined ? (upstreamUrl || null) : existing.rows[0].upstream_url;
+        const nextMode = proxyMode ?? existing.rows[0].proxy_mode;
+        if (['proxy', 'record'].includes(nextMode) && !nextUpstream) {
+            return res.status(400).json({ error: `proxyMode "${nextMode}" requires an upstreamUrl` });
+        }
+        // null clears the project's chaos settings
+        const chaosError = chaosConfig ? checkChaosConfig(chaosConfig) : null;
+        if (chaosError) return res.status(400).json({ error: chaosError });
+        // An empty string or null removes the GraphQL schema
+        const sdlError = graphqlSdl ? checkGraphqlSdl(graphqlSdl) : null;
+        if (sdlError) return res.status(400).json({ error: sdlError });
+        const nextSdl = graphqlSdl !== undefined ? (graphqlSdl || null) : existing.rows[0].graphql_sdl;
+
         const now = new Date().toISOString();
         await turso.execute(
             `UPDATE projects SET
         name = COALESCE(?, name),
         description = COALESCE(?, description),
         is_public = COALESCE(?, is_public),
+        upstream_url = ?,
+        proxy_mode = ?,
+        chaos_config = COALESCE(?, chaos_config),
+        graphql_sdl = ?,
         updated_at = ?
        WHERE project_id = ?`,
             [name || null, description !== undefined ? description : null,
-            isPublic !== undefined ? (isPublic ? 1 : 0) : null, now, id]
+            isPublic !== undefined ? (isPublic ? 1 : 0) : null, nextUpstream, nextMode || 'off',
+            chaosConfig !== undefined ? JSON.stringify(chaosConfig || {}) : null, nextSdl, now, id]
         );
 
         const updated = await turso.execute('SELECT * FROM projects WHERE project_id = ?', [id]);
@@ -239,6 +482,7 @@ router.delete('/:id', async (req, res) => {
         if (existing.rows.length === 0) return res.status(404).json({ error: 'Project not found' });
 
         await turso.execute('DELETE FROM projects WHERE project_id = ?', [id]);
+        await invalidateRouteIndex(id);
         res.status(200).json({ message: 'Project deleted successfully' });
     } catch (error) {
         console.error('Delete project error:', error);
@@ -261,6 +505,7 @@ router.get('/:id/stats', async (req, res) => {
         );
         if (project.rows.length === 0) return res.status(404).json({ error: 'Project not found' });
 
+        await flushRequestLogs();
         const overall = await turso.execute(
             `SELECT COUNT(*) as total_requests, MAX(created_at) as last_request_at
              FROM request_logs WHERE project_id = ?`,
@@ -295,6 +540,29 @@ router.get('/:id/stats', async (req, res) => {
     }
 });
 
+// ─── RESPONSE SEQUENCES ───────────────────────────────────────────────────────
+
+// POST /projects/:id/sequences/reset — restart every mock's sequence, for every client
+router.post('/:id/sequences/reset', async (req, res) => {
+    try {
+        const auth = getAuth(req);
+        const { id } = req.params;
+        const { scopeWhere, scopeValues } = getScope(auth);
+
+        const project = await turso.execute(
+            `SELECT project_id FROM projects WHERE project_id = ? AND (${scopeWhere})`,
+            [id, ...scopeValues]
+        );
+        if (project.rows.length === 0) return res.status(404).json({ error: 'Project not found' });
+
+        const cleared = await resetProjectSequences(id);
+        res.status(200).json({ data: { cleared } });
+    } catch (error) {
+        console.error('POST /projects/:id/sequences/reset error:', error);
+        res.status(500).json({ error: 'Failed to reset sequences' });
+    }
+});
+
 // ─── DUPLICATE ────────────────────────────────────────────────────────────────
 
 // POST /projects/:id/duplicate — also counts against the project limit
@@ -315,38 +583,63 @@ router.post('/:id/duplicate', enforceProjectLimit, async (req, res) => {
         const original = existing.rows[0];
         if (!original) return res.status(404).json({ error: 'Project not found' });
 
+        // The copy's assets count against the caller's current plan, like uploads
+        const assetLimitError = await checkAssetCopyLimit(auth, id);
+        if (assetLimitError) return res.status(403).json(assetLimitError);
+
         const newProjectId = uuidv4();
         const newSlug = await uniqueSlug(`${original.slug}-copy`);
         const now = new Date().toISOString();
 
         // Clone project
         await turso.execute(
-            `INSERT INTO projects (project_id, name, description, slug, user_id, org_id, is_public, created_at, updated_at)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            `INSERT INTO projects (project_id, name, description, slug, user_id, org_id, is_public, upstream_url, proxy_mode, chaos_config, graphql_sdl, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [newProjectId, `${original.name} (Copy)`, original.description, newSlug,
-                auth.userId, auth.orgId || null, original.is_public, now, now]
+                auth.userId, auth.orgId || null, original.is_public, original.upstream_url, original.proxy_mode || 'off',
+                original.chaos_config || '{}', original.graphql_sdl || null, now, now]
         );
 
-        // Clone all mocks + their responses
+        // Clone assets first so file responses can point at the copies
+        const assetIds = await copyAssets(id, newProjectId);
+
+        // Clone all mocks + their responses, remembering new ids for the scenario pins
+        const idMap = new Map();
         const mocks = await turso.execute('SELECT * FROM mocks WHERE project_id = ?', [id]);
         for (const mock of mocks.rows) {
             const newMockId = uuidv4();
+            idMap.set(mock.mock_id, newMockId);
             await turso.execute(
-                `INSERT INTO mocks (mock_id, project_id, name, path, method, description, is_active, response_type, response_delay_ms, created_at, updated_at)
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                `INSERT INTO mocks (mock_id, project_id, name, path, method, description, is_active, response_type, response_delay_ms, expected_body, expected_headers, is_resource, is_recorded, validation_mode, validation_status, selection_mode, sequence_scope, chaos_config, request_matchers, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [newMockId, newProjectId, mock.name, mock.path, mock.method, mock.description,
-                    mock.is_active, mock.response_type, mock.response_delay_ms, now, now]
+                    mock.is_active, mock.response_type, mock.response_delay_ms, mock.expected_body, mock.expected_headers,
+                    mock.is_resource, mock.is_recorded, mock.validation_mode, mock.validation_status,
+                    mock.selection_mode, mock.sequence_scope, mock.chaos_config || '{}', mock.request_matchers || '{}', now, now]
             );
-            const responses = await turso.execute('SELECT * FROM mock_responses WHERE mock_id = ?', [mock.mock_id]);
+            const responses = await turso.execute('SELECT * FROM mock_responses WHERE mock_id = ? ORDER BY created_at ASC, rowid ASC', [mock.mock_id]);
             for (const resp of responses.rows) {
+                const newResponseId = uuidv4();
+                idMap.set(resp.response_id, newResponseId);
                 await turso.execute(
-                    `INSERT INTO mock_responses (response_id, mock_id, name, status_code, headers, body, is_default, weight, created_at)
-                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                    [uuidv4(), newMockId, resp.name, resp.status_code, resp.headers, resp.body, resp.is_default, resp.weight, now]
+                    `INSERT INTO mock_responses (response_id, mock_id, name, status_code, headers, body, is_default, weight, conditions, kind, proxy_config, priority, delay_ms, delay_max_ms, asset_id, sse_config, callbacks, templating, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [newResponseId, newMockId, resp.name, resp.status_code, resp.headers, resp.body, resp.is_default, resp.weight,
+                        resp.conditions, resp.kind, resp.proxy_config, resp.priority, resp.delay_ms, resp.delay_max_ms,
+                        resp.asset_id ? (assetIds.get(resp.asset_id) ?? null) : null, resp.sse_config, resp.callbacks || '[]', resp.templating ?? 0, now]
                 );
             }
         }
 
+        const scenarioIds = await copyScenarios(id, newProjectId, idMap);
+        if (original.active_scenario_id && scenarioIds.has(original.active_scenario_id)) {
+            await turso.execute(
+                'UPDATE projects SET active_scenario_id = ? WHERE project_id = ?',
+                [scenarioIds.get(original.active_scenario_id), newProjectId]
+            );
+        }
+        await copyWsEndpoints(id, newProjectId);
+
         const newProject = await turso.execute('SELECT * FROM projects WHERE project_id = ?', [newProjectId]);
         res.status(201).json({ data: newProject.rows[0] });
     } catch (error) {
@@ -355,4 +648,16 @@ router.post('/:id/duplicate', enforceProjectLimit, async (req, res) => {
     }
 });
 
+// ─── SCENARIOS ────────────────────────────────────────────────────────────────
+
+router.use('/:projectId/scenarios', scenariosRouter);
+
+// ─── ASSETS ───────────────────────────────────────────────────────────────────
+
+router.use('/:projectId/assets', assetsRouter);
+
+// ─── WEBSOCKET ENDPOINTS ──────────────────────────────────────────────────────
+
+router.use('/:projectId/ws-endpoints', wsEndpointsRouter);
+
 module.exports = router;
@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { v4: uuidv4 } = require('uuid');
+const { getAuth } = require('@clerk/express');
+const turso = require('../db');
+const { checkScenarioName, loadPins, checkPins, savePins } = require('../services/scenario.service');
+
+// Mounted by routes/projects.js at /projects/:projectId/scenarios (auth applied there)
+
+/**
+ * Scope helper: projects are org-scoped when orgId is present, user-scoped otherwise.
+ * Mirrors the same pattern used in projects.js for consistency.
+ */
+function getScope(auth) {
+    if (auth.orgId) {
+        return { scopeWhere: 'org_id = ?', scopeValues: [auth.orgId] };
+    }
+    return { scopeWhere: 'user_id = ? AND org_id IS NULL', scopeValues: [auth.userId] };
+}
+
+async function findOwnedProject(req) {
+    const { scopeWhere, scopeValues } = getScope(getAuth(req));
+    const result = await turso.execute(
+        `SELECT * FROM projects WHERE project_id = ? AND (${scopeWhere})`,
+        [req.params.projectId, ...scopeValues]
+    );
+    return result.rows[0] || null;
+}
+
+async function findProjectScenario(project, scenarioId) {
+    const result = await turso.execute(
+        'SELECT * FROM scenarios WHERE scenario_id = ? AND project_id = ?',
+        [scenarioId, project.project_id]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * API shape of a scenario: the row plus its pins and whether it is the project's active one.
+ */
+async function serializeScenario(scenario, project) {
+    return {
+        ...scenario,
+        is_active: project.active_scenario_id === scenario.scenario_id,
+        responses: await loadPins(scenario.scenario_id),
+    };
+}
+
+async function nameTaken(projectId, name, exceptScenarioId = null) {
+    const result = await turso.execute(
+        'SELECT scenario_id FROM scenarios WHERE project_id = ? AND name = ? AND scenario_id != ?',
+        [projectId, name, exceptScenarioId || '']
+    );
+    return result.rows.length > 0;
+}
+
+// ─── LIST / READ ──────────────────────────────────────────────────────────────
+
+// GET /projects/:projectId/scenarios
+router.get('/', async (req, res) => {
+    try {
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+
+        const result = await turso.execute(
+            'SELECT * FROM scenarios WHERE project_id = ? ORDER BY created_at ASC',
+            [project.project_id]
+        );
+        const data = [];
+        for (const scenario of result.rows) data.push(await serializeScenario(scenario, project));
+        res.status(200).json({ data });
+    } catch (error) {
+        console.error('List scenarios error:', error);
+        res.status(500).json({ error: 'Failed to fetch scenarios' });
+    }
+});
+
+// GET /projects/:projectId/scenarios/:scenarioId
+router.get('/:scenarioId', async (req, res) => {
+    try {
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+        const scenario = await findProjectScenario(project, req.params.scenarioId);
+        if (!scenario) return res.status(404).json({ error: 'Scenario not found' });
+
+        res.status(200).json({ data: await serializeScenario(scenario, project) });
+    } catch (error) {
+        console.error('Get scenario error:', error);
+        res.status(500).json({ error: 'Failed to fetch scenario' });
+    }
+});
+
+// ─── CREATE / UPDATE / DELETE ─────────────────────────────────────────────────
+
+// POST /projects/:projectId/scenarios
+router.post('/', async (req, res) => {
+    try {
+        const { name, description, responses = {} } = req.body;
+        const nameError = checkScenarioName(name);
+        if (nameError) return res.status(400).json({ error: nameError });
+
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+        if (await nameTaken(project.project_id, name)) {
+            return res.status(409).json({ error: `A scenario named "${name}" already exists` });
+        }
+        const pinError = await checkPins(project.project_id, responses);
+        if (pinError) return res.status(400).json({ error: pinError });
+
+        const scenarioId = uuidv4();
+        const now = new Date().toISOString();
+        await turso.execute(
+            `INSERT INTO scenarios (scenario_id, project_id, name, description, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+            [scenarioId, project.project_id, name, description || '', now, now]
+        );
+        await savePins(scenarioId, responses);
+
+        const created = await findProjectScenario(project, scenarioId);
+        res.status(201).json({ data: await serializeScenario(created, project) });
+    } catch (error) {
+        console.error('Create scenario error:', error);
+        res.status(500).json({ error: 'Failed to create scenario' });
+    }
+});
+
+// PUT /projects/:projectId/scenarios/:scenarioId — `responses` pins are merged; null unpins a mock
+router.put('/:scenarioId', async (req, res) => {
+    try {
+        const { name, description, responses } = req.body;
+        if (name !== undefined) {
+            const nameError = checkScenarioName(name);
+            if (nameError) return res.status(400).json({ error: nameError });
+        }
+
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+        const scenario = await findProjectScenario(project, req.params.scenarioId);
+        if (!scenario) return res.status(404).json({ error: 'Scenario not found' });
+
+        if (name !== undefined && await nameTaken(project.project_id, name, scenario.scenario_id)) {
+            return res.status(409).json({ error: `A scenario named "${name}" already exists` });
+        }
+        if (responses !== undefined) {
+            const pinError = await checkPins(project.project_id, responses);
+            if (pinError) return res.status(400).json({ error: pinError });
+        }
+
+        await turso.execute(
+            `UPDATE scenarios SET
+        name = COALESCE(?, name),
+        description = COALESCE(?, description),
+        updated_at = ?
+       WHERE scenario_id = ?`,
+            [name || null, description !== undefined ? description : null, new Date().toISOString(), scenario.scenario_id]
+        );
+        if (responses !== undefined) await savePins(scenario.scenario_id, responses);
+
+        const updated = await findProjectScenario(project, scenario.scenario_id);
+        res.status(200).json({ data: await serializeScenario(updated, project) });
+    } catch (error) {
+        console.error('Update scenario error:', error);
+        res.status(500).json({ error: 'Failed to update scenario' });
+    }
+});
+
+// DELETE /projects/:projectId/scenarios/:scenarioId
+router.delete('/:scenarioId', async (req, res) => {
+    try {
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+        const scenario = await findProjectScenario(project, req.params.scenarioId);
+        if (!scenario) return res.status(404).json({ error: 'Scenario not found' });
+
+        await turso.execute('DELETE FROM scenario_responses WHERE scenario_id = ?', [scenario.scenario_id]);
+        await turso.execute('DELETE FROM scenarios WHERE scenario_id = ?', [scenario.scenario_id]);
+        if (project.active_scenario_id === scenario.scenario_id) {
+            await turso.execute('UPDATE projects SET active_scenario_id = NULL WHERE project_id = ?', [project.project_id]);
+        }
+        res.status(200).json({ message: 'Scenario deleted successfully' });
+    } catch (error) {
+        console.error('Delete scenario error:', error);
+        res.status(500).json({ error: 'Failed to delete scenario' });
+    }
+});
+
+// ─── ACTIVATION ───────────────────────────────────────────────────────────────
+
+// POST /projects/:projectId/scenarios/:scenarioId/activate
+router.post('/:scenarioId/activate', async (req, res) => {
+    try {
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+        const scenario = await findProjectScenario(project, req.params.scenarioId);
+        if (!scenario) return res.status(404).json({ error: 'Scenario not found' });
+
+        await turso.execute(
+            'UPDATE projects SET active_scenario_id = ?, updated_at = ? WHERE project_id = ?',
+            [scenario.scenario_id, new Date().toISOString(), project.project_id]
+        );
+        const updated = await turso.execute('SELECT * FROM projects WHERE project_id = ?', [project.project_id]);
+        res.status(200).json({ data: updated.rows[0] });
+    } catch (error) {
+        console.error('Activate scenario error:', error);
+        res.status(500).json({ error: 'Failed to activate scenario' });
+    }
+});
+
+// POST /projects/:projectId/scenarios/deactivate — back to normal response selection
+router.post('/deactivate', async (req, res) => {
+    try {
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+
+        await turso.execute(
+            'UPDATE projects SET active_scenario_id = NULL, updated_at = ? WHERE project_id = ?',
+            [new Date().toISOString(), project.project_id]
+        );
+        const updated = await turso.execute('SELECT * FROM projects WHERE project_id = ?', [project.project_id]);
+        res.status(200).json({ data: updated.rows[0] });
+    } catch (error) {
+        console.error('Deactivate scenario error:', error);
+        res.status(500).json({ error: 'Failed to deactivate scenario' });
+    }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const { v4: uuidv4 } = require('uuid');
 const turso = require('../db');
 const { getAuth } = require('@clerk/express');
 const { ensureUserExists } = require('../utils/userSync');
+const { invalidateRouteIndex } = require('../services/route-index.service');
 
 function getScope(auth) {
     if (auth.orgId) {
@@ -155,42 +156,19 @@ const TEMPLATES = [
     {
         id: 'todos',
         name: 'To-Do List API',
-        description: 'Simple CRUD for managing tasks with status and priority',
+        description: 'Stateful CRUD for managing tasks with status and priority',
         icon: '✅',
         mocks: [
             {
-                name: 'List Tasks', path: '/todos', method: 'GET',
-                description: 'Get all tasks. Supports ?status=pending&priority=high',
+                name: 'Tasks', path: '/todos', method: 'GET', isResource: true,
+                description: 'Stateful task collection. Created tasks are stored and returned by later reads.\n\nGET /todos (supports ?completed=false&priority=high)\nPOST /todos\nGET | PUT | PATCH | DELETE /todos/{id}\n\nExpected JSON Body (POST / PUT):\n{\n  "title": "New Task",\n  "priority": "medium",\n  "dueDate": "2025-04-01"\n}', expectedBody: "{\n  \"title\": \"New Task\",\n  \"priority\": \"medium\",\n  \"dueDate\": \"2025-04-01\"\n}",
                 responses: [
-                    resp('Success', 200, [
+                    resp('Seed Data', 200, [
                         { id: 1, title: 'Buy groceries', completed: false, priority: 'medium', dueDate: '2025-03-01', createdAt: '2025-02-20T08:00:00Z' },
                         { id: 2, title: 'Finish MockBird launch', completed: true, priority: 'high', dueDate: '2025-02-25', createdAt: '2025-02-18T10:00:00Z' },
                         { id: 3, title: 'Read documentation', completed: false, priority: 'low', dueDate: null, createdAt: '2025-02-22T14:30:00Z' }
                     ], { isDefault: true })
                 ]
-            },
-            {
-                name: 'Create Task', path: '/todos', method: 'POST',
-                description: 'Create a new task.\n\nExpected JSON Body:\n{\n  "title": "New Task",\n  "priority": "medium",\n  "dueDate": "2025-04-01"\n}', expectedBody: "{\n  \"title\": \"New Task\",\n  \"priority\": \"medium\",\n  \"dueDate\": \"2025-04-01\"\n}",
-                responses: [
-                    resp('Created', 201, { id: 4, title: 'New Task', completed: false, priority: 'medium', dueDate: '2025-04-01', createdAt: '2025-02-25T12:00:00Z' }, { isDefault: true }),
-                    resp('Validation Error', 400, { error: 'VALIDATION_ERROR', message: 'title is required' }, { conditions: [{ type: 'body', field: 'title', operator: 'equals', value: '' }] })
-                ]
-            },
-            {
-                name: 'Update Task', path: '/todos/{id}', method: 'PUT',
-                description: 'Update an existing task.\n\nExpected JSON Body:\n{\n  "title": "Updated title",\n  "completed": true,\n  "priority": "high"\n}', expectedBody: "{\n  \"title\": \"Updated title\",\n  \"completed\": true,\n  \"priority\": \"high\"\n}",
-                responses: [
-                    resp('Updated', 200, { id: 1, title: 'Updated title', completed: true, priority: 'high', dueDate: '2025-03-01', updatedAt: '2025-02-25T12:05:00Z' }, { isDefault: true })
-                ]
-            },
-            {
-                name: 'Delete Task', path: '/todos/{id}', method: 'DELETE',
-                description: 'Delete a task by ID',
-                responses: [
-                    resp('Deleted', 200, { message: 'Task deleted successfully' }, { isDefault: true }),
-                    resp('Not Found', 404, { error: 'NOT_FOUND', message: 'Task not found' }, { conditions: [{ type: 'path', field: 'id', operator: 'equals', value: '999' }] })
-                ]
             }
         ]
     },
@@ -243,7 +221,7 @@ const TEMPLATES = [
                 name: 'Get User Profile', path: '/users/{userId}', method: 'GET',
                 description: 'Get a user\'s public profile',
                 responses: [
-                    resp('Success', 200, { id: 'us_1', name: 'Jane Doe', bio: 'Full-stack developer & design enthusiast', avatar: 'https://placehold.co/200x200?text=JD', followers: 1250, following: 340, posts: 89, isFollowing: false, joinedAt: '2024-06-15T00:00:00Z' }, { isDefault: true })
+                    resp('Success', 200, { id: '{{request.params.userId}}', name: 'Jane Doe', bio: 'Full-stack developer & design enthusiast', avatar: 'https://placehold.co/200x200?text=JD', followers: 1250, following: 340, posts: 89, isFollowing: false, joinedAt: '2024-06-15T00:00:00Z' }, { isDefault: true })
                 ]
             },
             {
@@ -280,7 +258,7 @@ const TEMPLATES = [
                 name: 'Get Article', path: '/articles/{slug}', method: 'GET',
                 description: 'Get full article content by slug',
                 responses: [
-                    resp('Found', 200, { id: 'art_1', title: 'Getting Started with MockBird', slug: 'getting-started-mockbird', content: '# Getting Started\n\nMockBird lets you create mock APIs instantly. Here\'s how to get started...\n\n## Step 1: Create a Project\n\nNavigate to your dashboard and click "New Project".\n\n## Step 2: Add Endpoints\n\nDefine your mock endpoints with paths, methods, and responses.', author: { name: 'John Doe', avatar: 'https://placehold.co/40x40?text=JD', bio: 'Tech writer' }, category: 'Tutorial', tags: ['api', 'mockbird'], readTime: '5 min', views: 1523, publishedAt: '2025-02-20T10:00:00Z' }, { isDefault: true }),
+                    resp('Found', 200, { id: 'art_1', title: 'Getting Started with MockBird', slug: '{{request.params.slug}}', content: '# Getting Started\n\nMockBird lets you create mock APIs instantly. Here\'s how to get started...\n\n## Step 1: Create a Project\n\nNavigate to your dashboard and click "New Project".\n\n## Step 2: Add Endpoints\n\nDefine your mock endpoints with paths, methods, and responses.', author: { name: 'John Doe', avatar: 'https://placehold.co/40x40?text=JD', bio: 'Tech writer' }, category: 'Tutorial', tags: ['api', 'mockbird'], readTime: '5 min', views: 1523, publishedAt: '2025-02-20T10:00:00Z' }, { isDefault: true }),
                     resp('Not Found', 404, { error: 'ARTICLE_NOT_FOUND', message: 'No article found with this slug' }, { conditions: [{ type: 'path', field: 'slug', operator: 'equals', value: 'nonexistent' }] })
                 ]
             },
@@ -325,7 +303,7 @@ const TEMPLATES = [
                 name: 'Get Charge', path: '/charges/{id}', method: 'GET',
                 description: 'Retrieve a specific charge by ID',
                 responses: [
-                    resp('Found', 200, { id: 'ch_1abc', amount: 4999, currency: 'usd', status: 'succeeded', refunded: false, source: { brand: 'Visa', last4: '4242' }, metadata: { orderId: '1234' }, createdAt: '2025-02-25T10:00:00Z' }, { isDefault: true })
+                    resp('Found', 200, { id: '{{request.params.id}}', amount: 4999, currency: 'usd', status: 'succeeded', refunded: false, source: { brand: 'Visa', last4: '4242' }, metadata: { orderId: '1234' }, createdAt: '2025-02-25T10:00:00Z' }, { isDefault: true })
                 ]
             },
             {
@@ -384,7 +362,7 @@ const TEMPLATES = [
                 name: 'Update User', path: '/users/{id}', method: 'PUT',
                 description: 'Update user details.\n\nExpected JSON Body:\n{\n  "name": "Updated Name",\n  "role": "editor"\n}', expectedBody: "{\n  \"name\": \"Updated Name\",\n  \"role\": \"editor\"\n}",
                 responses: [
-                    resp('Updated', 200, { id: 'us_1', name: 'Updated Name', email: 'john@example.com', role: 'editor', status: 'active', updatedAt: '2025-02-25T10:05:00Z' }, { isDefault: true })
+                    resp('Updated', 200, { id: '{{request.params.id}}', name: "{{default request.body.name 'Updated Name'}}", email: 'john@example.com', role: "{{default request.body.role 'editor'}}", status: 'active', updatedAt: '{{now}}' }, { isDefault: true })
                 ]
             },
             {
@@ -433,14 +411,14 @@ const TEMPLATES = [
                 name: 'Send Message', path: '/conversations/{id}/messages', method: 'POST',
                 description: 'Send a message in a conversation.\n\nExpected JSON Body:\n{\n  "text": "Hello!",\n  "type": "text"\n}', expectedBody: "{\n  \"text\": \"Hello!\",\n  \"type\": \"text\"\n}",
                 responses: [
-                    resp('Sent', 201, { id: 'msg_new', senderId: 'us_current', text: 'Hello!', type: 'text', readBy: ['us_current'], createdAt: '2025-02-25T10:00:00Z' }, { isDefault: true })
+                    resp('Sent', 201, { id: 'msg_{{uuid}}', conversationId: '{{request.params.id}}', senderId: 'us_current', text: "{{default request.body.text 'Hello!'}}", type: "{{default request.body.type 'text'}}", readBy: ['us_current'], createdAt: '{{now}}' }, { isDefault: true })
                 ]
             },
             {
                 name: 'Mark as Read', path: '/conversations/{id}/read', method: 'POST',
                 description: 'Mark all messages in a conversation as read',
                 responses: [
-                    resp('Marked', 200, { conversationId: 'conv_1', unreadCount: 0, lastReadAt: '2025-02-25T10:01:00Z' }, { isDefault: true })
+                    resp('Marked', 200, { conversationId: '{{request.params.id}}', unreadCount: 0, lastReadAt: '{{now}}' }, { isDefault: true })
                 ]
             }
         ]
@@ -517,7 +495,7 @@ const TEMPLATES = [
                 name: 'Mark as Read', path: '/notifications/{id}/read', method: 'POST',
                 description: 'Mark a single notification as read',
                 responses: [
-                    resp('Marked', 200, { id: 'n_1', read: true, readAt: '2025-02-25T10:00:00Z' }, { isDefault: true })
+                    resp('Marked', 200, { id: '{{request.params.id}}', read: true, readAt: '{{now}}' }, { isDefault: true })
                 ]
             },
             {
@@ -637,7 +615,7 @@ const TEMPLATES = [
                 name: 'Cancel Booking', path: '/bookings/{id}/cancel', method: 'POST',
                 description: 'Cancel a booking.\n\nExpected JSON Body:\n{\n  "reason": "Schedule conflict"\n}', expectedBody: "{\n  \"reason\": \"Schedule conflict\"\n}",
                 responses: [
-                    resp('Cancelled', 200, { id: 'bk_1', status: 'cancelled', reason: 'Schedule conflict', refundAmount: 50.00, cancelledAt: '2025-02-25T12:00:00Z' }, { isDefault: true })
+                    resp('Cancelled', 200, { id: '{{request.params.id}}', status: 'cancelled', reason: "{{default request.body.reason 'Schedule conflict'}}", refundAmount: 50.00, cancelledAt: '{{now}}' }, { isDefault: true })
                 ]
             }
         ]
@@ -711,8 +689,8 @@ router.post('/:id/apply', async (req, res) => {
         for (const mockData of template.mocks) {
             const mockId = uuidv4();
             await turso.execute(
-                `INSERT INTO mocks (mock_id, project_id, name, path, method, description, expected_body, expected_headers, created_at, updated_at)
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                `INSERT INTO mocks (mock_id, project_id, name, path, method, description, expected_body, expected_headers, is_resource, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     mockId,
                     targetProjectId,
@@ -722,6 +700,7 @@ router.post('/:id/apply', async (req, res) => {
                     mockData.description || '',
                     mockData.expectedBody || '',
                     mockData.expectedHeaders || '{}',
+                    mockData.isResource ? 1 : 0,
                     now,
                     now
                 ]
@@ -731,14 +710,16 @@ router.post('/:id/apply', async (req, res) => {
                 const responseId = uuidv4();
                 const conditionsStr = respData.conditions ? JSON.stringify(respData.conditions) : '[]';
                 await turso.execute(
-                    `INSERT INTO mock_responses (response_id, mock_id, name, status_code, headers, body, is_default, weight, conditions, created_at)
-                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                    [responseId, mockId, respData.name, respData.statusCode, respData.headers || '{}', respData.body || '', respData.isDefault ? 1 : 0, respData.weight ?? 100, conditionsStr, now]
+                    `INSERT INTO mock_responses (response_id, mock_id, name, status_code, headers, body, is_default, weight, conditions, templating, created_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    // Template bodies use {{request.*}} placeholders
+                    [responseId, mockId, respData.name, respData.statusCode, respData.headers || '{}', respData.body || '', respData.isDefault ? 1 : 0, respData.weight ?? 100, conditionsStr, 1, now]
                 );
             }
 
             createdMocks.push({ id: mockId, name: mockData.name, path: mockData.path, method: mockData.method });
         }
+        await invalidateRouteIndex(targetProjectId);
 
         // If we created a new project, fetch it to return to the client
         let project = null;
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { v4: uuidv4 } = require('uuid');
+const { getAuth } = require('@clerk/express');
+const turso = require('../db');
+const { checkWsScript } = require('../utils/websocket');
+
+// Mounted by routes/projects.js at /projects/:projectId/ws-endpoints (auth applied there)
+
+// Served at /m/:projectSlug/ws<path>
+const WS_PATH = /^\/[A-Za-z0-9/_.~{}-]{0,254}$/;
+
+/**
+ * Scope helper: projects are org-scoped when orgId is present, user-scoped otherwise.
+ * Mirrors the same pattern used in projects.js for consistency.
+ */
+function getScope(auth) {
+    if (auth.orgId) {
+        return { scopeWhere: 'org_id = ?', scopeValues: [auth.orgId] };
+    }
+    return { scopeWhere: 'user_id = ? AND org_id IS NULL', scopeValues: [auth.userId] };
+}
+
+async function findOwnedProject(req) {
+    const { scopeWhere, scopeValues } = getScope(getAuth(req));
+    const result = await turso.execute(
+        `SELECT * FROM projects WHERE project_id = ? AND (${scopeWhere})`,
+        [req.params.projectId, ...scopeValues]
+    );
+    return result.rows[0] || null;
+}
+
+async function findProjectEndpoint(project, endpointId) {
+    const result = await turso.execute(
+        'SELECT * FROM ws_endpoints WHERE endpoint_id = ? AND project_id = ?',
+        [endpointId, project.project_id]
+    );
+    return result.rows[0] || null;
+}
+
+async function pathTaken(projectId, path, exceptEndpointId = null) {
+    const result = await turso.execute(
+        'SELECT endpoint_id FROM ws_endpoints WHERE project_id = ? AND path = ? AND endpoint_id != ?',
+        [projectId, path, exceptEndpointId || '']
+    );
+    return result.rows.length > 0;
+}
+
+function checkWsPath(path) {
+    if (typeof path !== 'string' || !WS_PATH.test(path)) {
+        return 'path must start with "/" and use letters, digits, "/", "_", ".", "~", "-" or {param} segments';
+    }
+    return null;
+}
+
+const toJson = (value) => (value === undefined ? null : JSON.stringify(value));
+
+// ─── LIST / READ ──────────────────────────────────────────────────────────────
+
+// GET /projects/:projectId/ws-endpoints
+router.get('/', async (req, res) => {
+    try {
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+
+        const result = await turso.execute(
+            'SELECT * FROM ws_endpoints WHERE project_id = ? ORDER BY created_at ASC',
+            [project.project_id]
+        );
+        res.status(200).json({ data: result.rows });
+    } catch (error) {
+        console.error('List ws endpoints error:', error);
+        res.status(500).json({ error: 'Failed to fetch WebSocket endpoints' });
+    }
+});
+
+// GET /projects/:projectId/ws-endpoints/:endpointId
+router.get('/:endpointId', async (req, res) => {
+    try {
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+        const endpoint = await findProjectEndpoint(project, req.params.endpointId);
+        if (!endpoint) return res.status(404).json({ error: 'WebSocket endpoint not found' });
+
+        res.status(200).json({ data: endpoint });
+    } catch (error) {
+        console.error('Get ws endpoint error:', error);
+        res.status(500).json({ error: 'Failed to fetch WebSocket endpoint' });
+    }
+});
+
+// ─── CREATE / UPDATE / DELETE ─────────────────────────────────────────────────
+
+// POST /projects/:projectId/ws-endpoints
+router.post('/', async (req, res) => {
+    try {
+        const { name, path, isActive, onConnect = [], replies = [], broadcasts = [], close = null } = req.body;
+        const pathError = checkWsPath(path);
+        if (pathError) return res.status(400).json({ error: pathError });
+        const scriptError = checkWsScript({ onConnect, replies, broadcasts, close });
+        if (scriptError) return res.status(400).json({ error: scriptError });
+
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+        if (await pathTaken(project.project_id, path)) {
+            return res.status(409).json({ error: `A WebSocket endpoint already serves ${path}` });
+        }
+
+        const endpointId = uuidv4();
+        const now = new Date().toISOString();
+        await turso.execute(
+            `INSERT INTO ws_endpoints (endpoint_id, project_id, name, path, is_active, on_connect, replies, broadcasts, close_config, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [endpointId, project.project_id, name || path, path, isActive === false ? 0 : 1,
+                JSON.stringify(onConnect), JSON.stringify(replies), JSON.stringify(broadcasts), close ? JSON.stringify(close) : null, now, now]
+        );
+
+        res.status(201).json({ data: await findProjectEndpoint(project, endpointId) });
+    } catch (error) {
+        console.error('Create ws endpoint error:', error);
+        res.status(500).json({ error: 'Failed to create WebSocket endpoint' });
+    }
+});
+
+// PUT /projects/:projectId/ws-endpoints/:endpointId — script parts are replaced whole; close: null removes the scripted close
+router.put('/:endpointId', async (req, res) => {
+    try {
+        const { name, path, isActive, onConnect, replies, broadcasts, close } = req.body;
+        if (path !== undefined) {
+            const pathError = checkWsPath(path);
+            if (pathError) return res.status(400).json({ error: pathError });
+        }
+        const scriptError = checkWsScript({ onConnect, replies, broadcasts, close });
+        if (scriptError) return res.status(400).json({ error: scriptError });
+
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+        const endpoint = await findProjectEndpoint(project, req.params.endpointId);
+        if (!endpoint) return res.status(404).json({ error: 'WebSocket endpoint not found' });
+        if (path !== undefined && await pathTaken(project.project_id, path, endpoint.endpoint_id)) {
+            return res.status(409).json({ error: `A WebSocket endpoint already serves ${path}` });
+        }
+
+        await turso.execute(
+            `UPDATE ws_endpoints SET
+        name = COALESCE(?, name),
+        path = COALESCE(?, path),
+        is_active = COALESCE(?, is_active),
+        on_connect = COALESCE(?, on_connect),
+        replies = COALESCE(?, replies),
+        broadcasts = COALESCE(?, broadcasts),
+        close_config = ?,
+        updated_at = ?
+       WHERE endpoint_id = ?`,
+            [
+                name || null,
+                path || null,
+                isActive !== undefined ? (isActive ? 1 : 0) : null,
+                toJson(onConnect),
+                toJson(replies),
+                toJson(broadcasts),
+                close !== undefined ? (close ? JSON.stringify(close) : null) : endpoint.close_config,
+                new Date().toISOString(),
+                endpoint.endpoint_id,
+            ]
+        );
+
+        res.status(200).json({ data: await findProjectEndpoint(project, endpoint.endpoint_id) });
+    } catch (error) {
+        console.error('Update ws endpoint error:', error);
+        res.status(500).json({ error: 'Failed to update WebSocket endpoint' });
+    }
+});
+
+// DELETE /projects/:projectId/ws-endpoints/:endpointId
+router.delete('/:endpointId', async (req, res) => {
+    try {
+        const project = await findOwnedProject(req);
+        if (!project) return res.status(404).json({ error: 'Project not found' });
+        const endpoint = await findProjectEndpoint(project, req.params.endpointId);
+        if (!endpoint) return res.status(404).json({ error: 'WebSocket endpoint not found' });
+
+        await turso.execute('DELETE FROM ws_endpoints WHERE endpoint_id = ?', [endpoint.endpoint_id]);
+        res.status(200).json({ message: 'WebSocket endpoint deleted successfully' });
+    } catch (error) {
+        console.error('Delete ws endpoint error:', error);
+        res.status(500).json({ error: 'Failed to delete WebSocket endpoint' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const { v4: uuidv4 } = require('uuid');
+const turso = require('../db');
+const { getLimits, getPlanKey } = require('../middleware/billing');
+
+/**
+ * services/asset.service.js
+ *
+ * Binary assets (images, PDFs, downloads) uploaded per project and stored as
+ * BLOBs in the `assets` table. File responses (mock_responses.kind = 'file')
+ * point at an asset through mock_responses.asset_id.
+ */
+
+const ASSET_MAX_BYTES = 5 * 1024 * 1024;
+
+// Everything except the blob, for listings
+const ASSET_COLUMNS = 'asset_id, project_id, filename, content_type, size_bytes, created_at';
+
+/**
+ * Reduce an uploaded name to a plain file name (no directories or control characters).
+ */
+function sanitizeFilename(name) {
+    const base = String(name || '').split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f"]/g, '').trim();
+    return base.slice(0, 255) || 'file';
+}
+
+/**
+ * Content-Disposition value with an ASCII fallback and a UTF-8 filename*.
+ *
+ * @param {'inline'|'attachment'} type
+ * @param {string} filename
+ */
+function contentDisposition(type, filename) {
+    const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/\\/g, '_');
+    return `${type}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Store an asset. Returns its metadata row.
+ *
+ * @param {string} projectId
+ * @param {{ filename: string, contentType: string, data: Buffer }} file
+ */
+async function createAsset(projectId, { filename, contentType, data }) {
+    const assetId = uuidv4();
+    await turso.execute(
+        `INSERT INTO assets (asset_id, project_id, filename, content_type, size_bytes, data, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [assetId, projectId, sanitizeFilename(filename), contentType || 'application/octet-stream', data.length, data, new Date().toISOString()]
+    );
+    return findAsset(projectId, assetId);
+}
+
+async function listAssets(projectId) {
+    const result = await turso.execute(
+        `SELECT ${ASSET_COLUMNS} FROM assets WHERE project_id = ? ORDER BY created_at ASC`,
+        [projectId]
+    );
+    return result.rows;
+}
+
+/**
+ * An asset's metadata (and its bytes as a Buffer with `withData`), or null.
+ */
+async function findAsset(projectId, assetId, { withData = false } = {}) {
+    const result = await turso.execute(
+        `SELECT ${withData ? '*' : ASSET_COLUMNS} FROM assets WHERE asset_id = ? AND project_id = ?`,
+        [String(assetId), projectId]
+    );
+    const asset = result.rows[0];
+    if (!asset) return null;
+    return withData ? { ...asset, data: Buffer.from(asset.data) } : { ...asset };
+}
+
+async function deleteAsset(assetId) {
+    await turso.execute('DELETE FROM assets WHERE asset_id = ?', [assetId]);
+}
+
+/**
+ * Plan check for adding `count` assets totalling `size` bytes to a project: its
+ * asset count and total stored bytes (maxAssets / maxAssetBytes). A null
+ * projectId stands for a project that does not exist yet. Returns the 403 body,
+ * or null when it fits.
+ */
+async function checkAssetLimit(auth, projectId, size, count = 1) {
+    const limits = await getLimits(auth);
+    let current = 0;
+    let bytes = 0;
+    if (projectId) {
+        const result = await turso.execute(
+            'SELECT COUNT(*) as count, COALESCE(SUM(size_bytes), 0) as bytes FROM assets WHERE project_id = ?',
+            [projectId]
+        );
+        current = Number(result.rows[0]?.count ?? 0);
+        bytes = Number(result.rows[0]?.bytes ?? 0);
+    }
+
+    if (current + count > limits.maxAssets) {
+        return {
+            error: 'PLAN_LIMIT_REACHED',
+            message: `Your plan allows up to ${limits.maxAssets} assets per project. Upgrade to add more.`,
+            limit: limits.maxAssets,
+            current,
+            plan: await getPlanKey(auth),
+        };
+    }
+    if (bytes + size > limits.maxAssetBytes) {
+        return {
+            error: 'PLAN_LIMIT_REACHED',
+            message: `Your plan allows up to ${limits.maxAssetBytes} bytes of assets per project. This would add ${size}.`,
+            limit: limits.maxAssetBytes,
+            current: bytes,
+            plan: await getPlanKey(auth),
+        };
+    }
+    return null;
+}
+
+/**
+ * Plan check for duplicating a project: its assets must fit the caller's limits
+ * as a fresh project. Returns the 403 body, or null when they fit.
+ */
+async function checkAssetCopyLimit(auth, fromProjectId) {
+    const result = await turso.execute(
+        'SELECT COUNT(*) as count, COALESCE(SUM(size_bytes), 0) as bytes FROM assets WHERE project_id = ?',
+        [fromProjectId]
+    );
+    const count = Number(result.rows[0]?.count ?? 0);
+    if (count === 0) return null;
+    return checkAssetLimit(auth, null, Number(result.rows[0]?.bytes ?? 0), count);
+}
+
+/**
+ * Copy every asset of a project onto its duplicate. Returns the old → new id map.
+ */
+async function copyAssets(fromProjectId, toProjectId) {
+    const assetIds = new Map();
+    const assets = await turso.execute('SELECT * FROM assets WHERE project_id = ?', [fromProjectId]);
+    for (const asset of assets.rows) {
+        const newAssetId = uuidv4();
+        assetIds.set(asset.asset_id, newAssetId);
+        await turso.execute(
+            `INSERT INTO assets (asset_id, project_id, filename, content_type, size_bytes, data, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [newAssetId, toProjectId, asset.filename, asset.content_type, asset.size_bytes, Buffer.from(asset.data), new Date().toISOString()]
+        );
+    }
+    return assetIds;
+}
+
+module.exports = {
+    ASSET_MAX_BYTES,
+    sanitizeFilename,
+    contentDisposition,
+    createAsset,
+    listAssets,
+    findAsset,
+    deleteAsset,
+    checkAssetLimit,
+    checkAssetCopyLimit,
+    copyAssets,
+};
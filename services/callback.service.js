@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const turso = require('../db');
+const { renderTemplate, buildTemplateContext } = require('../utils/templating');
+const { fetchPublic } = require('../utils/network');
+
+/**
+ * services/callback.service.js
+ *
+ * Outgoing callbacks (webhook simulation). A response's `callbacks` column is
+ * a list of requests MockBird sends after serving it:
+ *
+ *   {
+ *     url: '{{request.body.callbackUrl}}',        // or a fixed http(s) URL
+ *     method: 'POST',
+ *     headers: { 'X-Event': 'payment.succeeded' },
+ *     body: { id: '{{response.body.id}}', status: 'succeeded' },  // object → JSON, string → as rendered
+ *     delay: 2000,                                // ms after the mock call
+ *     retries: 3, retryDelay: 1000,               // doubled after every failed attempt
+ *     signature: { secret: 'whsec_...', header: 'X-Mockbird-Signature', algorithm: 'sha256' },
+ *   }
+ *
+ * URL, headers and body are templates rendered when the mock is called, with
+ * `request` and the served `response` ({ status, body }) in context. Every
+ * callback gets a row in `callback_deliveries` tracking its attempts. Pending
+ * deliveries live in memory: a restart drops their remaining attempts, and
+ * serverless deployments (which freeze after the response) can't send them.
+ *
+ * The rendered host is checked on every attempt's connection; private, loopback
+ * and metadata addresses fail the delivery without retries (see utils/network.js). *
+ * Backpressure: at most CALLBACK_PENDING_LIMIT deliveries (per process) and
+ * CALLBACK_PROJECT_PENDING_LIMIT (per project) are pending at a time; further
+ * callbacks are dropped, without a delivery row, and counted.
+ */
+
+const CALLBACK_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const SIGNATURE_ALGORITHMS = ['sha1', 'sha256', 'sha512'];
+const MAX_CALLBACKS = 5;
+const MAX_CALLBACK_DELAY_MS = 300000;
+const MAX_RETRIES = 5;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const CALLBACK_TIMEOUT_MS = 10000;
+const LOGGED_BODY_CHARS = 10000;
+const MAX_PENDING_DELIVERIES = Number(process.env.CALLBACK_PENDING_LIMIT) || 1000;
+const MAX_PENDING_PER_PROJECT = Number(process.env.CALLBACK_PROJECT_PENDING_LIMIT) || 100;
+
+// project_id → deliveries scheduled or retrying
+const pendingByProject = new Map();
+let pending = 0;
+const stats = { scheduled: 0, dropped: 0 };
+
+/**
+ * Take a pending-delivery slot for the project, or count the callback as dropped.
+ */
+function reserveDelivery(projectId) {
+    const forProject = pendingByProject.get(projectId) || 0;
+    if (pending >= MAX_PENDING_DELIVERIES || forProject >= MAX_PENDING_PER_PROJECT) {
+        stats.dropped++;
+        return false;
+    }
+    pending++;
+    pendingByProject.set(projectId, forProject + 1);
+    stats.scheduled++;
+    return true;
+}
+
+function releaseDelivery(projectId) {
+    pending--;
+    const left = pendingByProject.get(projectId) - 1;
+    if (left > 0) pendingByProject.set(projectId, left);
+    else pendingByProject.delete(projectId);
+}
+
+/**
+ * Counters since startup, plus the deliveries currently pending.
+ */
+function callbackStats() {
+    return { ...stats, pending, pendingLimit: MAX_PENDING_DELIVERIES, projectPendingLimit: MAX_PENDING_PER_PROJECT };
+}
+
+function parseCallbacks(value) {
+    try {
+        const parsed = typeof value === 'string' ? JSON.parse(value || '[]') : value;
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+}
+
+function isMs(value, max) {
+    return Number.isInteger(value) && value >= 0 && value <= max;
+}
+
+/**
+ * Check a callbacks payload from the API (an array, or its JSON). Returns an error message or null.
+ */
+function checkCallbacks(value) {
+    let callbacks = value;
+    if (typeof value === 'string') {
+        try {
+            callbacks = JSON.parse(value);
+        } catch {
+            return 'callbacks must be valid JSON';
+        }
+    }
+    if (!Array.isArray(callbacks)) return 'callbacks must be an array';
+    if (callbacks.length > MAX_CALLBACKS) return `callbacks is limited to ${MAX_CALLBACKS} entries`;
+
+    for (const [index, callback] of callbacks.entries()) {
+        const where = `callbacks[${index}]`;
+        if (!callback || typeof callback !== 'object' || Array.isArray(callback)) return `${where} must be an object`;
+        if (typeof callback.url !== 'string' || !callback.url.trim()) return `${where}.url is required`;
+        // Templated URLs are checked when they are rendered
+        if (!callback.url.includes('{{') && !/^https?:\/\/[^/]+/i.test(callback.url)) return `${where}.url must be an http(s) URL or a template`;
+        if (callback.method !== undefined && !CALLBACK_METHODS.includes(String(callback.method).toUpperCase())) {
+            return `${where}.method must be one of: ${CALLBACK_METHODS.join(', ')}`;
+        }
+        if (callback.headers !== undefined && (callback.headers === null || typeof callback.headers !== 'object' || Array.isArray(callback.headers))) {
+            return `${where}.headers must be an object`;
+        }
+        if (callback.delay !== undefined && !isMs(callback.delay, MAX_CALLBACK_DELAY_MS)) {
+            return `${where}.delay must be an integer from 0 to ${MAX_CALLBACK_DELAY_MS} (ms)`;
+        }
+        if (callback.retries !== undefined && !isMs(callback.retries, MAX_RETRIES)) return `${where}.retries must be an integer from 0 to ${MAX_RETRIES}`;
+        if (callback.retryDelay !== undefined && !isMs(callback.retryDelay, MAX_CALLBACK_DELAY_MS)) {
+            return `${where}.retryDelay must be an integer from 0 to ${MAX_CALLBACK_DELAY_MS} (ms)`;
+        }
+        if (callback.signature !== undefined) {
+            const { secret, header, algorithm } = callback.signature || {};
+            if (typeof secret !== 'string' || !secret) return `${where}.signature.secret is required`;
+            if (header !== undefined && (typeof header !== 'string' || !/^[A-Za-z0-9-]+$/.test(header))) return `${where}.signature.header must be a header name`;
+            if (algorithm !== undefined && !SIGNATURE_ALGORITHMS.includes(algorithm)) {
+                return `${where}.signature.algorithm must be one of: ${SIGNATURE_ALGORITHMS.join(', ')}`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * HMAC of a callback body, as sent in the signature header: "<algorithm>=<hex>".
+ */
+function signCallback(body, { secret, algorithm = 'sha256' }) {
+    return `${algorithm}=${crypto.createHmac(algorithm, secret).update(body).digest('hex')}`;
+}
+
+function parseBody(body) {
+    if (typeof body !== 'string') return body ?? {};
+    try {
+        return JSON.parse(body);
+    } catch {
+        return body;
+    }
+}
+
+/**
+ * Render one callback into the request to send.
+ */
+function renderCallback(callback, context, deliveryId) {
+    const method = String(callback.method || 'POST').toUpperCase();
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'MockBird-Callbacks/1.0' };
+    for (const [key, value] of Object.entries(callback.headers || {})) {
+        headers[key] = renderTemplate(String(value), context);
+    }
+    headers['X-Mockbird-Delivery'] = deliveryId;
+
+    let body = '';
+    if (method !== 'GET' && callback.body !== undefined) {
+        body = typeof callback.body === 'string'
+            ? renderTemplate(callback.body, context)
+            : renderTemplate(JSON.stringify(callback.body), context, { json: true });
+    }
+    if (callback.signature) {
+        headers[callback.signature.header || 'X-Mockbird-Signature'] = signCallback(body, callback.signature);
+    }
+
+    return { url: renderTemplate(callback.url, context).trim(), method, headers, body };
+}
+
+function later(ms, fn) {
+    // Pending callbacks must not keep the process alive on shutdown
+    setTimeout(fn, ms).unref();
+}
+
+async function updateDelivery(deliveryId, fields) {
+    await turso.execute(
+        `UPDATE callback_deliveries SET
+        status = ?, attempts = ?, response_status = ?, response_body = ?, error = ?, updated_at = ?
+       WHERE delivery_id = ?`,
+        [fields.status, fields.attempts, fields.responseStatus ?? null, fields.responseBody ?? null, fields.error ?? null,
+            new Date().toISOString(), deliveryId]
+    );
+}
+
+/**
+ * Send one attempt; on failure schedule the next until the retries are used up.
+ */
+async function attemptDelivery({ deliveryId, projectId, request }, callback, attempt) {
+    const retries = callback.retries ?? DEFAULT_RETRIES;
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+    let blocked = false;
+    try {
+        const response = await fetchPublic(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.method === 'GET' ? undefined : request.body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(CALLBACK_TIMEOUT_MS),
+        });
+        responseStatus = response.status;
+        responseBody = (await response.text()).slice(0, LOGGED_BODY_CHARS);
+        if (response.status < 200 || response.status > 299) error = `Receiver answered ${response.status}`;
+    } catch (err) {
+        error = err.message;
+        blocked = err.code === 'BLOCKED_HOST';
+    }
+
+    const delivered = error === null;
+    const giveUp = !delivered && (blocked || attempt > retries);
+    try {
+        await updateDelivery(deliveryId, {
+            status: delivered ? 'delivered' : (giveUp ? 'failed' : 'retrying'),
+            attempts: attempt,
+            responseStatus,
+            responseBody,
+            error,
+        });
+    } catch (err) {
+        console.error('Failed to update callback delivery:', err);
+    }
+
+    if (!delivered && !giveUp) {
+        const backoff = (callback.retryDelay ?? DEFAULT_RETRY_DELAY_MS) * 2 ** (attempt - 1);
+        later(backoff, () => attemptDelivery({ deliveryId, projectId, request }, callback, attempt + 1));
+    } else {
+        releaseDelivery(projectId);
+    }
+}
+
+/**
+ * Queue a served response's callbacks. Never throws — failures are logged on
+ * the delivery (or the console) so the mock call itself is unaffected.
+ *
+ * @param {object} params
+ * @param {object} params.mock - Mock row
+ * @param {object} params.response - The served mock_responses row
+ * @param {object} params.req - Express request
+ * @param {Record<string, string>} params.pathParams
+ * @param {string} params.mockPath
+ * @param {number} [params.responseStatus]
+ * @param {string} [params.responseBody] - Rendered body, exposed as `response.body` (parsed when JSON)
+ */
+async function scheduleCallbacks({ mock, response, req, pathParams, mockPath, responseStatus, responseBody }) {
+    const callbacks = parseCallbacks(response.callbacks);
+    if (callbacks.length === 0) return;
+
+    const context = {
+        ...buildTemplateContext(req, pathParams, mockPath),
+        response: { status: responseStatus ?? response.status_code, body: parseBody(responseBody) },
+    };
+
+    for (const callback of callbacks) {
+        if (!reserveDelivery(mock.project_id)) continue;
+        const deliveryId = uuidv4();
+        let scheduled = false;
+        try {
+            const request = renderCallback(callback, context, deliveryId);
+            const urlOk = /^https?:\/\/[^/]+/i.test(request.url);
+            const now = new Date().toISOString();
+            await turso.execute(
+                `INSERT INTO callback_deliveries
+            (delivery_id, project_id, mock_id, response_id, url, method, request_headers, request_body, status, attempts, error, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?)`,
+                [deliveryId, mock.project_id, mock.mock_id, response.response_id, request.url, request.method,
+                    JSON.stringify(request.headers), request.body, urlOk ? 'pending' : 'failed',
+                    urlOk ? null : `Callback URL "${request.url}" is not an http(s) URL`, now, now]
+            );
+            if (urlOk) {
+                later(callback.delay || 0, () => attemptDelivery({ deliveryId, projectId: mock.project_id, request }, callback, 1));
+                scheduled = true;
+            }
+        } catch (err) {
+            console.error('Failed to schedule callback:', err);
+        }
+        if (!scheduled) releaseDelivery(mock.project_id);
+    }
+}
+
+module.exports = {
+    callbackStats,
+    checkCallbacks,
+    signCallback,
+    renderCallback,
+    scheduleCallbacks,
+};
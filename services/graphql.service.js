@@ -0,0 +1,79 @@
+const { getRouteIndex } = require('./route-index.service');
+const { responseMatchesConditions, pickResponse } = require('../utils/execution');
+const { renderTemplate } = require('../utils/templating');
+
+/**
+ * services/graphql.service.js
+ *
+ * Overrides for GraphQL mocks. They are ordinary mocks with method GRAPHQL,
+ * addressed by their path:
+ *
+ *   Type.field     (Query.user, User.email) → field override: the picked
+ *                   response's body (JSON) is the field's value
+ *   OperationName  (GetUser)                → operation override: the picked
+ *                   response is sent as the whole result
+ *
+ * Responses are picked with the usual condition model against a request whose
+ * body is { operationName, variables, args }, so conditions can test the
+ * operation name, its variables and (for fields) the field's arguments.
+ */
+
+/**
+ * The project's active GRAPHQL mocks with their responses, keyed by path.
+ * Read from the route index, so overrides cost no queries once it is built.
+ *
+ * @param {object} project - Project row (see getRouteIndex)
+ * @returns {Promise<Map<string, { mock: object, responses: Array }>>}
+ */
+async function loadGraphqlOverrides(project) {
+    const index = await getRouteIndex(project);
+    const overrides = new Map();
+    for (const mock of index.mocksFor('GRAPHQL')) {
+        overrides.set(mock.path.replace(/^\//, ''), { mock, responses: index.responsesFor(mock.mock_id) });
+    }
+    return overrides;
+}
+
+/**
+ * The override response for a target whose conditions match, or null —
+ * unlike REST mocks there is no fallback to a non-matching response, since
+ * generated data is the fallback.
+ *
+ * @param {Map} overrides - From loadGraphqlOverrides
+ * @param {string} target - `Type.field` or an operation name
+ * @param {object} conditionReq - Request-like object the conditions are checked against
+ * @returns {{ mock: object, response: object } | null}
+ */
+function pickOverride(overrides, target, conditionReq) {
+    const entry = overrides.get(target);
+    if (!entry) return null;
+    const matching = entry.responses.filter((response) => responseMatchesConditions(response, conditionReq).matches);
+    const response = pickResponse(matching, conditionReq);
+    return response ? { mock: entry.mock, response } : null;
+}
+
+/**
+ * An override's body, rendered as a template when the response has templating on;
+ * JSON bodies are parsed, anything else stays text.
+ */
+function overrideValue(response, templateContext) {
+    let text = response.body || '';
+    if (response.templating) {
+        try {
+            text = renderTemplate(text, templateContext, { json: true });
+        } catch (err) {
+            console.warn(`Template render failed for response ${response.response_id}:`, err.message);
+        }
+    }
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+module.exports = {
+    loadGraphqlOverrides,
+    pickOverride,
+    overrideValue,
+};
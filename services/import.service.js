@@ -0,0 +1,83 @@
+const { v4: uuidv4 } = require('uuid');
+const turso = require('../db');
+const { checkPathPattern } = require('../utils/execution');
+
+/**
+ * services/import.service.js
+ *
+ * Persists normalized endpoints (see utils/openapi.js) as mocks + mock_responses.
+ * Shared by every importer so each format only has to produce endpoints.
+ */
+
+function toText(value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Insert endpoints into a project. Paths go through the same checks as
+ * POST /projects/:projectId/mocks; endpoints failing them are skipped.
+ *
+ * @param {string} projectId
+ * @param {Array} endpoints - Normalized endpoints
+ * @param {{ maxResponsesPerMock?: number }} options - Responses beyond the plan limit are dropped
+ * @returns {Promise<{
+ *   mocks: Array<{ mock_id: string, name: string, path: string, method: string, responses: number }>,
+ *   skipped: Array<{ path: string, method: string, error: string }>
+ * }>}
+ */
+async function createMocksFromEndpoints(projectId, endpoints, { maxResponsesPerMock = Infinity } = {}) {
+    const now = new Date().toISOString();
+    const created = [];
+    const skipped = [];
+
+    // Sequential inserts keep foreign key integrity (same approach as batch-create)
+    for (const ep of endpoints) {
+        const path = ep.path.startsWith('/') ? ep.path : `/${ep.path}`;
+        const pathError = checkPathPattern(path);
+        if (pathError) {
+            skipped.push({ path, method: (ep.method || 'GET').toUpperCase(), error: pathError });
+            continue;
+        }
+        const mockId = uuidv4();
+
+        await turso.execute(
+            `INSERT INTO mocks (mock_id, project_id, name, path, method, description, is_active, response_type, response_delay_ms, expected_body, expected_headers, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                mockId, projectId, ep.name || `${ep.method} ${path}`, path,
+                (ep.method || 'GET').toUpperCase(), ep.description || '',
+                1, ep.responseType || 'json', ep.responseDelay || 0,
+                ep.expectedBody || '', toText(ep.expectedHeaders, '{}'),
+                now, now,
+            ]
+        );
+
+        // Keep the default response when trimming to the plan limit
+        const responses = [...(ep.responses || [])]
+            .sort((a, b) => Number(!!b.isDefault) - Number(!!a.isDefault))
+            .slice(0, maxResponsesPerMock);
+
+        for (const resp of responses) {
+            // Alternates default to weight 0 so the mock keeps serving the default until re-weighted
+            const weight = resp.weight ?? (resp.isDefault ? 100 : 0);
+            await turso.execute(
+                `INSERT INTO mock_responses (response_id, mock_id, name, status_code, headers, body, is_default, weight, conditions, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    uuidv4(), mockId, resp.name || 'Response', resp.statusCode || 200,
+                    toText(resp.headers, '{}'), toText(resp.body, ''),
+                    resp.isDefault ? 1 : 0, weight,
+                    toText(resp.conditions, '[]'),
+                    now,
+                ]
+            );
+        }
+
+        created.push({ mock_id: mockId, name: ep.name, path, method: (ep.method || 'GET').toUpperCase(), responses: responses.length });
+    }
+
+    return { mocks: created, skipped };
+}
+
+module.exports = { createMocksFromEndpoints };
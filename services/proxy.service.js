@@ -0,0 +1,242 @@
+const { v4: uuidv4 } = require('uuid');
+const turso = require('../db');
+const { getLimits } = require('../middleware/billing');
+const { invalidateRouteIndex } = require('./route-index.service');
+const { checkPublicUrl, fetchPublic } = require('../utils/network');
+
+/**
+ * services/proxy.service.js
+ *
+ * Upstream forwarding for projects with an upstream_url. proxy_mode decides
+ * what happens to requests that match no mock:
+ *
+ *   off      → 404 as usual
+ *   proxy    → forward to the upstream and relay its response
+ *   record   → forward, then save the response as a new mock (mocks.is_recorded = 1)
+ *   playback → never forward; only recorded mocks are served
+ *
+ * Individual responses can also be proxies (mock_responses.kind = 'proxy'):
+ * proxy_config = { url, status?, headers?, mergeBody? } forwards the request to
+ * `url` ({param} segments filled from the path) and optionally overrides the result.
+ */
+
+const PROXY_MODES = ['off', 'proxy', 'record', 'playback'];
+const UPSTREAM_TIMEOUT_MS = 10000;
+
+// Per-connection headers that must not be relayed in either direction
+const HOP_BY_HOP = new Set([
+    'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer',
+    'transfer-encoding', 'upgrade', 'host', 'content-length',
+]);
+
+function appendQuery(url, originalUrl = '') {
+    const queryIndex = originalUrl.indexOf('?');
+    if (queryIndex === -1) return url;
+    const query = originalUrl.slice(queryIndex + 1);
+    return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+}
+
+/**
+ * Build the upstream URL for a mock path, keeping the original query string.
+ */
+function buildUpstreamUrl(upstreamUrl, mockPath, originalUrl = '') {
+    return appendQuery(`${upstreamUrl.replace(/\/+$/, '')}${mockPath}`, originalUrl);
+}
+
+// Unparsed request bodies read off the stream for forwarding are capped at this size
+const MAX_FORWARD_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Body parser `verify` hook: keeps the exact bytes of /m requests as req.rawBody,
+ * so proxying forwards them unchanged instead of re-serialising req.body.
+ */
+function keepRawBody(req, res, buf) {
+    if (req.originalUrl.startsWith('/m/')) req.rawBody = buf;
+}
+
+async function requestBody(req) {
+    if (['GET', 'HEAD'].includes(req.method.toUpperCase())) return undefined;
+    // Content types no body parser handled (XML, binary, ...) are still unread on the stream
+    if (req.rawBody === undefined && !req._body && req.readable) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_FORWARD_BODY_BYTES) throw new Error('Request body is too large to forward');
+            chunks.push(chunk);
+        }
+        req.rawBody = Buffer.concat(chunks);
+    }
+    return req.rawBody?.length > 0 ? req.rawBody : undefined;
+}
+
+/**
+ * Send the incoming request (method, headers, body) to `url`.
+ *
+ * @param {string} url - Full target URL
+ * @param {object} req - Express request
+ * @returns {Promise<{ url: string, status: number, headers: Record<string, string>, body: Buffer }>}
+ * @throws when the target is unreachable, times out or resolves to a private address
+ */
+async function sendUpstream(url, req) {
+    const headers = {};
+    for (const [key, value] of Object.entries(req.headers)) {
+        // fetch decompresses for us, so ask for an identity-encoded body up front
+        if (HOP_BY_HOP.has(key) || key === 'accept-encoding') continue;
+        headers[key] = Array.isArray(value) ? value.join(', ') : value;
+    }
+
+    const response = await fetchPublic(url, {
+        method: req.method,
+        headers,
+        body: await requestBody(req),
+        redirect: 'manual',
+        signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS),
+    });
+
+    const responseHeaders = {};
+    response.headers.forEach((value, key) => {
+        if (HOP_BY_HOP.has(key) || key === 'content-encoding') return;
+        responseHeaders[key] = value;
+    });
+
+    // Bytes, not text: binary upstream bodies must survive the relay
+    return { url, status: response.status, headers: responseHeaders, body: Buffer.from(await response.arrayBuffer()) };
+}
+
+/**
+ * Forward the incoming request to the project's upstream.
+ *
+ * @param {string} upstreamUrl - Project upstream base URL
+ * @param {string} mockPath - Path after /m/:projectSlug
+ * @param {object} req - Express request
+ * @throws when the upstream resolves to a private address (see utils/network.js)
+ */
+async function forwardRequest(upstreamUrl, mockPath, req) {
+    const url = buildUpstreamUrl(upstreamUrl, mockPath, req.originalUrl);
+    return sendUpstream(url, req);
+}
+
+function parseProxyConfig(value) {
+    try {
+        const parsed = typeof value === 'string' ? JSON.parse(value || '{}') : value;
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(target, source) {
+    const merged = { ...target };
+    for (const [key, value] of Object.entries(source)) {
+        merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? deepMerge(merged[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * Validate a proxy_config payload from the API. Resolves to an error message or null.
+ */
+async function validateProxyConfig(config) {
+    const parsed = parseProxyConfig(config);
+    if (!parsed.url || !/^https?:\/\/[^/]+/i.test(parsed.url)) return 'proxyConfig.url must be an http(s) URL';
+    if (parsed.status !== undefined && !(Number.isInteger(Number(parsed.status)) && parsed.status >= 100 && parsed.status <= 599)) {
+        return 'proxyConfig.status must be an HTTP status code';
+    }
+    if (parsed.headers !== undefined && !isPlainObject(parsed.headers)) return 'proxyConfig.headers must be an object';
+    if (parsed.mergeBody !== undefined && !isPlainObject(parsed.mergeBody)) return 'proxyConfig.mergeBody must be an object';
+    // A {param} host can only be checked once filled in, before each request
+    if (/^https?:\/\/[^/?#]*{/i.test(parsed.url)) return null;
+    return checkPublicUrl(parsed.url, 'proxyConfig.url');
+}
+
+/**
+ * Serve a proxy-kind mock response: forward to its configured URL, then apply
+ * the status / header overrides and deep-merge `mergeBody` into a JSON object body.
+ *
+ * @param {object} response - mock_responses row with kind = 'proxy'
+ * @param {object} req - Express request
+ * @param {Record<string, string>} pathParams - Params matched from the mock path
+ * @throws when the target is unreachable or resolves to a private address
+ */
+async function proxyMockResponse(response, req, pathParams = {}) {
+    const config = parseProxyConfig(response.proxy_config);
+    const target = String(config.url || '').replace(/{([^}]+)}/g, (placeholder, name) => (
+        pathParams[name] !== undefined ? encodeURIComponent(pathParams[name]) : placeholder
+    ));
+
+    const url = appendQuery(target, req.originalUrl);
+    const upstream = await sendUpstream(url, req);
+
+    if (config.status) upstream.status = Number(config.status);
+    if (config.headers) upstream.headers = { ...upstream.headers, ...config.headers };
+    if (config.mergeBody) {
+        try {
+            const parsed = JSON.parse(upstream.body.toString('utf8'));
+            if (isPlainObject(parsed)) upstream.body = JSON.stringify(deepMerge(parsed, config.mergeBody));
+        } catch {
+            // Not JSON — relay the body untouched
+        }
+    }
+    return upstream;
+}
+
+function responseTypeFor(headers) {
+    const contentType = headers['content-type'] || '';
+    if (/json/.test(contentType)) return 'json';
+    if (/xml/.test(contentType)) return 'xml';
+    if (/html/.test(contentType)) return 'html';
+    if (/text/.test(contentType)) return 'text';
+    return 'json';
+}
+
+/**
+ * Save an upstream response as a recorded mock with a single default response.
+ * Skipped (returns null) once the project is at its plan's mock limit.
+ *
+ * @param {object} project - Project row
+ * @param {string} mockPath
+ * @param {string} method
+ * @param {{ url: string, status: number, headers: object, body: Buffer }} upstream
+ * @returns {Promise<object|null>} The new mock row
+ */
+async function recordResponse(project, mockPath, method, upstream) {
+    const limits = await getLimits({ orgId: project.org_id });
+    const countResult = await turso.execute('SELECT COUNT(*) as count FROM mocks WHERE project_id = ?', [project.project_id]);
+    if (countResult.rows[0].count >= limits.maxMocksPerProject) return null;
+
+    const mockId = uuidv4();
+    const now = new Date().toISOString();
+    // Server-set headers would be stale on replay
+    const { date, etag, 'set-cookie': setCookie, ...headers } = upstream.headers;
+
+    await turso.execute(
+        `INSERT INTO mocks (mock_id, project_id, name, path, method, description, is_active, response_type, response_delay_ms, is_recorded, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [mockId, project.project_id, `${method} ${mockPath}`, mockPath, method,
+            `Recorded from ${upstream.url}`, 1, responseTypeFor(upstream.headers), 0, 1, now, now]
+    );
+    await turso.execute(
+        `INSERT INTO mock_responses (response_id, mock_id, name, status_code, headers, body, is_default, weight, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), mockId, `Recorded ${upstream.status}`, upstream.status, JSON.stringify(headers), upstream.body.toString('utf8'), 1, 100, now]
+    );
+    await invalidateRouteIndex(project.project_id);
+
+    const created = await turso.execute('SELECT * FROM mocks WHERE mock_id = ?', [mockId]);
+    return created.rows[0];
+}
+
+module.exports = {
+    PROXY_MODES,
+    buildUpstreamUrl,
+    keepRawBody,
+    forwardRequest,
+    recordResponse,
+    validateProxyConfig,
+    proxyMockResponse,
+};
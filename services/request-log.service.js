@@ -0,0 +1,128 @@
+const turso = require('../db');
+
+/**
+ * services/request-log.service.js
+ *
+ * Buffered writer for request_logs. Mock hits queue their row and return at
+ * once; the queue is written with one multi-row INSERT per batch, every
+ * REQUEST_LOG_FLUSH_MS or as soon as a full batch is waiting. Only one flush
+ * runs at a time.
+ *
+ * Backpressure: when the database falls behind and REQUEST_LOG_BUFFER_LIMIT
+ * rows are waiting, new rows are dropped (and counted) rather than letting
+ * memory grow. Rows are also dropped when their batch fails to insert.
+ * Anything still queued on shutdown is lost unless flushRequestLogs() is
+ * awaited first. Serverless deployments, which may freeze between requests,
+ * mount flushRequestLogsOnFinish instead of relying on the interval.
+ */
+
+const FLUSH_INTERVAL_MS = Number(process.env.REQUEST_LOG_FLUSH_MS) || 100;
+const MAX_BUFFERED_LOGS = Number(process.env.REQUEST_LOG_BUFFER_LIMIT) || 10000;
+const BATCH_SIZE = 100;
+
+const COLUMNS = [
+    'log_id', 'mock_id', 'project_id', 'request_path', 'request_method', 'request_headers', 'request_body', 'request_query',
+    'response_status', 'response_time_ms', 'response_headers', 'response_body', 'validation_errors', 'ip_address', 'user_agent', 'created_at',
+];
+const ROW_PLACEHOLDERS = `(${COLUMNS.map(() => '?').join(', ')})`;
+
+let buffer = [];
+let timer = null;
+let flushing = null;
+const stats = { queued: 0, written: 0, dropped: 0, failed: 0, batches: 0, lastError: null };
+
+function scheduleFlush() {
+    if (buffer.length >= BATCH_SIZE) {
+        flushRequestLogs();
+        return;
+    }
+    if (timer || flushing) return;
+    // A pending flush must not keep the process alive on its own
+    timer = setTimeout(flushRequestLogs, FLUSH_INTERVAL_MS);
+    timer.unref();
+}
+
+/**
+ * Queue a request_logs row. Never throws and never waits for the database.
+ *
+ * @param {object} row - Column name → value; missing columns are stored as NULL
+ * @returns {boolean} false when the row was dropped because the buffer is full
+ */
+function queueRequestLog(row) {
+    if (buffer.length >= MAX_BUFFERED_LOGS) {
+        stats.dropped++;
+        return false;
+    }
+    buffer.push(COLUMNS.map((column) => row[column] ?? null));
+    stats.queued++;
+    scheduleFlush();
+    return true;
+}
+
+async function writeBatch(rows) {
+    try {
+        await turso.execute(
+            `INSERT INTO request_logs (${COLUMNS.join(', ')}) VALUES ${rows.map(() => ROW_PLACEHOLDERS).join(', ')}`,
+            rows.flat()
+        );
+        stats.written += rows.length;
+        stats.batches++;
+    } catch (err) {
+        stats.failed += rows.length;
+        stats.lastError = err.message;
+        console.error(`Failed to write ${rows.length} request logs:`, err);
+    }
+}
+
+async function drain() {
+    while (buffer.length > 0) {
+        const rows = buffer.slice(0, BATCH_SIZE);
+        buffer = buffer.slice(BATCH_SIZE);
+        await writeBatch(rows);
+    }
+}
+
+/**
+ * Write everything queued so far. Resolves once those rows are in the
+ * database (or counted as failed), so readers of request_logs can await it
+ * to see the latest requests.
+ */
+async function flushRequestLogs() {
+    if (timer) {
+        clearTimeout(timer);
+        timer = null;
+    }
+    // Rows queued during a running flush are picked up by its drain loop
+    if (!flushing) {
+        flushing = drain().finally(() => {
+            flushing = null;
+            if (buffer.length > 0) scheduleFlush();
+        });
+    }
+    return flushing;
+}
+
+/**
+ * Middleware: write the buffer as soon as the response has been sent, so rows
+ * don't wait for a timer that may never fire once the function is frozen.
+ */
+function flushRequestLogsOnFinish(req, res, next) {
+    res.on('finish', () => {
+        flushRequestLogs();
+    });
+    next();
+}
+
+/**
+ * Counters since startup, plus the rows currently waiting.
+ */
+function requestLogStats() {
+    return { ...stats, buffered: buffer.length, bufferLimit: MAX_BUFFERED_LOGS };
+}
+
+module.exports = {
+    queueRequestLog,
+    flushRequestLogs,
+    flushRequestLogsOnFinish,
+    requestLogStats,
+};
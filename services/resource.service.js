@@ -0,0 +1,205 @@
+const { v4: uuidv4 } = require('uuid');
+const turso = require('../db');
+
+/**
+ * services/resource.service.js
+ *
+ * Stateful CRUD for mocks flagged as resources (mocks.is_resource = 1).
+ * A resource mock at /todos serves:
+ *
+ *   GET    /todos        → list stored items (top-level ?field=value filters)
+ *   POST   /todos        → store the JSON body as a new item
+ *   GET    /todos/{id}   → read one item
+ *   PUT    /todos/{id}   → replace an item
+ *   PATCH  /todos/{id}   → shallow-merge into an item
+ *   DELETE /todos/{id}   → remove an item
+ *
+ * Items live in the per-project `resource_records` table. The mock's default
+ * response body (a JSON array, or an object with a `data` array) is the seed
+ * data, loaded lazily on first use and restored by resetResource().
+ */
+
+const ID_FIELD = 'id';
+
+function parseSeedItems(body) {
+    try {
+        const parsed = typeof body === 'string' ? JSON.parse(body || '[]') : body;
+        if (Array.isArray(parsed)) return parsed;
+        if (parsed && Array.isArray(parsed.data)) return parsed.data;
+    } catch {
+        // Seed body isn't JSON — start empty
+    }
+    return [];
+}
+
+function nextId(items) {
+    const ids = items.map((item) => item[ID_FIELD]);
+    if (ids.every((id) => Number.isInteger(Number(id)) && id !== '' && id !== null)) {
+        return ids.reduce((max, id) => Math.max(max, Number(id)), 0) + 1;
+    }
+    return uuidv4();
+}
+
+async function loadItems(mockId) {
+    const result = await turso.execute(
+        'SELECT * FROM resource_records WHERE mock_id = ? ORDER BY created_at ASC, rowid ASC',
+        [mockId]
+    );
+    return result.rows.map((row) => JSON.parse(row.data));
+}
+
+async function findRecord(mockId, itemId) {
+    const result = await turso.execute(
+        'SELECT * FROM resource_records WHERE mock_id = ? AND item_id = ?',
+        [mockId, String(itemId)]
+    );
+    return result.rows[0] || null;
+}
+
+async function insertItem(mock, item, now) {
+    await turso.execute(
+        `INSERT INTO resource_records (record_id, project_id, mock_id, item_id, data, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), mock.project_id, mock.mock_id, String(item[ID_FIELD]), JSON.stringify(item), now, now]
+    );
+}
+
+function seedItems(body) {
+    const items = [];
+    for (const raw of parseSeedItems(body)) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) continue;
+        const item = raw[ID_FIELD] === undefined ? { [ID_FIELD]: nextId(items), ...raw } : raw;
+        items.push(item);
+    }
+    return items;
+}
+
+/**
+ * Replace all stored items with the seed data from the mock's default response,
+ * in one transaction. With `onlyIfUnseeded` nothing happens unless the mock is
+ * still unseeded in the database, so concurrent first requests (or instances
+ * holding an older copy of the mock) seed once and never wipe stored items.
+ *
+ * @returns {Promise<Array>} the seed items
+ */
+async function seedResource(mock, { onlyIfUnseeded = false } = {}) {
+    const seedResult = await turso.execute(
+        'SELECT body FROM mock_responses WHERE mock_id = ? ORDER BY is_default DESC, created_at ASC LIMIT 1',
+        [mock.mock_id]
+    );
+    const now = new Date().toISOString();
+    const items = seedItems(seedResult.rows[0]?.body);
+
+    const unseeded = 'EXISTS (SELECT 1 FROM mocks WHERE mock_id = ? AND resource_seeded_at IS NULL)';
+    const guard = (keyword) => (onlyIfUnseeded ? ` ${keyword} ${unseeded}` : '');
+    const guardArgs = onlyIfUnseeded ? [mock.mock_id] : [];
+    await turso.batch([
+        { sql: `DELETE FROM resource_records WHERE mock_id = ?${guard('AND')}`, args: [mock.mock_id, ...guardArgs] },
+        ...items.map((item) => ({
+            sql: `INSERT INTO resource_records (record_id, project_id, mock_id, item_id, data, created_at, updated_at)
+                  SELECT ?, ?, ?, ?, ?, ?, ?${guard('WHERE')}`,
+            args: [uuidv4(), mock.project_id, mock.mock_id, String(item[ID_FIELD]), JSON.stringify(item), now, now, ...guardArgs],
+        })),
+        // Last, so the statements above still see the mock unseeded
+        {
+            sql: `UPDATE mocks SET resource_seeded_at = ? WHERE mock_id = ?${onlyIfUnseeded ? ' AND resource_seeded_at IS NULL' : ''}`,
+            args: [now, mock.mock_id],
+        },
+    ], 'write');
+    return items;
+}
+
+/**
+ * Replace all stored items with the seed data from the mock's default response.
+ * @returns {Promise<Array>} the seeded items
+ */
+function resetResource(mock) {
+    return seedResource(mock);
+}
+
+function notFound(itemId) {
+    return { status: 404, body: { error: 'NOT_FOUND', message: `No item found with ${ID_FIELD} "${itemId}"` } };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Execute a CRUD operation against a resource mock.
+ *
+ * @param {object} mock - The resource mock row
+ * @param {string|null} itemId - Item id from the path, or null for the collection
+ * @param {{ method: string, query: object, body: any }} req
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+async function handleResourceRequest(mock, itemId, req) {
+    // The row may be an older cached copy: the database decides whether seeding is still due
+    if (!mock.resource_seeded_at) {
+        const current = await turso.execute('SELECT resource_seeded_at FROM mocks WHERE mock_id = ?', [mock.mock_id]);
+        if (!current.rows[0]?.resource_seeded_at) await seedResource(mock, { onlyIfUnseeded: true });
+        // Seeding only ever happens once, so the cached copy can skip the check from now on
+        mock.resource_seeded_at = current.rows[0]?.resource_seeded_at || new Date().toISOString();
+    }
+
+    const method = req.method.toUpperCase();
+    const now = new Date().toISOString();
+
+    if (itemId === null) {
+        if (method === 'GET') {
+            const items = await loadItems(mock.mock_id);
+            const filters = Object.entries(req.query || {})
+                .filter(([key]) => items.some((item) => key in item));
+            return {
+                status: 200,
+                body: items.filter((item) => filters.every(([key, value]) => String(item[key]) === String(value))),
+            };
+        }
+        if (method === 'POST') {
+            if (!isPlainObject(req.body)) {
+                return { status: 400, body: { error: 'INVALID_BODY', message: 'Request body must be a JSON object' } };
+            }
+            const items = await loadItems(mock.mock_id);
+            const item = { ...req.body };
+            if (item[ID_FIELD] === undefined) {
+                item[ID_FIELD] = nextId(items);
+            } else if (items.some((existing) => String(existing[ID_FIELD]) === String(item[ID_FIELD]))) {
+                return { status: 409, body: { error: 'CONFLICT', message: `An item with ${ID_FIELD} "${item[ID_FIELD]}" already exists` } };
+            }
+            // Keep the id as the first key for readability
+            const stored = { [ID_FIELD]: item[ID_FIELD], ...item };
+            await insertItem(mock, stored, now);
+            return { status: 201, body: stored };
+        }
+        return { status: 405, body: { error: 'METHOD_NOT_ALLOWED', message: `${method} is not supported on a collection` } };
+    }
+
+    const record = await findRecord(mock.mock_id, itemId);
+    if (!record) return notFound(itemId);
+    const current = JSON.parse(record.data);
+
+    switch (method) {
+        case 'GET':
+            return { status: 200, body: current };
+        case 'PUT':
+        case 'PATCH': {
+            if (!isPlainObject(req.body)) {
+                return { status: 400, body: { error: 'INVALID_BODY', message: 'Request body must be a JSON object' } };
+            }
+            const base = method === 'PATCH' ? current : {};
+            const updated = { ...base, ...req.body, [ID_FIELD]: current[ID_FIELD] };
+            await turso.execute(
+                'UPDATE resource_records SET data = ?, updated_at = ? WHERE record_id = ?',
+                [JSON.stringify(updated), now, record.record_id]
+            );
+            return { status: 200, body: updated };
+        }
+        case 'DELETE':
+            await turso.execute('DELETE FROM resource_records WHERE record_id = ?', [record.record_id]);
+            return { status: 204, body: '' };
+        default:
+            return { status: 405, body: { error: 'METHOD_NOT_ALLOWED', message: `${method} is not supported on an item` } };
+    }
+}
+
+module.exports = { handleResourceRequest, resetResource, parseSeedItems };
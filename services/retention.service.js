@@ -0,0 +1,129 @@
+const turso = require('../db');
+const { PLAN_LIMITS, getOrgPlan, currentUsageMonth } = require('../middleware/billing');
+
+/**
+ * services/retention.service.js
+ *
+ * Request log retention. Each owner keeps request_logs for their plan's
+ * `requestLogsRetentionDays`: orgs with an active subscription get that
+ * plan's retention, everyone else (personal projects, orgs without a
+ * subscription, logs of deleted projects) the free plan's.
+ *
+ * Pruning runs in-process every REQUEST_LOG_PRUNE_INTERVAL_MS and can be
+ * triggered through the admin API. Pruned rows from the current month are
+ * added to pruned_request_counts first, so monthly quotas still count them.
+ */
+
+const FREE_PLAN = 'free_org';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = Number(process.env.REQUEST_LOG_PRUNE_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+const FIRST_PRUNE_DELAY_MS = 60 * 1000;
+
+let pruneTimer = null;
+
+const paidPlans = () => Object.keys(PLAN_LIMITS).filter((plan) => plan !== FREE_PLAN);
+
+/**
+ * Oldest created_at a plan's owners still see.
+ */
+function retentionCutoff(planKey, now = Date.now()) {
+    const { requestLogsRetentionDays } = PLAN_LIMITS[planKey] || PLAN_LIMITS[FREE_PLAN];
+    return new Date(now - requestLogsRetentionDays * DAY_MS).toISOString();
+}
+
+/**
+ * Retention of the logs of a project owned by `orgId` (null for personal projects).
+ *
+ * @returns {Promise<{ days: number, cutoff: string }>}
+ */
+async function logRetention(orgId) {
+    const plan = await getOrgPlan(orgId);
+    return {
+        days: (PLAN_LIMITS[plan] || PLAN_LIMITS[FREE_PLAN]).requestLogsRetentionDays,
+        cutoff: retentionCutoff(plan),
+    };
+}
+
+/**
+ * The request_logs rows (alias rl) a plan's retention applies to.
+ */
+function planScope(planKey) {
+    if (planKey !== FREE_PLAN) {
+        return {
+            where: `rl.project_id IN (SELECT project_id FROM projects WHERE org_id IN (
+                SELECT org_id FROM subscriptions WHERE status = 'active' AND org_id IS NOT NULL AND plan_key = ?))`,
+            values: [planKey],
+        };
+    }
+    const paid = paidPlans();
+    const placeholders = paid.map(() => '?').join(', ') || 'NULL';
+    return {
+        where: `(rl.project_id IS NULL OR rl.project_id NOT IN (SELECT project_id FROM projects WHERE org_id IN (
+                SELECT org_id FROM subscriptions WHERE status = 'active' AND org_id IS NOT NULL AND plan_key IN (${placeholders}))))`,
+        values: paid,
+    };
+}
+
+/**
+ * Delete every request log older than its owner's retention.
+ *
+ * @param {object} [options]
+ * @param {number} [options.now] - Timestamp retention is measured from (defaults to now)
+ * @returns {Promise<{ deleted: number, plans: Record<string, { cutoff: string, deleted: number }> }>}
+ */
+async function pruneRequestLogs({ now = Date.now() } = {}) {
+    const { month, start } = currentUsageMonth();
+    const plans = {};
+    let deleted = 0;
+
+    for (const planKey of [...paidPlans(), FREE_PLAN]) {
+        const cutoff = retentionCutoff(planKey, now);
+        const { where, values } = planScope(planKey);
+        // One transaction: the quota keeps counting exactly the rows that are deleted
+        const [, deletion] = await turso.batch([
+            {
+                sql: `INSERT INTO pruned_request_counts (owner_key, month, request_count)
+                      SELECT COALESCE(p.org_id, 'u:' || p.user_id), ?, COUNT(*)
+                      FROM request_logs rl
+                      INNER JOIN projects p ON rl.project_id = p.project_id
+                      WHERE rl.created_at < ? AND rl.created_at >= ? AND ${where}
+                      GROUP BY 1
+                      ON CONFLICT (owner_key, month) DO UPDATE SET request_count = request_count + excluded.request_count`,
+                args: [month, cutoff, start, ...values],
+            },
+            {
+                sql: `DELETE FROM request_logs AS rl WHERE rl.created_at < ? AND ${where}`,
+                args: [cutoff, ...values],
+            },
+        ], 'write');
+        plans[planKey] = { cutoff, deleted: deletion.rowsAffected };
+        deleted += deletion.rowsAffected;
+    }
+
+    return { deleted, plans };
+}
+
+/**
+ * Prune a minute after startup, then every PRUNE_INTERVAL_MS. The timers never keep the process alive.
+ */
+function startRequestLogPruning() {
+    if (pruneTimer) return;
+    const run = async () => {
+        try {
+            const { deleted } = await pruneRequestLogs();
+            if (deleted > 0) console.log(`🧹 Pruned ${deleted} request logs past retention`);
+        } catch (error) {
+            console.error('Request log pruning error:', error);
+        }
+    };
+    setTimeout(run, FIRST_PRUNE_DELAY_MS).unref();
+    pruneTimer = setInterval(run, PRUNE_INTERVAL_MS);
+    pruneTimer.unref();
+}
+
+module.exports = {
+    retentionCutoff,
+    logRetention,
+    pruneRequestLogs,
+    startRequestLogPruning,
+};
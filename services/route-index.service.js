@@ -0,0 +1,156 @@
+const turso = require('../db');
+const { comparePathSpecificity, compileConditions } = require('../utils/execution');
+const { compileRequestMatchers } = require('../utils/matchers');
+
+/**
+ * services/route-index.service.js
+ *
+ * In-memory route index for mock execution: a project's active mocks, grouped
+ * by method and pre-sorted by path specificity, with their responses. Built on
+ * the first /m/ request for a project (two queries) and reused until a write
+ * invalidates it, so executing a mock no longer reads mocks or responses from
+ * the database. Request matchers and response conditions are parsed (and their
+ * regexes compiled) once per build, as `compiledMatchers` / `compiledConditions`.
+ *
+ * Every code path that writes mocks or mock_responses must await
+ * invalidateRouteIndex (or invalidateMockRoutes) afterwards. Besides dropping
+ * the local entry, that bumps projects.routes_version; an index is only reused
+ * while the version in the project row it is requested with still matches, so
+ * instances sharing the database see each other's edits on the next request.
+ */
+
+const MAX_INDEXED_PROJECTS = 200;
+
+// project_id → { promise, version, ready }
+const indexes = new Map();
+// mock_id → project_id for indexed projects, so writes that only know the mock can invalidate
+const projectOfMock = new Map();
+
+const bySpecificity = (a, b) => comparePathSpecificity(a.path, b.path);
+
+async function buildIndex(projectId) {
+    const [mocksResult, responsesResult] = await Promise.all([
+        turso.execute(
+            'SELECT * FROM mocks WHERE project_id = ? AND is_active = 1 ORDER BY created_at ASC, rowid ASC',
+            [projectId]
+        ),
+        turso.execute(
+            `SELECT r.* FROM mock_responses r
+             INNER JOIN mocks m ON r.mock_id = m.mock_id
+             WHERE m.project_id = ? AND m.is_active = 1
+             ORDER BY r.created_at ASC, r.rowid ASC`,
+            [projectId]
+        ),
+    ]);
+
+    const byMethod = new Map();
+    const resources = [];
+    for (const row of mocksResult.rows) {
+        const mock = { ...row, compiledMatchers: compileRequestMatchers(row.request_matchers) };
+        projectOfMock.set(mock.mock_id, projectId);
+        if (mock.is_resource) {
+            resources.push(mock);
+            continue;
+        }
+        if (!byMethod.has(mock.method)) byMethod.set(mock.method, []);
+        byMethod.get(mock.method).push(mock);
+    }
+    // Stable sorts: equally specific mocks keep their creation order
+    for (const mocks of byMethod.values()) mocks.sort(bySpecificity);
+    resources.sort(bySpecificity);
+
+    const responsesByMock = new Map();
+    for (const row of responsesResult.rows) {
+        const response = { ...row, compiledConditions: compileConditions(row) };
+        if (!responsesByMock.has(response.mock_id)) responsesByMock.set(response.mock_id, []);
+        responsesByMock.get(response.mock_id).push(response);
+    }
+
+    return {
+        /** Active non-resource mocks for a method, most specific path first. */
+        mocksFor: (method) => byMethod.get(method) || [],
+        /** Active resource mocks, most specific path first. */
+        resources,
+        /**
+         * A mock's responses — in creation order for sequences, otherwise the
+         * default first (the order pickResponse expects).
+         */
+        responsesFor(mockId, { sequential = false } = {}) {
+            const responses = responsesByMock.get(mockId) || [];
+            return sequential ? responses : [...responses].sort((a, b) => (b.is_default || 0) - (a.is_default || 0));
+        },
+    };
+}
+
+/**
+ * Drop a project's local index (and its mocks from projectOfMock).
+ */
+function dropIndex(projectId) {
+    indexes.delete(projectId);
+    for (const [mockId, owner] of projectOfMock) {
+        if (owner === projectId) projectOfMock.delete(mockId);
+    }
+}
+
+/**
+ * The route index for a project, built on first use and rebuilt once the
+ * project's routes_version moves on.
+ *
+ * @param {{ project_id: string, routes_version?: number }} project - Project row
+ */
+async function getRouteIndex(project) {
+    const projectId = project.project_id;
+    const version = Number(project.routes_version) || 0;
+    const cached = indexes.get(projectId);
+    if (cached && cached.version === version) return cached.promise;
+
+    if (cached) {
+        dropIndex(projectId);
+    } else if (indexes.size >= MAX_INDEXED_PROJECTS) {
+        dropIndex(indexes.keys().next().value);
+    }
+    const entry = { promise: buildIndex(projectId), version, ready: false };
+    indexes.set(projectId, entry);
+    entry.promise.then(() => { entry.ready = true; }, () => {});
+    // A failed build is not cached; the next request tries again
+    entry.promise.catch(() => {
+        if (indexes.get(projectId) === entry) indexes.delete(projectId);
+    });
+    return entry.promise;
+}
+
+/**
+ * Invalidate a project's index after its mocks or responses changed, on this
+ * instance and (through routes_version) on every other.
+ */
+async function invalidateRouteIndex(projectId) {
+    if (!projectId) return;
+    dropIndex(projectId);
+    await turso.execute('UPDATE projects SET routes_version = routes_version + 1 WHERE project_id = ?', [projectId]);
+}
+
+/**
+ * Invalidate the index of the project a mock belongs to. An unknown mock may
+ * belong to an index still being built, so those are dropped too; indexes that
+ * are built without the mock are unaffected.
+ */
+async function invalidateMockRoutes(mockId) {
+    const projectId = projectOfMock.get(mockId);
+    if (projectId) {
+        dropIndex(projectId);
+    } else {
+        for (const [pendingProjectId, entry] of indexes) {
+            if (!entry.ready) dropIndex(pendingProjectId);
+        }
+    }
+    await turso.execute(
+        'UPDATE projects SET routes_version = routes_version + 1 WHERE project_id = (SELECT project_id FROM mocks WHERE mock_id = ?)',
+        [mockId]
+    );
+}
+
+module.exports = {
+    getRouteIndex,
+    invalidateRouteIndex,
+    invalidateMockRoutes,
+};
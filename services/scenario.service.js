@@ -0,0 +1,162 @@
+const { v4: uuidv4 } = require('uuid');
+const turso = require('../db');
+
+/**
+ * services/scenario.service.js
+ *
+ * Project scenarios: named states (happy-path, empty-state, server-down, ...)
+ * that pin which mock_responses row each mock serves. A scenario is stored in
+ * `scenarios`; its pins in `scenario_responses` (one row per mock). Mocks
+ * without a pin behave normally while the scenario is active.
+ *
+ * The active scenario is projects.active_scenario_id, overridden per request
+ * by the X-Mockbird-Scenario header (scenario name or id).
+ */
+
+const SCENARIO_HEADER = 'x-mockbird-scenario';
+const SCENARIO_NAME = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+/**
+ * Check a scenario name. Returns an error message or null.
+ * Names travel in a header, so they are kept to URL-safe characters.
+ */
+function checkScenarioName(name) {
+    if (typeof name !== 'string' || !SCENARIO_NAME.test(name)) {
+        return 'name must be 1-64 letters, digits, ".", "_" or "-", e.g. "happy-path"';
+    }
+    return null;
+}
+
+/**
+ * Pins of a scenario as { [mockId]: responseId }.
+ */
+async function loadPins(scenarioId) {
+    const result = await turso.execute(
+        'SELECT mock_id, response_id FROM scenario_responses WHERE scenario_id = ?',
+        [scenarioId]
+    );
+    return Object.fromEntries(result.rows.map((row) => [row.mock_id, row.response_id]));
+}
+
+/**
+ * Check that every pin names a response of the given mock within the project.
+ * Returns an error message or null.
+ *
+ * @param {string} projectId
+ * @param {Record<string, string|null>} pins - mockId → responseId (null removes a pin)
+ */
+async function checkPins(projectId, pins) {
+    if (!pins || typeof pins !== 'object' || Array.isArray(pins)) {
+        return 'responses must be an object mapping mock ids to response ids';
+    }
+    for (const [mockId, responseId] of Object.entries(pins)) {
+        if (responseId === null) continue;
+        const found = await turso.execute(
+            `SELECT r.response_id FROM mock_responses r
+             INNER JOIN mocks m ON r.mock_id = m.mock_id
+             WHERE r.response_id = ? AND r.mock_id = ? AND m.project_id = ?`,
+            [String(responseId), mockId, projectId]
+        );
+        if (found.rows.length === 0) return `Response ${responseId} does not belong to mock ${mockId} in this project`;
+    }
+    return null;
+}
+
+/**
+ * Apply pin changes: set each mock's pinned response, removing pins set to null.
+ */
+async function savePins(scenarioId, pins) {
+    for (const [mockId, responseId] of Object.entries(pins)) {
+        await turso.execute('DELETE FROM scenario_responses WHERE scenario_id = ? AND mock_id = ?', [scenarioId, mockId]);
+        if (responseId === null) continue;
+        await turso.execute(
+            'INSERT INTO scenario_responses (scenario_id, mock_id, response_id) VALUES (?, ?, ?)',
+            [scenarioId, mockId, String(responseId)]
+        );
+    }
+}
+
+/**
+ * Find a project's scenario by id or name.
+ */
+async function findScenario(projectId, idOrName) {
+    const result = await turso.execute(
+        'SELECT * FROM scenarios WHERE project_id = ? AND (scenario_id = ? OR name = ?)',
+        [projectId, String(idOrName), String(idOrName)]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * The scenario in effect for a mock request: the X-Mockbird-Scenario header
+ * when present, otherwise the project's active scenario.
+ *
+ * @returns {Promise<{ scenario: object|null, requested: string|null }>}
+ *   `requested` is the header value when it named no scenario
+ */
+async function resolveScenario(project, req) {
+    const requested = req.headers[SCENARIO_HEADER];
+    if (requested) {
+        const scenario = await findScenario(project.project_id, requested);
+        return { scenario, requested: scenario ? null : String(requested) };
+    }
+    if (!project.active_scenario_id) return { scenario: null, requested: null };
+    return { scenario: await findScenario(project.project_id, project.active_scenario_id), requested: null };
+}
+
+/**
+ * The response a scenario pins for a mock, picked from the mock's responses.
+ * Null when the mock has no pin (or its pinned response was deleted).
+ */
+async function pinnedResponse(scenarioId, mockId, responses) {
+    const result = await turso.execute(
+        'SELECT response_id FROM scenario_responses WHERE scenario_id = ? AND mock_id = ?',
+        [scenarioId, mockId]
+    );
+    const pin = result.rows[0];
+    return pin ? responses.find((r) => r.response_id === pin.response_id) || null : null;
+}
+
+/**
+ * Copy a project's scenarios onto its duplicate, translating mock and
+ * response ids through the given maps. Returns the old → new scenario id map.
+ *
+ * @param {string} fromProjectId
+ * @param {string} toProjectId
+ * @param {Map<string, string>} idMap - Old mock and response ids → new ids
+ */
+async function copyScenarios(fromProjectId, toProjectId, idMap) {
+    const scenarioIds = new Map();
+    const now = new Date().toISOString();
+    const scenarios = await turso.execute('SELECT * FROM scenarios WHERE project_id = ?', [fromProjectId]);
+    for (const scenario of scenarios.rows) {
+        const newScenarioId = uuidv4();
+        scenarioIds.set(scenario.scenario_id, newScenarioId);
+        await turso.execute(
+            `INSERT INTO scenarios (scenario_id, project_id, name, description, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [newScenarioId, toProjectId, scenario.name, scenario.description, now, now]
+        );
+        const pins = await loadPins(scenario.scenario_id);
+        for (const [mockId, responseId] of Object.entries(pins)) {
+            if (!idMap.has(mockId) || !idMap.has(responseId)) continue;
+            await turso.execute(
+                'INSERT INTO scenario_responses (scenario_id, mock_id, response_id) VALUES (?, ?, ?)',
+                [newScenarioId, idMap.get(mockId), idMap.get(responseId)]
+            );
+        }
+    }
+    return scenarioIds;
+}
+
+module.exports = {
+    SCENARIO_HEADER,
+    checkScenarioName,
+    loadPins,
+    checkPins,
+    savePins,
+    findScenario,
+    resolveScenario,
+    pinnedResponse,
+    copyScenarios,
+};
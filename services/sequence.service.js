@@ -0,0 +1,104 @@
+const turso = require('../db');
+
+/**
+ * services/sequence.service.js
+ *
+ * Call counters for mocks with a non-random selection_mode (see
+ * pickInSequence in utils/execution.js). Counters live in `response_sequences`,
+ * one row per mock and client key. mocks.sequence_scope decides the key:
+ *
+ *   global        → every caller shares one counter (the default)
+ *   ip            → one counter per client IP
+ *   header:<name> → one counter per value of a request header, e.g. header:x-session-id
+ *
+ * Keys come from the caller, so a mock keeps at most SEQUENCE_KEYS_PER_MOCK
+ * counters: a new key replaces the least recently used one.
+ */
+
+const SEQUENCE_SCOPES = ['global', 'ip'];
+const HEADER_SCOPE = /^header:([A-Za-z0-9!#$%&'*+.^_`|~-]+)$/;
+const MAX_KEYS_PER_MOCK = Number(process.env.SEQUENCE_KEYS_PER_MOCK) || 1000;
+const MAX_KEY_LENGTH = 200;
+
+/**
+ * Check a sequence_scope value from the API. Returns an error message or null.
+ */
+function checkSequenceScope(scope) {
+    if (SEQUENCE_SCOPES.includes(scope) || HEADER_SCOPE.test(scope)) return null;
+    return 'sequenceScope must be "global", "ip" or "header:<name>"';
+}
+
+/**
+ * The counter key for this request under the mock's sequence_scope, cut to
+ * MAX_KEY_LENGTH characters. Requests without the scoping header share the empty key.
+ */
+function sequenceClientKey(mock, req) {
+    const scope = mock.sequence_scope || 'global';
+    if (scope === 'ip') return String(req.ip || req.socket?.remoteAddress || '').replace(/^::ffff:/, '');
+    const header = HEADER_SCOPE.exec(scope);
+    if (header) return String(req.headers[header[1].toLowerCase()] ?? '').slice(0, MAX_KEY_LENGTH);
+    return '';
+}
+
+/**
+ * Count a call and return how many calls this client made before it (0 for the first).
+ *
+ * @param {object} mock - Mock row
+ * @param {object} req - Express request
+ * @returns {Promise<number>}
+ */
+async function nextSequencePosition(mock, req) {
+    const result = await turso.execute(
+        `INSERT INTO response_sequences (mock_id, project_id, client_key, calls, updated_at)
+         VALUES (?, ?, ?, 1, ?)
+         ON CONFLICT (mock_id, client_key) DO UPDATE SET calls = calls + 1, updated_at = excluded.updated_at
+         RETURNING calls`,
+        [mock.mock_id, mock.project_id, sequenceClientKey(mock, req), new Date().toISOString()]
+    );
+    const calls = Number(result.rows[0].calls);
+
+    // A new key: drop the least recently used ones beyond the limit
+    if (calls === 1) {
+        await turso.execute(
+            `DELETE FROM response_sequences WHERE mock_id = ? AND rowid NOT IN (
+                SELECT rowid FROM response_sequences WHERE mock_id = ? ORDER BY updated_at DESC, rowid DESC LIMIT ?
+             )`,
+            [mock.mock_id, mock.mock_id, MAX_KEYS_PER_MOCK]
+        );
+    }
+    return calls - 1;
+}
+
+/**
+ * Restart a mock's sequence — for one client key, or for every client when
+ * `clientKey` is undefined.
+ *
+ * @returns {Promise<number>} Number of counters cleared
+ */
+async function resetSequence(mockId, clientKey) {
+    const result = clientKey === undefined
+        ? await turso.execute('DELETE FROM response_sequences WHERE mock_id = ?', [mockId])
+        : await turso.execute('DELETE FROM response_sequences WHERE mock_id = ? AND client_key = ?', [mockId, String(clientKey).slice(0, MAX_KEY_LENGTH)]);
+    return result.rowsAffected;
+}
+
+/**
+ * Restart the sequences of every mock in a project, for every client.
+ *
+ * @returns {Promise<number>} Number of counters cleared
+ */
+async function resetProjectSequences(projectId) {
+    const result = await turso.execute(
+        'DELETE FROM response_sequences WHERE mock_id IN (SELECT mock_id FROM mocks WHERE project_id = ?)',
+        [projectId]
+    );
+    return result.rowsAffected;
+}
+
+module.exports = {
+    checkSequenceScope,
+    sequenceClientKey,
+    nextSequencePosition,
+    resetSequence,
+    resetProjectSequences,
+};
@@ -0,0 +1,283 @@
+const { v4: uuidv4 } = require('uuid');
+const { WebSocketServer } = require('ws');
+const turso = require('../db');
+const { matchPath, comparePathSpecificity } = require('../utils/execution');
+const { renderTemplate, buildTemplateContext } = require('../utils/templating');
+const { checkMonthlyQuota, incrementMonthlyCounter } = require('../middleware/billing');
+const { parseWsScript, parseMessage, matchReply } = require('../utils/websocket');
+const { queueRequestLog } = require('./request-log.service');
+
+/**
+ * services/websocket.service.js
+ *
+ * WebSocket mock endpoints, served at /m/:projectSlug/ws/<path> on the same
+ * HTTP server as the REST mocks. Endpoints live in `ws_endpoints`; their
+ * scripts (see utils/websocket.js) are run here, one set of timers per
+ * connection, cleared when the socket closes.
+ *
+ * Each server instance keeps at most WS_PROJECT_CONNECTION_LIMIT sockets open
+ * per project and WS_IP_CONNECTION_LIMIT per client IP; further upgrades are
+ * refused with 429.
+ */
+
+const WS_URL = /^\/m\/([^/]+)\/ws(\/.*)?$/;
+const MAX_PAYLOAD_BYTES = 1024 * 1024;
+const MAX_CONNECTIONS_PER_PROJECT = Number(process.env.WS_PROJECT_CONNECTION_LIMIT) || 100;
+const MAX_CONNECTIONS_PER_IP = Number(process.env.WS_IP_CONNECTION_LIMIT) || 20;
+
+// endpoint_id → open sockets, for broadcast replies
+const clientsByEndpoint = new Map();
+
+// project_id / client IP → open sockets
+const connectionsByProject = new Map();
+const connectionsByIp = new Map();
+
+function countConnection(counts, key, delta) {
+    const next = (counts.get(key) || 0) + delta;
+    if (next > 0) counts.set(key, next);
+    else counts.delete(key);
+}
+
+/**
+ * The client IP as Express reports req.ip with 'trust proxy' set to 1 (see
+ * index.js): the last X-Forwarded-For entry, else the socket address.
+ */
+function clientIp(req) {
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').pop().trim();
+    return (forwarded || req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+}
+
+/**
+ * Find the endpoint for a path: the most specific matching pattern (see comparePathSpecificity).
+ */
+async function findWsEndpoint(projectId, endpointPath) {
+    const result = await turso.execute(
+        'SELECT * FROM ws_endpoints WHERE project_id = ? AND is_active = 1 ORDER BY created_at ASC',
+        [projectId]
+    );
+    const endpoints = [...result.rows].sort((a, b) => comparePathSpecificity(a.path, b.path));
+    for (const endpoint of endpoints) {
+        const match = matchPath(endpoint.path, endpointPath);
+        if (match.isMatch) return { endpoint, pathParams: match.params };
+    }
+    return null;
+}
+
+/**
+ * Answer an upgrade request with a plain HTTP error and close the socket.
+ */
+function rejectUpgrade(socket, status, statusText, payload) {
+    const body = JSON.stringify(payload);
+    socket.write(
+        `HTTP/1.1 ${status} ${statusText}\r\n`
+        + 'Content-Type: application/json\r\n'
+        + `Content-Length: ${Buffer.byteLength(body)}\r\n`
+        + 'Connection: close\r\n\r\n'
+        + body
+    );
+    socket.destroy();
+}
+
+function logConnection({ endpoint, project, req, requestPath }) {
+    const headers = { ...req.headers };
+    delete headers['cookie'];
+    delete headers['authorization'];
+    delete headers['x-api-key'];
+
+    queueRequestLog({
+        log_id: uuidv4(),
+        project_id: project.project_id,
+        request_path: requestPath,
+        request_method: 'GET',
+        request_headers: JSON.stringify(headers),
+        request_body: '',
+        request_query: JSON.stringify(Object.fromEntries(new URL(req.url, 'http://localhost').searchParams)),
+        response_status: 101,
+        response_time_ms: 0,
+        response_headers: '{}',
+        response_body: `[websocket ${endpoint.name || endpoint.path}]`,
+        ip_address: clientIp(req),
+        user_agent: req.headers['user-agent'] || '',
+        created_at: new Date().toISOString(),
+    });
+}
+
+/**
+ * Run an endpoint's script on a freshly opened socket.
+ */
+function runScript(ws, { endpoint, pathParams, handshake, endpointPath }) {
+    const script = parseWsScript(endpoint);
+    const timers = new Set();
+    const clients = clientsByEndpoint.get(endpoint.endpoint_id) || new Set();
+    clientsByEndpoint.set(endpoint.endpoint_id, clients);
+    clients.add(ws);
+
+    const later = (ms, fn) => {
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            fn();
+        }, ms || 0);
+        timers.add(timer);
+    };
+
+    // Strings are templates; objects are sent as JSON
+    const render = (data, message) => {
+        const text = typeof data === 'string' ? data : JSON.stringify(data);
+        const context = buildTemplateContext({ ...handshake, method: 'GET', body: message }, pathParams, endpointPath);
+        try {
+            return renderTemplate(text, context, { json: typeof data !== 'string' });
+        } catch (err) {
+            console.warn(`Template render failed for ws endpoint ${endpoint.endpoint_id}:`, err.message);
+            return text;
+        }
+    };
+    const send = (socket, text) => {
+        if (socket.readyState === socket.OPEN) socket.send(text);
+    };
+
+    for (const message of script.onConnect) {
+        later(message.delay, () => send(ws, render(message.data, {})));
+    }
+
+    for (const broadcast of script.broadcasts) {
+        const timer = setInterval(() => send(ws, render(broadcast.data, {})), broadcast.intervalMs);
+        timers.add(timer);
+    }
+
+    if (script.close) {
+        later(script.close.afterMs, () => ws.close(script.close.code || 1000, script.close.reason || ''));
+    }
+
+    ws.on('message', (raw) => {
+        const message = parseMessage(raw);
+        const reply = matchReply(script.replies, message, handshake, pathParams);
+        if (!reply) return;
+
+        later(reply.delay, () => {
+            if (reply.data !== undefined) {
+                const text = render(reply.data, message);
+                for (const socket of reply.broadcast ? clients : [ws]) send(socket, text);
+            }
+            if (reply.close) ws.close(reply.close.code || 1000, reply.close.reason || '');
+        });
+    });
+
+    ws.on('close', () => {
+        for (const timer of timers) clearTimeout(timer);
+        timers.clear();
+        clients.delete(ws);
+        if (clients.size === 0) clientsByEndpoint.delete(endpoint.endpoint_id);
+    });
+}
+
+async function handleUpgrade(wss, req, socket, head, [, projectSlug, rest]) {
+    const endpointPath = rest || '/';
+
+    const projectResult = await turso.execute('SELECT * FROM projects WHERE slug = ?', [projectSlug]);
+    const project = projectResult.rows[0];
+    if (!project) {
+        return rejectUpgrade(socket, 404, 'Not Found', {
+            error: 'PROJECT_NOT_FOUND',
+            message: `No project found with slug "${projectSlug}"`,
+        });
+    }
+
+    const quota = await checkMonthlyQuota(project.org_id, project.user_id);
+    if (!quota.allowed) {
+        return rejectUpgrade(socket, 429, 'Too Many Requests', {
+            error: 'MONTHLY_QUOTA_EXCEEDED',
+            message: 'This project has exceeded its monthly request quota.',
+            used: quota.used,
+            limit: quota.limit,
+        });
+    }
+
+    const match = await findWsEndpoint(project.project_id, endpointPath);
+    if (!match) {
+        return rejectUpgrade(socket, 404, 'Not Found', {
+            error: 'WS_ENDPOINT_NOT_FOUND',
+            message: `No WebSocket endpoint found for ${endpointPath}`,
+        });
+    }
+
+    const ip = clientIp(req);
+    if ((connectionsByProject.get(project.project_id) || 0) >= MAX_CONNECTIONS_PER_PROJECT
+        || (connectionsByIp.get(ip) || 0) >= MAX_CONNECTIONS_PER_IP) {
+        return rejectUpgrade(socket, 429, 'Too Many Requests', {
+            error: 'TOO_MANY_CONNECTIONS',
+            message: `WebSocket mocks allow ${MAX_CONNECTIONS_PER_PROJECT} open connections per project and ${MAX_CONNECTIONS_PER_IP} per client.`,
+        });
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const handshake = {
+        headers: req.headers,
+        query: Object.fromEntries(url.searchParams),
+        ip,
+    };
+
+    // No await between the check above and this callback, so the counts cannot be overtaken
+    wss.handleUpgrade(req, socket, head, (ws) => {
+        countConnection(connectionsByProject, project.project_id, 1);
+        countConnection(connectionsByIp, ip, 1);
+        ws.on('close', () => {
+            countConnection(connectionsByProject, project.project_id, -1);
+            countConnection(connectionsByIp, ip, -1);
+        });
+        incrementMonthlyCounter(project.org_id, project.user_id);
+        logConnection({ endpoint: match.endpoint, project, req, requestPath: `/ws${rest || ''}` });
+        runScript(ws, { endpoint: match.endpoint, pathParams: match.pathParams, handshake, endpointPath });
+    });
+}
+
+/**
+ * Serve WebSocket mocks on an HTTP server. Upgrade requests outside
+ * /m/:projectSlug/ws/... are refused with 404.
+ *
+ * @param {import('http').Server} server
+ * @returns {WebSocketServer}
+ */
+function attachWebSocketServer(server) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+
+    server.on('upgrade', (req, socket, head) => {
+        const match = WS_URL.exec(new URL(req.url, 'http://localhost').pathname);
+        if (!match) {
+            return rejectUpgrade(socket, 404, 'Not Found', { error: 'NOT_FOUND', message: 'WebSocket mocks live under /m/:projectSlug/ws/' });
+        }
+        handleUpgrade(wss, req, socket, head, match).catch((error) => {
+            console.error('WebSocket upgrade error:', error);
+            rejectUpgrade(socket, 500, 'Internal Server Error', { error: 'INTERNAL_ERROR', message: 'An error occurred while opening the WebSocket' });
+        });
+    });
+
+    // Shut the WebSocket side down with the HTTP server
+    server.on('close', () => {
+        for (const ws of wss.clients) ws.terminate();
+        wss.close();
+    });
+
+    return wss;
+}
+
+/**
+ * Copy every WebSocket endpoint of a project onto its duplicate.
+ */
+async function copyWsEndpoints(fromProjectId, toProjectId) {
+    const endpoints = await turso.execute('SELECT * FROM ws_endpoints WHERE project_id = ? ORDER BY created_at ASC', [fromProjectId]);
+    const now = new Date().toISOString();
+    for (const endpoint of endpoints.rows) {
+        await turso.execute(
+            `INSERT INTO ws_endpoints (endpoint_id, project_id, name, path, is_active, on_connect, replies, broadcasts, close_config, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [uuidv4(), toProjectId, endpoint.name, endpoint.path, endpoint.is_active,
+                endpoint.on_connect, endpoint.replies, endpoint.broadcasts, endpoint.close_config, now, now]
+        );
+    }
+}
+
+module.exports = {
+    findWsEndpoint,
+    attachWebSocketServer,
+    copyWsEndpoints,
+};
@@ -0,0 +1,225 @@
+'use strict';
+
+/**
+ * tests/integration/assets.test.js
+ *
+ * Integration tests for project assets (/projects/:id/assets) and file
+ * responses (mock_responses.kind = 'file') served from /m/:slug/*path.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const turso = require('../../db');
+const { PLAN_LIMITS } = require('../../middleware/billing');
+const { buildTestApp, ensureTestUser } = require('../setup/testApp');
+
+let app;
+
+// 1x1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+const PDF = Buffer.from('%PDF-1.4\n% invoice 2024-001\n%%EOF\n');
+
+beforeAll(async () => {
+    await ensureTestUser();
+    app = buildTestApp();
+});
+
+beforeEach(async () => {
+    await turso.execute('DELETE FROM assets');
+    await turso.execute('DELETE FROM request_logs');
+    await turso.execute('DELETE FROM mock_responses');
+    await turso.execute('DELETE FROM mocks');
+    await turso.execute('DELETE FROM projects');
+});
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Collect the raw response bytes whatever the content type. */
+function binary(res, callback) {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+async function createProject(name) {
+    return (await request(app).post('/projects').send({ name })).body.data;
+}
+
+async function uploadRaw(projectId, filename, contentType, data) {
+    const res = await request(app)
+        .post(`/projects/${projectId}/assets?filename=${encodeURIComponent(filename)}`)
+        .set('Content-Type', contentType)
+        .send(data);
+    expect(res.status).toBe(201);
+    return res.body.data;
+}
+
+async function createFileMock(project, path, asset, extra = {}) {
+    const mock = (await request(app).post(`/projects/${project.project_id}/mocks`).send({ name: path, path, method: 'GET' })).body.data;
+    const res = await request(app).post(`/mocks/${mock.mock_id}/responses`).send({ name: 'File', kind: 'file', assetId: asset.asset_id, isDefault: true, ...extra });
+    expect(res.status).toBe(201);
+    return { mock, response: res.body.data };
+}
+
+// ─── Assets ───────────────────────────────────────────────────────────────────
+
+describe('/projects/:id/assets', () => {
+    test('uploads raw and base64 files and lists their metadata', async () => {
+        const project = await createProject('assets-upload');
+        const png = await uploadRaw(project.project_id, 'avatar.png', 'image/png', PNG);
+        expect(png).toMatchObject({ filename: 'avatar.png', content_type: 'image/png', size_bytes: PNG.length });
+        expect(png.data).toBeUndefined();
+
+        const pdf = await request(app).post(`/projects/${project.project_id}/assets`).send({
+            filename: '../invoice.pdf', contentType: 'application/pdf', data: PDF.toString('base64'),
+        });
+        expect(pdf.status).toBe(201);
+        expect(pdf.body.data.filename).toBe('invoice.pdf');
+
+        const list = await request(app).get(`/projects/${project.project_id}/assets`);
+        expect(list.body.data.map((a) => a.filename)).toEqual(['avatar.png', 'invoice.pdf']);
+
+        const content = await request(app).get(`/projects/${project.project_id}/assets/${png.asset_id}/content`).buffer(true).parse(binary);
+        expect(content.body.equals(PNG)).toBe(true);
+    });
+
+    test('rejects uploads without a name or body', async () => {
+        const project = await createProject('assets-invalid');
+        const noName = await request(app).post(`/projects/${project.project_id}/assets`).set('Content-Type', 'image/png').send(PNG);
+        expect(noName.status).toBe(400);
+        const noData = await request(app).post(`/projects/${project.project_id}/assets`).send({ filename: 'x.png' });
+        expect(noData.status).toBe(400);
+    });
+
+    test('accepts base64 uploads larger than the default JSON limit', async () => {
+        const project = await createProject('assets-base64-large');
+        const data = Buffer.alloc(1024 * 1024, 7);
+        const res = await request(app).post(`/projects/${project.project_id}/assets`).send({
+            filename: 'blob.bin', contentType: 'application/octet-stream', data: data.toString('base64'),
+        });
+        expect(res.status).toBe(201);
+        expect(res.body.data.size_bytes).toBe(data.length);
+    });
+
+    test('enforces the plan asset count and total size', async () => {
+        const project = await createProject('assets-limits');
+        for (let i = 0; i < PLAN_LIMITS.free_org.maxAssets; i++) {
+            await uploadRaw(project.project_id, `f${i}.pdf`, 'application/pdf', PDF);
+        }
+        const overCount = await request(app)
+            .post(`/projects/${project.project_id}/assets?filename=extra.pdf`).set('Content-Type', 'application/pdf').send(PDF);
+        expect(overCount.status).toBe(403);
+        expect(overCount.body).toMatchObject({ error: 'PLAN_LIMIT_REACHED', limit: PLAN_LIMITS.free_org.maxAssets });
+
+        await turso.execute('DELETE FROM assets');
+        const { maxAssetBytes } = PLAN_LIMITS.free_org;
+        PLAN_LIMITS.free_org.maxAssetBytes = PNG.length + PDF.length - 1;
+        try {
+            await uploadRaw(project.project_id, 'avatar.png', 'image/png', PNG);
+            const overSize = await request(app)
+                .post(`/projects/${project.project_id}/assets?filename=big.pdf`).set('Content-Type', 'application/pdf').send(PDF);
+            expect(overSize.status).toBe(403);
+            expect(overSize.body.current).toBe(PNG.length);
+        } finally {
+            PLAN_LIMITS.free_org.maxAssetBytes = maxAssetBytes;
+        }
+    });
+
+    test('refuses to delete an asset that a response uses', async () => {
+        const project = await createProject('assets-delete');
+        const asset = await uploadRaw(project.project_id, 'avatar.png', 'image/png', PNG);
+        const { mock, response } = await createFileMock(project, '/avatar', asset);
+
+        expect((await request(app).delete(`/projects/${project.project_id}/assets/${asset.asset_id}`)).status).toBe(409);
+        await request(app).delete(`/mocks/${mock.mock_id}/responses/${response.response_id}`);
+        expect((await request(app).delete(`/projects/${project.project_id}/assets/${asset.asset_id}`)).status).toBe(200);
+    });
+});
+
+// ─── File responses ───────────────────────────────────────────────────────────
+
+describe('file responses', () => {
+    test('serve the asset with its type, length and disposition', async () => {
+        const project = await createProject('assets-serve');
+        const asset = await uploadRaw(project.project_id, 'avatar.png', 'image/png', PNG);
+        await createFileMock(project, '/users/{id}/avatar', asset);
+
+        const res = await request(app).get(`/m/${project.slug}/users/7/avatar`).buffer(true).parse(binary);
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('image/png');
+        expect(Number(res.headers['content-length'])).toBe(PNG.length);
+        expect(res.headers['content-disposition']).toMatch(/^inline; filename="avatar.png"/);
+        expect(res.headers['accept-ranges']).toBe('bytes');
+        expect(res.body.equals(PNG)).toBe(true);
+    });
+
+    test('response headers can turn the file into a download', async () => {
+        const project = await createProject('assets-download');
+        const asset = await uploadRaw(project.project_id, 'invoice.pdf', 'application/pdf', PDF);
+        await createFileMock(project, '/invoices/{id}.pdf', asset, { headers: { 'Content-Disposition': 'attachment; filename="INV-001.pdf"' } });
+
+        const res = await request(app).get(`/m/${project.slug}/invoices/1.pdf`).buffer(true).parse(binary);
+        expect(res.headers['content-type']).toBe('application/pdf');
+        expect(res.headers['content-disposition']).toBe('attachment; filename="INV-001.pdf"');
+    });
+
+    test('honour Range requests', async () => {
+        const project = await createProject('assets-range');
+        const asset = await uploadRaw(project.project_id, 'invoice.pdf', 'application/pdf', PDF);
+        await createFileMock(project, '/invoice.pdf', asset);
+
+        const partial = await request(app).get(`/m/${project.slug}/invoice.pdf`).set('Range', 'bytes=0-7').buffer(true).parse(binary);
+        expect(partial.status).toBe(206);
+        expect(partial.headers['content-range']).toBe(`bytes 0-7/${PDF.length}`);
+        expect(partial.body.toString()).toBe('%PDF-1.4');
+
+        const outside = await request(app).get(`/m/${project.slug}/invoice.pdf`).set('Range', `bytes=${PDF.length}-`);
+        expect(outside.status).toBe(416);
+        expect(outside.headers['content-range']).toBe(`bytes */${PDF.length}`);
+    });
+
+    test('file responses need an asset of the same project', async () => {
+        const project = await createProject('assets-kind');
+        const other = await createProject('assets-kind-other');
+        const foreign = await uploadRaw(other.project_id, 'x.png', 'image/png', PNG);
+        const mock = (await request(app).post(`/projects/${project.project_id}/mocks`).send({ name: 'x', path: '/x', method: 'GET' })).body.data;
+
+        expect((await request(app).post(`/mocks/${mock.mock_id}/responses`).send({ kind: 'file' })).status).toBe(400);
+        expect((await request(app).post(`/mocks/${mock.mock_id}/responses`).send({ kind: 'file', assetId: foreign.asset_id })).status).toBe(400);
+    });
+
+    test('duplicating a project copies assets and repoints file responses', async () => {
+        const project = await createProject('assets-dup');
+        const asset = await uploadRaw(project.project_id, 'avatar.png', 'image/png', PNG);
+        await createFileMock(project, '/avatar', asset);
+
+        const copy = (await request(app).post(`/projects/${project.project_id}/duplicate`)).body.data;
+        const copied = (await request(app).get(`/projects/${copy.project_id}/assets`)).body.data;
+        expect(copied).toHaveLength(1);
+        expect(copied[0].asset_id).not.toBe(asset.asset_id);
+
+        const res = await request(app).get(`/m/${copy.slug}/avatar`).buffer(true).parse(binary);
+        expect(res.body.equals(PNG)).toBe(true);
+    });
+
+    test('refuses to duplicate a project whose assets exceed the plan', async () => {
+        const project = await createProject('assets-dup-limit');
+        await uploadRaw(project.project_id, 'a.pdf', 'application/pdf', PDF);
+        await uploadRaw(project.project_id, 'b.png', 'image/png', PNG);
+
+        // e.g. assets uploaded under a larger plan before a downgrade
+        const { maxAssets } = PLAN_LIMITS.free_org;
+        PLAN_LIMITS.free_org.maxAssets = 1;
+        try {
+            const res = await request(app).post(`/projects/${project.project_id}/duplicate`);
+            expect(res.status).toBe(403);
+            expect(res.body).toMatchObject({ error: 'PLAN_LIMIT_REACHED', limit: 1 });
+        } finally {
+            PLAN_LIMITS.free_org.maxAssets = maxAssets;
+        }
+
+        const projects = (await request(app).get('/projects')).body.data;
+        expect(projects.map((p) => p.name)).not.toContain('assets-dup-limit (Copy)');
+    });
+});
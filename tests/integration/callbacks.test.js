@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * tests/integration/callbacks.test.js
+ *
+ * Integration tests for outgoing callbacks (mock_responses.callbacks) sent after
+ * /m/:slug/*path calls, and the GET /mocks/:id/callback-deliveries log.
+ */
+
+process.env.NODE_ENV = 'test';
+// The webhook receiver listens on 127.0.0.1; the private-target test unsets this
+process.env.ALLOW_PRIVATE_NETWORK = 'true';
+
+const http = require('http');
+const request = require('supertest');
+const turso = require('../../db');
+const { __setAuthContext: setAuthContext, __resetAuthContext: resetAuthContext } = require('@clerk/express');
+const { buildTestApp, ensureTestUser } = require('../setup/testApp');
+const { signCallback } = require('../../services/callback.service');
+
+let app;
+let receiver;
+let received;
+let replyStatuses;
+
+beforeAll(async () => {
+    await ensureTestUser();
+    app = buildTestApp();
+
+    // Local webhook receiver: records every callback, answers with the next queued status
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            received.push({ method: req.method, url: req.url, headers: req.headers, body });
+            res.writeHead(replyStatuses.shift() || 200, { 'Content-Type': 'application/json' });
+            res.end('{"ok":true}');
+        });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+});
+
+afterAll(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+});
+
+beforeEach(async () => {
+    received = [];
+    replyStatuses = [];
+    await turso.execute('DELETE FROM callback_deliveries');
+    await turso.execute('DELETE FROM request_logs');
+    await turso.execute('DELETE FROM mock_responses');
+    await turso.execute('DELETE FROM mocks');
+    await turso.execute('DELETE FROM projects');
+});
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const receiverUrl = (path = '/hooks') => `http://127.0.0.1:${receiver.address().port}${path}`;
+
+async function createCallbackMock(name, response) {
+    const project = (await request(app).post('/projects').send({ name })).body.data;
+    const mock = (await request(app).post(`/projects/${project.project_id}/mocks`).send({ name, path: '/payments', method: 'POST' })).body.data;
+    const res = await request(app).post(`/mocks/${mock.mock_id}/responses`).send({ name: 'Created', isDefault: true, ...response });
+    expect(res.status).toBe(201);
+    return { project, mock, response: res.body.data };
+}
+
+/** Poll the delivery log until every delivery has settled. */
+async function settledDeliveries(mockId, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const res = await request(app).get(`/mocks/${mockId}/callback-deliveries`);
+        const settled = res.body.data.length > 0 && res.body.data.every((d) => d.status === 'delivered' || d.status === 'failed');
+        if (settled || Date.now() > deadline) return res.body;
+        await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+}
+
+// ─── Config ───────────────────────────────────────────────────────────────────
+
+describe('callback config', () => {
+    test('is stored with the response and validated', async () => {
+        const { mock, response } = await createCallbackMock('cb-config', {
+            callbacks: [{ url: 'https://example.com/hooks', delay: 1000 }],
+        });
+        expect(JSON.parse(response.callbacks)).toEqual([{ url: 'https://example.com/hooks', delay: 1000 }]);
+
+        const bad = await request(app).post(`/mocks/${mock.mock_id}/responses`).send({ name: 'Bad', callbacks: [{ url: 'nope' }] });
+        expect(bad.status).toBe(400);
+        expect(bad.body.error).toMatch(/http\(s\)/);
+
+        const put = await request(app).put(`/mocks/${mock.mock_id}/responses/${response.response_id}`).send({ callbacks: [{ url: 'https://x.io', retries: 10 }] });
+        expect(put.status).toBe(400);
+        expect(put.body.error).toMatch(/retries/);
+    });
+
+    test('signing secrets are only listed to the mock\'s owner', async () => {
+        const { mock } = await createCallbackMock('cb-secret', {
+            callbacks: [{ url: 'https://example.com/hooks', signature: { secret: 'whsec_private' } }],
+        });
+
+        setAuthContext({ userId: 'user_intruder', orgId: null });
+        try {
+            const res = await request(app).get(`/mocks/${mock.mock_id}/responses`);
+            expect(res.status).toBe(404);
+            expect(JSON.stringify(res.body)).not.toMatch(/whsec_private/);
+        } finally {
+            resetAuthContext();
+        }
+
+        expect((await request(app).get(`/mocks/${mock.mock_id}/responses`)).status).toBe(200);
+    });
+
+    test('is copied when the mock is duplicated', async () => {
+        const { mock } = await createCallbackMock('cb-dup', { callbacks: [{ url: 'https://example.com/hooks' }] });
+        const copy = (await request(app).post(`/mocks/${mock.mock_id}/duplicate`)).body.data;
+        const responses = await turso.execute('SELECT callbacks FROM mock_responses WHERE mock_id = ?', [copy.mock_id]);
+        expect(JSON.parse(responses.rows[0].callbacks)).toEqual([{ url: 'https://example.com/hooks' }]);
+    });
+});
+
+// ─── Delivery ─────────────────────────────────────────────────────────────────
+
+describe('callback delivery', () => {
+    test('sends a templated, signed callback to the URL given in the request', async () => {
+        const { project, mock } = await createCallbackMock('cb-send', {
+            statusCode: 201,
+            body: '{"id":"pay_{{request.body.orderId}}","status":"pending"}',
+            callbacks: [{
+                url: '{{request.body.callbackUrl}}',
+                headers: { 'X-Event': 'payment.succeeded' },
+                body: { id: '{{response.body.id}}', status: 'succeeded', amount: '{{request.body.amount}}' },
+                delay: 20,
+                signature: { secret: 'whsec_test' },
+            }],
+        });
+
+        const res = await request(app)
+            .post(`/m/${project.slug}/payments`)
+            .send({ orderId: 7, amount: 49, callbackUrl: receiverUrl('/payments/hook') });
+        expect(res.status).toBe(201);
+
+        const log = await settledDeliveries(mock.mock_id);
+        expect(log.data).toHaveLength(1);
+        expect(log.data[0]).toMatchObject({ status: 'delivered', attempts: 1, response_status: 200, method: 'POST', url: receiverUrl('/payments/hook') });
+
+        expect(received).toHaveLength(1);
+        const [callback] = received;
+        expect(callback.url).toBe('/payments/hook');
+        expect(JSON.parse(callback.body)).toEqual({ id: 'pay_7', status: 'succeeded', amount: '49' });
+        expect(callback.headers['x-event']).toBe('payment.succeeded');
+        expect(callback.headers['x-mockbird-delivery']).toBe(log.data[0].delivery_id);
+        expect(callback.headers['x-mockbird-signature']).toBe(signCallback(callback.body, { secret: 'whsec_test' }));
+    });
+
+    test('retries failed attempts and records the outcome', async () => {
+        replyStatuses = [500, 503];
+        const { project, mock } = await createCallbackMock('cb-retry', {
+            callbacks: [{ url: receiverUrl(), retries: 2, retryDelay: 10 }],
+        });
+
+        await request(app).post(`/m/${project.slug}/payments`).send({});
+        const log = await settledDeliveries(mock.mock_id);
+        expect(log.data[0]).toMatchObject({ status: 'delivered', attempts: 3, response_status: 200, error: null });
+        expect(received).toHaveLength(3);
+    });
+
+    test('gives up after the last retry', async () => {
+        replyStatuses = [500, 500];
+        const { project, mock } = await createCallbackMock('cb-fail', {
+            callbacks: [{ url: receiverUrl(), retries: 1, retryDelay: 10 }],
+        });
+
+        await request(app).post(`/m/${project.slug}/payments`).send({});
+        const log = await settledDeliveries(mock.mock_id);
+        expect(log.data[0]).toMatchObject({ status: 'failed', attempts: 2, response_status: 500 });
+        expect(log.data[0].error).toMatch(/500/);
+    });
+
+    test('refuses private and metadata targets without retrying', async () => {
+        const { project, mock } = await createCallbackMock('cb-private', {
+            callbacks: [{ url: '{{request.body.callbackUrl}}', retries: 3, retryDelay: 10 }],
+        });
+
+        delete process.env.ALLOW_PRIVATE_NETWORK;
+        try {
+            await request(app).post(`/m/${project.slug}/payments`).send({ callbackUrl: receiverUrl() });
+            await request(app).post(`/m/${project.slug}/payments`).send({ callbackUrl: 'http://169.254.169.254/latest/meta-data' });
+            const log = await settledDeliveries(mock.mock_id);
+            expect(log.data).toHaveLength(2);
+            for (const delivery of log.data) {
+                expect(delivery).toMatchObject({ status: 'failed', attempts: 1, response_status: null });
+                expect(delivery.error).toMatch(/private or reserved/);
+            }
+        } finally {
+            process.env.ALLOW_PRIVATE_NETWORK = 'true';
+        }
+        expect(received).toHaveLength(0);
+    });
+
+    test('fails without sending when the rendered URL is unusable', async () => {
+        const { project, mock } = await createCallbackMock('cb-nourl', {
+            callbacks: [{ url: '{{request.body.callbackUrl}}' }],
+        });
+
+        const res = await request(app).post(`/m/${project.slug}/payments`).send({});
+        expect(res.status).toBe(200);
+        const log = await settledDeliveries(mock.mock_id);
+        expect(log.data[0]).toMatchObject({ status: 'failed', attempts: 0 });
+        expect(log.data[0].error).toMatch(/not an http\(s\) URL/);
+        expect(received).toHaveLength(0);
+    });
+});
+
+// ─── Delivery log ─────────────────────────────────────────────────────────────
+
+describe('GET /admin/callbacks/stats', () => {
+    afterEach(() => {
+        delete process.env.ADMIN_API_KEY;
+    });
+
+    test('returns the pending and dropped counters behind the admin key', async () => {
+        process.env.ADMIN_API_KEY = 'test-admin-key';
+        expect((await request(app).get('/admin/callbacks/stats')).status).toBe(401);
+
+        const res = await request(app).get('/admin/callbacks/stats').set('X-Admin-Key', 'test-admin-key');
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ dropped: expect.any(Number), pending: expect.any(Number), projectPendingLimit: 100 });
+    });
+});
+
+describe('GET /mocks/:id/callback-deliveries', () => {
+    test('paginates and filters by status', async () => {
+        const { project, mock } = await createCallbackMock('cb-log', {
+            callbacks: [{ url: receiverUrl() }, { url: '{{request.body.missing}}' }],
+        });
+        await request(app).post(`/m/${project.slug}/payments`).send({});
+        await settledDeliveries(mock.mock_id);
+
+        const all = await request(app).get(`/mocks/${mock.mock_id}/callback-deliveries?limit=1`);
+        expect(all.status).toBe(200);
+        expect(all.body.data).toHaveLength(1);
+        expect(all.body.pagination).toEqual({ page: 1, limit: 1, total: 2, totalPages: 2 });
+
+        const failed = await request(app).get(`/mocks/${mock.mock_id}/callback-deliveries?status=failed`);
+        expect(failed.body.data).toHaveLength(1);
+        expect(failed.body.data[0].status).toBe('failed');
+    });
+
+    test('returns 404 for an unknown mock', async () => {
+        const res = await request(app).get('/mocks/does-not-exist/callback-deliveries');
+        expect(res.status).toBe(404);
+    });
+});
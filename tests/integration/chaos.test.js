@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * tests/integration/chaos.test.js
+ *
+ * Integration tests for chaos settings on projects and mocks: injected
+ * latency, failures, dropped connections, truncated and trickled bodies.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const turso = require('../../db');
+const { buildTestApp, ensureTestUser } = require('../setup/testApp');
+const { flushRequestLogs } = require('../../services/request-log.service');
+
+let app;
+
+beforeAll(async () => {
+    await ensureTestUser();
+    app = buildTestApp();
+});
+
+beforeEach(async () => {
+    await flushRequestLogs();
+    await turso.execute('DELETE FROM request_logs');
+    await turso.execute('DELETE FROM mock_responses');
+    await turso.execute('DELETE FROM mocks');
+    await turso.execute('DELETE FROM projects');
+});
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+async function createChaosMock(name, { projectChaos, mockChaos } = {}) {
+    const project = (await request(app).post('/projects').send({ name })).body.data;
+    if (projectChaos) {
+        const updated = await request(app).put(`/projects/${project.project_id}`).send({ chaosConfig: projectChaos });
+        expect(updated.status).toBe(200);
+    }
+    const mock = (await request(app)
+        .post(`/projects/${project.project_id}/mocks`)
+        .send({ name, path: '/flaky', method: 'GET', chaosConfig: mockChaos })).body.data;
+    await request(app).post(`/mocks/${mock.mock_id}/responses`).send({ name: 'OK', body: '{"message":"all good here"}', isDefault: true });
+    return { project, mock };
+}
+
+// ─── Faults ───────────────────────────────────────────────────────────────────
+
+describe('chaos settings', () => {
+    test('project failures apply to every mock and are logged', async () => {
+        const { project } = await createChaosMock('chaos-failure', { projectChaos: { failure: { status: 503 } } });
+
+        const res = await request(app).get(`/m/${project.slug}/flaky`);
+        expect(res.status).toBe(503);
+        expect(res.headers['x-mockbird-chaos']).toBe('failure');
+        expect(res.body.error).toBe('CHAOS_FAILURE');
+
+        await flushRequestLogs();
+        const logs = await turso.execute('SELECT response_status FROM request_logs');
+        expect(logs.rows[0].response_status).toBe(503);
+    });
+
+    test('a mock can switch off a project setting', async () => {
+        const { project } = await createChaosMock('chaos-override', {
+            projectChaos: { failure: { status: 503 } },
+            mockChaos: { failure: null },
+        });
+        expect((await request(app).get(`/m/${project.slug}/flaky`)).status).toBe(200);
+    });
+
+    test('latency ranges delay the response', async () => {
+        const { project } = await createChaosMock('chaos-latency', { mockChaos: { latency: { min: 150, max: 150 } } });
+
+        const started = Date.now();
+        const res = await request(app).get(`/m/${project.slug}/flaky`);
+        expect(res.status).toBe(200);
+        expect(Date.now() - started).toBeGreaterThanOrEqual(145);
+    });
+
+    test('dropped connections get no response', async () => {
+        const { project } = await createChaosMock('chaos-drop', { mockChaos: { drop: {} } });
+        await expect(request(app).get(`/m/${project.slug}/flaky`)).rejects.toThrow();
+    });
+
+    test('truncated bodies close the connection early', async () => {
+        const { project } = await createChaosMock('chaos-truncate', { mockChaos: { truncate: {} } });
+        await expect(request(app).get(`/m/${project.slug}/flaky`)).rejects.toThrow();
+    });
+
+    test('trickled bodies arrive whole, just slowly', async () => {
+        const { project } = await createChaosMock('chaos-trickle', { mockChaos: { trickle: { chunkBytes: 10, intervalMs: 40 } } });
+
+        const started = Date.now();
+        const res = await request(app).get(`/m/${project.slug}/flaky`);
+        expect(res.body).toEqual({ message: 'all good here' });
+        expect(res.headers['x-mockbird-chaos']).toBe('trickle');
+        // 27 bytes → 3 chunks with 2 pauses between them
+        expect(Date.now() - started).toBeGreaterThanOrEqual(75);
+    });
+
+    test('rejects invalid chaos settings', async () => {
+        const project = (await request(app).post('/projects').send({ name: 'chaos-invalid' })).body.data;
+        const res = await request(app).put(`/projects/${project.project_id}`).send({ chaosConfig: { failure: { percent: 200 } } });
+        expect(res.status).toBe(400);
+    });
+});
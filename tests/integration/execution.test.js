@@ -11,10 +11,13 @@
  */
 
 process.env.NODE_ENV = 'test';
+process.env.SEQUENCE_KEYS_PER_MOCK = '3';
 
 const request = require('supertest');
 const turso = require('../../db');
 const { buildTestApp, ensureTestUser } = require('../setup/testApp');
+const { flushRequestLogs } = require('../../services/request-log.service');
+const { getRouteIndex } = require('../../services/route-index.service');
 
 let app;
 
@@ -24,6 +27,7 @@ beforeAll(async () => {
 });
 
 beforeEach(async () => {
+    await flushRequestLogs();
     await turso.execute('DELETE FROM request_logs');
     await turso.execute('DELETE FROM mock_responses');
     await turso.execute('DELETE FROM mocks');
@@ -39,10 +43,10 @@ async function createProject(name) {
     return res.body.data;
 }
 
-async function createMock(projectId, path, method = 'GET') {
+async function createMock(projectId, path, method = 'GET', options = {}) {
     const res = await request(app)
         .post(`/projects/${projectId}/mocks`)
-        .send({ name: `Mock ${path}`, path, method });
+        .send({ name: `Mock ${path}`, path, method, ...options });
     expect(res.status).toBe(201);
     return res.body.data;
 }
@@ -201,6 +205,393 @@ describe('Mock Execution — conditional responses', () => {
         const normalRes = await request(app).get(`/m/${p.slug}/items`);
         expect(normalRes.body.mode).toBe('default');
     });
+
+    test('numeric comparisons on nested body fields', async () => {
+        const p = await createProject('exec-numcond');
+        const m = await createMock(p.project_id, '/orders', 'POST');
+
+        await createResponse(m.mock_id, '{"status":"accepted"}', 201, { isDefault: true });
+        await createResponse(m.mock_id, '{"error":"OUT_OF_STOCK"}', 409, {
+            conditions: [{ type: 'body', field: 'items[0].quantity', operator: 'gt', value: '10' }],
+        });
+
+        const big = await request(app).post(`/m/${p.slug}/orders`).send({ items: [{ sku: 'A', quantity: 11 }] });
+        expect(big.status).toBe(409);
+
+        const small = await request(app).post(`/m/${p.slug}/orders`).send({ items: [{ sku: 'A', quantity: 2 }] });
+        expect(small.status).toBe(201);
+    });
+
+    test('overlapping conditions resolve by priority', async () => {
+        const p = await createProject('exec-priority');
+        const m = await createMock(p.project_id, '/quote', 'POST');
+
+        await createResponse(m.mock_id, '{"tier":"default"}', 200, { isDefault: true });
+        await createResponse(m.mock_id, '{"tier":"vip"}', 200, {
+            priority: 1,
+            conditions: { any: [{ type: 'header', field: 'x-vip', operator: 'exists' }, { type: 'body', field: 'total', operator: 'gt', value: 1000 }] },
+        });
+        await createResponse(m.mock_id, '{"tier":"blocked"}', 403, {
+            priority: 10,
+            conditions: [{ type: 'header', field: 'x-vip', operator: 'exists' }, { none: [{ type: 'cookie', field: 'verified', operator: 'exists' }] }],
+        });
+
+        for (let i = 0; i < 5; i++) {
+            const blocked = await request(app).post(`/m/${p.slug}/quote`).set('x-vip', '1').send({ total: 5 });
+            expect(blocked.body.tier).toBe('blocked');
+        }
+        const vip = await request(app).post(`/m/${p.slug}/quote`).set('x-vip', '1').set('Cookie', 'verified=1').send({ total: 5 });
+        expect(vip.body.tier).toBe('vip');
+    });
+
+    test('cookie conditions', async () => {
+        const p = await createProject('exec-cookiecond');
+        const m = await createMock(p.project_id, '/me');
+
+        await createResponse(m.mock_id, '{"user":null}', 401, { isDefault: true });
+        await createResponse(m.mock_id, '{"user":"jane"}', 200, {
+            conditions: [{ type: 'cookie', field: 'session', operator: 'exists' }],
+        });
+
+        expect((await request(app).get(`/m/${p.slug}/me`).set('Cookie', 'session=xyz')).status).toBe(200);
+        expect((await request(app).get(`/m/${p.slug}/me`)).status).toBe(401);
+    });
+});
+
+// ─── Templated responses ──────────────────────────────────────────────────────
+
+// ─── Advanced path patterns ───────────────────────────────────────────────────
+
+describe('Mock Execution — advanced path patterns', () => {
+    test('one ** route serves nested paths; a more specific route wins', async () => {
+        const p = await createProject('patterns-files');
+        const any = await createMock(p.project_id, '/files/**');
+        const png = await createMock(p.project_id, '/files/**/*.png');
+        const readme = await createMock(p.project_id, '/files/readme');
+        await createResponse(any.mock_id, '{"route":"any","rest":"{{request.params.0}}"}');
+        await createResponse(png.mock_id, '{"route":"png"}');
+        await createResponse(readme.mock_id, '{"route":"readme"}');
+
+        expect((await request(app).get(`/m/${p.slug}/files/a/b/c.txt`)).body).toEqual({ route: 'any', rest: 'a/b/c.txt' });
+        expect((await request(app).get(`/m/${p.slug}/files/a/b/c.png`)).body).toEqual({ route: 'png' });
+        expect((await request(app).get(`/m/${p.slug}/files/readme/`)).body).toEqual({ route: 'readme' });
+    });
+
+    test('typed params, optional segments and query-string paths', async () => {
+        const p = await createProject('patterns-typed');
+        const byId = await createMock(p.project_id, '/users/{id:int}');
+        const bySlug = await createMock(p.project_id, '/users/{slug}?');
+        const search = await createMock(p.project_id, '/search?type=user');
+        await createResponse(byId.mock_id, '{"by":"id","id":{{request.params.id}}}');
+        await createResponse(bySlug.mock_id, '{"by":"slug","slug":"{{default request.params.slug \'none\'}}"}');
+        await createResponse(search.mock_id, '{"route":"search"}');
+
+        expect((await request(app).get(`/m/${p.slug}/users/42`)).body).toEqual({ by: 'id', id: 42 });
+        expect((await request(app).get(`/m/${p.slug}/users/jane`)).body).toEqual({ by: 'slug', slug: 'jane' });
+        expect((await request(app).get(`/m/${p.slug}/users`)).body).toEqual({ by: 'slug', slug: 'none' });
+        expect((await request(app).get(`/m/${p.slug}/search?type=user&q=x`)).body).toEqual({ route: 'search' });
+        expect((await request(app).get(`/m/${p.slug}/search?type=post`)).status).toBe(404);
+    });
+
+    test('rejects a path with a broken regex param', async () => {
+        const p = await createProject('patterns-bad');
+        const res = await request(app).post(`/projects/${p.project_id}/mocks`).send({ name: 'Bad', path: '/x/{id:[0-}', method: 'GET' });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/invalid param type/);
+    });
+});
+
+// ─── Request matchers ─────────────────────────────────────────────────────────
+
+describe('Mock Execution — request matchers', () => {
+    test('mocks on the same path are told apart by a query param', async () => {
+        const p = await createProject('matchers-query');
+        const users = await createMock(p.project_id, '/search', 'GET', { requestMatchers: { query: { type: 'user' } } });
+        const posts = await createMock(p.project_id, '/search', 'GET', { requestMatchers: { query: { type: 'post' } } });
+        await createResponse(users.mock_id, '{"kind":"users"}');
+        await createResponse(posts.mock_id, '{"kind":"posts"}');
+
+        expect((await request(app).get(`/m/${p.slug}/search?type=user`)).body).toEqual({ kind: 'users' });
+        expect((await request(app).get(`/m/${p.slug}/search?type=post`)).body).toEqual({ kind: 'posts' });
+
+        const none = await request(app).get(`/m/${p.slug}/search?type=tag`);
+        expect(none.status).toBe(404);
+        expect(none.body.error).toBe('MOCK_NOT_FOUND');
+    });
+
+    test('body matchers route an action-multiplexed endpoint; a mock without matchers is the fallback', async () => {
+        const p = await createProject('matchers-body');
+        const fallback = await createMock(p.project_id, '/rpc', 'POST');
+        const create = await createMock(p.project_id, '/rpc', 'POST', {
+            requestMatchers: { body: { action: 'create' }, contentType: 'application/json' },
+        });
+        const adminCreate = await createMock(p.project_id, '/rpc', 'POST', {
+            requestMatchers: { body: { action: 'create', user: { role: 'admin' } }, contentType: 'application/json' },
+        });
+        await createResponse(fallback.mock_id, '{"handled":"fallback"}');
+        await createResponse(create.mock_id, '{"handled":"create"}', 201);
+        await createResponse(adminCreate.mock_id, '{"handled":"admin-create"}', 201);
+
+        expect((await request(app).post(`/m/${p.slug}/rpc`).send({ action: 'create' })).body).toEqual({ handled: 'create' });
+        expect((await request(app).post(`/m/${p.slug}/rpc`).send({ action: 'create', user: { role: 'admin', id: 1 } })).body)
+            .toEqual({ handled: 'admin-create' });
+        expect((await request(app).post(`/m/${p.slug}/rpc`).send({ action: 'delete' })).body).toEqual({ handled: 'fallback' });
+        const form = await request(app).post(`/m/${p.slug}/rpc`).type('form').send({ action: 'create' });
+        expect(form.body).toEqual({ handled: 'fallback' });
+    });
+
+    test('an exact path still beats a {param} pattern with more matchers', async () => {
+        const p = await createProject('matchers-rank');
+        const pattern = await createMock(p.project_id, '/users/{id}', 'GET', { requestMatchers: { headers: { 'X-Api-Version': '2' } } });
+        const exact = await createMock(p.project_id, '/users/me', 'GET');
+        await createResponse(pattern.mock_id, '{"route":"pattern"}');
+        await createResponse(exact.mock_id, '{"route":"exact"}');
+
+        const me = await request(app).get(`/m/${p.slug}/users/me`).set('X-Api-Version', '2');
+        expect(me.body).toEqual({ route: 'exact' });
+        const other = await request(app).get(`/m/${p.slug}/users/42`).set('X-Api-Version', '2');
+        expect(other.body).toEqual({ route: 'pattern' });
+        expect((await request(app).get(`/m/${p.slug}/users/42`)).status).toBe(404);
+    });
+
+    test('are validated, updated and copied with the mock', async () => {
+        const p = await createProject('matchers-crud');
+        const bad = await request(app).post(`/projects/${p.project_id}/mocks`)
+            .send({ name: 'Bad', path: '/x', method: 'GET', requestMatchers: { cookies: {} } });
+        expect(bad.status).toBe(400);
+        expect(bad.body.error).toMatch(/Unknown requestMatchers key/);
+
+        const mock = await createMock(p.project_id, '/x');
+        const updated = await request(app).put(`/mocks/${mock.mock_id}`).send({ requestMatchers: { query: { v: ['1', '2'] } } });
+        expect(updated.status).toBe(200);
+        expect(JSON.parse(updated.body.data.request_matchers)).toEqual({ query: { v: ['1', '2'] } });
+
+        const copy = await request(app).post(`/mocks/${mock.mock_id}/duplicate`);
+        expect(JSON.parse(copy.body.data.request_matchers)).toEqual({ query: { v: ['1', '2'] } });
+    });
+});
+
+// ─── Delays ───────────────────────────────────────────────────────────────────
+
+describe('Mock Execution — per-response delays', () => {
+    async function timedGet(url, headers = {}) {
+        const started = Date.now();
+        const res = await request(app).get(url).set(headers);
+        return { res, elapsed: Date.now() - started };
+    }
+
+    test('slow error responses next to a fast success', async () => {
+        const p = await createProject('exec-delay');
+        const m = await createMock(p.project_id, '/pay');
+        await createResponse(m.mock_id, '{"ok":true}', 200, { isDefault: true });
+        const timeout = await createResponse(m.mock_id, '{"error":"timeout"}', 504, {
+            delay: 150,
+            conditions: [{ type: 'header', field: 'x-fail', operator: 'exists' }],
+        });
+        expect(timeout).toMatchObject({ delay_ms: 150, delay_max_ms: null });
+
+        const fast = await timedGet(`/m/${p.slug}/pay`);
+        expect(fast.res.status).toBe(200);
+        expect(fast.elapsed).toBeLessThan(150);
+
+        const slow = await timedGet(`/m/${p.slug}/pay`, { 'X-Fail': '1' });
+        expect(slow.res.status).toBe(504);
+        expect(slow.elapsed).toBeGreaterThanOrEqual(145);
+    });
+
+    test('responses without a delay use the mock delay; null clears a delay', async () => {
+        const p = await createProject('exec-delay-fallback');
+        const m = await createMock(p.project_id, '/slow');
+        await request(app).put(`/mocks/${m.mock_id}`).send({ responseDelay: 120 });
+        const r = await createResponse(m.mock_id, '{}', 200, { isDefault: true, delay: 0 });
+
+        expect((await timedGet(`/m/${p.slug}/slow`)).elapsed).toBeLessThan(120);
+
+        const cleared = await request(app).put(`/mocks/${m.mock_id}/responses/${r.response_id}`).send({ delay: null });
+        expect(cleared.body.data.delay_ms).toBeNull();
+        expect((await timedGet(`/m/${p.slug}/slow`)).elapsed).toBeGreaterThanOrEqual(115);
+    });
+
+    test('validates delay ranges', async () => {
+        const p = await createProject('exec-delay-invalid');
+        const m = await createMock(p.project_id, '/x');
+
+        const inverted = await request(app).post(`/mocks/${m.mock_id}/responses`).send({ delay: 500, delayMax: 100 });
+        expect(inverted.status).toBe(400);
+        const maxOnly = await request(app).post(`/mocks/${m.mock_id}/responses`).send({ delayMax: 100 });
+        expect(maxOnly.status).toBe(400);
+
+        const ranged = await createResponse(m.mock_id, '{}', 200, { delay: 10, delayMax: 20 });
+        const shrunk = await request(app).put(`/mocks/${m.mock_id}/responses/${ranged.response_id}`).send({ delay: 30 });
+        expect(shrunk.status).toBe(400);
+    });
+});
+
+// ─── Selection modes ──────────────────────────────────────────────────────────
+
+describe('Mock Execution — selection modes', () => {
+    async function createSequencedMock(name, settings, bodies) {
+        const p = await createProject(name);
+        const m = await createMock(p.project_id, '/job');
+        const updated = await request(app).put(`/mocks/${m.mock_id}`).send(settings);
+        expect(updated.status).toBe(200);
+        for (const [status, body] of bodies) await createResponse(m.mock_id, body, status);
+        return { p, m };
+    }
+
+    async function statuses(slug, count, headers = {}) {
+        const seen = [];
+        for (let i = 0; i < count; i++) seen.push((await request(app).get(`/m/${slug}/job`).set(headers)).status);
+        return seen;
+    }
+
+    test('sequential-then-stick: first call fails, retries succeed', async () => {
+        const { p } = await createSequencedMock('exec-stick', { selectionMode: 'sequential-then-stick' }, [
+            [503, '{"status":"unavailable"}'],
+            [202, '{"status":"pending"}'],
+            [200, '{"status":"completed"}'],
+        ]);
+        expect(await statuses(p.slug, 5)).toEqual([503, 202, 200, 200, 200]);
+    });
+
+    test('round-robin cycles through responses', async () => {
+        const { p } = await createSequencedMock('exec-rr', { selectionMode: 'round-robin' }, [
+            [200, '{"n":1}'],
+            [201, '{"n":2}'],
+        ]);
+        expect(await statuses(p.slug, 5)).toEqual([200, 201, 200, 201, 200]);
+    });
+
+    test('header scope keeps a counter per client and reset restarts it', async () => {
+        const { p, m } = await createSequencedMock('exec-scope', {
+            selectionMode: 'sequential-then-stick', sequenceScope: 'header:x-client',
+        }, [[503, '{}'], [200, '{}']]);
+
+        expect(await statuses(p.slug, 2, { 'X-Client': 'a' })).toEqual([503, 200]);
+        expect(await statuses(p.slug, 1, { 'X-Client': 'b' })).toEqual([503]);
+
+        const one = await request(app).post(`/mocks/${m.mock_id}/sequence/reset`).send({ clientKey: 'a' });
+        expect(one.body.data.cleared).toBe(1);
+        expect(await statuses(p.slug, 1, { 'X-Client': 'a' })).toEqual([503]);
+        expect(await statuses(p.slug, 1, { 'X-Client': 'b' })).toEqual([200]);
+
+        const all = await request(app).post(`/mocks/${m.mock_id}/sequence/reset`);
+        expect(all.body.data.cleared).toBe(2);
+        expect(await statuses(p.slug, 1, { 'X-Client': 'b' })).toEqual([503]);
+    });
+
+    test('keeps a bounded number of client counters per mock', async () => {
+        const { p, m } = await createSequencedMock('exec-scope-cap', {
+            selectionMode: 'sequential-then-stick', sequenceScope: 'header:x-client',
+        }, [[503, '{}'], [200, '{}']]);
+
+        expect(await statuses(p.slug, 2, { 'X-Client': 'a' })).toEqual([503, 200]);
+        for (const client of ['b', 'c', 'd']) await statuses(p.slug, 1, { 'X-Client': client });
+
+        const keys = await turso.execute('SELECT client_key FROM response_sequences WHERE mock_id = ? ORDER BY client_key', [m.mock_id]);
+        expect(keys.rows.map((row) => row.client_key)).toEqual(['b', 'c', 'd']);
+        // The evicted client starts over
+        expect(await statuses(p.slug, 1, { 'X-Client': 'a' })).toEqual([503]);
+
+        await statuses(p.slug, 1, { 'X-Client': 'x'.repeat(1000) });
+        const long = await turso.execute('SELECT MAX(LENGTH(client_key)) as key_length FROM response_sequences WHERE mock_id = ?', [m.mock_id]);
+        expect(Number(long.rows[0].key_length)).toBe(200);
+    });
+
+    test('project reset restarts every mock of the project', async () => {
+        const { p } = await createSequencedMock('exec-project-reset', { selectionMode: 'sequential-then-stick' }, [
+            [503, '{}'], [200, '{}'],
+        ]);
+        const second = await createMock(p.project_id, '/poll', 'GET', { selectionMode: 'sequential-then-stick', sequenceScope: 'ip' });
+        await createResponse(second.mock_id, '{}', 202);
+        await createResponse(second.mock_id, '{}', 200);
+        const other = await createSequencedMock('exec-project-reset-other', { selectionMode: 'sequential-then-stick' }, [
+            [503, '{}'], [200, '{}'],
+        ]);
+
+        expect(await statuses(p.slug, 2)).toEqual([503, 200]);
+        await request(app).get(`/m/${p.slug}/poll`);
+        expect(await statuses(other.p.slug, 1)).toEqual([503]);
+
+        const reset = await request(app).post(`/projects/${p.project_id}/sequences/reset`);
+        expect(reset.status).toBe(200);
+        expect(reset.body.data.cleared).toBe(2);
+        expect(await statuses(p.slug, 1)).toEqual([503]);
+        expect((await request(app).get(`/m/${p.slug}/poll`)).status).toBe(202);
+        expect(await statuses(other.p.slug, 1)).toEqual([200]);
+
+        expect((await request(app).post('/projects/nonexistent/sequences/reset')).status).toBe(404);
+    });
+
+    test('rejects unknown modes and scopes', async () => {
+        const p = await createProject('exec-mode-invalid');
+        const m = await createMock(p.project_id, '/job');
+
+        expect((await request(app).put(`/mocks/${m.mock_id}`).send({ selectionMode: 'shuffle' })).status).toBe(400);
+        expect((await request(app).put(`/mocks/${m.mock_id}`).send({ sequenceScope: 'cookie:sid' })).status).toBe(400);
+    });
+});
+
+describe('Mock Execution — templated responses', () => {
+    test('echoes path params, query and body values into the response', async () => {
+        const p = await createProject('exec-template');
+        const m = await createMock(p.project_id, '/users/{id}', 'POST');
+        await createResponse(
+            m.mock_id,
+            '{"id":"{{request.params.id}}","page":{{default request.query.page 1}},"email":"{{request.body.email}}"}',
+            200,
+            { isDefault: true }
+        );
+
+        const res = await request(app)
+            .post(`/m/${p.slug}/users/abc?page=3`)
+            .send({ email: 'a"b@example.com' });
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ id: 'abc', page: 3, email: 'a"b@example.com' });
+    });
+
+    test('serves bodies literally when templating is off', async () => {
+        const p = await createProject('exec-template-off');
+        const m = await createMock(p.project_id, '/literal');
+        const r = await createResponse(m.mock_id, '{"tpl":"{{request.path}}"}', 200, { isDefault: true, templating: false });
+        expect((await request(app).get(`/m/${p.slug}/literal`)).body).toEqual({ tpl: '{{request.path}}' });
+
+        await request(app).put(`/mocks/${m.mock_id}/responses/${r.response_id}`).send({ templating: true }).expect(200);
+        expect((await request(app).get(`/m/${p.slug}/literal`)).body).toEqual({ tpl: '/literal' });
+    });
+
+    test('keeps rows stored without the flag literal', async () => {
+        const p = await createProject('exec-template-legacy');
+        const m = await createMock(p.project_id, '/legacy');
+        await turso.execute(
+            `INSERT INTO mock_responses (response_id, mock_id, name, status_code, headers, body, is_default, weight, created_at)
+             VALUES ('resp_legacy', ?, 'Legacy', 200, '{}', '{"tpl":"{{request.path}}"}', 1, 100, datetime('now'))`,
+            [m.mock_id]
+        );
+
+        const res = await request(app).get(`/m/${p.slug}/legacy`);
+        expect(res.body).toEqual({ tpl: '{{request.path}}' });
+    });
+
+    test('answers 500 when a render exceeds the template limits', async () => {
+        const p = await createProject('exec-template-limit');
+        const m = await createMock(p.project_id, '/huge');
+        await createResponse(m.mock_id, '[{{#repeat 1000}}[{{#repeat 1000}}1{{/repeat}}]{{/repeat}}]', 200, { isDefault: true });
+
+        const res = await request(app).get(`/m/${p.slug}/huge`);
+        expect(res.status).toBe(500);
+        expect(res.body.error).toBe('TEMPLATE_LIMIT_EXCEEDED');
+    });
+
+    test('serves malformed templates verbatim', async () => {
+        const p = await createProject('exec-template-bad');
+        const m = await createMock(p.project_id, '/broken');
+        await createResponse(m.mock_id, '{{#repeat 2}}oops', 200, { isDefault: true, headers: { 'Content-Type': 'text/plain' } });
+
+        const res = await request(app).get(`/m/${p.slug}/broken`);
+        expect(res.status).toBe(200);
+        expect(res.text).toBe('{{#repeat 2}}oops');
+    });
 });
 
 // ─── Request logging ──────────────────────────────────────────────────────────
@@ -213,8 +604,8 @@ describe('Mock Execution — request logging', () => {
 
         await request(app).get(`/m/${p.slug}/logged`);
 
-        // Give the async log a moment to flush
-        await new Promise((r) => setTimeout(r, 200));
+        // Write the buffered log row
+        await flushRequestLogs();
 
         const logs = await turso.execute(
             'SELECT * FROM request_logs WHERE project_id = ? ORDER BY created_at DESC LIMIT 1',
@@ -226,3 +617,110 @@ describe('Mock Execution — request logging', () => {
         expect(logs.rows[0].response_status).toBe(200);
     });
 });
+
+// ─── Route index ──────────────────────────────────────────────────────────────
+
+describe('Mock Execution — route index', () => {
+    test('serves repeat requests without reading mocks or responses from the database', async () => {
+        const p = await createProject('exec-index');
+        const m = await createMock(p.project_id, '/users/{id}');
+        await createResponse(m.mock_id, '{"id":"{{request.params.id}}"}', 200, { isDefault: true });
+        await request(app).get(`/m/${p.slug}/users/1`).expect(200);
+
+        const spy = jest.spyOn(turso, 'execute');
+        try {
+            const res = await request(app).get(`/m/${p.slug}/users/2`);
+            expect(res.body).toEqual({ id: '2' });
+            const sql = spy.mock.calls.map(([statement]) => String(statement));
+            expect(sql.some((statement) => /FROM mocks|FROM mock_responses/.test(statement))).toBe(false);
+        } finally {
+            spy.mockRestore();
+        }
+    });
+
+    test('compiles request matchers and response conditions once per build', async () => {
+        const p = await createProject('exec-index-compiled');
+        const m = await createMock(p.project_id, '/search', 'GET', { requestMatchers: { headers: { 'X-Debug': { regex: '^(1|true)$' } } } });
+        await createResponse(m.mock_id, '{"hit":"v2"}', 200, {
+            conditions: [{ type: 'query', field: 'v', operator: 'regex', value: '^2(\\.\\d+)?$' }],
+        });
+        await createResponse(m.mock_id, '{"hit":"default"}', 200, { isDefault: true });
+
+        const project = (await turso.execute('SELECT * FROM projects WHERE project_id = ?', [p.project_id])).rows[0];
+        const index = await getRouteIndex(project);
+        const [mock] = index.mocksFor('GET');
+        expect(mock.compiledMatchers.headers['X-Debug'].compiledRegex).toBeInstanceOf(RegExp);
+        const conditional = index.responsesFor(m.mock_id).find((r) => r.compiledConditions);
+        expect(conditional.compiledConditions[0].compiledRegex).toBeInstanceOf(RegExp);
+
+        const get = (query) => request(app).get(`/m/${p.slug}/search`).query(query).set('X-Debug', 'true');
+        expect((await get({ v: '2.1' })).body).toEqual({ hit: 'v2' });
+        expect((await get({ v: '3' })).body).toEqual({ hit: 'default' });
+        expect((await request(app).get(`/m/${p.slug}/search`).set('X-Debug', 'no')).status).toBe(404);
+    });
+
+    test('sees mock and response edits on the next request', async () => {
+        const p = await createProject('exec-index-edits');
+        const m = await createMock(p.project_id, '/greeting');
+        const r = await createResponse(m.mock_id, '{"msg":"hello"}', 200, { isDefault: true });
+        expect((await request(app).get(`/m/${p.slug}/greeting`)).body).toEqual({ msg: 'hello' });
+
+        await request(app).put(`/mocks/${m.mock_id}/responses/${r.response_id}`).send({ body: '{"msg":"hi"}' }).expect(200);
+        expect((await request(app).get(`/m/${p.slug}/greeting`)).body).toEqual({ msg: 'hi' });
+
+        await request(app).put(`/mocks/${m.mock_id}`).send({ path: '/welcome' }).expect(200);
+        expect((await request(app).get(`/m/${p.slug}/greeting`)).status).toBe(404);
+        expect((await request(app).get(`/m/${p.slug}/welcome`)).body).toEqual({ msg: 'hi' });
+
+        const other = await createMock(p.project_id, '/welcome', 'GET', { requestMatchers: { query: { lang: 'fr' } } });
+        await createResponse(other.mock_id, '{"msg":"salut"}', 200, { isDefault: true });
+        expect((await request(app).get(`/m/${p.slug}/welcome?lang=fr`)).body).toEqual({ msg: 'salut' });
+
+        await request(app).delete(`/mocks/${other.mock_id}`).expect(200);
+        expect((await request(app).get(`/m/${p.slug}/welcome?lang=fr`)).body).toEqual({ msg: 'hi' });
+
+        await request(app).delete(`/mocks/${m.mock_id}/responses/${r.response_id}`).expect(200);
+        expect((await request(app).get(`/m/${p.slug}/welcome`)).status).toBe(404);
+    });
+
+    test('rebuilds the index once another instance bumps routes_version', async () => {
+        const p = await createProject('exec-index-version');
+        const m = await createMock(p.project_id, '/shared');
+        const r = await createResponse(m.mock_id, '{"v":1}', 200, { isDefault: true });
+        expect((await request(app).get(`/m/${p.slug}/shared`)).body).toEqual({ v: 1 });
+
+        // Another instance writes the response and bumps the version; this instance's index is untouched
+        await turso.execute('UPDATE mock_responses SET body = ? WHERE response_id = ?', ['{"v":2}', r.response_id]);
+        expect((await request(app).get(`/m/${p.slug}/shared`)).body).toEqual({ v: 1 });
+        await turso.execute('UPDATE projects SET routes_version = routes_version + 1 WHERE project_id = ?', [p.project_id]);
+        expect((await request(app).get(`/m/${p.slug}/shared`)).body).toEqual({ v: 2 });
+    });
+
+    test('bumps routes_version on every write through the API', async () => {
+        const p = await createProject('exec-index-bump');
+        const version = async () => (await turso.execute('SELECT routes_version FROM projects WHERE project_id = ?', [p.project_id])).rows[0].routes_version;
+        const m = await createMock(p.project_id, '/bump');
+        const afterCreate = await version();
+        const r = await createResponse(m.mock_id, '{}', 200, { isDefault: true });
+        const afterResponse = await version();
+        await request(app).put(`/mocks/${m.mock_id}/responses/${r.response_id}`).send({ body: '{"a":1}' }).expect(200);
+
+        expect(afterCreate).toBeGreaterThan(0);
+        expect(afterResponse).toBeGreaterThan(afterCreate);
+        expect(await version()).toBeGreaterThan(afterResponse);
+    });
+
+    test('serves a duplicated mock once the original is deactivated', async () => {
+        const p = await createProject('exec-index-dup');
+        const m = await createMock(p.project_id, '/dup');
+        await createResponse(m.mock_id, '{"copy":false}', 200, { isDefault: true });
+        await request(app).get(`/m/${p.slug}/dup`).expect(200);
+
+        const copy = await request(app).post(`/mocks/${m.mock_id}/duplicate`).expect(201);
+        await request(app).put(`/mocks/${m.mock_id}`).send({ isActive: false }).expect(200);
+
+        const res = await request(app).get(`/m/${p.slug}/dup`);
+        expect(res.status).toBe(200);
+        expect(copy.body.data.mock_id).not.toBe(m.mock_id);
+    });
+});
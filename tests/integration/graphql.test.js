@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * tests/integration/graphql.test.js
+ *
+ * Integration tests for GraphQL mocks: the project SDL (PUT /projects/:id
+ * graphqlSdl), POST /m/:slug/graphql and GRAPHQL override mocks.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const turso = require('../../db');
+const { buildTestApp, ensureTestUser } = require('../setup/testApp');
+const { flushRequestLogs } = require('../../services/request-log.service');
+
+let app;
+
+const SDL = `
+    type User { id: ID! name: String! email: String! plan: String! }
+    type Query { user(id: ID!): User  me: User! }
+    type Mutation { createUser(name: String!): User! }
+`;
+
+beforeAll(async () => {
+    await ensureTestUser();
+    app = buildTestApp();
+});
+
+beforeEach(async () => {
+    await flushRequestLogs();
+    await turso.execute('DELETE FROM request_logs');
+    await turso.execute('DELETE FROM mock_responses');
+    await turso.execute('DELETE FROM mocks');
+    await turso.execute('DELETE FROM projects');
+});
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+async function createGraphqlProject(name) {
+    const project = (await request(app).post('/projects').send({ name })).body.data;
+    const res = await request(app).put(`/projects/${project.project_id}`).send({ graphqlSdl: SDL });
+    expect(res.status).toBe(200);
+    return res.body.data;
+}
+
+async function createOverride(project, path, responses) {
+    const mock = (await request(app).post(`/projects/${project.project_id}/mocks`).send({ name: path, path, method: 'GRAPHQL' })).body.data;
+    for (const response of responses) {
+        await request(app).post(`/mocks/${mock.mock_id}/responses`).send(response);
+    }
+    return mock;
+}
+
+function gql(project, query, variables, operationName) {
+    return request(app).post(`/m/${project.slug}/graphql`).send({ query, variables, operationName });
+}
+
+// ─── Schema ───────────────────────────────────────────────────────────────────
+
+describe('graphqlSdl', () => {
+    test('is validated and can be removed', async () => {
+        const project = await createGraphqlProject('gql-sdl');
+        expect(project.graphql_sdl).toBe(SDL);
+
+        const bad = await request(app).put(`/projects/${project.project_id}`).send({ graphqlSdl: 'type Query {' });
+        expect(bad.status).toBe(400);
+
+        const cleared = await request(app).put(`/projects/${project.project_id}`).send({ graphqlSdl: null });
+        expect(cleared.body.data.graphql_sdl).toBeNull();
+        // Without a schema /graphql is an ordinary mock path again
+        expect((await gql(project, '{ me { id } }')).body.error).toBe('MOCK_NOT_FOUND');
+    });
+});
+
+// ─── Execution ────────────────────────────────────────────────────────────────
+
+describe('POST /m/:slug/graphql', () => {
+    test('resolves queries and mutations with generated data', async () => {
+        const project = await createGraphqlProject('gql-generated');
+
+        const query = await gql(project, '{ me { id name email } }');
+        expect(query.status).toBe(200);
+        expect(query.body.data.me.email).toMatch(/@/);
+
+        const mutation = await gql(project, 'mutation { createUser(name: "Ada") { id } }');
+        expect(typeof mutation.body.data.createUser.id).toBe('string');
+    });
+
+    test('returns GraphQL errors for invalid documents', async () => {
+        const project = await createGraphqlProject('gql-errors');
+        const res = await gql(project, '{ me { password } }');
+        expect(res.status).toBe(400);
+        expect(res.body.errors[0].message).toMatch(/password/);
+    });
+
+    test('field overrides match on arguments and operation name', async () => {
+        const project = await createGraphqlProject('gql-fields');
+        await createOverride(project, 'Query.user', [
+            { name: 'Ada', body: '{"id":"{{request.body.args.id}}","name":"Ada Lovelace"}', conditions: [{ type: 'body', field: 'args.id', operator: 'equals', value: '1' }] },
+        ]);
+        await createOverride(project, 'User.plan', [
+            { name: 'Pro', body: '"pro"', conditions: [{ type: 'body', field: 'operationName', operator: 'equals', value: 'GetProUser' }] },
+        ]);
+
+        const ada = await gql(project, 'query GetProUser($id: ID!) { user(id: $id) { id name plan } }', { id: '1' });
+        expect(ada.body.data.user).toEqual({ id: '1', name: 'Ada Lovelace', plan: 'pro' });
+
+        // No matching condition → generated data
+        const other = await gql(project, 'query GetUser($id: ID!) { user(id: $id) { id name plan } }', { id: '2' });
+        expect(other.body.data.user.name).not.toBe('Ada Lovelace');
+        expect(other.body.data.user.plan).not.toBe('pro');
+    });
+
+    test('operation overrides replace the whole result', async () => {
+        const project = await createGraphqlProject('gql-operation');
+        await createOverride(project, 'GetUser', [
+            { name: 'Missing', statusCode: 200, body: '{"data":{"user":null},"errors":[{"message":"User {{request.body.variables.id}} not found"}]}' },
+        ]);
+
+        const res = await gql(project, 'query GetUser($id: ID!) { user(id: $id) { id } }', { id: '9' });
+        expect(res.body).toEqual({ data: { user: null }, errors: [{ message: 'User 9 not found' }] });
+
+        await flushRequestLogs();
+        const logs = await turso.execute('SELECT mock_id FROM request_logs');
+        expect(logs.rows[0].mock_id).toBeTruthy();
+    });
+
+    test('GRAPHQL mocks keep their path as written', async () => {
+        const project = await createGraphqlProject('gql-path');
+        const mock = await createOverride(project, 'Query.me', []);
+        expect(mock.path).toBe('Query.me');
+    });
+});
@@ -0,0 +1,376 @@
+'use strict';
+
+/**
+ * tests/integration/import.test.js
+ *
+ * Integration tests for the project import / export routes:
+ *   POST /projects/import/:format
+ *   POST /projects/:id/import/:format
+ *   GET  /projects/:id/export/:format
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const turso = require('../../db');
+const { buildTestApp, ensureTestUser } = require('../setup/testApp');
+
+let app;
+
+beforeAll(async () => {
+    await ensureTestUser();
+    app = buildTestApp();
+});
+
+beforeEach(async () => {
+    await turso.execute('DELETE FROM mock_responses');
+    await turso.execute('DELETE FROM mocks');
+    await turso.execute('DELETE FROM projects');
+});
+
+const OPENAPI_YAML = `
+openapi: 3.0.0
+info:
+  title: Inventory API
+paths:
+  /items:
+    get:
+      summary: List items
+      responses:
+        '200':
+          description: OK
+          content:
+            application/json:
+              example: [{ id: 1, sku: A1 }]
+  /items/{id}:
+    get:
+      summary: Get item
+      responses:
+        '200':
+          description: OK
+          content:
+            application/json:
+              schema:
+                type: object
+                properties:
+                  id: { type: integer }
+        '404':
+          description: Missing
+`;
+
+// ─── OpenAPI ──────────────────────────────────────────────────────────────────
+
+describe('POST /projects/import/openapi', () => {
+    test('creates a project from a YAML spec and serves its mocks', async () => {
+        const res = await request(app)
+            .post('/projects/import/openapi')
+            .set('Content-Type', 'application/yaml')
+            .send(OPENAPI_YAML);
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.name).toBe('Inventory API');
+        expect(res.body.imported).toBe(2);
+
+        const list = await request(app).get(`/m/${res.body.data.slug}/items`);
+        expect(list.status).toBe(200);
+        expect(list.body).toEqual([{ id: 1, sku: 'A1' }]);
+
+        const one = await request(app).get(`/m/${res.body.data.slug}/items/7`);
+        expect(one.body).toEqual({ id: 1 });
+    });
+
+    test('keeps serving the 2xx example: other responses are imported with weight 0', async () => {
+        const res = await request(app)
+            .post('/projects/import/openapi')
+            .set('Content-Type', 'application/yaml')
+            .send(OPENAPI_YAML);
+        expect(res.status).toBe(201);
+
+        const weights = await turso.execute(
+            `SELECT r.status_code, r.is_default, r.weight FROM mock_responses r
+             INNER JOIN mocks m ON r.mock_id = m.mock_id
+             WHERE m.project_id = ? AND m.path = '/items/{id}'
+             ORDER BY r.status_code`,
+            [res.body.data.project_id]
+        );
+        expect(weights.rows.map((r) => [r.status_code, r.is_default, r.weight])).toEqual([[200, 1, 100], [404, 0, 0]]);
+
+        for (let i = 0; i < 5; i++) {
+            expect((await request(app).get(`/m/${res.body.data.slug}/items/7`)).status).toBe(200);
+        }
+    });
+
+    test('accepts a wrapped JSON document with a custom name', async () => {
+        const res = await request(app)
+            .post('/projects/import/openapi')
+            .send({
+                name: 'Custom Name',
+                document: { openapi: '3.1.0', paths: { '/ping': { get: { responses: { 200: { description: 'pong' } } } } } },
+            });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.name).toBe('Custom Name');
+    });
+
+    test('returns 400 for an invalid document', async () => {
+        const res = await request(app).post('/projects/import/openapi').send({ document: { hello: 'world' } });
+        expect(res.status).toBe(400);
+        expect(res.body.details).toMatch(/OpenAPI/);
+    });
+
+    test('returns 400 for an unknown format', async () => {
+        const res = await request(app).post('/projects/import/wsdl').send({ document: {} });
+        expect(res.status).toBe(400);
+        expect(res.body.supported).toContain('openapi');
+    });
+});
+
+describe('POST /projects/:id/import/openapi', () => {
+    test('adds mocks to an existing project', async () => {
+        const project = (await request(app).post('/projects').send({ name: 'import-existing' })).body.data;
+
+        const res = await request(app)
+            .post(`/projects/${project.project_id}/import/openapi`)
+            .set('Content-Type', 'text/yaml')
+            .send(OPENAPI_YAML);
+        expect(res.status).toBe(201);
+
+        const mocks = await request(app).get(`/projects/${project.project_id}/mocks`);
+        expect(mocks.body.data.map((m) => `${m.method} ${m.path}`).sort()).toEqual(['GET /items', 'GET /items/{id}']);
+    });
+
+    test('rejects imports that exceed the plan mock limit', async () => {
+        const project = (await request(app).post('/projects').send({ name: 'import-limit' })).body.data;
+        const paths = {};
+        for (let i = 0; i < 10; i++) paths[`/r${i}`] = { get: { responses: { 200: { description: 'ok' } } } };
+
+        const res = await request(app)
+            .post(`/projects/${project.project_id}/import/openapi`)
+            .send({ document: { openapi: '3.0.0', paths } });
+        expect(res.status).toBe(403);
+        expect(res.body.error).toBe('PLAN_LIMIT_REACHED');
+    });
+
+    test('skips and reports paths the mocks API would reject', async () => {
+        const project = (await request(app).post('/projects').send({ name: 'import-bad-paths' })).body.data;
+        const ok = { get: { responses: { 200: { description: 'ok' } } } };
+        const longPath = `/${'a'.repeat(600)}`;
+        const paths = { '/good': ok, '/redos/{v:(a+)+b}': ok, [longPath]: ok };
+
+        const res = await request(app)
+            .post(`/projects/${project.project_id}/import/openapi`)
+            .send({ document: { openapi: '3.0.0', paths } });
+        expect(res.status).toBe(201);
+        expect(res.body.imported).toBe(1);
+        expect(res.body.skipped.map((s) => s.path)).toEqual(['/redos/{v:(a+)+b}', longPath]);
+        expect(res.body.skipped[0].error).toMatch(/invalid param type/);
+        expect(res.body.skipped[1].error).toMatch(/limited to 500 characters/);
+
+        const mocks = await request(app).get(`/projects/${project.project_id}/mocks`);
+        expect(mocks.body.data.map((m) => m.path)).toEqual(['/good']);
+    });
+
+    test('returns 404 for an unknown project', async () => {
+        const res = await request(app).post('/projects/nope/import/openapi').send({ document: {} });
+        expect(res.status).toBe(404);
+    });
+});
+
+// ─── Postman / Insomnia ───────────────────────────────────────────────────────
+
+describe('POST /projects/import/postman', () => {
+    test('creates mocks from requests and their saved examples', async () => {
+        const res = await request(app)
+            .post('/projects/import/postman')
+            .send({
+                info: { name: 'QA Collection', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+                item: [{
+                    name: 'Users',
+                    item: [{
+                        name: 'Get user',
+                        request: { method: 'GET', url: { raw: '{{baseUrl}}/users/:id', path: ['users', ':id'] } },
+                        response: [
+                            { name: 'OK', code: 200, header: [{ key: 'Content-Type', value: 'application/json' }], body: '{"id":"u1"}' },
+                            { name: 'Missing', code: 404, header: [], body: '{"error":"NOT_FOUND"}' },
+                        ],
+                    }],
+                }],
+            });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.name).toBe('QA Collection');
+        expect(res.body.mocks).toEqual([expect.objectContaining({ path: '/users/{id}', method: 'GET', responses: 2 })]);
+
+        const served = await request(app).get(`/m/${res.body.data.slug}/users/42`);
+        expect(served.status).toBe(200);
+        expect(served.body).toEqual({ id: 'u1' });
+    });
+});
+
+describe('POST /projects/:id/import/insomnia', () => {
+    test('adds one mock per request resource', async () => {
+        const project = (await request(app).post('/projects').send({ name: 'import-insomnia' })).body.data;
+
+        const res = await request(app)
+            .post(`/projects/${project.project_id}/import/insomnia`)
+            .send({
+                _type: 'export',
+                __export_format: 4,
+                resources: [
+                    { _id: 'req_1', _type: 'request', name: 'Health', method: 'GET', url: '{{ _.base_url }}/health' },
+                    { _id: 'req_2', _type: 'request', name: 'Login', method: 'POST', url: 'https://api.test/auth/login', body: { mimeType: 'application/json', text: '{"user":"a"}' } },
+                ],
+            });
+
+        expect(res.status).toBe(201);
+        expect(res.body.mocks.map((m) => `${m.method} ${m.path}`)).toEqual(['GET /health', 'POST /auth/login']);
+    });
+
+    test('returns 400 for a document of the wrong shape', async () => {
+        const project = (await request(app).post('/projects').send({ name: 'import-insomnia-bad' })).body.data;
+        const res = await request(app).post(`/projects/${project.project_id}/import/insomnia`).send({ openapi: '3.0.0' });
+        expect(res.status).toBe(400);
+        expect(res.body.details).toMatch(/Insomnia/);
+    });
+});
+
+// ─── HAR ──────────────────────────────────────────────────────────────────────
+
+describe('POST /projects/import/har', () => {
+    function harEntry(url, status, body) {
+        return {
+            request: { method: 'GET', url, headers: [] },
+            response: {
+                status,
+                headers: [{ name: 'Content-Type', value: 'application/json' }, { name: 'Transfer-Encoding', value: 'chunked' }],
+                content: { mimeType: 'application/json', text: body },
+            },
+        };
+    }
+
+    test('replays recorded variants as conditional responses', async () => {
+        const har = {
+            log: {
+                version: '1.2',
+                entries: [
+                    harEntry('https://staging.test/api/orders/1', 200, '{"id":1,"status":"open"}'),
+                    harEntry('https://staging.test/api/orders/1', 200, '{"id":1,"status":"open"}'),
+                    harEntry('https://staging.test/api/orders/2', 200, '{"id":2,"status":"shipped"}'),
+                    harEntry('https://staging.test/favicon.ico', 200, ''),
+                ],
+            },
+        };
+
+        const res = await request(app)
+            .post('/projects/import/har')
+            .set('Content-Type', 'application/har+json')
+            .send(JSON.stringify(har));
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.name).toBe('HAR import (staging.test)');
+        expect(res.body.mocks).toEqual([expect.objectContaining({ path: '/api/orders/{id}', method: 'GET', responses: 2 })]);
+
+        const slug = res.body.data.slug;
+        expect((await request(app).get(`/m/${slug}/api/orders/2`)).body.status).toBe('shipped');
+        const fallback = await request(app).get(`/m/${slug}/api/orders/77`);
+        expect(fallback.body.status).toBe('open');
+        expect(fallback.headers['transfer-encoding']).not.toBe('chunked');
+    });
+});
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+describe('GET /projects/:id/export/:format', () => {
+    test('renders mocks, expected payloads and responses as OpenAPI 3.1', async () => {
+        const project = (await request(app).post('/projects').send({ name: 'export-openapi' })).body.data;
+        const mock = (await request(app)
+            .post(`/projects/${project.project_id}/mocks`)
+            .send({
+                name: 'Update User', path: '/users/{id}', method: 'PUT', description: 'Updates a user',
+                expectedBody: '{"name":"Jane"}', expectedHeaders: '{"Authorization":"Bearer <token>"}',
+            })).body.data;
+        await request(app).post(`/mocks/${mock.mock_id}/responses`)
+            .send({ name: 'Updated', statusCode: 200, body: '{"id":1}', isDefault: true, headers: { 'X-Trace': 'abc' } });
+        await request(app).post(`/mocks/${mock.mock_id}/responses`)
+            .send({ name: 'Missing', statusCode: 404, body: '{"error":"NOT_FOUND"}' });
+        await request(app).post(`/mocks/${mock.mock_id}/responses`)
+            .send({ name: 'Gone', statusCode: 404, body: '{"error":"GONE"}' });
+
+        const res = await request(app).get(`/projects/${project.project_id}/export/openapi`);
+        expect(res.status).toBe(200);
+        expect(res.body.openapi).toBe('3.1.0');
+        expect(res.body.servers[0].url).toMatch(new RegExp(`/m/${project.slug}$`));
+
+        const op = res.body.paths['/users/{id}'].put;
+        expect(op.summary).toBe('Update User');
+        expect(op.parameters).toEqual(expect.arrayContaining([
+            expect.objectContaining({ name: 'id', in: 'path', required: true }),
+            expect.objectContaining({ name: 'Authorization', in: 'header', example: 'Bearer <token>' }),
+        ]));
+        expect(op.requestBody.content['application/json'].example).toEqual({ name: 'Jane' });
+        expect(op.responses['200'].content['application/json'].example).toEqual({ id: 1 });
+        expect(op.responses['200'].headers['X-Trace'].example).toBe('abc');
+        expect(Object.keys(op.responses['404'].content['application/json'].examples)).toEqual(['missing', 'gone']);
+    });
+
+    test('exports advanced path patterns as plain templates with typed params', async () => {
+        const project = (await request(app).post('/projects').send({ name: 'export-patterns' })).body.data;
+        await request(app).post(`/projects/${project.project_id}/mocks`)
+            .send({ name: 'Get order', path: '/orders/{id:int}/lines/{line}?', method: 'GET' });
+        await request(app).post(`/projects/${project.project_id}/mocks`)
+            .send({ name: 'Search users', path: '/search?type=user', method: 'GET' });
+
+        const res = await request(app).get(`/projects/${project.project_id}/export/openapi`);
+        expect(Object.keys(res.body.paths).sort()).toEqual(['/orders/{id}/lines/{line}', '/search']);
+        expect(res.body.paths['/orders/{id}/lines/{line}'].get.parameters).toEqual([
+            { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+            { name: 'line', in: 'path', required: true, schema: { type: 'string' } },
+        ]);
+        expect(res.body.paths['/search'].get.parameters).toEqual([
+            { name: 'type', in: 'query', required: true, schema: { type: 'string', enum: ['user'] } },
+        ]);
+
+        const postman = await request(app).get(`/projects/${project.project_id}/export/postman`);
+        expect(postman.body.item.map((i) => i.request.url.raw).sort())
+            .toEqual(['{{baseUrl}}/orders/:id/lines/:line', '{{baseUrl}}/search?type=user']);
+    });
+
+    test('round-trips through the OpenAPI importer', async () => {
+        const source = await request(app)
+            .post('/projects/import/openapi')
+            .set('Content-Type', 'application/yaml')
+            .send(OPENAPI_YAML);
+
+        const exported = await request(app).get(`/projects/${source.body.data.project_id}/export/openapi?output=yaml`);
+        expect(exported.headers['content-type']).toMatch(/yaml/);
+
+        const reimported = await request(app)
+            .post(`/projects/${source.body.data.project_id}/import/openapi`)
+            .set('Content-Type', 'application/yaml')
+            .send(exported.text);
+        expect(reimported.status).toBe(201);
+        expect(reimported.body.mocks.map((m) => m.path).sort()).toEqual(['/items', '/items/{id}']);
+    });
+
+    test('exports a Postman collection that round-trips through the Postman importer', async () => {
+        const source = await request(app)
+            .post('/projects/import/openapi')
+            .set('Content-Type', 'application/yaml')
+            .send(OPENAPI_YAML);
+
+        const exported = await request(app).get(`/projects/${source.body.data.project_id}/export/postman`);
+        expect(exported.status).toBe(200);
+        expect(exported.body.info.schema).toMatch(/v2\.1\.0/);
+        expect(exported.body.variable[0].value).toMatch(new RegExp(`/m/${source.body.data.slug}$`));
+        expect(exported.body.item.map((i) => i.request.url.raw).sort()).toEqual(['{{baseUrl}}/items', '{{baseUrl}}/items/:id']);
+
+        const reimported = await request(app).post('/projects/import/postman').send(exported.body);
+        expect(reimported.status).toBe(201);
+        expect(reimported.body.mocks.map((m) => m.path).sort()).toEqual(['/items', '/items/{id}']);
+    });
+
+    test('returns 404 for an unknown project', async () => {
+        const res = await request(app).get('/projects/nope/export/openapi');
+        expect(res.status).toBe(404);
+    });
+});
@@ -0,0 +1,356 @@
+'use strict';
+
+/**
+ * tests/integration/proxy.test.js
+ *
+ * Integration tests for the record-and-playback proxy: projects with an
+ * upstream_url forward unmatched /m/:slug/*path requests to a local HTTP
+ * stand-in, optionally recording them as mocks. Also covers per-response
+ * passthrough (mock_responses.kind = 'proxy').
+ */
+
+process.env.NODE_ENV = 'test';
+// The stand-in upstream listens on 127.0.0.1; tests that check the blocklist unset this
+process.env.ALLOW_PRIVATE_NETWORK = 'true';
+
+const http = require('http');
+const request = require('supertest');
+const turso = require('../../db');
+const { __setAuthContext: setAuthContext, __resetAuthContext: resetAuthContext } = require('@clerk/express');
+const { buildTestApp, ensureTestUser } = require('../setup/testApp');
+
+let app;
+let upstream;
+let upstreamUrl;
+const upstreamHits = [];
+const BINARY = Buffer.from([0xff, 0x00, 0xfe, 0x80, 0x0a]);
+
+beforeAll(async () => {
+    await ensureTestUser();
+    app = buildTestApp();
+
+    // Local stand-in for a third-party API
+    upstream = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            upstreamHits.push({ method: req.method, url: req.url, headers: req.headers, body: raw });
+            if (req.url.startsWith('/api/binary')) {
+                res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+                return res.end(BINARY);
+            }
+            if (req.url.startsWith('/api/missing')) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                return res.end('{"error":"upstream 404"}');
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json', 'X-Upstream': 'yes' });
+            res.end(JSON.stringify({ from: 'upstream', method: req.method, url: req.url, body: raw }));
+        });
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+    upstreamUrl = `http://127.0.0.1:${upstream.address().port}/api`;
+});
+
+afterAll(async () => {
+    await new Promise((resolve) => upstream.close(resolve));
+});
+
+beforeEach(async () => {
+    upstreamHits.length = 0;
+    await turso.execute('DELETE FROM request_logs');
+    await turso.execute('DELETE FROM mock_responses');
+    await turso.execute('DELETE FROM mocks');
+    await turso.execute('DELETE FROM projects');
+});
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+async function withPrivateNetworkBlocked(fn) {
+    delete process.env.ALLOW_PRIVATE_NETWORK;
+    try {
+        return await fn();
+    } finally {
+        process.env.ALLOW_PRIVATE_NETWORK = 'true';
+    }
+}
+
+async function createProxyProject(name, proxyMode) {
+    const project = (await request(app).post('/projects').send({ name })).body.data;
+    const res = await request(app).put(`/projects/${project.project_id}`).send({ upstreamUrl, proxyMode });
+    expect(res.status).toBe(200);
+    return res.body.data;
+}
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+
+describe('PUT /projects/:id — proxy settings', () => {
+    test('stores the upstream and mode', async () => {
+        const project = await createProxyProject('proxy-settings', 'record');
+        expect(project.upstream_url).toBe(upstreamUrl);
+        expect(project.proxy_mode).toBe('record');
+    });
+
+    test('rejects unknown modes and non-http upstreams', async () => {
+        const project = (await request(app).post('/projects').send({ name: 'proxy-invalid' })).body.data;
+
+        const badMode = await request(app).put(`/projects/${project.project_id}`).send({ proxyMode: 'mirror' });
+        expect(badMode.status).toBe(400);
+
+        const badUrl = await request(app).put(`/projects/${project.project_id}`).send({ upstreamUrl: 'ftp://example.com' });
+        expect(badUrl.status).toBe(400);
+
+        const noUpstream = await request(app).put(`/projects/${project.project_id}`).send({ proxyMode: 'proxy' });
+        expect(noUpstream.status).toBe(400);
+    });
+
+    test('rejects loopback, private and metadata upstreams', async () => {
+        const project = (await request(app).post('/projects').send({ name: 'proxy-private' })).body.data;
+
+        await withPrivateNetworkBlocked(async () => {
+            for (const upstreamUrl of ['http://169.254.169.254/latest', 'http://localhost:8080', 'http://10.0.0.5/api', 'http://[::1]/']) {
+                const res = await request(app).put(`/projects/${project.project_id}`).send({ upstreamUrl });
+                expect(res.status).toBe(400);
+                expect(res.body.error).toMatch(/private or reserved/);
+            }
+        });
+    });
+});
+
+// ─── Proxy ────────────────────────────────────────────────────────────────────
+
+describe('proxy mode', () => {
+    test('forwards unmatched requests with their query and body', async () => {
+        const project = await createProxyProject('proxy-forward', 'proxy');
+
+        const res = await request(app)
+            .post(`/m/${project.slug}/orders?expand=1`)
+            .set('X-Client', 'ci')
+            .send({ sku: 'A1' });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['x-mockbird-proxy']).toBe('forwarded');
+        expect(res.headers['x-upstream']).toBe('yes');
+        expect(res.body).toMatchObject({ from: 'upstream', method: 'POST', url: '/api/orders?expand=1' });
+        expect(JSON.parse(res.body.body)).toEqual({ sku: 'A1' });
+        expect(upstreamHits[0].headers['x-client']).toBe('ci');
+
+        const mocks = await request(app).get(`/projects/${project.project_id}/mocks`);
+        expect(mocks.body.data).toHaveLength(0);
+    });
+
+    test('forwards non-JSON request bodies byte for byte', async () => {
+        const project = await createProxyProject('proxy-raw-body', 'proxy');
+
+        await request(app).post(`/m/${project.slug}/form`).type('form').send('b=two+words&a=%2F1');
+        await request(app).post(`/m/${project.slug}/xml`).set('Content-Type', 'application/xml').send('<order id="1"/>');
+        await request(app).post(`/m/${project.slug}/json`).set('Content-Type', 'application/json').send('{ "spaced" : true }');
+
+        expect(upstreamHits.map((hit) => hit.body)).toEqual(['b=two+words&a=%2F1', '<order id="1"/>', '{ "spaced" : true }']);
+    });
+
+    test('relays binary upstream bodies unchanged', async () => {
+        const project = await createProxyProject('proxy-binary', 'proxy');
+
+        const res = await request(app).get(`/m/${project.slug}/binary`).buffer(true).parse((stream, done) => {
+            const chunks = [];
+            stream.on('data', (chunk) => chunks.push(chunk));
+            stream.on('end', () => done(null, Buffer.concat(chunks)));
+        });
+        expect(res.status).toBe(200);
+        expect(Buffer.compare(res.body, BINARY)).toBe(0);
+    });
+
+    test('matching mocks still win over the upstream', async () => {
+        const project = await createProxyProject('proxy-mock-first', 'proxy');
+        const mock = (await request(app).post(`/projects/${project.project_id}/mocks`).send({ name: 'Local', path: '/local', method: 'GET' })).body.data;
+        await request(app).post(`/mocks/${mock.mock_id}/responses`).send({ name: 'OK', body: '{"from":"mock"}', isDefault: true });
+
+        const res = await request(app).get(`/m/${project.slug}/local`);
+        expect(res.body).toEqual({ from: 'mock' });
+        expect(upstreamHits).toHaveLength(0);
+    });
+
+    test('returns 502 when the upstream is unreachable', async () => {
+        const project = (await request(app).post('/projects').send({ name: 'proxy-down' })).body.data;
+        await request(app).put(`/projects/${project.project_id}`).send({ upstreamUrl: 'http://127.0.0.1:1', proxyMode: 'proxy' });
+
+        const res = await request(app).get(`/m/${project.slug}/anything`);
+        expect(res.status).toBe(502);
+        expect(res.body.error).toBe('UPSTREAM_UNAVAILABLE');
+    });
+
+    test('re-checks the upstream address before forwarding', async () => {
+        const project = await createProxyProject('proxy-rebound', 'proxy');
+
+        const res = await withPrivateNetworkBlocked(() => request(app).get(`/m/${project.slug}/anything`));
+        expect(res.status).toBe(502);
+        expect(res.body.error).toBe('UPSTREAM_BLOCKED');
+        expect(upstreamHits).toHaveLength(0);
+    });
+});
+
+// ─── Record & playback ────────────────────────────────────────────────────────
+
+describe('record and playback modes', () => {
+    test('records upstream responses as mocks and replays them in playback', async () => {
+        const project = await createProxyProject('proxy-record', 'record');
+
+        const first = await request(app).get(`/m/${project.slug}/users`);
+        expect(first.headers['x-mockbird-proxy']).toBe('recorded');
+        const missing = await request(app).get(`/m/${project.slug}/missing`);
+        expect(missing.status).toBe(404);
+
+        const mocks = (await request(app).get(`/projects/${project.project_id}/mocks`)).body.data;
+        expect(mocks.map((m) => [m.method, m.path, m.is_recorded]).sort()).toEqual([
+            ['GET', '/missing', 1],
+            ['GET', '/users', 1],
+        ]);
+
+        // A hand-written mock is ignored during playback
+        const manual = (await request(app).post(`/projects/${project.project_id}/mocks`).send({ name: 'Manual', path: '/manual', method: 'GET' })).body.data;
+        await request(app).post(`/mocks/${manual.mock_id}/responses`).send({ name: 'OK', body: '{}', isDefault: true });
+
+        await request(app).put(`/projects/${project.project_id}`).send({ proxyMode: 'playback' });
+        upstreamHits.length = 0;
+
+        const replay = await request(app).get(`/m/${project.slug}/users`);
+        expect(replay.status).toBe(200);
+        expect(replay.body).toEqual(first.body);
+        expect(replay.headers['x-upstream']).toBe('yes');
+
+        expect((await request(app).get(`/m/${project.slug}/missing`)).status).toBe(404);
+        expect((await request(app).get(`/m/${project.slug}/manual`)).body.error).toBe('MOCK_NOT_FOUND');
+        expect((await request(app).get(`/m/${project.slug}/new`)).body.error).toBe('MOCK_NOT_FOUND');
+        expect(upstreamHits).toHaveLength(0);
+    });
+
+    test('stops recording at the plan mock limit but keeps forwarding', async () => {
+        const project = await createProxyProject('proxy-limit', 'record');
+        for (let i = 0; i < 5; i++) await request(app).get(`/m/${project.slug}/r${i}`);
+
+        const res = await request(app).get(`/m/${project.slug}/r5`);
+        expect(res.status).toBe(200);
+        expect(res.headers['x-mockbird-proxy']).toBe('forwarded');
+
+        const mocks = await request(app).get(`/projects/${project.project_id}/mocks`);
+        expect(mocks.body.data).toHaveLength(5);
+    });
+});
+
+// ─── Proxy responses ──────────────────────────────────────────────────────────
+
+describe('proxy-kind responses', () => {
+    async function createMockWithResponses(name, path, responses) {
+        const project = (await request(app).post('/projects').send({ name })).body.data;
+        const mock = (await request(app)
+            .post(`/projects/${project.project_id}/mocks`)
+            .send({ name, path, method: 'GET' })).body.data;
+        for (const resp of responses) {
+            const created = await request(app).post(`/mocks/${mock.mock_id}/responses`).send(resp);
+            expect(created.status).toBe(201);
+        }
+        return { project, mock };
+    }
+
+    test('forwards to the configured URL with path params and query', async () => {
+        const { project } = await createMockWithResponses('passthrough', '/users/{id}', [{
+            name: 'Real backend', isDefault: true, kind: 'proxy',
+            proxyConfig: { url: `${upstreamUrl}/v2/users/{id}` },
+        }]);
+
+        const res = await request(app).get(`/m/${project.slug}/users/42?fields=name`).set('X-Client', 'ci');
+        expect(res.status).toBe(200);
+        expect(res.headers['x-mockbird-proxy']).toBe('passthrough');
+        expect(res.body).toMatchObject({ from: 'upstream', url: '/api/v2/users/42?fields=name' });
+        expect(upstreamHits[0].headers['x-client']).toBe('ci');
+    });
+
+    test('applies status, header and mergeBody overrides', async () => {
+        const { project } = await createMockWithResponses('passthrough-override', '/users', [{
+            name: 'Patched', isDefault: true, kind: 'proxy',
+            proxyConfig: { url: `${upstreamUrl}/users`, status: 203, headers: { 'X-Patched': '1' }, mergeBody: { from: 'merged', extra: { a: 1 } } },
+        }]);
+
+        const res = await request(app).get(`/m/${project.slug}/users`);
+        expect(res.status).toBe(203);
+        expect(res.headers['x-patched']).toBe('1');
+        expect(res.body).toMatchObject({ from: 'merged', method: 'GET', extra: { a: 1 } });
+    });
+
+    test('works alongside conditional static responses', async () => {
+        const { project } = await createMockWithResponses('passthrough-conditional', '/orders/{id}', [
+            { name: 'Real', isDefault: true, kind: 'proxy', proxyConfig: { url: `${upstreamUrl}/orders/{id}` } },
+            {
+                name: 'Not built yet', statusCode: 200, body: '{"id":"new","from":"mock"}',
+                conditions: [{ type: 'path', field: 'id', operator: 'equals', value: 'new' }],
+            },
+        ]);
+
+        expect((await request(app).get(`/m/${project.slug}/orders/new`)).body.from).toBe('mock');
+        expect((await request(app).get(`/m/${project.slug}/orders/7`)).body.from).toBe('upstream');
+    });
+
+    test('validates kind and proxyConfig', async () => {
+        const { mock } = await createMockWithResponses('passthrough-invalid', '/x', []);
+
+        const badKind = await request(app).post(`/mocks/${mock.mock_id}/responses`).send({ name: 'x', kind: 'magic' });
+        expect(badKind.status).toBe(400);
+
+        const noUrl = await request(app).post(`/mocks/${mock.mock_id}/responses`).send({ name: 'x', kind: 'proxy', proxyConfig: {} });
+        expect(noUrl.status).toBe(400);
+
+        const created = (await request(app).post(`/mocks/${mock.mock_id}/responses`).send({ name: 'static' })).body.data;
+        const switched = await request(app).put(`/mocks/${mock.mock_id}/responses/${created.response_id}`).send({ kind: 'proxy' });
+        expect(switched.status).toBe(400);
+    });
+
+    test('rejects private targets when saved and again before forwarding', async () => {
+        const { project, mock } = await createMockWithResponses('passthrough-private', '/meta', [{
+            name: 'Local', isDefault: true, kind: 'proxy', proxyConfig: { url: `${upstreamUrl}/meta` },
+        }]);
+
+        await withPrivateNetworkBlocked(async () => {
+            const metadata = await request(app).post(`/mocks/${mock.mock_id}/responses`).send({
+                name: 'Metadata', kind: 'proxy', proxyConfig: { url: 'http://169.254.169.254/latest/meta-data' },
+            });
+            expect(metadata.status).toBe(400);
+            expect(metadata.body.error).toMatch(/private or reserved/);
+
+            const res = await request(app).get(`/m/${project.slug}/meta`);
+            expect(res.status).toBe(502);
+            expect(res.body.error).toBe('UPSTREAM_BLOCKED');
+        });
+        expect(upstreamHits).toHaveLength(0);
+    });
+
+    test("other users can't edit a mock's responses", async () => {
+        const { mock } = await createMockWithResponses('passthrough-owner', '/owned', [{ name: 'Mine', isDefault: true }]);
+        const [response] = (await request(app).get(`/mocks/${mock.mock_id}/responses`)).body.data;
+
+        setAuthContext({ userId: 'user_intruder', orgId: null });
+        try {
+            const res = await request(app)
+                .put(`/mocks/${mock.mock_id}/responses/${response.response_id}`)
+                .send({ kind: 'proxy', proxyConfig: { url: `${upstreamUrl}/steal` } });
+            expect(res.status).toBe(404);
+        } finally {
+            resetAuthContext();
+        }
+
+        const [unchanged] = (await request(app).get(`/mocks/${mock.mock_id}/responses`)).body.data;
+        expect(unchanged.kind).toBe('static');
+    });
+
+    test('duplicating a mock keeps proxy config and conditions', async () => {
+        const conditions = [{ type: 'query', field: 'live', operator: 'equals', value: '1' }];
+        const { mock } = await createMockWithResponses('passthrough-dup', '/dup', [
+            { name: 'Real', kind: 'proxy', proxyConfig: { url: `${upstreamUrl}/dup` }, conditions },
+        ]);
+
+        const copy = (await request(app).post(`/mocks/${mock.mock_id}/duplicate`)).body.data;
+        const responses = (await request(app).get(`/mocks/${copy.mock_id}/responses`)).body.data;
+        expect(responses[0].kind).toBe('proxy');
+        expect(JSON.parse(responses[0].proxy_config).url).toBe(`${upstreamUrl}/dup`);
+        expect(JSON.parse(responses[0].conditions)).toEqual(conditions);
+    });
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * tests/integration/resources.test.js
+ *
+ * Integration tests for stateful resource mocks (mocks.is_resource = 1):
+ * CRUD through /m/:slug/*path backed by resource_records, and the
+ * POST /mocks/:id/resource/reset management endpoint.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const turso = require('../../db');
+const { buildTestApp, ensureTestUser } = require('../setup/testApp');
+const { handleResourceRequest } = require('../../services/resource.service');
+
+let app;
+
+beforeAll(async () => {
+    await ensureTestUser();
+    app = buildTestApp();
+});
+
+beforeEach(async () => {
+    await turso.execute('DELETE FROM resource_records');
+    await turso.execute('DELETE FROM request_logs');
+    await turso.execute('DELETE FROM mock_responses');
+    await turso.execute('DELETE FROM mocks');
+    await turso.execute('DELETE FROM projects');
+});
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+async function createResourceProject(name, seed = [{ id: 1, title: 'Seeded' }]) {
+    const projectRes = await request(app).post('/projects').send({ name });
+    const project = projectRes.body.data;
+
+    const mockRes = await request(app)
+        .post(`/projects/${project.project_id}/mocks`)
+        .send({ name: 'Todos', path: '/todos', method: 'GET', isResource: true });
+    expect(mockRes.status).toBe(201);
+    const mock = mockRes.body.data;
+
+    await request(app)
+        .post(`/mocks/${mock.mock_id}/responses`)
+        .send({ name: 'Seed', body: JSON.stringify(seed), isDefault: true });
+
+    return { project, mock };
+}
+
+// ─── CRUD ─────────────────────────────────────────────────────────────────────
+
+describe('Resource mocks — CRUD', () => {
+    test('lists seed data on first read', async () => {
+        const { project } = await createResourceProject('res-list');
+
+        const res = await request(app).get(`/m/${project.slug}/todos`);
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual([{ id: 1, title: 'Seeded' }]);
+    });
+
+    test('POST stores the body and later reads return it', async () => {
+        const { project } = await createResourceProject('res-create');
+
+        const created = await request(app).post(`/m/${project.slug}/todos`).send({ title: 'New task' });
+        expect(created.status).toBe(201);
+        expect(created.body).toEqual({ id: 2, title: 'New task' });
+
+        const list = await request(app).get(`/m/${project.slug}/todos`);
+        expect(list.body.map((t) => t.title)).toEqual(['Seeded', 'New task']);
+
+        const one = await request(app).get(`/m/${project.slug}/todos/2`);
+        expect(one.status).toBe(200);
+        expect(one.body.title).toBe('New task');
+    });
+
+    test('PUT replaces, PATCH merges, DELETE removes', async () => {
+        const { project } = await createResourceProject('res-mutate', [{ id: 1, title: 'A', done: false }]);
+
+        const put = await request(app).put(`/m/${project.slug}/todos/1`).send({ title: 'B' });
+        expect(put.body).toEqual({ id: 1, title: 'B' });
+
+        const patch = await request(app).patch(`/m/${project.slug}/todos/1`).send({ done: true });
+        expect(patch.body).toEqual({ id: 1, title: 'B', done: true });
+
+        const del = await request(app).delete(`/m/${project.slug}/todos/1`);
+        expect(del.status).toBe(204);
+
+        const missing = await request(app).get(`/m/${project.slug}/todos/1`);
+        expect(missing.status).toBe(404);
+        expect(missing.body.error).toBe('NOT_FOUND');
+    });
+
+    test('filters the collection by top-level query params', async () => {
+        const { project } = await createResourceProject('res-filter', [
+            { id: 1, status: 'open' },
+            { id: 2, status: 'closed' },
+        ]);
+
+        const res = await request(app).get(`/m/${project.slug}/todos?status=closed&page=1`);
+        expect(res.body).toEqual([{ id: 2, status: 'closed' }]);
+    });
+
+    test('rejects a duplicate id with 409', async () => {
+        const { project } = await createResourceProject('res-conflict');
+
+        const res = await request(app).post(`/m/${project.slug}/todos`).send({ id: 1, title: 'dup' });
+        expect(res.status).toBe(409);
+    });
+
+    test('an explicit mock takes precedence over the resource', async () => {
+        const { project } = await createResourceProject('res-override');
+        const override = await request(app)
+            .post(`/projects/${project.project_id}/mocks`)
+            .send({ name: 'Gone', path: '/todos/{id}', method: 'DELETE' });
+        await request(app)
+            .post(`/mocks/${override.body.data.mock_id}/responses`)
+            .send({ body: '{"error":"LOCKED"}', statusCode: 423, isDefault: true });
+
+        const res = await request(app).delete(`/m/${project.slug}/todos/1`);
+        expect(res.status).toBe(423);
+    });
+});
+
+// ─── Seeding ──────────────────────────────────────────────────────────────────
+
+describe('Resource mocks — seeding', () => {
+    test('concurrent first requests seed once', async () => {
+        const { project } = await createResourceProject('res-concurrent');
+
+        const created = await Promise.all([
+            request(app).post(`/m/${project.slug}/todos`).send({ id: 'a', title: 'First' }),
+            request(app).post(`/m/${project.slug}/todos`).send({ id: 'b', title: 'Second' }),
+        ]);
+        expect(created.map((res) => res.status)).toEqual([201, 201]);
+
+        const list = await request(app).get(`/m/${project.slug}/todos`);
+        expect(list.body.map((t) => t.id).sort()).toEqual([1, 'a', 'b'].sort());
+    });
+
+    test('a stale copy of the mock does not wipe stored items', async () => {
+        const { project, mock } = await createResourceProject('res-stale');
+        await request(app).post(`/m/${project.slug}/todos`).send({ title: 'Kept' }).expect(201);
+
+        // As held by another instance's route index from before the first request
+        const stale = { ...mock, resource_seeded_at: null };
+        const res = await handleResourceRequest(stale, null, { method: 'GET', query: {}, body: undefined });
+        expect(res.body.map((t) => t.title)).toEqual(['Seeded', 'Kept']);
+    });
+});
+
+// ─── Reset ────────────────────────────────────────────────────────────────────
+
+describe('POST /mocks/:id/resource/reset', () => {
+    test('restores seed data', async () => {
+        const { project, mock } = await createResourceProject('res-reset');
+        await request(app).post(`/m/${project.slug}/todos`).send({ title: 'Temp' });
+
+        const reset = await request(app).post(`/mocks/${mock.mock_id}/resource/reset`);
+        expect(reset.status).toBe(200);
+        expect(reset.body.data).toEqual([{ id: 1, title: 'Seeded' }]);
+
+        const list = await request(app).get(`/m/${project.slug}/todos`);
+        expect(list.body).toHaveLength(1);
+    });
+
+    test('returns 400 for a non-resource mock', async () => {
+        const projectRes = await request(app).post('/projects').send({ name: 'res-plain' });
+        const mockRes = await request(app)
+            .post(`/projects/${projectRes.body.data.project_id}/mocks`)
+            .send({ name: 'Plain', path: '/plain', method: 'GET' });
+
+        const res = await request(app).post(`/mocks/${mockRes.body.data.mock_id}/resource/reset`);
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,166 @@
+'use strict';
+
+/**
+ * tests/integration/retention.test.js
+ *
+ * Integration tests for request log retention: the pruning job
+ * (POST /admin/request-logs/prune), the retention filter of
+ * GET /mocks/:id/request-logs and the writer's counters
+ * (GET /admin/request-logs/stats).
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const turso = require('../../db');
+const { __setAuthContext: setAuthContext, __resetAuthContext: resetAuthContext } = require('@clerk/express');
+const { buildTestApp, ensureTestUser } = require('../setup/testApp');
+const { flushRequestLogs } = require('../../services/request-log.service');
+const { pruneRequestLogs } = require('../../services/retention.service');
+const { countMonthlyRequests, currentUsageMonth } = require('../../middleware/billing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ADMIN_KEY = 'test-admin-key';
+
+let app;
+
+beforeAll(async () => {
+    await ensureTestUser();
+    app = buildTestApp();
+});
+
+beforeEach(async () => {
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    await flushRequestLogs();
+    await turso.execute('DELETE FROM request_logs');
+    await turso.execute('DELETE FROM pruned_request_counts');
+    await turso.execute('DELETE FROM subscriptions');
+    await turso.execute('DELETE FROM mock_responses');
+    await turso.execute('DELETE FROM mocks');
+    await turso.execute('DELETE FROM projects');
+});
+
+afterAll(() => {
+    delete process.env.ADMIN_API_KEY;
+});
+
+async function createProjectWithMock(name) {
+    const project = (await request(app).post('/projects').send({ name })).body.data;
+    const mock = (await request(app).post(`/projects/${project.project_id}/mocks`).send({ name: 'Users', path: '/users', method: 'GET' })).body.data;
+    return { project, mock };
+}
+
+/** A project of an org on the pro plan. */
+async function createProProject() {
+    const projectId = uuidv4();
+    await turso.execute(
+        `INSERT INTO projects (project_id, name, slug, user_id, org_id) VALUES (?, 'Pro', ?, 'user_test_001', 'org_pro')`,
+        [projectId, `pro-${projectId.slice(0, 8)}`]
+    );
+    await turso.execute(
+        "INSERT INTO subscriptions (id, org_id, plan_key, status) VALUES (?, 'org_pro', 'pro', 'active')",
+        [uuidv4()]
+    );
+    return projectId;
+}
+
+async function insertLog(projectId, mockId, createdAt) {
+    const logId = uuidv4();
+    await turso.execute(
+        `INSERT INTO request_logs (log_id, mock_id, project_id, request_path, request_method, response_status, created_at)
+         VALUES (?, ?, ?, '/users', 'GET', 200, ?)`,
+        [logId, mockId, projectId, createdAt]
+    );
+    return logId;
+}
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+async function remainingLogIds() {
+    const result = await turso.execute('SELECT log_id FROM request_logs');
+    return result.rows.map((row) => row.log_id).sort();
+}
+
+describe('GET /admin/request-logs/stats', () => {
+    test('returns the writer\'s counters behind the admin key', async () => {
+        expect((await request(app).get('/admin/request-logs/stats')).status).toBe(401);
+
+        const res = await request(app).get('/admin/request-logs/stats').set('X-Admin-Key', ADMIN_KEY);
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ dropped: expect.any(Number), buffered: 0, bufferLimit: expect.any(Number) });
+    });
+});
+
+describe('POST /admin/request-logs/prune', () => {
+    test('requires ADMIN_API_KEY to be configured', async () => {
+        delete process.env.ADMIN_API_KEY;
+        const res = await request(app).post('/admin/request-logs/prune').set('X-Admin-Key', ADMIN_KEY);
+        expect(res.status).toBe(503);
+        expect(res.body.error).toBe('ADMIN_API_DISABLED');
+    });
+
+    test('rejects a missing or wrong key', async () => {
+        expect((await request(app).post('/admin/request-logs/prune')).status).toBe(401);
+        expect((await request(app).post('/admin/request-logs/prune').set('X-Admin-Key', 'nope')).status).toBe(401);
+    });
+
+    test('deletes logs past each owner\'s plan retention', async () => {
+        const { project, mock } = await createProjectWithMock('retention-free');
+        const proProjectId = await createProProject();
+
+        const freeRecent = await insertLog(project.project_id, mock.mock_id, daysAgo(3));
+        await insertLog(project.project_id, mock.mock_id, daysAgo(10));
+        const proRecent = await insertLog(proProjectId, null, daysAgo(10));
+        await insertLog(proProjectId, null, daysAgo(40));
+        await insertLog('deleted-project', null, daysAgo(10));
+
+        const res = await request(app).post('/admin/request-logs/prune').set('X-Admin-Key', ADMIN_KEY);
+        expect(res.status).toBe(200);
+        expect(res.body.data.deleted).toBe(3);
+        expect(res.body.data.plans.free_org.deleted).toBe(2);
+        expect(res.body.data.plans.pro.deleted).toBe(1);
+        expect(await remainingLogIds()).toEqual([freeRecent, proRecent].sort());
+    });
+});
+
+describe('retention', () => {
+    test('GET /mocks/:id/request-logs hides logs past retention', async () => {
+        const { project, mock } = await createProjectWithMock('retention-listing');
+        const recent = await insertLog(project.project_id, mock.mock_id, daysAgo(3));
+        await insertLog(project.project_id, mock.mock_id, daysAgo(10));
+
+        const res = await request(app).get(`/mocks/${mock.mock_id}/request-logs`);
+        expect(res.status).toBe(200);
+        expect(res.body.data.map((log) => log.log_id)).toEqual([recent]);
+        expect(res.body.pagination.total).toBe(1);
+        expect(res.body.retention.days).toBe(7);
+    });
+
+    test('GET /mocks/:id/request-logs hides other owners\' logs', async () => {
+        const { project, mock } = await createProjectWithMock('retention-intruder');
+        await insertLog(project.project_id, mock.mock_id, daysAgo(1));
+
+        setAuthContext({ userId: 'user_intruder', orgId: null });
+        try {
+            const res = await request(app).get(`/mocks/${mock.mock_id}/request-logs`);
+            expect(res.status).toBe(404);
+            expect(res.body.error).toBe('Mock not found');
+        } finally {
+            resetAuthContext();
+        }
+    });
+
+    test('pruned requests of the current month still count towards the monthly quota', async () => {
+        const { project, mock } = await createProjectWithMock('retention-quota');
+        const { start } = currentUsageMonth();
+        await insertLog(project.project_id, mock.mock_id, new Date(Date.parse(start) + 60000).toISOString());
+        await insertLog(project.project_id, mock.mock_id, new Date(Date.parse(start) + 120000).toISOString());
+        expect(await countMonthlyRequests(null, 'user_test_001')).toBe(2);
+
+        const { deleted } = await pruneRequestLogs({ now: Date.parse(start) + 8 * DAY_MS });
+        expect(deleted).toBe(2);
+        expect(await remainingLogIds()).toEqual([]);
+        expect(await countMonthlyRequests(null, 'user_test_001')).toBe(2);
+    });
+});
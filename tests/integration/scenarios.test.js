@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * tests/integration/scenarios.test.js
+ *
+ * Integration tests for project scenarios: CRUD under
+ * /projects/:id/scenarios, activation, per-request switching with the
+ * X-Mockbird-Scenario header, and copying scenarios with a duplicated project.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const turso = require('../../db');
+const { buildTestApp, ensureTestUser } = require('../setup/testApp');
+
+let app;
+
+beforeAll(async () => {
+    await ensureTestUser();
+    app = buildTestApp();
+});
+
+beforeEach(async () => {
+    await turso.execute('DELETE FROM scenario_responses');
+    await turso.execute('DELETE FROM scenarios');
+    await turso.execute('DELETE FROM request_logs');
+    await turso.execute('DELETE FROM mock_responses');
+    await turso.execute('DELETE FROM mocks');
+    await turso.execute('DELETE FROM projects');
+});
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * A project with GET /orders answering 200 [..] (highest priority), plus 200 [] and 503 variants.
+ */
+async function createShop(name) {
+    const project = (await request(app).post('/projects').send({ name })).body.data;
+    const mock = (await request(app)
+        .post(`/projects/${project.project_id}/mocks`)
+        .send({ name: 'Orders', path: '/orders', method: 'GET' })).body.data;
+
+    const add = async (payload) => (await request(app).post(`/mocks/${mock.mock_id}/responses`).send(payload)).body.data;
+    const full = await add({ name: 'Orders', body: '[{"id":1}]', isDefault: true, priority: 1 });
+    const empty = await add({ name: 'Empty', body: '[]' });
+    const down = await add({ name: 'Down', statusCode: 503, body: '{"error":"down"}' });
+    return { project, mock, responses: { full, empty, down } };
+}
+
+async function createScenario(projectId, name, responses) {
+    const res = await request(app).post(`/projects/${projectId}/scenarios`).send({ name, responses });
+    expect(res.status).toBe(201);
+    return res.body.data;
+}
+
+// ─── CRUD ─────────────────────────────────────────────────────────────────────
+
+describe('/projects/:id/scenarios', () => {
+    test('creates, lists and updates scenarios with their pins', async () => {
+        const { project, mock, responses } = await createShop('scenario-crud');
+        const scenario = await createScenario(project.project_id, 'empty-state', { [mock.mock_id]: responses.empty.response_id });
+        expect(scenario).toMatchObject({ name: 'empty-state', is_active: false, responses: { [mock.mock_id]: responses.empty.response_id } });
+
+        const list = await request(app).get(`/projects/${project.project_id}/scenarios`);
+        expect(list.body.data).toHaveLength(1);
+
+        const unpinned = await request(app)
+            .put(`/projects/${project.project_id}/scenarios/${scenario.scenario_id}`)
+            .send({ description: 'No orders yet', responses: { [mock.mock_id]: null } });
+        expect(unpinned.status).toBe(200);
+        expect(unpinned.body.data).toMatchObject({ description: 'No orders yet', responses: {} });
+    });
+
+    test('validates names and pins', async () => {
+        const { project, mock, responses } = await createShop('scenario-invalid');
+        const other = await createShop('scenario-other');
+        const base = `/projects/${project.project_id}/scenarios`;
+
+        expect((await request(app).post(base).send({ name: 'has spaces' })).status).toBe(400);
+        expect((await request(app).post(base).send({ name: 'x', responses: { [mock.mock_id]: other.responses.full.response_id } })).status).toBe(400);
+
+        await createScenario(project.project_id, 'happy-path', { [mock.mock_id]: responses.full.response_id });
+        expect((await request(app).post(base).send({ name: 'happy-path' })).status).toBe(409);
+    });
+});
+
+// ─── Execution ────────────────────────────────────────────────────────────────
+
+describe('scenario execution', () => {
+    test('the active scenario pins responses until deactivated', async () => {
+        const { project, mock, responses } = await createShop('scenario-active');
+        const down = await createScenario(project.project_id, 'server-down', { [mock.mock_id]: responses.down.response_id });
+
+        const activated = await request(app).post(`/projects/${project.project_id}/scenarios/${down.scenario_id}/activate`);
+        expect(activated.body.data.active_scenario_id).toBe(down.scenario_id);
+
+        const res = await request(app).get(`/m/${project.slug}/orders`);
+        expect(res.status).toBe(503);
+        expect(res.headers['x-mockbird-scenario']).toBe('server-down');
+
+        await request(app).post(`/projects/${project.project_id}/scenarios/deactivate`);
+        const normal = await request(app).get(`/m/${project.slug}/orders`);
+        expect(normal.body).toEqual([{ id: 1 }]);
+        expect(normal.headers['x-mockbird-scenario']).toBeUndefined();
+    });
+
+    test('X-Mockbird-Scenario overrides the active scenario per request', async () => {
+        const { project, mock, responses } = await createShop('scenario-header');
+        const down = await createScenario(project.project_id, 'server-down', { [mock.mock_id]: responses.down.response_id });
+        await createScenario(project.project_id, 'empty-state', { [mock.mock_id]: responses.empty.response_id });
+        await request(app).post(`/projects/${project.project_id}/scenarios/${down.scenario_id}/activate`);
+
+        const empty = await request(app).get(`/m/${project.slug}/orders`).set('X-Mockbird-Scenario', 'empty-state');
+        expect(empty.status).toBe(200);
+        expect(empty.body).toEqual([]);
+
+        const unknown = await request(app).get(`/m/${project.slug}/orders`).set('X-Mockbird-Scenario', 'nope');
+        expect(unknown.status).toBe(404);
+        expect(unknown.body.error).toBe('SCENARIO_NOT_FOUND');
+    });
+
+    test('mocks without a pin keep their normal responses', async () => {
+        const { project } = await createShop('scenario-unpinned');
+        await createScenario(project.project_id, 'blank', {});
+
+        const res = await request(app).get(`/m/${project.slug}/orders`).set('X-Mockbird-Scenario', 'blank');
+        expect(res.body).toEqual([{ id: 1 }]);
+    });
+
+    test('deleting the active scenario deactivates it', async () => {
+        const { project, mock, responses } = await createShop('scenario-delete');
+        const down = await createScenario(project.project_id, 'server-down', { [mock.mock_id]: responses.down.response_id });
+        await request(app).post(`/projects/${project.project_id}/scenarios/${down.scenario_id}/activate`);
+
+        await request(app).delete(`/projects/${project.project_id}/scenarios/${down.scenario_id}`);
+        expect((await request(app).get(`/projects/${project.project_id}`)).body.data.active_scenario_id).toBeNull();
+        expect((await request(app).get(`/m/${project.slug}/orders`)).status).toBe(200);
+    });
+
+    test('duplicating a project copies scenarios onto the new mocks', async () => {
+        const { project, mock, responses } = await createShop('scenario-dup');
+        const down = await createScenario(project.project_id, 'server-down', { [mock.mock_id]: responses.down.response_id });
+        await request(app).post(`/projects/${project.project_id}/scenarios/${down.scenario_id}/activate`);
+
+        const copy = (await request(app).post(`/projects/${project.project_id}/duplicate`)).body.data;
+        expect(copy.active_scenario_id).toBeTruthy();
+        expect(copy.active_scenario_id).not.toBe(down.scenario_id);
+        expect((await request(app).get(`/m/${copy.slug}/orders`)).status).toBe(503);
+    });
+});
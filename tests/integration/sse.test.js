@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * tests/integration/sse.test.js
+ *
+ * Integration tests for Server-Sent Events responses (mock_responses.kind = 'sse')
+ * streamed from /m/:slug/*path.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const http = require('http');
+const request = require('supertest');
+const turso = require('../../db');
+const { buildTestApp, ensureTestUser } = require('../setup/testApp');
+const { flushRequestLogs } = require('../../services/request-log.service');
+
+let app;
+
+beforeAll(async () => {
+    await ensureTestUser();
+    app = buildTestApp();
+});
+
+beforeEach(async () => {
+    await flushRequestLogs();
+    await turso.execute('DELETE FROM request_logs');
+    await turso.execute('DELETE FROM mock_responses');
+    await turso.execute('DELETE FROM mocks');
+    await turso.execute('DELETE FROM projects');
+});
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+async function createSseMock(name, path, sseConfig) {
+    const project = (await request(app).post('/projects').send({ name })).body.data;
+    const mock = (await request(app).post(`/projects/${project.project_id}/mocks`).send({ name, path, method: 'GET' })).body.data;
+    const res = await request(app).post(`/mocks/${mock.mock_id}/responses`).send({ name: 'Stream', kind: 'sse', sseConfig, isDefault: true });
+    expect(res.status).toBe(201);
+    return { project, mock, response: res.body.data };
+}
+
+/** Read a stream until `count` events have arrived, then hang up. */
+function readEvents(server, path, count) {
+    return new Promise((resolve, reject) => {
+        const req = http.get(`http://127.0.0.1:${server.address().port}${path}`, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                text += chunk;
+                const events = text.split('\n\n').filter(Boolean);
+                if (events.length >= count) {
+                    req.destroy();
+                    resolve({ headers: res.headers, events: events.slice(0, count) });
+                }
+            });
+        });
+        req.on('error', (err) => {
+            if (err.code !== 'ECONNRESET') reject(err);
+        });
+    });
+}
+
+// ─── SSE responses ────────────────────────────────────────────────────────────
+
+describe('sse responses', () => {
+    test('stream the configured events in order', async () => {
+        const { project } = await createSseMock('sse-stream', '/chats/{id}/stream', {
+            retry: 1000,
+            events: [
+                { event: 'token', id: '1', data: 'Hello', delay: 20 },
+                { event: 'token', id: '2', data: 'chat {{request.params.id}}' },
+                { event: 'done', data: { finished: true }, delay: 20 },
+            ],
+        });
+
+        const res = await request(app).get(`/m/${project.slug}/chats/42/stream`).buffer(true);
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+        expect(res.headers['cache-control']).toBe('no-cache');
+        expect(res.text).toBe([
+            'retry: 1000\n',
+            'id: 1\nevent: token\ndata: Hello\n',
+            'id: 2\nevent: token\ndata: chat 42\n',
+            'event: done\ndata: {"finished":true}\n',
+            '',
+        ].join('\n'));
+
+        await flushRequestLogs();
+        const logs = await turso.execute('SELECT response_body FROM request_logs');
+        expect(logs.rows[0].response_body).toBe('[sse 3 events]');
+    });
+
+    test('looping streams start over until the client disconnects', async () => {
+        const { project } = await createSseMock('sse-loop', '/ticks', {
+            loop: true,
+            events: [{ data: 'tick', delay: 10 }, { data: 'tock', delay: 10 }],
+        });
+
+        const server = app.listen(0);
+        try {
+            const { events } = await readEvents(server, `/m/${project.slug}/ticks`, 5);
+            expect(events).toEqual(['data: tick', 'data: tock', 'data: tick', 'data: tock', 'data: tick']);
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+
+    test('rejects SSE responses without events', async () => {
+        const project = (await request(app).post('/projects').send({ name: 'sse-invalid' })).body.data;
+        const mock = (await request(app).post(`/projects/${project.project_id}/mocks`).send({ name: 'x', path: '/x', method: 'GET' })).body.data;
+
+        expect((await request(app).post(`/mocks/${mock.mock_id}/responses`).send({ kind: 'sse' })).status).toBe(400);
+        expect((await request(app).post(`/mocks/${mock.mock_id}/responses`).send({
+            kind: 'sse', sseConfig: { events: [{ data: 'x' }], loop: true },
+        })).status).toBe(400);
+    });
+
+    test('updating the events is validated too', async () => {
+        const { mock, response } = await createSseMock('sse-update', '/feed', { events: [{ data: 'a' }] });
+        const bad = await request(app).put(`/mocks/${mock.mock_id}/responses/${response.response_id}`).send({ sseConfig: { events: [] } });
+        expect(bad.status).toBe(400);
+        const good = await request(app).put(`/mocks/${mock.mock_id}/responses/${response.response_id}`).send({ sseConfig: { events: [{ data: 'b' }] } });
+        expect(good.status).toBe(200);
+        expect(JSON.parse(good.body.data.sse_config).events[0].data).toBe('b');
+    });
+});
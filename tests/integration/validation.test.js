@@ -0,0 +1,146 @@
+'use strict';
+
+/**
+ * tests/integration/validation.test.js
+ *
+ * Integration tests for per-mock request validation (mocks.validation_mode):
+ * schema / inferred-schema body checks, required expected_headers, the
+ * configurable failure status and the validation_errors request log column.
+ */
+
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const turso = require('../../db');
+const { buildTestApp, ensureTestUser } = require('../setup/testApp');
+const { flushRequestLogs } = require('../../services/request-log.service');
+
+let app;
+
+beforeAll(async () => {
+    await ensureTestUser();
+    app = buildTestApp();
+});
+
+beforeEach(async () => {
+    await flushRequestLogs();
+    await turso.execute('DELETE FROM request_logs');
+    await turso.execute('DELETE FROM mock_responses');
+    await turso.execute('DELETE FROM mocks');
+    await turso.execute('DELETE FROM projects');
+});
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const USER_SCHEMA = JSON.stringify({
+    type: 'object',
+    required: ['email', 'age'],
+    properties: {
+        email: { type: 'string', format: 'email' },
+        age: { type: 'integer', minimum: 18 },
+    },
+});
+
+async function createValidatedMock(name, mockFields) {
+    const project = (await request(app).post('/projects').send({ name })).body.data;
+    const mockRes = await request(app)
+        .post(`/projects/${project.project_id}/mocks`)
+        .send({ name, path: '/users', method: 'POST', ...mockFields });
+    expect(mockRes.status).toBe(201);
+    await request(app)
+        .post(`/mocks/${mockRes.body.data.mock_id}/responses`)
+        .send({ name: 'Created', statusCode: 201, body: '{"ok":true}', isDefault: true });
+    return { project, mock: mockRes.body.data };
+}
+
+// ─── Schema mode ──────────────────────────────────────────────────────────────
+
+describe('validationMode: schema', () => {
+    test('serves the mock when the body matches', async () => {
+        const { project } = await createValidatedMock('val-ok', { validationMode: 'schema', expectedBody: USER_SCHEMA });
+
+        const res = await request(app).post(`/m/${project.slug}/users`).send({ email: 'a@b.co', age: 30 });
+        expect(res.status).toBe(201);
+        expect(res.body).toEqual({ ok: true });
+    });
+
+    test('rejects invalid bodies with every violation', async () => {
+        const { project } = await createValidatedMock('val-bad', { validationMode: 'schema', expectedBody: USER_SCHEMA });
+
+        const res = await request(app).post(`/m/${project.slug}/users`).send({ email: 'nope', age: 12 });
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('VALIDATION_FAILED');
+        expect(res.body.errors).toEqual(expect.arrayContaining([
+            expect.objectContaining({ location: 'body', path: '/email', keyword: 'format' }),
+            expect.objectContaining({ location: 'body', path: '/age', keyword: 'minimum' }),
+        ]));
+    });
+
+    test('uses the configured status and logs the errors', async () => {
+        const { project } = await createValidatedMock('val-422', {
+            validationMode: 'schema', validationStatus: 422, expectedBody: USER_SCHEMA,
+        });
+
+        const res = await request(app).post(`/m/${project.slug}/users`).send({ email: 'a@b.co' });
+        expect(res.status).toBe(422);
+        expect(res.body.errors).toEqual([expect.objectContaining({ path: '/age', keyword: 'required' })]);
+
+        await flushRequestLogs();
+        const logs = await turso.execute('SELECT * FROM request_logs WHERE project_id = ?', [project.project_id]);
+        expect(logs.rows[0].response_status).toBe(422);
+        expect(JSON.parse(logs.rows[0].validation_errors)).toEqual(res.body.errors);
+    });
+
+    test('rejects mocks whose expected body is not a usable schema', async () => {
+        const project = (await request(app).post('/projects').send({ name: 'val-config' })).body.data;
+
+        const badSchema = await request(app)
+            .post(`/projects/${project.project_id}/mocks`)
+            .send({ name: 'x', path: '/x', method: 'POST', validationMode: 'schema', expectedBody: '{"type":"banana"}' });
+        expect(badSchema.status).toBe(400);
+
+        const badStatus = await request(app)
+            .post(`/projects/${project.project_id}/mocks`)
+            .send({ name: 'x', path: '/x', method: 'POST', validationMode: 'schema', validationStatus: 418 });
+        expect(badStatus.status).toBe(400);
+    });
+});
+
+// ─── Infer mode & headers ─────────────────────────────────────────────────────
+
+describe('validationMode: infer', () => {
+    test('infers types and required keys from the example body', async () => {
+        const { project } = await createValidatedMock('val-infer', {
+            validationMode: 'infer', expectedBody: '{"name":"Jane","tags":["a"]}',
+        });
+
+        const ok = await request(app).post(`/m/${project.slug}/users`).send({ name: 'Bob', tags: [], extra: 1 });
+        expect(ok.status).toBe(201);
+
+        const bad = await request(app).post(`/m/${project.slug}/users`).send({ name: 42 });
+        expect(bad.status).toBe(400);
+        expect(bad.body.errors.map((e) => e.path).sort()).toEqual(['/name', '/tags']);
+    });
+
+    test('requires expected headers and a body', async () => {
+        const { project } = await createValidatedMock('val-headers', {
+            validationMode: 'infer', expectedBody: '{"name":"Jane"}', expectedHeaders: '{"Authorization":"Bearer x"}',
+        });
+
+        const res = await request(app).post(`/m/${project.slug}/users`);
+        expect(res.status).toBe(400);
+        expect(res.body.errors).toEqual([
+            { location: 'header', path: 'Authorization', message: 'is required' },
+            { location: 'body', path: '/', message: 'is required' },
+        ]);
+
+        const ok = await request(app).post(`/m/${project.slug}/users`).set('Authorization', 'Bearer y').send({ name: 'A' });
+        expect(ok.status).toBe(201);
+    });
+
+    test('is off by default', async () => {
+        const { project } = await createValidatedMock('val-off', { expectedBody: '{"name":"Jane"}' });
+        const res = await request(app).post(`/m/${project.slug}/users`).send({ anything: true });
+        expect(res.status).toBe(201);
+    });
+});
@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * tests/integration/websocket.test.js
+ *
+ * Integration tests for WebSocket mock endpoints: managed under
+ * /projects/:id/ws-endpoints and served at /m/:slug/ws/<path>.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.WS_PROJECT_CONNECTION_LIMIT = '3';
+process.env.WS_IP_CONNECTION_LIMIT = '4';
+
+const request = require('supertest');
+const WebSocket = require('ws');
+const turso = require('../../db');
+const { buildTestApp, ensureTestUser } = require('../setup/testApp');
+const { flushRequestLogs } = require('../../services/request-log.service');
+const { attachWebSocketServer } = require('../../services/websocket.service');
+
+let app;
+let server;
+let baseUrl;
+const sockets = [];
+
+beforeAll(async () => {
+    await ensureTestUser();
+    app = buildTestApp();
+    server = app.listen(0);
+    attachWebSocketServer(server);
+    baseUrl = `ws://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(() => {
+    for (const ws of sockets.splice(0)) ws.terminate();
+});
+
+afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(async () => {
+    await turso.execute('DELETE FROM ws_endpoints');
+    await flushRequestLogs();
+    await turso.execute('DELETE FROM request_logs');
+    await turso.execute('DELETE FROM projects');
+});
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+async function createEndpoint(name, endpoint) {
+    const project = (await request(app).post('/projects').send({ name })).body.data;
+    const res = await request(app).post(`/projects/${project.project_id}/ws-endpoints`).send(endpoint);
+    expect(res.status).toBe(201);
+    return { project, endpoint: res.body.data };
+}
+
+/** Open a socket that queues incoming messages for `next()`. */
+function connect(path, options) {
+    const ws = new WebSocket(`${baseUrl}${path}`, options);
+    sockets.push(ws);
+    const queue = [];
+    const waiting = [];
+    ws.on('message', (data) => {
+        const text = data.toString();
+        if (waiting.length > 0) waiting.shift()(text);
+        else queue.push(text);
+    });
+    ws.next = () => (queue.length > 0 ? Promise.resolve(queue.shift()) : new Promise((resolve) => waiting.push(resolve)));
+    ws.opened = new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('unexpected-response', (req, res) => reject(Object.assign(new Error('rejected'), { status: res.statusCode })));
+        ws.once('error', reject);
+    });
+    ws.closed = new Promise((resolve) => ws.once('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+    return ws;
+}
+
+// ─── Management ───────────────────────────────────────────────────────────────
+
+describe('/projects/:id/ws-endpoints', () => {
+    test('creates, updates and lists endpoints', async () => {
+        const { project, endpoint } = await createEndpoint('ws-crud', { path: '/chat/{room}', onConnect: [{ data: 'hi' }] });
+        expect(endpoint).toMatchObject({ path: '/chat/{room}', name: '/chat/{room}', is_active: 1 });
+
+        const dup = await request(app).post(`/projects/${project.project_id}/ws-endpoints`).send({ path: '/chat/{room}' });
+        expect(dup.status).toBe(409);
+
+        const updated = await request(app)
+            .put(`/projects/${project.project_id}/ws-endpoints/${endpoint.endpoint_id}`)
+            .send({ name: 'Chat', close: { afterMs: 1000, code: 4000 } });
+        expect(updated.status).toBe(200);
+        expect(JSON.parse(updated.body.data.close_config)).toEqual({ afterMs: 1000, code: 4000 });
+        expect(JSON.parse(updated.body.data.on_connect)).toEqual([{ data: 'hi' }]);
+
+        const list = await request(app).get(`/projects/${project.project_id}/ws-endpoints`);
+        expect(list.body.data.map((e) => e.name)).toEqual(['Chat']);
+    });
+
+    test('rejects bad paths and scripts', async () => {
+        const project = (await request(app).post('/projects').send({ name: 'ws-invalid' })).body.data;
+        const url = `/projects/${project.project_id}/ws-endpoints`;
+        expect((await request(app).post(url).send({ path: 'chat' })).status).toBe(400);
+        expect((await request(app).post(url).send({ path: '/chat', broadcasts: [{ data: 'x', intervalMs: 1 }] })).status).toBe(400);
+    });
+});
+
+// ─── Serving ──────────────────────────────────────────────────────────────────
+
+describe('websocket mocks', () => {
+    test('send connect messages and answer matching messages', async () => {
+        const { project } = await createEndpoint('ws-chat', {
+            path: '/chat/{room}',
+            onConnect: [{ data: { type: 'welcome', room: '{{request.params.room}}' } }],
+            replies: [
+                { conditions: [{ type: 'body', field: 'type', operator: 'equals', value: 'ping' }], data: { type: 'pong' } },
+                { conditions: [{ type: 'header', field: 'x-user', operator: 'exists' }], data: '{{request.headers.x-user}} said {{request.body.text}}' },
+            ],
+        });
+
+        const ws = connect(`/m/${project.slug}/ws/chat/general`, { headers: { 'X-User': 'ada' } });
+        await ws.opened;
+        expect(JSON.parse(await ws.next())).toEqual({ type: 'welcome', room: 'general' });
+
+        ws.send(JSON.stringify({ type: 'ping' }));
+        expect(JSON.parse(await ws.next())).toEqual({ type: 'pong' });
+
+        ws.send(JSON.stringify({ type: 'say', text: 'hello' }));
+        expect(await ws.next()).toBe('ada said hello');
+
+        await flushRequestLogs();
+        const logs = await turso.execute('SELECT request_path, response_status FROM request_logs');
+        expect(logs.rows[0]).toMatchObject({ request_path: '/ws/chat/general', response_status: 101 });
+    });
+
+    test('broadcast replies reach every client of the endpoint', async () => {
+        const { project } = await createEndpoint('ws-broadcast', {
+            path: '/room',
+            replies: [{ data: 'relay: {{request.body}}', broadcast: true }],
+        });
+
+        const alice = connect(`/m/${project.slug}/ws/room`);
+        const bob = connect(`/m/${project.slug}/ws/room`);
+        await Promise.all([alice.opened, bob.opened]);
+
+        alice.send('hi all');
+        expect(await alice.next()).toBe('relay: hi all');
+        expect(await bob.next()).toBe('relay: hi all');
+    });
+
+    test('periodic broadcasts and scripted closes', async () => {
+        const { project } = await createEndpoint('ws-ticks', {
+            path: '/ticks',
+            broadcasts: [{ data: 'tick', intervalMs: 100 }],
+            close: { afterMs: 350, code: 4000, reason: 'session expired' },
+        });
+
+        const ws = connect(`/m/${project.slug}/ws/ticks`);
+        await ws.opened;
+        expect(await ws.next()).toBe('tick');
+        expect(await ws.next()).toBe('tick');
+        expect(await ws.closed).toEqual({ code: 4000, reason: 'session expired' });
+    });
+
+    test('replies can close the socket', async () => {
+        const { project } = await createEndpoint('ws-kick', {
+            path: '/kick',
+            replies: [{ conditions: [{ type: 'body', operator: 'equals', value: 'bye' }], data: 'goodbye', close: { code: 1000 } }],
+        });
+
+        const ws = connect(`/m/${project.slug}/ws/kick`);
+        await ws.opened;
+        ws.send('bye');
+        expect(await ws.next()).toBe('goodbye');
+        expect((await ws.closed).code).toBe(1000);
+    });
+
+    test('unknown projects and endpoints are refused', async () => {
+        const { project } = await createEndpoint('ws-missing', { path: '/known' });
+        await expect(connect(`/m/${project.slug}/ws/unknown`).opened).rejects.toMatchObject({ status: 404 });
+        await expect(connect('/m/no-such-project/ws/known').opened).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('caps open connections per project and frees slots on close', async () => {
+        const { project } = await createEndpoint('ws-cap-project', { path: '/feed' });
+        const open = (ip) => connect(`/m/${project.slug}/ws/feed`, { headers: { 'X-Forwarded-For': ip } });
+
+        const first = open('198.51.100.1');
+        await Promise.all([first.opened, open('198.51.100.2').opened, open('198.51.100.3').opened]);
+        await expect(open('198.51.100.4').opened).rejects.toMatchObject({ status: 429 });
+
+        first.close();
+        await first.closed;
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        await open('198.51.100.4').opened;
+    });
+
+    test('caps open connections per client IP across projects', async () => {
+        const { project: one } = await createEndpoint('ws-cap-ip-1', { path: '/feed' });
+        const { project: two } = await createEndpoint('ws-cap-ip-2', { path: '/feed' });
+        const open = (project) => connect(`/m/${project.slug}/ws/feed`, { headers: { 'X-Forwarded-For': '203.0.113.7' } });
+
+        await Promise.all([open(one).opened, open(one).opened, open(two).opened, open(two).opened]);
+        await expect(open(two).opened).rejects.toMatchObject({ status: 429 });
+
+        // Other clients are unaffected
+        await connect(`/m/${two.slug}/ws/feed`, { headers: { 'X-Forwarded-For': '203.0.113.8' } }).opened;
+    });
+
+    test('duplicating a project copies its endpoints', async () => {
+        const { project } = await createEndpoint('ws-dup', { path: '/echo', replies: [{ data: '{{request.body}}' }] });
+        const copy = (await request(app).post(`/projects/${project.project_id}/duplicate`)).body.data;
+
+        const ws = connect(`/m/${copy.slug}/ws/echo`);
+        await ws.opened;
+        ws.send('same');
+        expect(await ws.next()).toBe('same');
+    });
+});
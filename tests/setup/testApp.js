@@ -10,6 +10,7 @@
  *   1. Schema creation (ensureSchema)
  *   2. Test user seeding (ensureTestUser)
  *   3. App factory (buildTestApp)
+ *   4. Flushing buffered request logs after each test file
  */
 
 const turso = require('../../db');
@@ -27,6 +28,9 @@ CREATE TABLE IF NOT EXISTS projects (
     project_id TEXT PRIMARY KEY, name TEXT NOT NULL, description TEXT,
     slug TEXT UNIQUE NOT NULL, user_id TEXT NOT NULL, org_id TEXT,
     is_public INTEGER DEFAULT 0,
+    upstream_url TEXT, proxy_mode TEXT DEFAULT 'off',
+    active_scenario_id TEXT, chaos_config TEXT DEFAULT '{}', graphql_sdl TEXT,
+    routes_version INTEGER DEFAULT 0,
     created_at TEXT DEFAULT (datetime('now')),
     updated_at TEXT DEFAULT (datetime('now'))
 );
@@ -37,6 +41,12 @@ CREATE TABLE IF NOT EXISTS mocks (
     response_delay_ms INTEGER DEFAULT 0,
     expected_body TEXT DEFAULT '',
     expected_headers TEXT DEFAULT '{}',
+    is_resource INTEGER DEFAULT 0, resource_seeded_at TEXT,
+    is_recorded INTEGER DEFAULT 0,
+    validation_mode TEXT DEFAULT 'off', validation_status INTEGER DEFAULT 400,
+    selection_mode TEXT DEFAULT 'random', sequence_scope TEXT DEFAULT 'global',
+    chaos_config TEXT DEFAULT '{}',
+    request_matchers TEXT DEFAULT '{}',
     created_at TEXT DEFAULT (datetime('now')),
     updated_at TEXT DEFAULT (datetime('now'))
 );
@@ -45,6 +55,11 @@ CREATE TABLE IF NOT EXISTS mock_responses (
     status_code INTEGER DEFAULT 200, headers TEXT DEFAULT '{}',
     body TEXT DEFAULT '', is_default INTEGER DEFAULT 0,
     weight INTEGER DEFAULT 100, conditions TEXT DEFAULT '[]',
+    kind TEXT DEFAULT 'static', proxy_config TEXT DEFAULT '{}',
+    priority INTEGER DEFAULT 0, delay_ms INTEGER, delay_max_ms INTEGER, asset_id TEXT,
+    sse_config TEXT DEFAULT '{}',
+    callbacks TEXT DEFAULT '[]',
+    templating INTEGER DEFAULT 0,
     created_at TEXT DEFAULT (datetime('now'))
 );
 CREATE TABLE IF NOT EXISTS request_logs (
@@ -52,9 +67,65 @@ CREATE TABLE IF NOT EXISTS request_logs (
     request_path TEXT, request_method TEXT, request_headers TEXT,
     request_body TEXT, request_query TEXT, response_status INTEGER,
     response_time_ms INTEGER, response_headers TEXT, response_body TEXT,
+    validation_errors TEXT,
     ip_address TEXT, user_agent TEXT,
     created_at TEXT DEFAULT (datetime('now'))
 );
+CREATE TABLE IF NOT EXISTS resource_records (
+    record_id TEXT PRIMARY KEY, project_id TEXT NOT NULL, mock_id TEXT NOT NULL,
+    item_id TEXT NOT NULL, data TEXT DEFAULT '{}',
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+);
+CREATE TABLE IF NOT EXISTS response_sequences (
+    mock_id TEXT NOT NULL, project_id TEXT NOT NULL, client_key TEXT NOT NULL DEFAULT '',
+    calls INTEGER DEFAULT 0,
+    updated_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (mock_id, client_key)
+);
+CREATE TABLE IF NOT EXISTS assets (
+    asset_id TEXT PRIMARY KEY, project_id TEXT NOT NULL, filename TEXT NOT NULL,
+    content_type TEXT DEFAULT 'application/octet-stream', size_bytes INTEGER DEFAULT 0,
+    data BLOB NOT NULL,
+    created_at TEXT DEFAULT (datetime('now'))
+);
+CREATE TABLE IF NOT EXISTS ws_endpoints (
+    endpoint_id TEXT PRIMARY KEY, project_id TEXT NOT NULL, name TEXT, path TEXT NOT NULL,
+    is_active INTEGER DEFAULT 1, on_connect TEXT DEFAULT '[]', replies TEXT DEFAULT '[]',
+    broadcasts TEXT DEFAULT '[]', close_config TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now')),
+    UNIQUE (project_id, path)
+);
+CREATE TABLE IF NOT EXISTS callback_deliveries (
+    delivery_id TEXT PRIMARY KEY, project_id TEXT NOT NULL, mock_id TEXT NOT NULL, response_id TEXT,
+    url TEXT NOT NULL, method TEXT NOT NULL, request_headers TEXT DEFAULT '{}', request_body TEXT DEFAULT '',
+    status TEXT DEFAULT 'pending', attempts INTEGER DEFAULT 0, response_status INTEGER, response_body TEXT, error TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+);
+CREATE TABLE IF NOT EXISTS pruned_request_counts (
+    owner_key TEXT NOT NULL, month TEXT NOT NULL, request_count INTEGER DEFAULT 0,
+    PRIMARY KEY (owner_key, month)
+);
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id TEXT PRIMARY KEY, org_id TEXT, user_id TEXT, dodo_subscription_id TEXT UNIQUE, dodo_customer_id TEXT,
+    product_id TEXT, plan_key TEXT DEFAULT 'free_org', status TEXT DEFAULT 'inactive',
+    current_period_start TEXT, current_period_end TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+);
+CREATE TABLE IF NOT EXISTS scenarios (
+    scenario_id TEXT PRIMARY KEY, project_id TEXT NOT NULL, name TEXT NOT NULL,
+    description TEXT DEFAULT '',
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now')),
+    UNIQUE (project_id, name)
+);
+CREATE TABLE IF NOT EXISTS scenario_responses (
+    scenario_id TEXT NOT NULL, mock_id TEXT NOT NULL, response_id TEXT NOT NULL,
+    PRIMARY KEY (scenario_id, mock_id)
+);
 `;
 
 let _schemaReady = null;
@@ -79,13 +150,20 @@ async function ensureTestUser(userId = 'user_test_001') {
 
 function buildTestApp() {
     const express = require('express');
+    const { keepRawBody } = require('../../services/proxy.service');
     const app = express();
-    app.use(express.json());
+    app.use(['/projects/import', '/projects/:id/import'], express.json({ limit: '5mb' }));
+    app.use('/projects/:projectId/assets', express.json({ limit: '7mb' }));
+    app.use(express.json({ verify: keepRawBody }));
+    app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
     const projectsRouter = require('../../routes/projects');
     const mocksRouter = require('../../routes/mocks');
     const mRouter = require('../../routes/m');
+    const requireAdminKey = require('../../middleware/admin');
+    const adminRouter = require('../../routes/admin');
 
+    app.use('/admin', requireAdminKey, adminRouter);
     app.use('/projects', projectsRouter);
     app.use('/', mocksRouter);
     app.use('/m', mRouter);
@@ -93,4 +171,10 @@ function buildTestApp() {
     return app;
 }
 
+// ── Request logs ────────────────────────────────────────────────────────────
+
+// Log rows are buffered (services/request-log.service.js): write a file's
+// leftovers before the next test file clears the tables
+afterAll(() => require('../../services/request-log.service').flushRequestLogs());
+
 module.exports = { buildTestApp, ensureSchema, ensureTestUser };
@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * tests/unit/callbacks.test.js
+ *
+ * Unit tests for callback config checks, rendering, signing and the pending
+ * delivery limits in services/callback.service.js. The database client is mocked.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.CALLBACK_PENDING_LIMIT = '3';
+process.env.CALLBACK_PROJECT_PENDING_LIMIT = '2';
+
+jest.mock('../../db', () => ({ execute: jest.fn().mockResolvedValue({ rows: [] }) }));
+
+const crypto = require('crypto');
+const turso = require('../../db');
+const { checkCallbacks, signCallback, renderCallback, scheduleCallbacks, callbackStats } = require('../../services/callback.service');
+
+describe('checkCallbacks', () => {
+    test('accepts fixed and templated URLs', () => {
+        expect(checkCallbacks([
+            { url: 'https://example.com/hooks', method: 'put', delay: 500, retries: 2, retryDelay: 100 },
+            { url: '{{request.body.callbackUrl}}', body: { id: '{{response.body.id}}' }, signature: { secret: 's3cret', algorithm: 'sha512' } },
+        ])).toBeNull();
+        expect(checkCallbacks('[{"url":"http://localhost:9000/cb"}]')).toBeNull();
+        expect(checkCallbacks([])).toBeNull();
+    });
+
+    test('rejects bad configs', () => {
+        expect(checkCallbacks({})).toMatch(/array/);
+        expect(checkCallbacks('not json')).toMatch(/JSON/);
+        expect(checkCallbacks([{}])).toMatch(/url is required/);
+        expect(checkCallbacks([{ url: 'ftp://example.com' }])).toMatch(/http\(s\)/);
+        expect(checkCallbacks([{ url: 'https://x.io', method: 'TRACE' }])).toMatch(/method/);
+        expect(checkCallbacks([{ url: 'https://x.io', headers: [] }])).toMatch(/headers/);
+        expect(checkCallbacks([{ url: 'https://x.io', delay: 400000 }])).toMatch(/delay/);
+        expect(checkCallbacks([{ url: 'https://x.io', retries: 9 }])).toMatch(/retries/);
+        expect(checkCallbacks([{ url: 'https://x.io', signature: {} }])).toMatch(/secret/);
+        expect(checkCallbacks([{ url: 'https://x.io', signature: { secret: 'x', algorithm: 'md5' } }])).toMatch(/algorithm/);
+        expect(checkCallbacks(Array.from({ length: 6 }, () => ({ url: 'https://x.io' })))).toMatch(/limited/);
+    });
+});
+
+describe('signCallback', () => {
+    test('prefixes the hex HMAC with the algorithm', () => {
+        const expected = crypto.createHmac('sha256', 'key').update('{"a":1}').digest('hex');
+        expect(signCallback('{"a":1}', { secret: 'key' })).toBe(`sha256=${expected}`);
+        expect(signCallback('', { secret: 'key', algorithm: 'sha1' })).toMatch(/^sha1=[0-9a-f]{40}$/);
+    });
+});
+
+describe('renderCallback', () => {
+    const context = {
+        request: { method: 'POST', path: '/payments', params: {}, query: {}, headers: {}, body: { callbackUrl: 'http://localhost:1/cb', amount: 10 } },
+        response: { status: 201, body: { id: 'pay_1' } },
+    };
+
+    test('renders URL, headers and an object body as JSON', () => {
+        const request = renderCallback({
+            url: '{{request.body.callbackUrl}}',
+            headers: { 'X-Event': 'payment.{{response.status}}' },
+            body: { id: '{{response.body.id}}', amount: '{{request.body.amount}}' },
+        }, context, 'dlv_1');
+
+        expect(request.url).toBe('http://localhost:1/cb');
+        expect(request.method).toBe('POST');
+        expect(request.headers['X-Event']).toBe('payment.201');
+        expect(request.headers['X-Mockbird-Delivery']).toBe('dlv_1');
+        expect(JSON.parse(request.body)).toEqual({ id: 'pay_1', amount: '10' });
+    });
+
+    test('signs the rendered body in the configured header', () => {
+        const request = renderCallback({
+            url: 'http://localhost:1/cb',
+            body: 'paid {{response.body.id}}',
+            signature: { secret: 'whsec', header: 'X-Signature' },
+        }, context, 'dlv_2');
+
+        expect(request.body).toBe('paid pay_1');
+        expect(request.headers['X-Signature']).toBe(signCallback('paid pay_1', { secret: 'whsec' }));
+    });
+
+    test('GET callbacks have no body', () => {
+        expect(renderCallback({ url: 'http://localhost:1/cb', method: 'get', body: { a: 1 } }, context, 'dlv_3').body).toBe('');
+    });
+});
+
+describe('scheduleCallbacks', () => {
+    const req = { method: 'POST', headers: {}, query: {}, body: {} };
+    // Long delays keep the deliveries pending for the whole test
+    const response = {
+        response_id: 'r1',
+        status_code: 200,
+        callbacks: JSON.stringify(Array.from({ length: 5 }, () => ({ url: 'https://example.com/hooks', delay: 300000 }))),
+    };
+
+    test('drops and counts deliveries over the per-project and per-process limits', async () => {
+        const before = callbackStats();
+        await scheduleCallbacks({ mock: { mock_id: 'm1', project_id: 'p1' }, response, req, pathParams: {}, mockPath: '/' });
+        expect(callbackStats()).toMatchObject({ pending: 2, scheduled: before.scheduled + 2, dropped: before.dropped + 3 });
+
+        await scheduleCallbacks({ mock: { mock_id: 'm2', project_id: 'p2' }, response, req, pathParams: {}, mockPath: '/' });
+        expect(callbackStats()).toMatchObject({ pending: 3, dropped: before.dropped + 7 });
+
+        const inserts = turso.execute.mock.calls.filter(([sql]) => /INSERT INTO callback_deliveries/.test(sql));
+        expect(inserts).toHaveLength(3);
+    });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * tests/unit/chaos.test.js
+ *
+ * Unit tests for the fault-injection helpers in utils/chaos.js.
+ */
+
+const { checkChaosConfig, mergeChaosConfig, sampleLatency, planChaos } = require('../../utils/chaos');
+
+/** A random() stand-in that returns the given values in turn. */
+function sequence(...values) {
+    let i = 0;
+    return () => values[i++ % values.length];
+}
+
+describe('checkChaosConfig', () => {
+    test('accepts a full config', () => {
+        expect(checkChaosConfig({
+            latency: { distribution: 'normal', mean: 300, stddev: 100, max: 2000 },
+            failure: { percent: 10, status: 503 },
+            drop: { percent: 1 },
+            truncate: { percent: 1 },
+            trickle: { chunkBytes: 8, intervalMs: 50 },
+        })).toBeNull();
+        expect(checkChaosConfig({ latency: null })).toBeNull();
+    });
+
+    test('rejects bad settings', () => {
+        expect(checkChaosConfig({ jitter: {} })).toMatch(/Unknown/);
+        expect(checkChaosConfig({ latency: { min: 500, max: 100 } })).toMatch(/min/);
+        expect(checkChaosConfig({ latency: { distribution: 'exponential' } })).toMatch(/mean/);
+        expect(checkChaosConfig({ failure: { status: 200 } })).toMatch(/status/);
+        expect(checkChaosConfig({ drop: { percent: 150 } })).toMatch(/percent/);
+        expect(checkChaosConfig({ trickle: { chunkBytes: 0, intervalMs: 10 } })).toMatch(/chunkBytes/);
+        expect(checkChaosConfig([])).toMatch(/object/);
+    });
+});
+
+describe('mergeChaosConfig', () => {
+    test('mock keys override the project, null switches a setting off', () => {
+        const project = JSON.stringify({ latency: { max: 100 }, failure: { percent: 50 } });
+        const mock = JSON.stringify({ failure: null, drop: { percent: 5 } });
+        expect(mergeChaosConfig(project, mock)).toEqual({ latency: { max: 100 }, drop: { percent: 5 } });
+        expect(mergeChaosConfig('not json', undefined)).toEqual({});
+    });
+});
+
+describe('sampleLatency', () => {
+    test('uniform spans min..max', () => {
+        expect(sampleLatency({ min: 100, max: 300 }, () => 0)).toBe(100);
+        expect(sampleLatency({ min: 100, max: 300 }, () => 0.5)).toBe(200);
+    });
+
+    test('normal and exponential are clamped to the range', () => {
+        expect(sampleLatency({ distribution: 'normal', mean: 200, stddev: 0 }, sequence(0.5, 0.5))).toBe(200);
+        expect(sampleLatency({ distribution: 'normal', mean: 10, stddev: 1000, min: 0 }, sequence(0.999, 0.5))).toBe(0);
+        expect(sampleLatency({ distribution: 'exponential', mean: 100, max: 150 }, () => 0.999)).toBe(150);
+    });
+});
+
+describe('planChaos', () => {
+    test('percent decides whether a fault fires', () => {
+        const config = { failure: { percent: 20, status: 503 } };
+        expect(planChaos(config, () => 0.1).fault).toBe('failure');
+        expect(planChaos(config, () => 0.5).fault).toBeNull();
+    });
+
+    test('drop wins over failure and truncate', () => {
+        const plan = planChaos({ drop: {}, failure: {}, truncate: {} }, () => 0);
+        expect(plan.fault).toBe('drop');
+    });
+
+    test('failures default to a 500 JSON body', () => {
+        const plan = planChaos({ failure: {} }, () => 0);
+        expect(plan.failure.status).toBe(500);
+        expect(JSON.parse(plan.failure.body).error).toBe('CHAOS_FAILURE');
+    });
+
+    test('latency and trickle combine with faults', () => {
+        const plan = planChaos({ latency: { min: 40, max: 40 }, truncate: {}, trickle: { chunkBytes: 4, intervalMs: 10 } }, () => 0);
+        expect(plan).toMatchObject({ delayMs: 40, fault: 'truncate', trickle: { chunkBytes: 4, intervalMs: 10 } });
+    });
+});
@@ -5,18 +5,31 @@
  *
  * Unit tests for the pure functions in utils/execution.js:
  *  - matchPath
+ *  - comparePathSpecificity / checkPathPattern / templatePath
  *  - evaluateCondition
+ *  - evaluateConditionNode
  *  - responseMatchesConditions
+ *  - selectCandidates
  *  - pickResponse
+ *  - responseDelay
+ *  - pickInSequence
  *
  * These tests have zero external dependencies — no DB, no HTTP.
  */
 
 const {
     matchPath,
+    comparePathSpecificity,
+    checkPathPattern,
+    templatePath,
     evaluateCondition,
+    evaluateConditionNode,
     responseMatchesConditions,
+    compileConditions,
+    selectCandidates,
     pickResponse,
+    responseDelay,
+    pickInSequence,
 } = require('../../utils/execution');
 
 // ─── matchPath ────────────────────────────────────────────────────────────────
@@ -54,6 +67,100 @@ describe('matchPath', () => {
         const result = matchPath('/v1.0/users', '/v1.0/users');
         expect(result.isMatch).toBe(true);
     });
+
+    test('ignores a trailing slash on either side', () => {
+        expect(matchPath('/users', '/users/').isMatch).toBe(true);
+        expect(matchPath('/users/{id}/', '/users/7')).toEqual({ isMatch: true, params: { id: '7' } });
+        expect(matchPath('/', '/').isMatch).toBe(true);
+    });
+
+    test('* matches within a segment and ** across segments', () => {
+        expect(matchPath('/files/**', '/files/a/b/c.png')).toEqual({ isMatch: true, params: { 0: 'a/b/c.png' } });
+        expect(matchPath('/files/**', '/files')).toEqual({ isMatch: true, params: { 0: '' } });
+        expect(matchPath('/a/**/meta', '/a/x/y/meta').params).toEqual({ 0: 'x/y' });
+        expect(matchPath('/img/*.png', '/img/logo.png')).toEqual({ isMatch: true, params: { 0: 'logo' } });
+        expect(matchPath('/img/*.png', '/img/logo.jpg').isMatch).toBe(false);
+        expect(matchPath('/img/*', '/img/a/b').isMatch).toBe(false);
+    });
+
+    test('optional segments', () => {
+        expect(matchPath('/users/{id}?', '/users')).toEqual({ isMatch: true, params: {} });
+        expect(matchPath('/users/{id}?', '/users/5')).toEqual({ isMatch: true, params: { id: '5' } });
+        expect(matchPath('/users/{id}?/posts', '/users/posts').isMatch).toBe(true);
+    });
+
+    test('typed and regex params', () => {
+        expect(matchPath('/orders/{id:int}', '/orders/42').params).toEqual({ id: '42' });
+        expect(matchPath('/orders/{id:int}', '/orders/abc').isMatch).toBe(false);
+        expect(matchPath('/items/{id:uuid}', '/items/0b7c6a4e-58f4-4f0e-9a55-0c8e3b2f1d00').isMatch).toBe(true);
+        expect(matchPath('/posts/{slug:[a-z-]+}', '/posts/hello-world').params).toEqual({ slug: 'hello-world' });
+        expect(matchPath('/posts/{slug:[a-z-]+}', '/posts/Hello').isMatch).toBe(false);
+        expect(matchPath('/codes/{code:\\d{3}}', '/codes/404').params).toEqual({ code: '404' });
+        expect(matchPath('/p/{kind:(a|b)}/{id}', '/p/b/9').params).toEqual({ kind: 'b', id: '9' });
+        expect(matchPath('/p/{rest:.+}', '/p/a/b').isMatch).toBe(false);
+    });
+
+    test('query parts require query params', () => {
+        expect(matchPath('/search?type=user', '/search', { type: 'user' }).isMatch).toBe(true);
+        expect(matchPath('/search?type=user', '/search', { type: ['post', 'user'] }).isMatch).toBe(true);
+        expect(matchPath('/search?type=user', '/search', { type: 'post' }).isMatch).toBe(false);
+        expect(matchPath('/search?q', '/search', { q: '' }).isMatch).toBe(true);
+        expect(matchPath('/search?q', '/search').isMatch).toBe(false);
+    });
+});
+
+describe('comparePathSpecificity', () => {
+    test('ranks segment by segment, then query params', () => {
+        const patterns = ['/files/**', '/{a}/{b}', '/files/{name}', '/files', '/files/*', '/files/readme', '/files/{name:alpha}', '/files/{name}?'];
+        expect([...patterns].sort(comparePathSpecificity)).toEqual([
+            '/files/readme', '/files/{name:alpha}', '/files/{name}', '/files/*', '/files', '/files/{name}?', '/files/**', '/{a}/{b}',
+        ]);
+        expect(['/search', '/search?type=user'].sort(comparePathSpecificity)).toEqual(['/search?type=user', '/search']);
+        expect(comparePathSpecificity('/users/{id}', '/users/{userId}')).toBe(0);
+    });
+});
+
+describe('checkPathPattern / templatePath', () => {
+    test('rejects broken regex types', () => {
+        expect(checkPathPattern('/users/{id:int}')).toBeNull();
+        expect(checkPathPattern('/users/{id:[a-}')).toMatch(/invalid param type/);
+    });
+
+    test('rejects regex types that could match "/"', () => {
+        for (const type of ['.+', '[^x]+', '\\S+', '[\\s\\S]*', '\\x2f', 'a|[^]']) {
+            expect(checkPathPattern(`/p/{rest:${type}}`)).toMatch(/could match "\/"/);
+        }
+        expect(checkPathPattern('/p/{rest:[^/]+}')).toBeNull();
+        expect(checkPathPattern('/p/{id:(?:v\\d+|latest)}')).toBeNull();
+    });
+
+    test('rejects regex types that could backtrack catastrophically', () => {
+        for (const type of ['(a+)+b', '(a|aa)*', '\\d+\\d+', '((a))', '(a|b)(c|d)', '(a)\\1', '(?=a)a']) {
+            expect(checkPathPattern(`/x/{v:${type}}`)).toMatch(/invalid param type/);
+        }
+        for (const type of ['[a-z-]+', '\\d{3}-\\d{4}', 'json|xml', '(?:v\\d+|latest)', '[a-z]{2,4}']) {
+            expect(checkPathPattern(`/x/{v:${type}}`)).toBeNull();
+        }
+        // A stored pattern from before the check matches nothing instead of stalling
+        const started = Date.now();
+        expect(matchPath('/x/{v:(a+)+b}', `/x/${'a'.repeat(40)}c`).isMatch).toBe(false);
+        expect(Date.now() - started).toBeLessThan(100);
+    });
+
+    test('confines alternations to their param', () => {
+        expect(matchPath('/p/{kind:a|b}.json', '/p/b.json').params).toEqual({ kind: 'b' });
+        expect(matchPath('/p/{kind:a|b}.json', '/p/a').isMatch).toBe(false);
+    });
+
+    test('caps path and regex type length', () => {
+        expect(checkPathPattern(`/${'a'.repeat(500)}`)).toMatch(/limited to 500/);
+        expect(checkPathPattern(`/p/{id:${'a'.repeat(101)}}`)).toMatch(/limited to 100/);
+    });
+
+    test('reduces a pattern to a plain {name} template', () => {
+        expect(templatePath('/orders/{id:int}/lines/{line}?')).toBe('/orders/{id}/lines/{line}');
+        expect(templatePath('/codes/{code:\\d{3}}?x=1')).toBe('/codes/{code}');
+    });
 });
 
 // ─── evaluateCondition ────────────────────────────────────────────────────────
@@ -149,7 +256,7 @@ describe('evaluateCondition', () => {
     // Unknown type
     test('unknown type returns false', () => {
         const req = makeReq();
-        expect(evaluateCondition({ type: 'cookie', field: 'session', operator: 'equals', value: 'abc' }, req)).toBe(false);
+        expect(evaluateCondition({ type: 'session', field: 'id', operator: 'equals', value: 'abc' }, req)).toBe(false);
     });
 
     // Unknown operator
@@ -159,6 +266,98 @@ describe('evaluateCondition', () => {
     });
 });
 
+// ─── Extended operators & subjects ───────────────────────────────────────────
+
+describe('evaluateCondition — extended operators', () => {
+    const req = {
+        method: 'POST',
+        ip: '::ffff:10.0.0.7',
+        headers: { 'x-tier': 'gold', cookie: 'session=abc123; theme=dark%20blue' },
+        query: { page: '3' },
+        body: {
+            quantity: 12,
+            user: { address: { city: 'Berlin' } },
+            items: [{ sku: 'A-1' }, { sku: 'B-2' }],
+            tags: ['new', 'sale'],
+        },
+    };
+    const check = (condition) => evaluateCondition(condition, req);
+
+    test('not_equals / not_contains match missing fields', () => {
+        expect(check({ type: 'header', field: 'x-tier', operator: 'not_equals', value: 'silver' })).toBe(true);
+        expect(check({ type: 'header', field: 'x-tier', operator: 'not_equals', value: 'gold' })).toBe(false);
+        expect(check({ type: 'header', field: 'x-missing', operator: 'not_equals', value: 'gold' })).toBe(true);
+        expect(check({ type: 'header', field: 'x-tier', operator: 'not_contains', value: 'ol' })).toBe(false);
+    });
+
+    test('exists / not_exists', () => {
+        expect(check({ type: 'body', field: 'user.address', operator: 'exists' })).toBe(true);
+        expect(check({ type: 'body', field: 'user.phone', operator: 'exists' })).toBe(false);
+        expect(check({ type: 'query', field: 'debug', operator: 'not_exists' })).toBe(true);
+    });
+
+    test('numeric comparisons', () => {
+        expect(check({ type: 'body', field: 'quantity', operator: 'gt', value: '10' })).toBe(true);
+        expect(check({ type: 'body', field: 'quantity', operator: 'lte', value: 10 })).toBe(false);
+        expect(check({ type: 'query', field: 'page', operator: 'gte', value: '3' })).toBe(true);
+        expect(check({ type: 'query', field: 'page', operator: 'lt', value: 'abc' })).toBe(false);
+        expect(check({ type: 'body', field: 'user', operator: 'gt', value: '1' })).toBe(false);
+    });
+
+    test('in, starts_with, ends_with', () => {
+        expect(check({ type: 'header', field: 'x-tier', operator: 'in', value: 'silver, gold' })).toBe(true);
+        expect(check({ type: 'header', field: 'x-tier', operator: 'in', value: ['bronze'] })).toBe(false);
+        expect(check({ type: 'body', field: 'items[1].sku', operator: 'starts_with', value: 'B-' })).toBe(true);
+        expect(check({ type: 'body', field: 'items[0].sku', operator: 'ends_with', value: '-2' })).toBe(false);
+    });
+
+    test('nested and JSONPath-style body fields', () => {
+        expect(check({ type: 'body', field: 'user.address.city', operator: 'equals', value: 'Berlin' })).toBe(true);
+        expect(check({ type: 'body', field: '$.items[0].sku', operator: 'equals', value: 'A-1' })).toBe(true);
+        expect(check({ type: 'body', field: 'tags', operator: 'contains', value: 'sale' })).toBe(true);
+        expect(check({ type: 'body', field: '', operator: 'contains', value: '"quantity":12' })).toBe(true);
+    });
+
+    test('cookie, method and ip subjects', () => {
+        expect(check({ type: 'cookie', field: 'session', operator: 'equals', value: 'abc123' })).toBe(true);
+        expect(check({ type: 'cookie', field: 'theme', operator: 'equals', value: 'dark blue' })).toBe(true);
+        expect(check({ type: 'method', operator: 'in', value: 'POST,PUT' })).toBe(true);
+        expect(check({ type: 'ip', operator: 'starts_with', value: '10.0.' })).toBe(true);
+    });
+});
+
+// ─── evaluateConditionNode ────────────────────────────────────────────────────
+
+describe('evaluateConditionNode', () => {
+    const req = { headers: { 'x-tier': 'gold' }, query: { region: 'eu' }, body: { qty: 5 } };
+    const tierGold = { type: 'header', field: 'x-tier', operator: 'equals', value: 'gold' };
+    const regionUs = { type: 'query', field: 'region', operator: 'equals', value: 'us' };
+    const bigOrder = { type: 'body', field: 'qty', operator: 'gt', value: 10 };
+
+    test('arrays are an implicit all', () => {
+        expect(evaluateConditionNode([tierGold], req)).toBe(true);
+        expect(evaluateConditionNode([tierGold, regionUs], req)).toBe(false);
+    });
+
+    test('any / all / none groups', () => {
+        expect(evaluateConditionNode({ any: [regionUs, tierGold] }, req)).toBe(true);
+        expect(evaluateConditionNode({ all: [regionUs, tierGold] }, req)).toBe(false);
+        expect(evaluateConditionNode({ none: [regionUs, bigOrder] }, req)).toBe(true);
+        expect(evaluateConditionNode({ any: [] }, req)).toBe(false);
+    });
+
+    test('groups nest', () => {
+        const node = { all: [tierGold, { any: [regionUs, { none: [bigOrder] }] }] };
+        expect(evaluateConditionNode(node, req)).toBe(true);
+        expect(evaluateConditionNode({ none: [node] }, req)).toBe(false);
+    });
+
+    test('malformed nodes never match', () => {
+        expect(evaluateConditionNode('x-tier', req)).toBe(false);
+        expect(evaluateConditionNode(null, req)).toBe(false);
+    });
+});
+
 // ─── responseMatchesConditions ────────────────────────────────────────────────
 
 describe('responseMatchesConditions', () => {
@@ -201,6 +400,29 @@ describe('responseMatchesConditions', () => {
     });
 });
 
+describe('compileConditions', () => {
+    const req = { headers: { 'x-version': 'v2' }, query: {}, body: {} };
+
+    test('parses once and compiles regex operators, nested in groups too', () => {
+        const compiled = compileConditions({
+            conditions: JSON.stringify({ any: [[{ type: 'header', field: 'x-version', operator: 'regex', value: '^v\\d$' }]] }),
+        });
+        expect(compiled.any[0][0].compiledRegex).toBeInstanceOf(RegExp);
+        expect(responseMatchesConditions({ conditions: 'NOT_JSON', compiledConditions: compiled }, req))
+            .toEqual({ matches: true, hasConditions: true });
+    });
+
+    test('invalid regexes never match; missing conditions compile to null', () => {
+        const compiled = compileConditions({ conditions: [{ type: 'header', field: 'x-version', operator: 'regex', value: '(' }] });
+        expect(compiled[0].compiledRegex).toBeNull();
+        expect(responseMatchesConditions({ compiledConditions: compiled }, req).matches).toBe(false);
+
+        expect(compileConditions({ conditions: '[]' })).toBeNull();
+        expect(compileConditions({ conditions: 'NOT_JSON' })).toBeNull();
+        expect(responseMatchesConditions({ compiledConditions: null }, req)).toEqual({ matches: true, hasConditions: false });
+    });
+});
+
 // ─── pickResponse ─────────────────────────────────────────────────────────────
 
 describe('pickResponse', () => {
@@ -285,3 +507,97 @@ describe('pickResponse', () => {
         expect(heavyCount / iterations).toBeGreaterThan(0.90);
     });
 });
+
+// ─── pickResponse — priority ──────────────────────────────────────────────────
+
+describe('pickResponse — priority', () => {
+    const req = { headers: { 'x-tier': 'gold' }, query: {}, body: { qty: 20 } };
+
+    test('highest priority wins among overlapping conditional matches', () => {
+        const gold = {
+            response_id: 'gold', weight: 100, priority: 1,
+            conditions: JSON.stringify([{ type: 'header', field: 'x-tier', operator: 'equals', value: 'gold' }]),
+        };
+        const bulk = {
+            response_id: 'bulk', weight: 100, priority: 5,
+            conditions: JSON.stringify({ any: [{ type: 'body', field: 'qty', operator: 'gte', value: 10 }] }),
+        };
+        for (let i = 0; i < 10; i++) {
+            expect(pickResponse([gold, bulk], req)).toBe(bulk);
+        }
+    });
+
+    test('equal-priority conditional matches resolve to the default, then the oldest', () => {
+        const byTier = JSON.stringify([{ type: 'header', field: 'x-tier', operator: 'exists' }]);
+        const newer = { response_id: 'newer', weight: 100, conditions: byTier, is_default: 0, created_at: '2026-01-02T00:00:00.000Z' };
+        const older = { response_id: 'older', weight: 1, conditions: byTier, is_default: 0, created_at: '2026-01-01T00:00:00.000Z' };
+        for (let i = 0; i < 10; i++) {
+            expect(pickResponse([newer, older], req)).toBe(older);
+            expect(pickResponse([newer, older, { ...newer, response_id: 'default', is_default: 1 }], req).response_id).toBe('default');
+        }
+    });
+
+    test('priority applies within the unconditioned pool too', () => {
+        const low = { response_id: 'low', weight: 100, priority: 0, conditions: '[]' };
+        const high = { response_id: 'high', weight: 1, priority: 2, conditions: '[]' };
+        for (let i = 0; i < 10; i++) {
+            expect(pickResponse([low, high], req)).toBe(high);
+        }
+    });
+
+    test('group conditions count as conditional', () => {
+        const resp = { conditions: JSON.stringify({ none: [{ type: 'header', field: 'x-tier', operator: 'exists' }] }) };
+        expect(responseMatchesConditions(resp, req)).toEqual({ matches: false, hasConditions: true });
+    });
+});
+
+// ─── pickInSequence ───────────────────────────────────────────────────────────
+
+describe('pickInSequence', () => {
+    const [a, b, c] = ['a', 'b', 'c'].map((id) => ({ response_id: id, weight: id === 'b' ? 100 : 0, conditions: '[]' }));
+    const picks = (mode, count) => Array.from({ length: count }, (_, i) => pickInSequence([a, b, c], i, mode).response_id);
+
+    test('sequential-then-stick repeats the last response', () => {
+        expect(picks('sequential-then-stick', 5)).toEqual(['a', 'b', 'c', 'c', 'c']);
+    });
+
+    test('round-robin wraps around', () => {
+        expect(picks('round-robin', 5)).toEqual(['a', 'b', 'c', 'a', 'b']);
+    });
+
+    test('sequential falls back to weighted selection once exhausted', () => {
+        expect(picks('sequential', 5)).toEqual(['a', 'b', 'c', 'b', 'b']);
+    });
+
+    test('returns null without candidates', () => {
+        expect(pickInSequence([], 0, 'round-robin')).toBeNull();
+    });
+
+    test('selectCandidates keeps order within the matching pool', () => {
+        const gated = { response_id: 'gated', conditions: JSON.stringify([{ type: 'header', field: 'x-beta', operator: 'exists' }]) };
+        expect(selectCandidates([a, gated, b], { headers: {}, query: {}, body: {} })).toEqual([a, b]);
+        expect(selectCandidates([a, gated, b], { headers: { 'x-beta': '1' }, query: {}, body: {} })).toEqual([gated]);
+    });
+});
+
+// ─── responseDelay ────────────────────────────────────────────────────────────
+
+describe('responseDelay', () => {
+    const mock = { response_delay_ms: 300 };
+
+    test('falls back to the mock delay', () => {
+        expect(responseDelay(mock, { delay_ms: null })).toBe(300);
+        expect(responseDelay({ response_delay_ms: null }, {})).toBe(0);
+    });
+
+    test('a response delay of 0 overrides the mock', () => {
+        expect(responseDelay(mock, { delay_ms: 0 })).toBe(0);
+    });
+
+    test('ranges pick between delay_ms and delay_max_ms', () => {
+        const response = { delay_ms: 1000, delay_max_ms: 3000 };
+        expect(responseDelay(mock, response, () => 0)).toBe(1000);
+        expect(responseDelay(mock, response, () => 0.5)).toBe(2000);
+        expect(responseDelay(mock, { delay_ms: 50 }, () => 0.9)).toBe(50);
+    });
+});
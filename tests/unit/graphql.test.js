@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * tests/unit/graphql.test.js
+ *
+ * Unit tests for SDL checks, request preparation and generated data in utils/graphql.js.
+ */
+
+const { checkGraphqlSdl, loadSchema, prepareGraphqlRequest, executeGraphqlRequest } = require('../../utils/graphql');
+
+const SDL = `
+    enum Role { ADMIN MEMBER }
+    type User { id: ID! email: String! role: Role! age: Int posts: [Post!]! }
+    type Post { id: ID! title: String! }
+    union SearchResult = User | Post
+    type Query { user(id: ID!): User  search(term: String!): [SearchResult!]! }
+    type Mutation { createUser(email: String!): User! }
+    type Subscription { userCreated: User! }
+`;
+
+describe('checkGraphqlSdl', () => {
+    test('accepts a schema with a Query type', () => {
+        expect(checkGraphqlSdl(SDL)).toBeNull();
+    });
+
+    test('rejects broken or query-less schemas', () => {
+        expect(checkGraphqlSdl('type Query {')).toMatch(/invalid/);
+        expect(checkGraphqlSdl('type User { id: ID }')).toMatch(/Query/);
+        expect(checkGraphqlSdl('')).toMatch(/non-empty/);
+    });
+});
+
+describe('prepareGraphqlRequest', () => {
+    const schema = loadSchema(SDL);
+
+    test('resolves the operation name', () => {
+        const prepared = prepareGraphqlRequest(schema, { query: 'query A { user(id: 1) { id } } query B { user(id: 2) { id } }', operationName: 'B' });
+        expect(prepared.operationName).toBe('B');
+    });
+
+    test('reports parse, validation and operation errors as 400', () => {
+        expect(prepareGraphqlRequest(schema, { query: '{ user(' }).error.status).toBe(400);
+        expect(prepareGraphqlRequest(schema, { query: '{ nope }' }).error.body.errors[0].message).toMatch(/nope/);
+        expect(prepareGraphqlRequest(schema, { query: 'query A { search(term: "x") { __typename } } query B { search(term: "y") { __typename } }' }).error.status).toBe(400);
+        expect(prepareGraphqlRequest(schema, { query: 'subscription { userCreated { id } }' }).error.body.errors[0].message).toMatch(/Subscriptions/);
+    });
+});
+
+describe('prepareGraphqlRequest — limits', () => {
+    const schema = loadSchema('type Node { id: ID! children: [Node!]! } type Query { root: Node! }');
+    // root, then children..., then id: `depth` levels of fields
+    const nested = (depth) => `{ root { ${'children { '.repeat(depth - 2)}id${' }'.repeat(depth - 2)} } }`;
+
+    test('rejects queries nested deeper than 10 levels', () => {
+        expect(prepareGraphqlRequest(schema, { query: nested(10) }).error).toBeUndefined();
+        const tooDeep = prepareGraphqlRequest(schema, { query: nested(11) });
+        expect(tooDeep.error.status).toBe(400);
+        expect(tooDeep.error.body.errors[0].message).toMatch(/deeper than 10/);
+    });
+
+    test('counts depth through fragments', () => {
+        const query = `{ root { ...Deep } } fragment Deep on Node { ${'children { '.repeat(10)}id${' }'.repeat(10)} }`;
+        expect(prepareGraphqlRequest(schema, { query }).error.body.errors[0].message).toMatch(/deeper than 10/);
+    });
+
+    test('rejects queries selecting more than 200 fields', () => {
+        const aliases = Array.from({ length: 201 }, (_, i) => `a${i}: id`).join(' ');
+        const query = `{ root { ${aliases} } }`;
+        expect(prepareGraphqlRequest(schema, { query }).error.body.errors[0].message).toMatch(/more than 200 fields/);
+    });
+});
+
+describe('executeGraphqlRequest', () => {
+    const schema = loadSchema(SDL);
+    const run = (query, options) => executeGraphqlRequest(schema, prepareGraphqlRequest(schema, { query }), options);
+
+    test('generates data matching the types', async () => {
+        const { body } = await run('{ user(id: 1) { id email role age posts { title } } }');
+        expect(body.errors).toBeUndefined();
+        const { user } = body.data;
+        expect(user.email).toMatch(/@/);
+        expect(['ADMIN', 'MEMBER']).toContain(user.role);
+        expect(Number.isInteger(user.age)).toBe(true);
+        expect(user.posts).toHaveLength(2);
+        expect(typeof user.posts[0].title).toBe('string');
+    });
+
+    test('resolves unions to one of their members', async () => {
+        const { body } = await run('{ search(term: "x") { __typename ... on User { email } ... on Post { title } } }');
+        for (const result of body.data.search) expect(['User', 'Post']).toContain(result.__typename);
+    });
+
+    test('uses overrides and generates what they leave out', async () => {
+        const overrideFor = (coordinate, args) => {
+            if (coordinate === 'Query.user') return { id: args.id, email: 'ada@example.com' };
+            if (coordinate === 'User.role') return 'ADMIN';
+            return undefined;
+        };
+        const { body } = await run('{ user(id: "7") { id email role age } }', { overrideFor });
+        expect(body.data.user).toMatchObject({ id: '7', email: 'ada@example.com', role: 'ADMIN' });
+        expect(Number.isInteger(body.data.user.age)).toBe(true);
+    });
+});
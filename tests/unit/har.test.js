@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * tests/unit/har.test.js
+ *
+ * Unit tests for the HAR conversion helpers in utils/har.js.
+ */
+
+const { harToEndpoints, normalizeHarPath } = require('../../utils/har');
+
+function entry(method, url, status, body, extra = {}) {
+    return {
+        request: { method, url, headers: [], ...(extra.request || {}) },
+        response: {
+            status,
+            headers: [
+                { name: 'Content-Type', value: 'application/json' },
+                { name: 'Content-Length', value: '10' },
+                { name: ':status', value: String(status) },
+            ],
+            content: { mimeType: 'application/json', text: body, ...(extra.content || {}) },
+        },
+        ...(extra.entry || {}),
+    };
+}
+
+describe('normalizeHarPath', () => {
+    test('turns numeric and UUID segments into params', () => {
+        expect(normalizeHarPath('/users/42/orders/3f2504e0-4f89-11d3-9a0c-0305e82c3301')).toEqual({
+            path: '/users/{id}/orders/{id2}',
+            paramNames: ['id', 'id2'],
+            paramValues: ['42', '3f2504e0-4f89-11d3-9a0c-0305e82c3301'],
+        });
+        expect(normalizeHarPath('/v2/status').path).toBe('/v2/status');
+    });
+});
+
+describe('harToEndpoints', () => {
+    test('groups entries, skips assets and drops connection headers', () => {
+        const { title, endpoints } = harToEndpoints({
+            log: {
+                pages: [{ title: 'Staging dashboard' }],
+                entries: [
+                    entry('GET', 'https://staging.test/api/items?page=1', 200, '[1]'),
+                    entry('GET', 'https://staging.test/api/items?page=2', 200, '[1]'),
+                    entry('GET', 'https://staging.test/static/app.js', 200, '', { content: { mimeType: 'application/javascript' } }),
+                    entry('GET', 'https://staging.test/logo', 200, '', { entry: { _resourceType: 'image' } }),
+                    entry('OPTIONS', 'https://staging.test/api/items', 204, ''),
+                    entry('POST', 'https://staging.test/api/items', 201, 'eyJpZCI6Mn0=', {
+                        content: { encoding: 'base64' },
+                        request: { postData: { mimeType: 'application/json', text: '{"name":"x"}' } },
+                    }),
+                ],
+            },
+        });
+
+        expect(title).toBe('Staging dashboard');
+        expect(endpoints.map((e) => `${e.method} ${e.path}`)).toEqual(['GET /api/items', 'POST /api/items']);
+        expect(endpoints[0].responses).toHaveLength(1);
+        expect(endpoints[0].responses[0].headers).toEqual({ 'Content-Type': 'application/json' });
+        expect(endpoints[1].responses[0]).toMatchObject({ statusCode: 201, body: '{"id":2}', isDefault: true });
+        expect(endpoints[1].expectedBody).toBe('{"name":"x"}');
+    });
+
+    test('turns variants that differ by path param into conditional responses', () => {
+        const { endpoints } = harToEndpoints({
+            log: {
+                entries: [
+                    entry('GET', 'https://api.test/users/1', 200, '{"id":1}'),
+                    entry('GET', 'https://api.test/users/2', 200, '{"id":2}'),
+                    entry('GET', 'https://api.test/users/2', 200, '{"id":2}'),
+                    entry('GET', 'https://api.test/users/999', 404, '{"error":"NOT_FOUND"}'),
+                ],
+            },
+        });
+
+        expect(endpoints).toHaveLength(1);
+        const [user1, user2, missing] = endpoints[0].responses;
+        expect(user2).toMatchObject({ isDefault: true });
+        expect(user2.conditions).toBeUndefined();
+        expect(user1.conditions).toEqual([{ type: 'path', field: 'id', operator: 'equals', value: '1' }]);
+        expect(missing.conditions).toEqual([{ type: 'path', field: 'id', operator: 'equals', value: '999' }]);
+    });
+
+    test('weights variants by frequency when no param tells them apart', () => {
+        const { endpoints } = harToEndpoints({
+            log: {
+                entries: [
+                    entry('GET', 'https://api.test/flaky', 200, '{"ok":true}'),
+                    entry('GET', 'https://api.test/flaky', 200, '{"ok":true}'),
+                    entry('GET', 'https://api.test/flaky', 200, '{"ok":true}'),
+                    entry('GET', 'https://api.test/flaky', 503, '{"error":"UNAVAILABLE"}'),
+                ],
+            },
+        });
+
+        expect(endpoints[0].responses.map((r) => [r.statusCode, r.weight, r.isDefault])).toEqual([
+            [200, 75, true],
+            [503, 25, false],
+        ]);
+    });
+
+    test('rejects documents without log entries', () => {
+        expect(() => harToEndpoints({ log: {} })).toThrow(/HAR/);
+    });
+});
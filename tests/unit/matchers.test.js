@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * tests/unit/matchers.test.js
+ *
+ * Unit tests for mock-level request matchers and route ranking in utils/matchers.js.
+ */
+
+const {
+    checkRequestMatchers, compileRequestMatchers, requestMatches, matcherSpecificity, selectMock,
+} = require('../../utils/matchers');
+
+const req = (overrides = {}) => ({ headers: {}, query: {}, body: {}, ...overrides });
+
+describe('checkRequestMatchers', () => {
+    test('accepts every matcher kind', () => {
+        expect(checkRequestMatchers({
+            query: { type: 'user', page: { exists: true }, sort: ['asc', 'desc'] },
+            headers: { 'X-Debug': { regex: '^(1|true)$' } },
+            body: { action: 'create' },
+            contentType: 'application/*',
+        })).toBeNull();
+        expect(checkRequestMatchers('{"query":{"a":"1"}}')).toBeNull();
+        expect(checkRequestMatchers({})).toBeNull();
+    });
+
+    test('rejects bad matchers', () => {
+        expect(checkRequestMatchers([])).toMatch(/object/);
+        expect(checkRequestMatchers('{')).toMatch(/JSON/);
+        expect(checkRequestMatchers({ cookies: {} })).toMatch(/Unknown/);
+        expect(checkRequestMatchers({ query: 'type=user' })).toMatch(/query must be an object/);
+        expect(checkRequestMatchers({ query: { a: [] } })).toMatch(/at least one/);
+        expect(checkRequestMatchers({ headers: { a: { regex: '(' } } })).toMatch(/regular expression/);
+        expect(checkRequestMatchers({ headers: { a: { exists: 'yes' } } })).toMatch(/boolean/);
+        expect(checkRequestMatchers({ query: { a: { equals: 1 } } })).toMatch(/regex/);
+        expect(checkRequestMatchers({ body: 'create' })).toMatch(/body/);
+        expect(checkRequestMatchers({ contentType: 'json' })).toMatch(/media type/);
+    });
+});
+
+describe('requestMatches', () => {
+    test('no matchers match everything', () => {
+        expect(requestMatches('{}', req())).toBe(true);
+        expect(requestMatches(null, req())).toBe(true);
+    });
+
+    test('query and header values, lists, regex and exists', () => {
+        const matchers = { query: { type: 'user', tag: ['a', 'b'] }, headers: { 'X-Api-Version': { regex: '^2' }, 'X-Trace': { exists: false } } };
+        const headers = { 'x-api-version': '2.1' };
+        expect(requestMatches(matchers, req({ query: { type: 'user', tag: 'b' }, headers }))).toBe(true);
+        expect(requestMatches(matchers, req({ query: { type: 'user', tag: ['c', 'a'] }, headers }))).toBe(true);
+        expect(requestMatches(matchers, req({ query: { type: 'post', tag: 'a' }, headers }))).toBe(false);
+        expect(requestMatches(matchers, req({ query: { type: 'user' }, headers }))).toBe(false);
+        expect(requestMatches(matchers, req({ query: { type: 'user', tag: 'a' }, headers: { ...headers, 'x-trace': '1' } }))).toBe(false);
+    });
+
+    test('body subsets', () => {
+        const matchers = { body: { action: 'create', user: { role: 'admin' }, items: [{ sku: 'A' }] } };
+        const body = { action: 'create', user: { role: 'admin', id: 1 }, items: [{ sku: 'B' }, { sku: 'A', qty: 2 }] };
+        expect(requestMatches(matchers, req({ body }))).toBe(true);
+        expect(requestMatches(matchers, req({ body: { ...body, user: { role: 'viewer' } } }))).toBe(false);
+        expect(requestMatches(matchers, req({ body: { ...body, items: [] } }))).toBe(false);
+        expect(requestMatches({ body: { count: 1 } }, req({ body: { count: '1' } }))).toBe(false);
+        expect(requestMatches({ body: { a: 1 } }, req({ body: 'a=1' }))).toBe(false);
+    });
+
+    test('content type ignores parameters and supports type/*', () => {
+        const json = req({ headers: { 'content-type': 'application/json; charset=utf-8' } });
+        expect(requestMatches({ contentType: 'application/json' }, json)).toBe(true);
+        expect(requestMatches({ contentType: 'application/*' }, json)).toBe(true);
+        expect(requestMatches({ contentType: 'text/plain' }, json)).toBe(false);
+        expect(requestMatches({ contentType: 'application/json' }, req())).toBe(false);
+    });
+});
+
+describe('matcherSpecificity', () => {
+    test('counts query params, headers, content type and body values', () => {
+        expect(matcherSpecificity('{}')).toBe(0);
+        expect(matcherSpecificity({ query: { a: '1', b: '2' }, headers: { c: '3' }, contentType: 'application/json' })).toBe(4);
+        expect(matcherSpecificity({ body: { action: 'x', user: { role: 'y' } } })).toBe(2);
+        expect(matcherSpecificity({ body: {} })).toBe(1);
+    });
+});
+
+describe('compileRequestMatchers', () => {
+    test('parses the JSON and compiles regex matchers', () => {
+        const compiled = compileRequestMatchers('{"headers":{"X-Debug":{"regex":"^(1|true)$"}},"query":{"a":"1"}}');
+        expect(compiled.headers['X-Debug'].compiledRegex).toBeInstanceOf(RegExp);
+        expect(compiled.query).toEqual({ a: '1' });
+        expect(matcherSpecificity(compiled)).toBe(2);
+        expect(requestMatches(compiled, req({ headers: { 'x-debug': 'true' }, query: { a: '1' } }))).toBe(true);
+        expect(requestMatches(compiled, req({ headers: { 'x-debug': '0' }, query: { a: '1' } }))).toBe(false);
+    });
+
+    test('selectMock prefers the compiled matchers of indexed mocks', () => {
+        const mock = { mock_id: 'm', path: '/x', request_matchers: '{"query":{"a":"1"}}', compiledMatchers: compileRequestMatchers('{"query":{"a":"2"}}') };
+        expect(selectMock([{ mock, pathParams: {} }], req({ query: { a: '2' } })).mock.mock_id).toBe('m');
+        expect(selectMock([{ mock, pathParams: {} }], req({ query: { a: '1' } }))).toBeNull();
+    });
+});
+
+describe('selectMock', () => {
+    const candidate = (id, path, matchers) => ({
+        mock: { mock_id: id, path, request_matchers: JSON.stringify(matchers) }, pathParams: {},
+    });
+
+    test('ranks by path specificity, then matcher count, then order', () => {
+        const candidates = [
+            candidate('pattern-2', '/users/{id}', { query: { a: '1', b: '2' } }),
+            candidate('exact-0', '/users/me', {}),
+            candidate('exact-1', '/users/me', { query: { a: '1' } }),
+            candidate('exact-1b', '/users/me', { headers: { x: '1' } }),
+        ];
+        const hit = req({ query: { a: '1', b: '2' }, headers: { x: '1' } });
+        expect(selectMock(candidates, hit).mock.mock_id).toBe('exact-1');
+        expect(selectMock(candidates, req({ query: { a: '2' } })).mock.mock_id).toBe('exact-0');
+        expect(selectMock(candidates.slice(0, 1), req())).toBeNull();
+
+        const patterns = [candidate('short', '/{a}', {}), candidate('long', '/users/{id}', {})];
+        expect(selectMock(patterns, req()).mock.mock_id).toBe('long');
+    });
+});
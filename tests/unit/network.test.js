@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * tests/unit/network.test.js
+ *
+ * Unit tests for the outbound URL guards in utils/network.js.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const { isPrivateAddress, assertPublicUrl, checkPublicUrl, fetchPublic } = require('../../utils/network');
+
+describe('isPrivateAddress', () => {
+    test.each([
+        '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+        '0.0.0.0', '224.0.0.1', '255.255.255.255', '::1', '::', 'fd00:ec2::254', 'fe80::1', '::ffff:127.0.0.1',
+        '64:ff9b::a9fe:a9fe', '2002:7f00:1::1', '::7f00:1', '::10.0.0.1', 'fec0::1',
+    ])('blocks %s', (address) => {
+        expect(isPrivateAddress(address)).toBe(true);
+    });
+
+    test.each(['8.8.8.8', '93.184.216.34', '172.32.0.1', '2606:4700:4700::1111'])('allows %s', (address) => {
+        expect(isPrivateAddress(address)).toBe(false);
+    });
+
+    test('hostnames are not addresses', () => {
+        expect(isPrivateAddress('example.com')).toBe(false);
+    });
+});
+
+describe('assertPublicUrl', () => {
+    afterEach(() => {
+        delete process.env.ALLOW_PRIVATE_NETWORK;
+    });
+
+    test('rejects private literals, including bracketed IPv6', async () => {
+        await expect(assertPublicUrl('http://169.254.169.254/latest/meta-data')).rejects.toMatchObject({ code: 'BLOCKED_HOST' });
+        await expect(assertPublicUrl('http://[::1]:8080/')).rejects.toMatchObject({ code: 'BLOCKED_HOST' });
+    });
+
+    test('resolves hostnames before deciding', async () => {
+        await expect(assertPublicUrl('http://localhost:3000/')).rejects.toMatchObject({ code: 'BLOCKED_HOST' });
+    });
+
+    test('rejects non-http protocols', async () => {
+        await expect(assertPublicUrl('file:///etc/passwd')).rejects.toMatchObject({ code: 'BLOCKED_HOST' });
+    });
+
+    test('ALLOW_PRIVATE_NETWORK lifts the block', async () => {
+        process.env.ALLOW_PRIVATE_NETWORK = 'true';
+        await expect(assertPublicUrl('http://127.0.0.1:3000/')).resolves.toBeUndefined();
+    });
+});
+
+describe('fetchPublic', () => {
+    let server;
+    let port;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => res.end('internal'));
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+    afterEach(() => {
+        delete process.env.ALLOW_PRIVATE_NETWORK;
+    });
+
+    test('checks the address it connects to, not an earlier lookup', async () => {
+        // No separate lookup is made first: the connection's own resolution is refused
+        await expect(fetchPublic(`http://localhost:${port}/`)).rejects.toMatchObject({ code: 'BLOCKED_HOST' });
+        await expect(fetchPublic(`http://127.0.0.1:${port}/`)).rejects.toMatchObject({ code: 'BLOCKED_HOST' });
+    });
+
+    test('refuses a host that rebinds to a private address after passing the check', async () => {
+        const promiseLookup = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+        const lookup = jest.spyOn(dns, 'lookup').mockImplementation((host, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+        try {
+            await expect(assertPublicUrl(`http://rebind.example:${port}/`)).resolves.toBeUndefined();
+            await expect(fetchPublic(`http://rebind.example:${port}/`)).rejects.toMatchObject({ code: 'BLOCKED_HOST' });
+        } finally {
+            promiseLookup.mockRestore();
+            lookup.mockRestore();
+        }
+    });
+
+    test('connects when ALLOW_PRIVATE_NETWORK is set', async () => {
+        process.env.ALLOW_PRIVATE_NETWORK = 'true';
+        const response = await fetchPublic(`http://localhost:${port}/`);
+        expect(await response.text()).toBe('internal');
+    });
+});
+
+describe('checkPublicUrl', () => {
+    test('returns a message for blocked or malformed URLs', async () => {
+        expect(await checkPublicUrl('http://10.0.0.1', 'url')).toBe('url must not point to a private or reserved address');
+        expect(await checkPublicUrl('not a url', 'url')).toBe('url must be an http(s) URL');
+        expect(await checkPublicUrl('http://93.184.216.34/', 'url')).toBeNull();
+    });
+});
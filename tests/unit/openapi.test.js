@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * tests/unit/openapi.test.js
+ *
+ * Unit tests for the OpenAPI / Swagger conversion helpers in utils/openapi.js.
+ */
+
+const { parseSpecDocument, openApiToEndpoints, sampleFromSchema } = require('../../utils/openapi');
+
+const OPENAPI_3 = {
+    openapi: '3.0.3',
+    info: { title: 'Pets', description: 'Pet store' },
+    components: {
+        schemas: {
+            Pet: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    name: { type: 'string', example: 'Rex' },
+                    tag: { type: 'string', enum: ['dog', 'cat'] },
+                    owner: { $ref: '#/components/schemas/Owner' },
+                },
+            },
+            Owner: { type: 'object', properties: { email: { type: 'string', format: 'email' } } },
+        },
+    },
+    paths: {
+        '/pets/{petId}': {
+            parameters: [{ name: 'X-Request-Id', in: 'header', schema: { type: 'string', example: 'req-1' } }],
+            get: {
+                summary: 'Get a pet',
+                responses: {
+                    200: { description: 'A pet', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } },
+                    404: {
+                        description: 'Not found',
+                        content: { 'application/json': { examples: { missing: { value: { error: 'NOT_FOUND' } } } } },
+                    },
+                },
+            },
+            put: {
+                operationId: 'updatePet',
+                requestBody: { content: { 'application/json': { example: { name: 'Max' } } } },
+                responses: { 204: { description: 'Updated' } },
+            },
+        },
+    },
+};
+
+describe('parseSpecDocument', () => {
+    test('parses JSON text', () => {
+        expect(parseSpecDocument('{"openapi":"3.1.0"}')).toEqual({ openapi: '3.1.0' });
+    });
+
+    test('parses YAML text', () => {
+        expect(parseSpecDocument('swagger: "2.0"\npaths: {}\n')).toEqual({ swagger: '2.0', paths: {} });
+    });
+
+    test('throws on empty input', () => {
+        expect(() => parseSpecDocument('   ')).toThrow();
+    });
+});
+
+describe('sampleFromSchema', () => {
+    test('prefers examples, enums and formats', () => {
+        const sample = sampleFromSchema({ $ref: '#/components/schemas/Pet' }, OPENAPI_3);
+        expect(sample).toEqual({ id: 1, name: 'Rex', tag: 'dog', owner: { email: 'user@example.com' } });
+    });
+
+    test('merges allOf and stops on recursive refs', () => {
+        const spec = { definitions: { Node: { type: 'object', properties: { child: { $ref: '#/definitions/Node' } } } } };
+        expect(sampleFromSchema({ $ref: '#/definitions/Node' }, spec)).toEqual({ child: null });
+        expect(sampleFromSchema({ allOf: [{ properties: { a: { type: 'boolean' } } }, { properties: { b: { type: 'number' } } }] }))
+            .toEqual({ a: true, b: 1.5 });
+    });
+});
+
+describe('openApiToEndpoints', () => {
+    test('converts OpenAPI 3 operations, params and responses', () => {
+        const { title, endpoints } = openApiToEndpoints(OPENAPI_3);
+        expect(title).toBe('Pets');
+        expect(endpoints).toHaveLength(2);
+
+        const get = endpoints.find((e) => e.method === 'GET');
+        expect(get).toMatchObject({ name: 'Get a pet', path: '/pets/{petId}', responseType: 'json' });
+        expect(JSON.parse(get.expectedHeaders)).toEqual({ 'X-Request-Id': 'req-1' });
+        expect(get.responses.map((r) => [r.statusCode, r.isDefault])).toEqual([[200, true], [404, false]]);
+        expect(JSON.parse(get.responses[1].body)).toEqual({ error: 'NOT_FOUND' });
+        expect(get.responses[0].headers['Content-Type']).toBe('application/json');
+
+        const put = endpoints.find((e) => e.method === 'PUT');
+        expect(put.name).toBe('updatePet');
+        expect(JSON.parse(put.expectedBody)).toEqual({ name: 'Max' });
+        expect(put.responses[0]).toMatchObject({ statusCode: 204, body: '' });
+    });
+
+    test('converts Swagger 2 examples and body parameters', () => {
+        const { endpoints } = openApiToEndpoints({
+            swagger: '2.0',
+            definitions: { User: { type: 'object', properties: { id: { type: 'string', format: 'uuid' } } } },
+            paths: {
+                '/users': {
+                    post: {
+                        parameters: [{ in: 'body', name: 'body', schema: { $ref: '#/definitions/User' } }],
+                        responses: {
+                            201: { description: 'Created', schema: { $ref: '#/definitions/User' } },
+                            400: { description: 'Bad', examples: { 'application/json': { error: 'BAD' } } },
+                        },
+                    },
+                },
+            },
+        });
+        expect(endpoints).toHaveLength(1);
+        expect(JSON.parse(endpoints[0].expectedBody)).toHaveProperty('id');
+        expect(JSON.parse(endpoints[0].responses[1].body)).toEqual({ error: 'BAD' });
+    });
+
+    test('prefixes Swagger 2 paths with basePath', () => {
+        const paths = { '/pets': { get: { responses: { 200: { description: 'OK' } } } } };
+        const pathsFor = (basePath) => openApiToEndpoints({ swagger: '2.0', basePath, paths })
+            .endpoints.map((e) => e.path);
+        expect(pathsFor('/v1')).toEqual(['/v1/pets']);
+        expect(pathsFor('api/v2/')).toEqual(['/api/v2/pets']);
+        expect(pathsFor('/')).toEqual(['/pets']);
+    });
+
+    test('rejects documents that are not OpenAPI or Swagger', () => {
+        expect(() => openApiToEndpoints({ info: {} })).toThrow(/OpenAPI/);
+    });
+});
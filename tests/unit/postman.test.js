@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * tests/unit/postman.test.js
+ *
+ * Unit tests for the Postman / Insomnia conversion helpers in utils/postman.js.
+ */
+
+const {
+    postmanToEndpoints,
+    insomniaToEndpoints,
+    buildPostmanCollection,
+    pathFromRawUrl,
+} = require('../../utils/postman');
+
+const COLLECTION = {
+    info: { name: 'Shop', schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+    item: [
+        {
+            name: 'Orders',
+            item: [
+                {
+                    name: 'Get order',
+                    request: {
+                        method: 'GET',
+                        header: [{ key: 'Authorization', value: 'Bearer x' }, { key: 'X-Old', value: '1', disabled: true }],
+                        url: { raw: '{{baseUrl}}/orders/:orderId?expand=items', host: ['{{baseUrl}}'], path: ['orders', ':orderId'] },
+                    },
+                    response: [
+                        { name: 'Missing', code: 404, header: [], body: '{"error":"NOT_FOUND"}' },
+                        {
+                            name: 'Found', code: 200, _postman_previewlanguage: 'json',
+                            header: [{ key: 'Content-Type', value: 'application/json' }], body: '{"id":"o1"}',
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            name: 'Create order',
+            request: {
+                method: 'post',
+                url: 'https://api.shop.test/orders',
+                body: { mode: 'urlencoded', urlencoded: [{ key: 'sku', value: 'A1' }] },
+            },
+        },
+    ],
+};
+
+describe('pathFromRawUrl', () => {
+    test('strips variables, hosts and query strings', () => {
+        expect(pathFromRawUrl('{{baseUrl}}/users/{{userId}}?x=1')).toBe('/users/{userId}');
+        expect(pathFromRawUrl('https://api.test/v1/items/:id')).toBe('/v1/items/{id}');
+        expect(pathFromRawUrl('api.test/health')).toBe('/health');
+        expect(pathFromRawUrl('{{ _.base_url }}/a/{{ _.id }}')).toBe('/a/{id}');
+    });
+});
+
+describe('postmanToEndpoints', () => {
+    test('flattens folders and turns saved examples into responses', () => {
+        const { title, endpoints } = postmanToEndpoints(COLLECTION);
+        expect(title).toBe('Shop');
+        expect(endpoints).toHaveLength(2);
+
+        const get = endpoints[0];
+        expect(get).toMatchObject({ name: 'Get order', path: '/orders/{orderId}', method: 'GET', responseType: 'json' });
+        expect(JSON.parse(get.expectedHeaders)).toEqual({ Authorization: 'Bearer x' });
+        expect(get.responses.map((r) => [r.statusCode, r.isDefault])).toEqual([[404, false], [200, true]]);
+        expect(get.responses[1].headers).toEqual({ 'Content-Type': 'application/json' });
+
+        const post = endpoints[1];
+        expect(post).toMatchObject({ path: '/orders', method: 'POST' });
+        expect(JSON.parse(post.expectedBody)).toEqual({ sku: 'A1' });
+        expect(post.responses).toEqual([{ name: 'Default', statusCode: 200, headers: {}, body: '', isDefault: true }]);
+    });
+
+    test('rejects documents that are not collections', () => {
+        expect(() => postmanToEndpoints({ openapi: '3.0.0' })).toThrow(/Postman/);
+    });
+});
+
+describe('insomniaToEndpoints', () => {
+    test('converts request resources', () => {
+        const { title, endpoints } = insomniaToEndpoints({
+            _type: 'export',
+            __export_format: 4,
+            resources: [
+                { _id: 'wrk_1', _type: 'workspace', name: 'Billing' },
+                {
+                    _id: 'req_1', _type: 'request', parentId: 'wrk_1', name: 'Get invoice', method: 'GET',
+                    url: '{{ _.base_url }}/invoices/{{ _.invoiceId }}',
+                    headers: [{ name: 'Accept', value: 'application/json' }],
+                },
+                { _id: 'env_1', _type: 'environment', data: {} },
+            ],
+        });
+        expect(title).toBe('Billing');
+        expect(endpoints).toHaveLength(1);
+        expect(endpoints[0]).toMatchObject({ name: 'Get invoice', path: '/invoices/{invoiceId}', method: 'GET' });
+        expect(JSON.parse(endpoints[0].expectedHeaders)).toEqual({ Accept: 'application/json' });
+    });
+
+    test('rejects documents that are not Insomnia exports', () => {
+        expect(() => insomniaToEndpoints({ info: {}, item: [] })).toThrow(/Insomnia/);
+    });
+});
+
+describe('buildPostmanCollection', () => {
+    test('points requests at the baseUrl variable', () => {
+        const collection = buildPostmanCollection(
+            { project_id: 'p1', name: 'Demo' },
+            [{
+                name: 'Get user', path: '/users/{id}', method: 'GET', response_type: 'json',
+                expected_headers: '{"X-Key":"abc"}', expected_body: '',
+                responses: [{ name: 'OK', status_code: 200, headers: '{}', body: '{"id":1}' }],
+            }],
+            { serverUrl: 'http://localhost/m/demo' }
+        );
+
+        expect(collection.variable).toEqual([{ key: 'baseUrl', value: 'http://localhost/m/demo' }]);
+        const item = collection.item[0];
+        expect(item.request.url.raw).toBe('{{baseUrl}}/users/:id');
+        expect(item.request.url.variable).toEqual([{ key: 'id', value: '' }]);
+        expect(item.request.header).toEqual([{ key: 'X-Key', value: 'abc' }]);
+        expect(item.response[0]).toMatchObject({ code: 200, status: 'OK', body: '{"id":1}', _postman_previewlanguage: 'json' });
+    });
+
+    test('adds plain-value request matchers to the example request', () => {
+        const collection = buildPostmanCollection(
+            { project_id: 'p1', name: 'Demo' },
+            [{
+                name: 'Search users', path: '/search', method: 'GET', response_type: 'json',
+                expected_headers: '{}', expected_body: '',
+                request_matchers: '{"query":{"type":"user","page":{"exists":true}},"headers":{"X-Api-Version":"2"}}',
+                responses: [],
+            }]
+        );
+
+        const { request } = collection.item[0];
+        expect(request.url.raw).toBe('{{baseUrl}}/search?type=user');
+        expect(request.url.query).toEqual([{ key: 'type', value: 'user' }]);
+        expect(request.header).toEqual([{ key: 'X-Api-Version', value: '2' }]);
+    });
+});
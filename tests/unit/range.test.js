@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * tests/unit/range.test.js
+ *
+ * Unit tests for the Range header parser in utils/range.js.
+ */
+
+const { parseRange } = require('../../utils/range');
+
+describe('parseRange', () => {
+    test('parses explicit, open-ended and suffix ranges', () => {
+        expect(parseRange('bytes=0-99', 1000)).toEqual({ start: 0, end: 99 });
+        expect(parseRange('bytes=900-', 1000)).toEqual({ start: 900, end: 999 });
+        expect(parseRange('bytes=-100', 1000)).toEqual({ start: 900, end: 999 });
+        expect(parseRange('bytes=-5000', 1000)).toEqual({ start: 0, end: 999 });
+    });
+
+    test('clamps the end to the body', () => {
+        expect(parseRange('bytes=500-5000', 1000)).toEqual({ start: 500, end: 999 });
+    });
+
+    test('flags ranges that start past the end', () => {
+        expect(parseRange('bytes=1000-', 1000)).toBe('unsatisfiable');
+        expect(parseRange('bytes=-0', 1000)).toBe('unsatisfiable');
+    });
+
+    test('ignores missing, malformed and multi-range headers', () => {
+        expect(parseRange(undefined, 1000)).toBeNull();
+        expect(parseRange('items=0-5', 1000)).toBeNull();
+        expect(parseRange('bytes=0-5,10-15', 1000)).toBeNull();
+        expect(parseRange('bytes=50-10', 1000)).toBeNull();
+    });
+});
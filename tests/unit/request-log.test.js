@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * tests/unit/request-log.test.js
+ *
+ * Unit tests for the buffered request log writer in services/request-log.service.js.
+ * The database client is mocked so batches can be inspected and held back.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.REQUEST_LOG_BUFFER_LIMIT = '150';
+
+jest.mock('../../db', () => ({ execute: jest.fn() }));
+
+const turso = require('../../db');
+const { EventEmitter } = require('events');
+const { queueRequestLog, flushRequestLogs, flushRequestLogsOnFinish, requestLogStats } = require('../../services/request-log.service');
+
+const row = (n) => ({ log_id: `log-${n}`, project_id: 'p1', request_path: `/r/${n}`, request_method: 'GET', response_status: 200 });
+const rowsIn = (call) => call[1].length / 16;
+
+beforeEach(async () => {
+    await flushRequestLogs();
+    turso.execute.mockReset();
+    turso.execute.mockResolvedValue({ rows: [] });
+});
+
+describe('request log writer', () => {
+    test('writes queued rows in one multi-row insert', async () => {
+        const before = requestLogStats();
+        queueRequestLog(row(1));
+        queueRequestLog(row(2));
+        expect(turso.execute).not.toHaveBeenCalled();
+
+        await flushRequestLogs();
+        expect(turso.execute).toHaveBeenCalledTimes(1);
+        const [sql, params] = turso.execute.mock.calls[0];
+        expect(sql).toMatch(/^INSERT INTO request_logs \(log_id, .*\) VALUES \(.*\), \(.*\)$/);
+        expect(params).toHaveLength(32);
+        expect(params.slice(0, 4)).toEqual(['log-1', null, 'p1', '/r/1']);
+        expect(requestLogStats()).toMatchObject({ written: before.written + 2, batches: before.batches + 1, buffered: 0 });
+    });
+
+    test('flushes on its own after the interval', async () => {
+        queueRequestLog(row(1));
+        await new Promise((r) => setTimeout(r, 150));
+        expect(turso.execute).toHaveBeenCalledTimes(1);
+    });
+
+    test('flushRequestLogsOnFinish writes the buffer once the response is sent', async () => {
+        const res = new EventEmitter();
+        const next = jest.fn();
+        flushRequestLogsOnFinish({}, res, next);
+        expect(next).toHaveBeenCalled();
+
+        queueRequestLog(row(1));
+        res.emit('finish');
+        expect(turso.execute).toHaveBeenCalledTimes(1);
+    });
+
+    test('splits large queues into batches of 100', async () => {
+        for (let n = 0; n < 130; n++) queueRequestLog(row(n));
+        await flushRequestLogs();
+        expect(turso.execute.mock.calls.map(rowsIn)).toEqual([100, 30]);
+    });
+
+    test('drops rows beyond the buffer limit while the database is behind', async () => {
+        let release;
+        turso.execute.mockReturnValueOnce(new Promise((resolve) => { release = resolve; }));
+        const before = requestLogStats();
+
+        // The 100th row starts a flush that stays pending; the buffer then fills up
+        for (let n = 0; n < 100; n++) queueRequestLog(row(n));
+        const accepted = [];
+        for (let n = 100; n < 300; n++) accepted.push(queueRequestLog(row(n)));
+        expect(accepted.filter((ok) => !ok)).toHaveLength(50);
+        expect(requestLogStats()).toMatchObject({ buffered: 150, dropped: before.dropped + 50 });
+
+        release({ rows: [] });
+        await flushRequestLogs();
+        expect(turso.execute.mock.calls.map(rowsIn)).toEqual([100, 100, 50]);
+        expect(requestLogStats()).toMatchObject({ buffered: 0, written: before.written + 250 });
+    });
+
+    test('counts rows of a failed batch', async () => {
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        turso.execute.mockRejectedValueOnce(new Error('database is locked'));
+        const before = requestLogStats();
+
+        queueRequestLog(row(1));
+        await flushRequestLogs();
+        expect(requestLogStats()).toMatchObject({ failed: before.failed + 1, lastError: 'database is locked' });
+        spy.mockRestore();
+    });
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * tests/unit/sse.test.js
+ *
+ * Unit tests for SSE response config checks and event formatting in utils/sse.js.
+ */
+
+const { checkSseConfig, formatSseEvent } = require('../../utils/sse');
+
+describe('checkSseConfig', () => {
+    test('accepts a stream of events', () => {
+        expect(checkSseConfig({
+            events: [{ event: 'token', data: 'Hel', id: 1, delay: 50 }, { data: { done: true } }],
+            loop: true,
+            retry: 2000,
+        })).toBeNull();
+        expect(checkSseConfig('{"events":[{"data":"x"}]}')).toBeNull();
+    });
+
+    test('rejects bad configs', () => {
+        expect(checkSseConfig({})).toMatch(/events/);
+        expect(checkSseConfig({ events: [{ event: 'x' }] })).toMatch(/data is required/);
+        expect(checkSseConfig({ events: [{ data: 'x', event: 'a\nb' }] })).toMatch(/single-line/);
+        expect(checkSseConfig({ events: [{ data: 'x', delay: -1 }] })).toMatch(/delay/);
+        expect(checkSseConfig({ events: [{ data: 'x' }], loop: 'yes' })).toMatch(/loop/);
+        expect(checkSseConfig({ events: [{ data: 'x' }], retry: 1.5 })).toMatch(/retry/);
+    });
+
+    test('a loop needs a pause somewhere', () => {
+        expect(checkSseConfig({ events: [{ data: 'x', delay: 0 }], loop: true })).toMatch(/delay/);
+    });
+});
+
+describe('formatSseEvent', () => {
+    test('writes id, event and data fields', () => {
+        expect(formatSseEvent({ id: 7, event: 'token', data: 'Hel' })).toBe('id: 7\nevent: token\ndata: Hel\n\n');
+    });
+
+    test('splits multi-line data and serializes objects', () => {
+        expect(formatSseEvent({ data: 'a\nb' })).toBe('data: a\ndata: b\n\n');
+        expect(formatSseEvent({ data: { done: true } })).toBe('data: {"done":true}\n\n');
+    });
+});
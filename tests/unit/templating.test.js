@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * tests/unit/templating.test.js
+ *
+ * Unit tests for the response templating engine in utils/templating.js.
+ * Pure string processing — no DB, no HTTP.
+ */
+
+const { renderTemplate, buildTemplateContext } = require('../../utils/templating');
+
+const ctx = {
+    request: {
+        method: 'POST',
+        path: '/users/42',
+        params: { id: '42' },
+        query: { page: '2' },
+        headers: { 'x-api-key': 'secret' },
+        body: { email: 'jane@example.com', items: [{ sku: 'A1' }, { sku: 'B2' }], note: 'say "hi"' },
+    },
+};
+
+describe('renderTemplate — request data', () => {
+    test('returns non-template strings untouched', () => {
+        expect(renderTemplate('{"id":1}', ctx)).toBe('{"id":1}');
+    });
+
+    test('echoes path params, query and body fields', () => {
+        const out = renderTemplate('{{request.params.id}}|{{request.query.page}}|{{request.body.email}}', ctx);
+        expect(out).toBe('42|2|jane@example.com');
+    });
+
+    test('supports bracket indexes in body paths', () => {
+        expect(renderTemplate('{{request.body.items[1].sku}}', ctx)).toBe('B2');
+    });
+
+    test('header lookups are case-insensitive', () => {
+        expect(renderTemplate('{{request.headers.X-Api-Key}}', ctx)).toBe('secret');
+    });
+
+    test('missing values render as empty strings', () => {
+        expect(renderTemplate('[{{request.body.nope}}]', ctx)).toBe('[]');
+    });
+
+    test('json mode escapes string values so the body stays valid JSON', () => {
+        const out = renderTemplate('{"note":"{{request.body.note}}"}', ctx, { json: true });
+        expect(JSON.parse(out)).toEqual({ note: 'say "hi"' });
+    });
+
+    test('objects are serialized as JSON', () => {
+        const out = renderTemplate('{"items":{{request.body.items}}}', ctx, { json: true });
+        expect(JSON.parse(out).items).toHaveLength(2);
+    });
+});
+
+describe('renderTemplate — helpers', () => {
+    test('uuid and now produce fresh values', () => {
+        const out = renderTemplate('{{uuid}} {{now}}', ctx);
+        const [id, now] = out.split(' ');
+        expect(id).toMatch(/^[0-9a-f-]{36}$/);
+        expect(Number.isNaN(Date.parse(now))).toBe(false);
+    });
+
+    test('randomInt stays within bounds', () => {
+        for (let i = 0; i < 20; i++) {
+            const n = Number(renderTemplate('{{randomInt 5 7}}', ctx));
+            expect(n).toBeGreaterThanOrEqual(5);
+            expect(n).toBeLessThanOrEqual(7);
+        }
+    });
+
+    test('default falls back when the value is missing', () => {
+        expect(renderTemplate("{{default request.body.name 'Anon'}}", ctx)).toBe('Anon');
+        expect(renderTemplate("{{default request.body.email 'Anon'}}", ctx)).toBe('jane@example.com');
+    });
+
+    test('faker helpers return values', () => {
+        expect(renderTemplate('{{faker.email}}', ctx)).toMatch(/@/);
+        expect(renderTemplate('{{faker.name}}', ctx)).toMatch(/\w+ \w+/);
+    });
+});
+
+describe('renderTemplate — blocks', () => {
+    test('repeat joins iterations with commas and exposes @index', () => {
+        const out = renderTemplate('[{{#repeat 3}}{"i":{{@index}}}{{/repeat}}]', ctx, { json: true });
+        expect(JSON.parse(out)).toEqual([{ i: 0 }, { i: 1 }, { i: 2 }]);
+    });
+
+    test('repeat comma=false concatenates', () => {
+        expect(renderTemplate('{{#repeat 3 comma=false}}x{{/repeat}}', ctx)).toBe('xxx');
+    });
+
+    test('repeat counts are capped at 1000 iterations', () => {
+        expect(renderTemplate('{{#repeat 5000 comma=false}}x{{/repeat}}', ctx)).toHaveLength(1000);
+        expect(renderTemplate('{{#repeat 2000 3000 comma=false}}x{{/repeat}}', ctx)).toHaveLength(1000);
+        expect(renderTemplate('{{#repeat -3 comma=false}}x{{/repeat}}', ctx)).toBe('');
+    });
+
+    test('each iterates over a request array', () => {
+        const out = renderTemplate('[{{#each request.body.items}}"{{this.sku}}"{{/each}}]', ctx, { json: true });
+        expect(JSON.parse(out)).toEqual(['A1', 'B2']);
+    });
+
+    test('unbalanced blocks throw', () => {
+        expect(() => renderTemplate('{{#repeat 2}}x', ctx)).toThrow();
+        expect(() => renderTemplate('x{{/each}}', ctx)).toThrow();
+    });
+});
+
+describe('renderTemplate — render limits', () => {
+    test('caps block iterations across nested blocks', () => {
+        expect(() => renderTemplate('{{#repeat 1000}}{{#repeat 1000}}x{{/repeat}}{{/repeat}}', ctx))
+            .toThrow(expect.objectContaining({ code: 'TEMPLATE_LIMIT', message: expect.stringMatching(/10000 iterations/) }));
+
+        const big = { request: { body: { items: Array.from({ length: 20000 }, (_, i) => i) } } };
+        expect(() => renderTemplate('{{#each request.body.items}}{{this}}{{/each}}', big)).toThrow(expect.objectContaining({ code: 'TEMPLATE_LIMIT' }));
+    });
+
+    test('caps the output size', () => {
+        const big = { request: { body: { blob: 'x'.repeat(10000) } } };
+        expect(() => renderTemplate('{{#repeat 1000}}{{request.body.blob}}{{/repeat}}', big))
+            .toThrow(expect.objectContaining({ code: 'TEMPLATE_LIMIT', message: expect.stringMatching(/characters/) }));
+    });
+});
+
+describe('renderTemplate — JSON mode', () => {
+    const render = (template, query) => JSON.parse(renderTemplate(template, { request: { query } }, { json: true }));
+
+    test('request values outside JSON strings cannot add structure', () => {
+        expect(render('{"n":{{request.query.n}}}', { n: '1, "admin": true' })).toEqual({ n: '1, "admin": true' });
+        expect(render('[{{request.query.n}}]', { n: '1],[2' })).toEqual(['1],[2']);
+        expect(render('{"n":{{request.query.n}},"ok":{{request.query.ok}}}', { n: '-2.5', ok: 'true' })).toEqual({ n: -2.5, ok: true });
+    });
+
+    test('objects are escaped inside strings and the json helper is written as is', () => {
+        const context = { request: { body: { user: { name: 'Jo "J"' } } } };
+        expect(JSON.parse(renderTemplate('{"raw":"{{request.body.user}}","user":{{json request.body.user}}}', context, { json: true })))
+            .toEqual({ raw: '{"name":"Jo \\"J\\""}', user: { name: 'Jo "J"' } });
+    });
+});
+
+describe('buildTemplateContext', () => {
+    test('maps an Express-like request into request.*', () => {
+        const req = { method: 'GET', path: '/x', query: { a: '1' }, headers: {}, body: undefined };
+        expect(buildTemplateContext(req, { id: '7' }, '/items/7')).toEqual({
+            request: { method: 'GET', path: '/items/7', params: { id: '7' }, query: { a: '1' }, headers: {}, body: {} },
+        });
+    });
+});
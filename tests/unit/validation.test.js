@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * tests/unit/validation.test.js
+ *
+ * Unit tests for the request validation helpers in utils/validation.js.
+ */
+
+const { inferSchema, checkValidationConfig, validateRequest } = require('../../utils/validation');
+
+describe('inferSchema', () => {
+    test('describes nested objects and arrays', () => {
+        expect(inferSchema({ id: 1, tags: ['x'], owner: { active: true }, note: null })).toEqual({
+            type: 'object',
+            required: ['id', 'tags', 'owner', 'note'],
+            properties: {
+                id: { type: 'number' },
+                tags: { type: 'array', items: { type: 'string' } },
+                owner: { type: 'object', properties: { active: { type: 'boolean' } }, required: ['active'] },
+                note: { type: 'null' },
+            },
+        });
+    });
+});
+
+describe('checkValidationConfig', () => {
+    test('accepts usable settings', () => {
+        expect(checkValidationConfig('off', 'not json')).toBeNull();
+        expect(checkValidationConfig('schema', '{"type":"object"}')).toBeNull();
+        expect(checkValidationConfig('infer', '')).toBeNull();
+    });
+
+    test('reports unknown modes, bad JSON and invalid schemas', () => {
+        expect(checkValidationConfig('strict', '')).toMatch(/validationMode/);
+        expect(checkValidationConfig('infer', '{oops')).toMatch(/JSON example/);
+        expect(checkValidationConfig('schema', '{"type":"banana"}')).toMatch(/JSON Schema/);
+    });
+});
+
+describe('validateRequest', () => {
+    const mock = {
+        validation_mode: 'schema',
+        expected_body: '{"type":"object","required":["qty"],"properties":{"qty":{"type":"integer"}}}',
+        expected_headers: '{"X-Api-Key":"secret"}',
+    };
+
+    test('returns no errors for a valid request', () => {
+        expect(validateRequest(mock, { method: 'POST', headers: { 'x-api-key': 'k' }, body: { qty: 2 } })).toEqual([]);
+    });
+
+    test('checks only headers on bodyless methods', () => {
+        expect(validateRequest(mock, { method: 'GET', headers: {}, body: undefined })).toEqual([
+            { location: 'header', path: 'X-Api-Key', message: 'is required' },
+        ]);
+    });
+
+    test('reports unparseable text bodies', () => {
+        expect(validateRequest(mock, { method: 'POST', headers: { 'x-api-key': 'k' }, body: 'qty=2' })).toEqual([
+            { location: 'body', path: '/', message: 'must be valid JSON' },
+        ]);
+    });
+
+    test('skips everything when validation is off', () => {
+        expect(validateRequest({ ...mock, validation_mode: 'off' }, { method: 'POST', headers: {}, body: {} })).toEqual([]);
+    });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * tests/unit/websocket.test.js
+ *
+ * Unit tests for WebSocket endpoint scripts in utils/websocket.js.
+ */
+
+const { checkWsScript, parseWsScript, parseMessage, matchReply, isCloseCode } = require('../../utils/websocket');
+
+const handshake = { headers: { 'x-user': 'ada' }, query: { room: 'general' } };
+
+describe('checkWsScript', () => {
+    test('accepts a full script', () => {
+        expect(checkWsScript({
+            onConnect: [{ data: { type: 'welcome' }, delay: 10 }],
+            replies: [
+                { conditions: [{ type: 'body', field: 'type', operator: 'equals', value: 'ping' }], data: 'pong' },
+                { conditions: { any: [] }, close: { code: 4001, reason: 'bye' } },
+            ],
+            broadcasts: [{ data: 'tick', intervalMs: 1000 }],
+            close: { afterMs: 5000, code: 1000 },
+        })).toBeNull();
+        expect(checkWsScript({})).toBeNull();
+    });
+
+    test('rejects bad scripts', () => {
+        expect(checkWsScript({ onConnect: [{}] })).toMatch(/data is required/);
+        expect(checkWsScript({ replies: [{ conditions: [] }] })).toMatch(/data or close/);
+        expect(checkWsScript({ replies: [{ data: 'x', close: { code: 1006 } }] })).toMatch(/code/);
+        expect(checkWsScript({ broadcasts: [{ data: 'x', intervalMs: 10 }] })).toMatch(/intervalMs/);
+        expect(checkWsScript({ close: { code: 1000 } })).toMatch(/afterMs/);
+        expect(checkWsScript({ onConnect: 'hello' })).toMatch(/array/);
+    });
+});
+
+describe('isCloseCode', () => {
+    test('follows the WebSocket close code ranges', () => {
+        expect(isCloseCode(1000)).toBe(true);
+        expect(isCloseCode(4000)).toBe(true);
+        expect(isCloseCode(1005)).toBe(false);
+        expect(isCloseCode(2000)).toBe(false);
+    });
+});
+
+describe('parseWsScript', () => {
+    test('reads the JSON columns and tolerates bad values', () => {
+        const script = parseWsScript({ on_connect: '[{"data":"hi"}]', replies: 'nope', broadcasts: null, close_config: null });
+        expect(script).toEqual({ onConnect: [{ data: 'hi' }], replies: [], broadcasts: [], close: null });
+    });
+});
+
+describe('matchReply', () => {
+    const replies = [
+        { conditions: [{ type: 'body', field: 'type', operator: 'equals', value: 'ping' }], data: 'pong' },
+        { conditions: [{ type: 'query', field: 'room', operator: 'equals', value: 'general' }, { type: 'body', operator: 'contains', value: 'hello' }], data: 'hi' },
+        { data: 'fallback' },
+    ];
+
+    test('matches messages in order with the condition model', () => {
+        expect(matchReply(replies, parseMessage('{"type":"ping"}'), handshake).data).toBe('pong');
+        expect(matchReply(replies, parseMessage('hello there'), handshake).data).toBe('hi');
+        expect(matchReply(replies, parseMessage('other'), handshake).data).toBe('fallback');
+    });
+
+    test('returns null when nothing matches', () => {
+        expect(matchReply(replies.slice(0, 1), parseMessage('x'), handshake)).toBeNull();
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * utils/chaos.js
+ *
+ * Fault injection for mock execution. A chaos config (projects.chaos_config,
+ * overridden key-by-key by mocks.chaos_config) looks like:
+ *
+ *   {
+ *     latency:  { distribution: 'uniform', min: 100, max: 800 }
+ *               { distribution: 'normal', mean: 300, stddev: 100, min?, max? }
+ *               { distribution: 'exponential', mean: 200, min?, max? },
+ *     failure:  { percent: 10, status: 503, body? },
+ *     drop:     { percent: 5 },                        // close the connection, no response
+ *     truncate: { percent: 5 },                        // send half the body, then close
+ *     trickle:  { chunkBytes: 16, intervalMs: 100 },   // send the body a few bytes at a time
+ *   }
+ *
+ * Every fault takes an optional `percent` (0-100, default 100). Pure functions —
+ * routes/m.js carries out the plan.
+ */
+
+const MAX_LATENCY_MS = 60000;
+const MAX_TRICKLE_INTERVAL_MS = 10000;
+const DISTRIBUTIONS = ['uniform', 'normal', 'exponential'];
+const CHAOS_KEYS = ['latency', 'failure', 'drop', 'truncate', 'trickle'];
+
+function parseChaosConfig(value) {
+    try {
+        const parsed = typeof value === 'string' ? JSON.parse(value || '{}') : value;
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+function isNumberIn(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function checkPercent(key, settings) {
+    if (settings.percent !== undefined && !isNumberIn(settings.percent, 0, 100)) {
+        return `chaosConfig.${key}.percent must be a number from 0 to 100`;
+    }
+    return null;
+}
+
+function checkLatency(latency) {
+    const distribution = latency.distribution || 'uniform';
+    if (!DISTRIBUTIONS.includes(distribution)) {
+        return `chaosConfig.latency.distribution must be one of: ${DISTRIBUTIONS.join(', ')}`;
+    }
+    for (const field of ['min', 'max', 'mean', 'stddev']) {
+        if (latency[field] !== undefined && !isNumberIn(latency[field], 0, MAX_LATENCY_MS)) {
+            return `chaosConfig.latency.${field} must be a number from 0 to ${MAX_LATENCY_MS}`;
+        }
+    }
+    if (distribution === 'uniform' && latency.max === undefined) return 'chaosConfig.latency.max is required';
+    if (distribution !== 'uniform' && latency.mean === undefined) return 'chaosConfig.latency.mean is required';
+    if (latency.min !== undefined && latency.max !== undefined && latency.min > latency.max) {
+        return 'chaosConfig.latency.min must not exceed max';
+    }
+    return checkPercent('latency', latency);
+}
+
+/**
+ * Check a chaos config from the API. Returns an error message or null.
+ * `null` values are allowed — on a mock they switch off the project's setting.
+ */
+function checkChaosConfig(config) {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) return 'chaosConfig must be an object';
+
+    for (const [key, settings] of Object.entries(config)) {
+        if (!CHAOS_KEYS.includes(key)) return `Unknown chaosConfig key "${key}"`;
+        if (settings === null) continue;
+        if (typeof settings !== 'object' || Array.isArray(settings)) return `chaosConfig.${key} must be an object`;
+
+        let error = null;
+        if (key === 'latency') {
+            error = checkLatency(settings);
+        } else if (key === 'failure') {
+            if (settings.status !== undefined && !(Number.isInteger(settings.status) && settings.status >= 400 && settings.status <= 599)) {
+                error = 'chaosConfig.failure.status must be a 4xx or 5xx status code';
+            } else if (settings.body !== undefined && typeof settings.body !== 'string') {
+                error = 'chaosConfig.failure.body must be a string';
+            }
+        } else if (key === 'trickle') {
+            if (!Number.isInteger(settings.chunkBytes) || settings.chunkBytes < 1) {
+                error = 'chaosConfig.trickle.chunkBytes must be a positive integer';
+            } else if (!isNumberIn(settings.intervalMs, 1, MAX_TRICKLE_INTERVAL_MS)) {
+                error = `chaosConfig.trickle.intervalMs must be a number from 1 to ${MAX_TRICKLE_INTERVAL_MS}`;
+            }
+        }
+        error = error || checkPercent(key, settings);
+        if (error) return error;
+    }
+    return null;
+}
+
+/**
+ * The effective config for a mock: project settings with the mock's keys on
+ * top. A mock key set to null removes the project's setting.
+ */
+function mergeChaosConfig(projectConfig, mockConfig) {
+    const merged = { ...parseChaosConfig(projectConfig), ...parseChaosConfig(mockConfig) };
+    for (const key of Object.keys(merged)) {
+        if (merged[key] === null || !CHAOS_KEYS.includes(key)) delete merged[key];
+    }
+    return merged;
+}
+
+/**
+ * Draw a delay in ms from a latency setting, clamped to [min, max].
+ */
+function sampleLatency(latency, random = Math.random) {
+    const min = latency.min ?? 0;
+    const max = Math.min(latency.max ?? MAX_LATENCY_MS, MAX_LATENCY_MS);
+    let value;
+    switch (latency.distribution || 'uniform') {
+        case 'normal': {
+            // Box-Muller transform
+            const u = 1 - random();
+            const v = random();
+            value = latency.mean + (latency.stddev || 0) * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+            break;
+        }
+        case 'exponential':
+            value = -latency.mean * Math.log(1 - random());
+            break;
+        default:
+            value = min + random() * (max - min);
+    }
+    return Math.round(Math.min(max, Math.max(min, value)));
+}
+
+function hits(settings, random) {
+    return Boolean(settings) && random() * 100 < (settings.percent ?? 100);
+}
+
+/**
+ * Roll the dice for one request.
+ *
+ * @param {object} config - Effective chaos config (see mergeChaosConfig)
+ * @param {Function} random - Source of [0, 1) numbers, injectable for tests
+ * @returns {{ delayMs: number, fault: 'drop'|'failure'|'truncate'|null, failure: object|null, trickle: object|null }}
+ *   At most one fault fires, checked in the order drop → failure → truncate.
+ */
+function planChaos(config, random = Math.random) {
+    const plan = { delayMs: 0, fault: null, failure: null, trickle: null };
+    if (hits(config.latency, random)) plan.delayMs = sampleLatency(config.latency, random);
+
+    if (hits(config.drop, random)) {
+        plan.fault = 'drop';
+    } else if (hits(config.failure, random)) {
+        plan.fault = 'failure';
+        plan.failure = {
+            status: config.failure.status || 500,
+            body: config.failure.body ?? JSON.stringify({ error: 'CHAOS_FAILURE', message: 'Failure injected by chaos settings' }),
+        };
+    } else if (hits(config.truncate, random)) {
+        plan.fault = 'truncate';
+    }
+
+    if (hits(config.trickle, random)) plan.trickle = { chunkBytes: config.trickle.chunkBytes, intervalMs: config.trickle.intervalMs };
+    return plan;
+}
+
+module.exports = {
+    CHAOS_KEYS,
+    parseChaosConfig,
+    checkChaosConfig,
+    mergeChaosConfig,
+    sampleLatency,
+    planChaos,
+};
@@ -5,88 +5,587 @@
  * These contain zero database or HTTP side effects.
  */
 
+const { getPath } = require('./templating');
+
+// Named types for {name:type} params; any other type is used as a regex
+const PARAM_TYPES = {
+    int: '-?\\d+',
+    number: '-?\\d+(?:\\.\\d+)?',
+    uuid: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}',
+    alpha: '[A-Za-z]+',
+    alnum: '[A-Za-z0-9]+',
+};
+
+// Segment ranks for pathSpecificity — higher is more specific. END ranks a
+// pattern that has run out of segments, so /files beats /files/** for /files.
+const SEGMENT_RANK = { static: 7, mixed: 6, typed: 5, param: 4, partialWildcard: 3, wildcard: 2, end: 1, optional: 0.5, globstar: 0 };
+
+const PATTERN_CACHE_SIZE = 500;
+const patternCache = new Map();
+
+// Caps on user-supplied patterns, so a path can't carry an arbitrarily expensive regex
+const MAX_PATTERN_LENGTH = 500;
+const MAX_TYPE_LENGTH = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a pattern into its path and query parts. A "?" right after a param
+ * that ends a segment ("/users/{id}?") marks the segment optional; any other
+ * "?" outside braces starts the query ("/search?type=user").
+ */
+function splitPattern(pattern) {
+    let depth = 0;
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '{') depth++;
+        else if (char === '}') depth = Math.max(0, depth - 1);
+        else if (char === '?' && depth === 0) {
+            const optional = pattern[i - 1] === '}' && (i === pattern.length - 1 || pattern[i + 1] === '/');
+            if (!optional) return { path: pattern.slice(0, i), query: pattern.slice(i + 1) };
+        }
+    }
+    return { path: pattern, query: '' };
+}
+
+function parseQueryPattern(query) {
+    return query.split('&').filter(Boolean).map((pair) => {
+        const index = pair.indexOf('=');
+        const decode = (text) => {
+            try {
+                return decodeURIComponent(text.replace(/\+/g, ' '));
+            } catch {
+                return text;
+            }
+        };
+        return index === -1 ? [decode(pair), null] : [decode(pair.slice(0, index)), decode(pair.slice(index + 1))];
+    });
+}
+
+/**
+ * Split one segment into literal text, {param[:type]} and * tokens.
+ */
+function tokenizeSegment(segment) {
+    const tokens = [];
+    let literal = '';
+    for (let i = 0; i < segment.length; i++) {
+        if (segment[i] === '{') {
+            let depth = 1;
+            let j = i + 1;
+            while (j < segment.length && depth > 0) {
+                if (segment[j] === '{') depth++;
+                if (segment[j] === '}') depth--;
+                j++;
+            }
+            if (depth > 0) {
+                literal += segment.slice(i);
+                break;
+            }
+            if (literal) tokens.push({ kind: 'literal', text: literal });
+            literal = '';
+            const inner = segment.slice(i + 1, j - 1);
+            const colon = inner.indexOf(':');
+            tokens.push(colon === -1
+                ? { kind: 'param', name: inner }
+                : { kind: 'param', name: inner.slice(0, colon), type: inner.slice(colon + 1) });
+            i = j - 1;
+        } else if (segment[i] === '*') {
+            if (literal) tokens.push({ kind: 'literal', text: literal });
+            literal = '';
+            tokens.push({ kind: 'wildcard' });
+        } else {
+            literal += segment[i];
+        }
+    }
+    if (literal) tokens.push({ kind: 'literal', text: literal });
+    return tokens;
+}
+
+/**
+ * Check a custom regex type. Types are limited to a subset that can't backtrack
+ * catastrophically: characters, escapes and classes, each with an optional
+ * quantifier; groups that are neither nested nor quantified; alternatives in one
+ * place only; at most one variable quantifier ("?", "*", "+", "{n,m}"); no
+ * backreferences or lookarounds. Every atom is also tried against "/", as a
+ * param stays within one segment. Throws when the type falls outside the subset,
+ * is too long or doesn't compile.
+ */
+function checkRegexType(source) {
+    if (source.length > MAX_TYPE_LENGTH) throw new Error(`regex types are limited to ${MAX_TYPE_LENGTH} characters`);
+    new RegExp(source);
+    const reject = (reason) => {
+        throw new Error(`"${source}" ${reason}`);
+    };
+
+    let inGroup = false;
+    let group = 0;
+    let alternationGroup = null;
+    let variableQuantifiers = 0;
+    let quantifiable = false;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        const quantifier = /^(?:[?*+]|\{(\d+)(?:(,)(\d*))?\})\??/.exec(source.slice(i));
+        if (quantifier && (char !== '{' || quantifiable)) {
+            if (!quantifiable) reject('repeats a group — only characters and classes can be repeated');
+            const [, min, comma, max] = quantifier;
+            if (char !== '{' || (comma && max !== min)) variableQuantifiers++;
+            if (variableQuantifiers > 1) reject('repeats more than one character or class a variable number of times');
+            quantifiable = false;
+            i += quantifier[0].length - 1;
+            continue;
+        }
+        if (char === '(') {
+            if (/^\(\?<?[=!]/.test(source.slice(i))) reject('uses a lookaround, which param types don\'t support');
+            if (inGroup) reject('nests groups, which param types don\'t support');
+            inGroup = true;
+            group++;
+            quantifiable = false;
+            const prefix = /^\(\?(?::|<[^>]+>)/.exec(source.slice(i));
+            if (prefix) i += prefix[0].length - 1;
+            continue;
+        }
+        if (char === ')' || char === '^' || char === '$') {
+            if (char === ')') inGroup = false;
+            quantifiable = false;
+            continue;
+        }
+        if (char === '|') {
+            const at = inGroup ? group : 0;
+            if (alternationGroup !== null && alternationGroup !== at) reject('has alternatives in more than one place');
+            alternationGroup = at;
+            quantifiable = false;
+            continue;
+        }
+
+        let atom;
+        if (char === '\\') {
+            if (/[1-9k]/.test(source[i + 1])) reject('uses a backreference, which param types don\'t support');
+            const hex = { x: 2, u: 4 }[source[i + 1]] || 0;
+            atom = source.slice(i, i + 2 + hex);
+        } else if (char === '[') {
+            let j = source[i + 1] === '^' ? i + 2 : i + 1;
+            while (j < source.length && source[j] !== ']') j += source[j] === '\\' ? 2 : 1;
+            atom = source.slice(i, j + 1);
+        } else {
+            atom = char;
+        }
+        if (new RegExp(`^${atom}$`).test('/')) reject('could match "/" — a param stays within one segment');
+        quantifiable = true;
+        i += atom.length - 1;
+    }
+}
+
+function countGroups(source) {
+    return new RegExp(`${source}|`).exec('').length - 1;
+}
+
+function segmentRank(tokens) {
+    const params = tokens.filter((token) => token.kind === 'param');
+    const wildcards = tokens.filter((token) => token.kind === 'wildcard');
+    const literals = tokens.filter((token) => token.kind === 'literal');
+    if (params.length === 0 && wildcards.length === 0) return SEGMENT_RANK.static;
+    if (wildcards.length > 0) return literals.length > 0 || params.length > 0 ? SEGMENT_RANK.partialWildcard : SEGMENT_RANK.wildcard;
+    if (literals.length > 0 || params.length > 1) return SEGMENT_RANK.mixed;
+    return params[0].type ? SEGMENT_RANK.typed : SEGMENT_RANK.param;
+}
+
+/**
+ * Compile a stored mock path into a regex plus the names of its captures.
+ * Cached — the same patterns are matched on every request.
+ */
+function compilePattern(pattern) {
+    let compiled = patternCache.get(pattern);
+    if (compiled) return compiled;
+
+    const { path, query } = splitPattern(pattern);
+    const captures = []; // { name, optional } per capture group (null = unnamed group inside a regex type)
+    const ranks = [];
+    let wildcardIndex = 0;
+    let source = '';
+
+    const segments = path.replace(/^\/+/, '').replace(/\/+$/, '').split('/').filter((segment, i, all) => segment || all.length > 1);
+    for (const rawSegment of segments) {
+        if (rawSegment === '**') {
+            source += '(?:/(.*))?';
+            captures.push({ name: String(wildcardIndex++), globstar: true });
+            ranks.push(SEGMENT_RANK.globstar);
+            continue;
+        }
+        const optional = rawSegment.endsWith('}?');
+        const segment = optional ? rawSegment.slice(0, -1) : rawSegment;
+        const tokens = tokenizeSegment(segment);
+        let body = '';
+        for (const token of tokens) {
+            if (token.kind === 'literal') {
+                body += escapeRegex(token.text);
+            } else if (token.kind === 'wildcard') {
+                body += '([^/]*)';
+                captures.push({ name: String(wildcardIndex++) });
+            } else {
+                const typeSource = token.type ? (PARAM_TYPES[token.type] || token.type) : '[^/]+';
+                if (token.type && !PARAM_TYPES[token.type]) checkRegexType(typeSource);
+                body += `((?:${typeSource}))`;
+                captures.push({ name: token.name, optional });
+                for (let i = 0; i < countGroups(typeSource); i++) captures.push(null);
+            }
+        }
+        source += optional ? `(?:/${body})?` : `/${body}`;
+        ranks.push(optional ? SEGMENT_RANK.optional : segmentRank(tokens));
+    }
+
+    compiled = {
+        regex: new RegExp(`^${source}/?$`),
+        captures,
+        ranks,
+        query: parseQueryPattern(query),
+    };
+    if (patternCache.size >= PATTERN_CACHE_SIZE) patternCache.delete(patternCache.keys().next().value);
+    patternCache.set(pattern, compiled);
+    return compiled;
+}
+
+function queryMatches(expected, query) {
+    return expected.every(([key, value]) => {
+        const actual = query[key];
+        if (actual === undefined || actual === null) return false;
+        if (value === null) return true;
+        return (Array.isArray(actual) ? actual : [actual]).map(String).includes(value);
+    });
+}
+
 /**
- * Path pattern matching — converts /users/{id}/posts/{postId} to a regex
- * and extracts named parameters from the actual request path.
+ * Path pattern matching — converts a stored mock path to a regex and extracts
+ * named parameters from the actual request path. Patterns may use:
+ *
+ *   {id}              one segment                   /users/{id}
+ *   {id:int}          typed: int, number, uuid, alpha, alnum
+ *   {slug:[a-z-]+}    any other type is a regex for the segment
+ *   {id}?             optional segment              /users/{id}?
+ *   *                 any text within a segment     /files/*.png   → params["0"]
+ *   **                any number of segments        /files/**      → params["0"] = "a/b/c.png"
+ *   ?key=value        required query params         /search?type=user  (?key alone: must be present)
+ *
+ * A trailing slash on either side is ignored. An optional param that is absent
+ * is left out of `params`.
  *
  * @param {string} pattern - The stored mock path, e.g. /users/{id}
  * @param {string} actualPath - The incoming request path, e.g. /users/123
+ * @param {Record<string, string|string[]>} [query] - The request's query, for patterns with a query part
  * @returns {{ isMatch: boolean, params: Record<string, string> }}
  */
-function matchPath(pattern, actualPath) {
-    const paramNames = [];
-    const regexStr = pattern.replace(/{([^}]+)}/g, (_, name) => {
-        paramNames.push(name);
-        return '([^/]+)';
-    });
-    const escaped = regexStr.replace(/\./g, '\\.');
-    const regex = new RegExp(`^${escaped}$`);
-    const match = actualPath.match(regex);
-    if (!match) return { isMatch: false, params: {} };
+function matchPath(pattern, actualPath, query = {}) {
+    let compiled;
+    try {
+        compiled = compilePattern(pattern);
+    } catch {
+        // A broken regex type matches nothing
+        return { isMatch: false, params: {} };
+    }
+    const match = compiled.regex.exec(actualPath);
+    if (!match || !queryMatches(compiled.query, query || {})) return { isMatch: false, params: {} };
 
     const params = {};
-    paramNames.forEach((name, i) => {
-        params[name] = match[i + 1];
-    });
+    for (const [i, capture] of compiled.captures.entries()) {
+        if (!capture) continue;
+        const value = match[i + 1];
+        if (value !== undefined) params[capture.name] = value;
+        else if (capture.globstar) params[capture.name] = '';
+    }
     return { isMatch: true, params };
 }
 
 /**
- * Evaluate a single condition against an incoming request-like object.
+ * How specific a pattern is: one rank per path segment (static > mixed >
+ * typed param > param > partial wildcard > * > optional > **) and the number
+ * of query params it requires.
  *
- * @param {{ type: string, field: string, operator: string, value: string }} condition
- * @param {{ headers: object, query: object, body: any }} req
- * @param {Record<string, string>} pathParams
- * @returns {boolean}
+ * @returns {{ ranks: number[], query: number }}
  */
-function evaluateCondition(condition, req, pathParams = {}) {
-    const { type, field, operator, value } = condition;
+function pathSpecificity(pattern) {
+    try {
+        const { ranks, query } = compilePattern(pattern);
+        return { ranks, query: query.length };
+    } catch {
+        return { ranks: [], query: 0 };
+    }
+}
+
+/**
+ * Sort comparator: the more specific pattern first. Segments are compared left
+ * to right and the first difference decides; then the query params it requires.
+ * 0 when neither is more specific.
+ */
+function comparePathSpecificity(a, b) {
+    const left = pathSpecificity(a);
+    const right = pathSpecificity(b);
+    for (let i = 0; i < Math.max(left.ranks.length, right.ranks.length); i++) {
+        const difference = (right.ranks[i] ?? SEGMENT_RANK.end) - (left.ranks[i] ?? SEGMENT_RANK.end);
+        if (difference !== 0) return difference;
+    }
+    return right.query - left.query;
+}
+
+/**
+ * Check a mock path pattern from the API. Returns an error message or null.
+ */
+function checkPathPattern(pattern) {
+    if (pattern.length > MAX_PATTERN_LENGTH) return `path is limited to ${MAX_PATTERN_LENGTH} characters`;
+    try {
+        compilePattern(pattern);
+    } catch (err) {
+        return `path has an invalid param type: ${err.message}`;
+    }
+    return null;
+}
 
-    let actual;
+/**
+ * The pattern as a plain {name} template, for exports: types, optional markers
+ * and the query part are dropped.
+ */
+function templatePath(pattern) {
+    const { path } = splitPattern(pattern);
+    return path.split('/').map((segment) => tokenizeSegment(segment.endsWith('}?') ? segment.slice(0, -1) : segment)
+        .map((token) => {
+            if (token.kind === 'literal') return token.text;
+            if (token.kind === 'wildcard') return '*';
+            return `{${token.name}}`;
+        })
+        .join('')).join('/');
+}
+
+/**
+ * The named params of a pattern, in order, for exports.
+ *
+ * @returns {Array<{ name: string, type: string|null, optional: boolean }>}
+ */
+function patternParams(pattern) {
+    const { path } = splitPattern(pattern);
+    return path.split('/').flatMap((segment) => {
+        const optional = segment.endsWith('}?');
+        return tokenizeSegment(optional ? segment.slice(0, -1) : segment)
+            .filter((token) => token.kind === 'param')
+            .map((token) => ({ name: token.name, type: token.type || null, optional }));
+    });
+}
+
+/**
+ * The query params a pattern requires, for exports. `value` is null for "?key" (must be present).
+ *
+ * @returns {Array<{ key: string, value: string|null }>}
+ */
+function patternQuery(pattern) {
+    return parseQueryPattern(splitPattern(pattern).query).map(([key, value]) => ({ key, value }));
+}
+
+/**
+ * Read a dot / bracket path (`user.address.city`, `items[0].sku`, optional `$.` prefix).
+ * An empty path (or `$`) returns the value itself.
+ */
+function readPath(value, path) {
+    const normalized = String(path || '').replace(/^\$\.?/, '');
+    return getPath(value, normalized);
+}
+
+/**
+ * Parse a Cookie header into a name → value map.
+ */
+function parseCookies(header = '') {
+    const cookies = {};
+    for (const pair of String(header).split(';')) {
+        const index = pair.indexOf('=');
+        if (index === -1) continue;
+        const name = pair.slice(0, index).trim();
+        if (!name || name in cookies) continue;
+        const raw = pair.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+        try {
+            cookies[name] = decodeURIComponent(raw);
+        } catch {
+            cookies[name] = raw;
+        }
+    }
+    return cookies;
+}
+
+/**
+ * Resolve the request value a condition looks at.
+ */
+function conditionSubject(type, field, req, pathParams) {
     switch (type) {
         case 'header':
-            actual = req.headers[field.toLowerCase()];
-            break;
+            return req.headers[field.toLowerCase()];
         case 'query':
-            actual = req.query[field];
-            break;
+            return req.query[field];
         case 'body':
-            actual = typeof req.body === 'object' && req.body !== null
-                ? req.body[field]
+            if (!field || field === '$') return req.body;
+            return typeof req.body === 'object' && req.body !== null
+                ? readPath(req.body, field)
                 : undefined;
-            break;
         case 'path':
-            actual = pathParams[field];
-            break;
+            return pathParams[field];
+        case 'cookie':
+            return (req.cookies || parseCookies(req.headers.cookie))[field];
+        case 'method':
+            return req.method ? String(req.method).toUpperCase() : undefined;
+        case 'ip': {
+            const ip = req.ip || req.socket?.remoteAddress;
+            return ip ? String(ip).replace(/^::ffff:/, '') : undefined;
+        }
         default:
-            return false;
+            return undefined;
+    }
+}
+
+const CONDITION_TYPES = ['header', 'query', 'body', 'path', 'cookie', 'method', 'ip'];
+
+function asList(value) {
+    if (Array.isArray(value)) return value.map(String);
+    return String(value ?? '').split(',').map((v) => v.trim());
+}
+
+function asText(value) {
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Evaluate a single condition against an incoming request-like object.
+ *
+ * Types: header, query, body (dot / bracket path; empty field = whole body),
+ * path, cookie, method, ip. Negated operators (not_equals, not_contains) and
+ * not_exists match when the field is missing; every other operator needs it.
+ *
+ * @param {{ type: string, field: string, operator: string, value: any }} condition
+ * @param {{ headers: object, query: object, body: any, method?: string, ip?: string, cookies?: object }} req
+ * @param {Record<string, string>} pathParams
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, req, pathParams = {}) {
+    const { type, field = '', operator, value } = condition;
+    if (!CONDITION_TYPES.includes(type)) return false;
+
+    const actual = conditionSubject(type, field, req, pathParams);
+    const present = actual !== undefined && actual !== null;
+
+    switch (operator) {
+        case 'exists':
+            return present;
+        case 'not_exists':
+            return !present;
+        case 'not_equals':
+            return !present || asText(actual) !== String(value);
+        case 'not_contains':
+            return !present || !containsValue(actual, value);
+        default:
+            break;
     }
 
-    if (actual === undefined || actual === null) return false;
-    const actualStr = String(actual);
+    if (!present) return false;
+    const actualStr = asText(actual);
 
     switch (operator) {
         case 'equals':
-            return actualStr === value;
+            return actualStr === String(value);
         case 'contains':
-            return actualStr.includes(value);
-        case 'regex':
-            try { return new RegExp(value).test(actualStr); } catch { return false; }
+            return containsValue(actual, value);
+        case 'regex': {
+            // compileConditions attaches the RegExp (null when invalid) ahead of time
+            const regex = condition.compiledRegex !== undefined ? condition.compiledRegex : compileRegex(value);
+            return regex ? regex.test(actualStr) : false;
+        }
+        case 'starts_with':
+            return actualStr.startsWith(String(value));
+        case 'ends_with':
+            return actualStr.endsWith(String(value));
+        case 'in':
+            return asList(value).includes(actualStr);
+        case 'gt':
+        case 'gte':
+        case 'lt':
+        case 'lte':
+            return compareNumbers(operator, actual, value);
         default:
             return false;
     }
 }
 
+function compileRegex(source) {
+    try {
+        return new RegExp(source);
+    } catch {
+        return null;
+    }
+}
+
+// Arrays "contain" a value when one of their elements equals it
+function containsValue(actual, value) {
+    if (Array.isArray(actual)) return actual.some((item) => asText(item) === String(value));
+    return asText(actual).includes(String(value));
+}
+
+function compareNumbers(operator, actual, value) {
+    if (actual === '' || value === '' || value === null || value === undefined) return false;
+    const a = Number(actual);
+    const b = Number(value);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return false;
+    if (operator === 'gt') return a > b;
+    if (operator === 'gte') return a >= b;
+    if (operator === 'lt') return a < b;
+    return a <= b;
+}
+
+const GROUP_KEYS = ['all', 'any', 'none'];
+
+function isConditionGroup(node) {
+    return node !== null && typeof node === 'object' && !Array.isArray(node)
+        && GROUP_KEYS.some((key) => Array.isArray(node[key]));
+}
+
+/**
+ * Evaluate a condition tree. A node is either a single condition, an array
+ * (implicit `all`), or a group `{ all: [...] }`, `{ any: [...] }`, `{ none: [...] }`.
+ * Groups nest to any depth.
+ *
+ * @param {object|Array} node
+ * @param {object} req
+ * @param {Record<string, string>} pathParams
+ * @returns {boolean}
+ */
+function evaluateConditionNode(node, req, pathParams = {}) {
+    if (Array.isArray(node)) return node.every((child) => evaluateConditionNode(child, req, pathParams));
+    if (isConditionGroup(node)) {
+        if (Array.isArray(node.all)) return node.all.every((child) => evaluateConditionNode(child, req, pathParams));
+        if (Array.isArray(node.any)) return node.any.some((child) => evaluateConditionNode(child, req, pathParams));
+        return !node.none.some((child) => evaluateConditionNode(child, req, pathParams));
+    }
+    if (node && typeof node === 'object') return evaluateCondition(node, req, pathParams);
+    return false;
+}
+
 /**
- * Check if ALL conditions for a response are satisfied.
+ * Check if a response's conditions are satisfied. `conditions` is an array
+ * (ALL must match) or a single any / all / none group.
  * A response with an empty or missing conditions array always qualifies (no conditions = neutral).
  *
- * @param {{ conditions?: string | Array }} response
+ * @param {{ conditions?: string | Array | object }} response
  * @param {object} req
  * @param {Record<string, string>} pathParams
  * @returns {{ matches: boolean, hasConditions: boolean }}
  */
 function responseMatchesConditions(response, req, pathParams = {}) {
+    const conditions = responseConditions(response);
+    if (!conditions) {
+        return { matches: true, hasConditions: false };
+    }
+
+    return { matches: evaluateConditionNode(conditions, req, pathParams), hasConditions: true };
+}
+
+/**
+ * A response's parsed conditions, or null when it has none. Responses from the
+ * route index carry them precompiled (see compileConditions).
+ */
+function responseConditions(response) {
+    if (response.compiledConditions !== undefined) return response.compiledConditions;
+
     let conditions = [];
     try {
         conditions = typeof response.conditions === 'string'
@@ -96,30 +595,47 @@ function responseMatchesConditions(response, req, pathParams = {}) {
         conditions = [];
     }
 
-    if (!Array.isArray(conditions) || conditions.length === 0) {
-        return { matches: true, hasConditions: false };
+    const hasConditions = Array.isArray(conditions) ? conditions.length > 0 : isConditionGroup(conditions);
+    return hasConditions ? conditions : null;
+}
+
+function compileConditionNode(node) {
+    if (Array.isArray(node)) return node.map(compileConditionNode);
+    if (isConditionGroup(node)) {
+        const key = GROUP_KEYS.find((name) => Array.isArray(node[name]));
+        return { [key]: node[key].map(compileConditionNode) };
     }
+    if (node && typeof node === 'object' && node.operator === 'regex') {
+        return { ...node, compiledRegex: compileRegex(node.value) };
+    }
+    return node;
+}
 
-    const allMatch = conditions.every((c) => evaluateCondition(c, req, pathParams));
-    return { matches: allMatch, hasConditions: true };
+/**
+ * A response's conditions parsed once, with regex operators compiled, for
+ * storing as `compiledConditions` on a cached response. Null when it has none.
+ */
+function compileConditions(response) {
+    const conditions = responseConditions({ conditions: response.conditions });
+    return conditions ? compileConditionNode(conditions) : null;
 }
 
 /**
- * Pick which response to return.
+ * Narrow a mock's responses down to the ones eligible for this request.
  *
- * Priority:
- * 1. Conditional responses whose ALL conditions match → weighted-random among them
- * 2. If no conditional responses match → unconditioned responses → weighted-random
- * 3. If all weights are 0 → fall back to is_default or first
+ * 1. Conditional responses whose conditions match form the pool
+ * 2. If no conditional response matches → unconditioned responses form the pool
+ * 3. Within the pool only the highest `priority` is kept
+ *
+ * Order is preserved, so sequential selection follows the caller's ordering.
  *
  * @param {Array} responses - All responses for this mock
- * @param {object} req - Express request object (or equivalent plain object for tests)
- * @param {Record<string, string>} pathParams - Extracted path parameters
- * @returns {object|null}
+ * @param {object} req
+ * @param {Record<string, string>} pathParams
+ * @returns {Array}
  */
-function pickResponse(responses, req = { headers: {}, query: {}, body: {} }, pathParams = {}) {
-    if (!responses || responses.length === 0) return null;
-    if (responses.length === 1) return responses[0];
+function selectCandidates(responses, req = { headers: {}, query: {}, body: {} }, pathParams = {}) {
+    if (!responses || responses.length === 0) return [];
 
     const conditionalMatches = [];
     const unconditioned = [];
@@ -134,8 +650,18 @@ function pickResponse(responses, req = { headers: {}, query: {}, body: {} }, pat
     }
 
     const pool = conditionalMatches.length > 0 ? conditionalMatches : unconditioned;
-    const candidates = pool.length > 0 ? pool : responses;
+    const eligible = pool.length > 0 ? pool : responses;
+
+    // Explicit priority makes overlapping matches deterministic
+    const topPriority = Math.max(...eligible.map((r) => Number(r.priority) || 0));
+    return eligible.filter((r) => (Number(r.priority) || 0) === topPriority);
+}
 
+/**
+ * Weighted-random pick. If all weights are 0 → is_default or first.
+ */
+function pickWeighted(candidates) {
+    if (candidates.length === 0) return null;
     if (candidates.length === 1) return candidates[0];
 
     const totalWeight = candidates.reduce((sum, r) => sum + (r.weight || 0), 0);
@@ -153,4 +679,110 @@ function pickResponse(responses, req = { headers: {}, query: {}, body: {} }, pat
     return candidates[candidates.length - 1];
 }
 
-module.exports = { matchPath, evaluateCondition, responseMatchesConditions, pickResponse };
+/**
+ * Deterministic pick among equally ranked candidates: the default response,
+ * then the oldest (stable, so equal timestamps keep the caller's order).
+ */
+function firstByTieBreak(candidates) {
+    return [...candidates].sort((a, b) => (Number(b.is_default) || 0) - (Number(a.is_default) || 0)
+        || String(a.created_at || '').localeCompare(String(b.created_at || '')))[0] || null;
+}
+
+/**
+ * Pick from a selectCandidates pool: overlapping conditional matches resolve
+ * deterministically, weights only split traffic between unconditioned responses.
+ */
+function pickFromPool(candidates) {
+    if (candidates.some((r) => responseConditions(r))) return firstByTieBreak(candidates);
+    return pickWeighted(candidates);
+}
+
+/**
+ * Pick which response to return.
+ *
+ * Priority:
+ * 1. Conditional responses whose conditions match form the pool
+ * 2. If no conditional response matches → unconditioned responses form the pool
+ * 3. Within the pool only the highest `priority` wins
+ * 4. Tied conditional matches → is_default, then the oldest; tied unconditioned
+ *    responses → weighted-random (all weights 0 → is_default or first)
+ *
+ * @param {Array} responses - All responses for this mock
+ * @param {object} req - Express request object (or equivalent plain object for tests)
+ * @param {Record<string, string>} pathParams - Extracted path parameters
+ * @returns {object|null}
+ */
+function pickResponse(responses, req = { headers: {}, query: {}, body: {} }, pathParams = {}) {
+    if (!responses || responses.length === 0) return null;
+    if (responses.length === 1) return responses[0];
+    return pickFromPool(selectCandidates(responses, req, pathParams));
+}
+
+/**
+ * Delay in ms before sending a picked response: its own delay_ms (or a random
+ * value between delay_ms and delay_max_ms), falling back to the mock's
+ * response_delay_ms when the response has none.
+ *
+ * @param {object} mock - Mock row
+ * @param {object|null} response - Picked mock_responses row
+ * @param {Function} random - Source of [0, 1) numbers, injectable for tests
+ * @returns {number}
+ */
+function responseDelay(mock, response, random = Math.random) {
+    if (!response || response.delay_ms === null || response.delay_ms === undefined) {
+        return Number(mock.response_delay_ms) || 0;
+    }
+    const min = Number(response.delay_ms) || 0;
+    const max = response.delay_max_ms === null || response.delay_max_ms === undefined ? min : Number(response.delay_max_ms);
+    return Math.round(min + random() * Math.max(0, max - min));
+}
+
+const SELECTION_MODES = ['random', 'sequential', 'sequential-then-stick', 'round-robin'];
+
+/**
+ * Pick the response for the `position`-th call (0-based) under a non-random
+ * selection mode:
+ *
+ *   sequential            → A, B, C, then picked like `random`
+ *   sequential-then-stick → A, B, C, C, C, ...
+ *   round-robin           → A, B, C, A, B, C, ...
+ *
+ * @param {Array} candidates - Eligible responses in sequence order
+ * @param {number} position - How many earlier calls this client made
+ * @param {string} mode - One of SELECTION_MODES
+ * @returns {object|null}
+ */
+function pickInSequence(candidates, position, mode) {
+    if (candidates.length === 0) return null;
+    switch (mode) {
+        case 'round-robin':
+            return candidates[position % candidates.length];
+        case 'sequential-then-stick':
+            return candidates[Math.min(position, candidates.length - 1)];
+        case 'sequential':
+            return position < candidates.length ? candidates[position] : pickFromPool(candidates);
+        default:
+            return pickFromPool(candidates);
+    }
+}
+
+module.exports = {
+    matchPath,
+    pathSpecificity,
+    comparePathSpecificity,
+    checkPathPattern,
+    templatePath,
+    patternParams,
+    patternQuery,
+    readPath,
+    parseCookies,
+    evaluateCondition,
+    evaluateConditionNode,
+    responseMatchesConditions,
+    compileConditions,
+    selectCandidates,
+    pickResponse,
+    responseDelay,
+    SELECTION_MODES,
+    pickInSequence,
+};
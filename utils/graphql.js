@@ -0,0 +1,221 @@
+/**
+ * utils/graphql.js
+ *
+ * GraphQL mocks from a project's SDL (projects.graphql_sdl). Queries and
+ * mutations are executed against the schema with a field resolver that
+ * returns override values when asked for them and otherwise generates data
+ * matching each field's type (faker values chosen by scalar type and field name).
+ */
+
+const {
+    buildSchema, parse, validate, specifiedRules, execute, getOperationAST, GraphQLError, Kind,
+    isNonNullType, isListType, isEnumType, isObjectType, isAbstractType,
+} = require('graphql');
+const { FAKER } = require('./templating');
+
+const SCHEMA_CACHE_SIZE = 50;
+const LIST_LENGTH = 2;
+// Every list level multiplies the generated data by LIST_LENGTH, so documents are bounded
+const MAX_QUERY_DEPTH = 10;
+const MAX_QUERY_FIELDS = 200;
+
+// SDL text → built schema, so a project's schema is parsed once, not per request
+const schemaCache = new Map();
+
+/**
+ * Check an SDL document from the API. Returns an error message or null.
+ */
+function checkGraphqlSdl(sdl) {
+    if (typeof sdl !== 'string' || !sdl.trim()) return 'graphqlSdl must be a non-empty string';
+    try {
+        if (!loadSchema(sdl).getQueryType()) return 'graphqlSdl must define a Query type';
+    } catch (err) {
+        return `graphqlSdl is invalid: ${err.message}`;
+    }
+    return null;
+}
+
+function loadSchema(sdl) {
+    let schema = schemaCache.get(sdl);
+    if (!schema) {
+        schema = buildSchema(sdl);
+        if (schemaCache.size >= SCHEMA_CACHE_SIZE) schemaCache.delete(schemaCache.keys().next().value);
+        schemaCache.set(sdl, schema);
+    }
+    return schema;
+}
+
+function fakeString(fieldName) {
+    const name = fieldName.toLowerCase();
+    if (name.includes('email')) return FAKER.email();
+    if (name.includes('firstname')) return FAKER.firstName();
+    if (name.includes('lastname')) return FAKER.lastName();
+    if (name.includes('username') || name === 'login' || name === 'handle') return FAKER.username();
+    if (name.includes('name')) return FAKER.name();
+    if (name.includes('phone')) return FAKER.phone();
+    if (name.includes('city')) return FAKER.city();
+    if (name.includes('country')) return FAKER.country();
+    if (name.includes('street') || name.includes('address')) return FAKER.street();
+    if (name.includes('zip') || name.includes('postal')) return FAKER.zip();
+    if (name.includes('company')) return FAKER.company();
+    if (name.includes('avatar') || name.includes('image') || name.includes('photo')) return FAKER.avatar();
+    if (name.includes('url') || name.includes('link') || name.includes('website')) return FAKER.url();
+    if (name.includes('date') || name.endsWith('at')) return FAKER.pastDate();
+    if (name.includes('color')) return FAKER.color();
+    if (name === 'title') return FAKER.words(3);
+    if (['description', 'bio', 'body', 'content', 'text', 'message', 'summary'].includes(name)) return FAKER.sentence();
+    if (name === 'id' || name.endsWith('id')) return FAKER.uuid();
+    return FAKER.word();
+}
+
+function fakeScalar(typeName, fieldName) {
+    switch (typeName) {
+        case 'ID':
+            return FAKER.uuid();
+        case 'Int':
+            return FAKER.number(1, 100);
+        case 'Float':
+            return FAKER.price(1, 500);
+        case 'Boolean':
+            return FAKER.boolean();
+        case 'String':
+            return fakeString(fieldName);
+        default:
+            // Custom scalars: dates look like dates, anything else gets a string
+            return /date|time/i.test(typeName) ? FAKER.pastDate() : fakeString(fieldName);
+    }
+}
+
+/**
+ * Generated value for a field of `type`. Objects come back empty — their own
+ * fields are generated as the executor resolves them.
+ *
+ * @param {import('graphql').GraphQLOutputType} type
+ * @param {string} fieldName - Used to pick a realistic fake for strings
+ * @param {import('graphql').GraphQLSchema} schema
+ */
+function fakeValue(type, fieldName, schema) {
+    if (isNonNullType(type)) return fakeValue(type.ofType, fieldName, schema);
+    if (isListType(type)) return Array.from({ length: LIST_LENGTH }, () => fakeValue(type.ofType, fieldName, schema));
+    if (isEnumType(type)) {
+        const values = type.getValues();
+        return values[Math.floor(Math.random() * values.length)].value;
+    }
+    if (isObjectType(type)) return {};
+    if (isAbstractType(type)) {
+        const possible = schema.getPossibleTypes(type);
+        return { __typename: possible[Math.floor(Math.random() * possible.length)].name };
+    }
+    return fakeScalar(type.name, fieldName);
+}
+
+/**
+ * Validation rule rejecting operations nested deeper than MAX_QUERY_DEPTH or
+ * selecting more than MAX_QUERY_FIELDS fields (fragments expanded).
+ */
+function queryLimitsRule(context) {
+    return {
+        OperationDefinition(operation) {
+            let fields = 0;
+            // Depth of the deepest field below `selectionSet`; stops counting once a limit is passed
+            const measure = (selectionSet, depth, seenFragments) => {
+                let deepest = depth;
+                for (const selection of selectionSet.selections) {
+                    if (fields > MAX_QUERY_FIELDS || deepest > MAX_QUERY_DEPTH) break;
+                    if (selection.kind === Kind.FIELD) {
+                        fields++;
+                        deepest = Math.max(deepest, selection.selectionSet ? measure(selection.selectionSet, depth + 1, seenFragments) : depth + 1);
+                    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+                        deepest = Math.max(deepest, measure(selection.selectionSet, depth, seenFragments));
+                    } else {
+                        const fragment = context.getFragment(selection.name.value);
+                        // Unknown and cyclic fragments are reported by the standard rules
+                        if (!fragment || seenFragments.has(fragment)) continue;
+                        deepest = Math.max(deepest, measure(fragment.selectionSet, depth, new Set(seenFragments).add(fragment)));
+                    }
+                }
+                return deepest;
+            };
+
+            if (measure(operation.selectionSet, 0, new Set()) > MAX_QUERY_DEPTH) {
+                context.reportError(new GraphQLError(`Query is nested deeper than ${MAX_QUERY_DEPTH} levels`, { nodes: operation }));
+            } else if (fields > MAX_QUERY_FIELDS) {
+                context.reportError(new GraphQLError(`Query selects more than ${MAX_QUERY_FIELDS} fields`, { nodes: operation }));
+            }
+        },
+    };
+}
+
+/**
+ * Parse and validate a request. Returns `{ error: { status, body } }`, or the
+ * document with the operation to run and its name.
+ *
+ * @param {import('graphql').GraphQLSchema} schema
+ * @param {{ query: string, operationName?: string }} request
+ */
+function prepareGraphqlRequest(schema, { query, operationName }) {
+    const failure = (errors) => ({ error: { status: 400, body: { errors } } });
+    if (typeof query !== 'string' || !query.trim()) return failure([{ message: 'Request body must include a "query" string' }]);
+
+    let document;
+    try {
+        document = parse(query);
+    } catch (err) {
+        return failure([err.toJSON()]);
+    }
+    const validationErrors = validate(schema, document, [...specifiedRules, queryLimitsRule]);
+    if (validationErrors.length > 0) return failure(validationErrors.map((err) => err.toJSON()));
+
+    const operation = getOperationAST(document, operationName || undefined);
+    if (!operation) {
+        return failure([{ message: operationName ? `Unknown operation named "${operationName}"` : 'Must provide operationName when the query contains several operations' }]);
+    }
+    if (operation.operation === 'subscription') return failure([{ message: 'Subscriptions are not supported by GraphQL mocks' }]);
+
+    return { document, operation, operationName: operation.name ? operation.name.value : null };
+}
+
+/**
+ * Execute a prepared request with generated data.
+ *
+ * @param {import('graphql').GraphQLSchema} schema
+ * @param {{ document: object, operationName: string|null }} prepared
+ * @param {object} options
+ * @param {object} [options.variables]
+ * @param {(coordinate: string, args: object) => any} [options.overrideFor]
+ *   Value for `Type.field` with these arguments, or undefined to generate one
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+async function executeGraphqlRequest(schema, { document, operationName }, { variables = {}, overrideFor = () => undefined } = {}) {
+    const fieldResolver = (source, args, context, info) => {
+        const override = overrideFor(`${info.parentType.name}.${info.fieldName}`, args);
+        if (override !== undefined) return override;
+        // Fields inside an overridden object keep the given values
+        if (source && typeof source === 'object' && Object.prototype.hasOwnProperty.call(source, info.fieldName)) {
+            return source[info.fieldName];
+        }
+        return fakeValue(info.returnType, info.fieldName, info.schema);
+    };
+    const typeResolver = (value, context, info, abstractType) => (
+        value && typeof value.__typename === 'string' ? value.__typename : info.schema.getPossibleTypes(abstractType)[0].name
+    );
+
+    const result = await execute({
+        schema,
+        document,
+        rootValue: {},
+        operationName: operationName || undefined,
+        variableValues: variables && typeof variables === 'object' ? variables : {},
+        fieldResolver,
+        typeResolver,
+    });
+    return { status: 200, body: result };
+}
+
+module.exports = {
+    checkGraphqlSdl,
+    loadSchema,
+    fakeValue,
+    prepareGraphqlRequest,
+    executeGraphqlRequest,
+};
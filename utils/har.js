@@ -0,0 +1,201 @@
+/**
+ * utils/har.js
+ *
+ * Converts a HAR archive (DevTools "Save all as HAR") into MockBird endpoints
+ * (the normalized shape documented in utils/openapi.js). Pure functions — the
+ * route handlers take care of persistence.
+ */
+
+const { STATUS_CODES } = require('http');
+const { parseSpecDocument } = require('./openapi');
+
+const NUMERIC_SEGMENT = /^\d+$/;
+const UUID_SEGMENT = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const STATIC_RESOURCE_TYPES = new Set(['script', 'stylesheet', 'image', 'font', 'media', 'manifest', 'texttrack']);
+const STATIC_MIME = /^(image|font|audio|video)\/|css|javascript|ecmascript|wasm/i;
+const STATIC_EXTENSION = /\.(js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|avif|woff2?|ttf|otf|eot|mp4|webm|mp3|wasm)$/i;
+
+// Headers that describe the recorded connection rather than the response itself
+const DROPPED_HEADERS = new Set([
+    'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer',
+    'transfer-encoding', 'upgrade', 'content-encoding', 'content-length', 'date',
+]);
+
+/**
+ * Replace numeric and UUID segments with {id}, {id2}, ... params.
+ *
+ * @param {string} pathname - e.g. /users/42/orders/9
+ * @returns {{ path: string, paramNames: string[], paramValues: string[] }}
+ */
+function normalizeHarPath(pathname) {
+    const paramNames = [];
+    const paramValues = [];
+    const segments = pathname.split('/').map((segment) => {
+        if (!NUMERIC_SEGMENT.test(segment) && !UUID_SEGMENT.test(segment)) return segment;
+        const name = paramNames.length === 0 ? 'id' : `id${paramNames.length + 1}`;
+        paramNames.push(name);
+        paramValues.push(segment);
+        return `{${name}}`;
+    });
+    return { path: segments.join('/') || '/', paramNames, paramValues };
+}
+
+function isStaticAsset(entry, pathname) {
+    if (STATIC_RESOURCE_TYPES.has(entry._resourceType)) return true;
+    if (STATIC_MIME.test(entry.response?.content?.mimeType || '')) return true;
+    return STATIC_EXTENSION.test(pathname);
+}
+
+function decodeBody(content) {
+    if (!content || typeof content.text !== 'string') return '';
+    if (content.encoding === 'base64') return Buffer.from(content.text, 'base64').toString('utf8');
+    return content.text;
+}
+
+function responseHeaders(headers) {
+    const result = {};
+    for (const { name, value } of headers || []) {
+        if (!name || name.startsWith(':') || DROPPED_HEADERS.has(name.toLowerCase())) continue;
+        result[name] = value;
+    }
+    return result;
+}
+
+function responseTypeFromMime(mimeType) {
+    if (/json/i.test(mimeType)) return 'json';
+    if (/xml/i.test(mimeType)) return 'xml';
+    if (/html/i.test(mimeType)) return 'html';
+    if (/^text\//i.test(mimeType)) return 'text';
+    return 'json';
+}
+
+/**
+ * Find a path param whose recorded values tell the variants apart: no value was
+ * seen on two variants, and every non-default variant was seen with exactly one.
+ */
+function findDistinguishingParam(paramNames, variants, defaultVariant) {
+    return paramNames.find((name) => {
+        const seen = new Set();
+        return variants.every((variant) => {
+            const values = variant.paramValues[name];
+            if (variant !== defaultVariant && values.size !== 1) return false;
+            for (const value of values) {
+                if (seen.has(value)) return false;
+                seen.add(value);
+            }
+            return true;
+        });
+    }) || null;
+}
+
+function toResponses(group) {
+    const variants = [...group.variants.values()];
+    const total = variants.reduce((sum, v) => sum + v.count, 0);
+    const rank = (v) => (v.status >= 200 && v.status < 300 ? 1 : 0);
+    const defaultVariant = [...variants].sort((a, b) => rank(b) - rank(a) || b.count - a.count)[0];
+    const param = variants.length > 1 ? findDistinguishingParam(group.paramNames, variants, defaultVariant) : null;
+
+    return variants.map((variant) => {
+        const label = `${variant.status} ${STATUS_CODES[variant.status] || ''}`.trim();
+        const isDefault = variant === defaultVariant;
+        const response = {
+            name: `Recorded ${label}`,
+            statusCode: variant.status,
+            headers: variant.headers,
+            body: variant.body,
+            isDefault,
+        };
+
+        if (param) {
+            // Variants differ by path param: the default answers everything else
+            if (!isDefault) {
+                const [value] = variant.paramValues[param];
+                response.name = `Recorded ${label} (${param} = ${value})`;
+                response.conditions = [{ type: 'path', field: param, operator: 'equals', value }];
+            }
+        } else if (variants.length > 1) {
+            // Otherwise replay variants in proportion to how often they were recorded
+            response.weight = Math.max(1, Math.round((variant.count / total) * 100));
+            response.name = `Recorded ${label} (${variant.count}/${total})`;
+        }
+        return response;
+    });
+}
+
+/**
+ * Convert a HAR 1.2 archive into MockBird endpoints. Entries are grouped by
+ * method + normalized path; distinct recorded responses for the same group
+ * become conditional (by path param) or weighted responses.
+ */
+function harToEndpoints(input) {
+    const har = parseSpecDocument(input);
+    if (!har.log || !Array.isArray(har.log.entries)) {
+        throw new Error('Expected a HAR archive with "log.entries"');
+    }
+
+    const groups = new Map();
+    let firstHost = null;
+
+    for (const entry of har.log.entries) {
+        const method = (entry.request?.method || 'GET').toUpperCase();
+        const status = Number(entry.response?.status) || 0;
+        let url;
+        try {
+            url = new URL(entry.request?.url);
+        } catch {
+            continue;
+        }
+        if (!/^https?:$/.test(url.protocol) || method === 'OPTIONS' || status < 100) continue;
+        if (isStaticAsset(entry, url.pathname)) continue;
+        firstHost = firstHost || url.host;
+
+        const { path, paramNames, paramValues } = normalizeHarPath(url.pathname);
+        const groupKey = `${method} ${path}`;
+        if (!groups.has(groupKey)) {
+            groups.set(groupKey, {
+                method,
+                path,
+                paramNames,
+                mimeType: entry.response.content?.mimeType || '',
+                expectedBody: entry.request.postData?.text || '',
+                variants: new Map(),
+            });
+        }
+        const group = groups.get(groupKey);
+
+        const body = decodeBody(entry.response.content);
+        const variantKey = `${status}\n${body}`;
+        if (!group.variants.has(variantKey)) {
+            group.variants.set(variantKey, {
+                status,
+                body,
+                headers: responseHeaders(entry.response.headers),
+                count: 0,
+                paramValues: Object.fromEntries(paramNames.map((name) => [name, new Set()])),
+            });
+        }
+        const variant = group.variants.get(variantKey);
+        variant.count++;
+        paramNames.forEach((name, i) => variant.paramValues[name].add(paramValues[i]));
+    }
+
+    const endpoints = [...groups.values()].map((group) => ({
+        name: `${group.method} ${group.path}`,
+        path: group.path,
+        method: group.method,
+        description: 'Recorded from HAR',
+        responseType: responseTypeFromMime(group.mimeType),
+        expectedBody: group.expectedBody,
+        expectedHeaders: '{}',
+        responses: toResponses(group),
+    }));
+
+    return {
+        title: har.log.pages?.[0]?.title || (firstHost ? `HAR import (${firstHost})` : null),
+        description: '',
+        endpoints,
+    };
+}
+
+module.exports = { harToEndpoints, normalizeHarPath };
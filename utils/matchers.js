@@ -0,0 +1,228 @@
+/**
+ * utils/matchers.js
+ *
+ * Mock-level request matchers (mocks.request_matchers). They take part in
+ * route selection, so several mocks can share a method and path and be told
+ * apart by the request:
+ *
+ *   {
+ *     query:       { type: 'user', page: { exists: true } },
+ *     headers:     { 'X-Api-Version': ['2', '3'], 'X-Debug': { regex: '^(1|true)$' } },
+ *     body:        { action: 'create', user: { role: 'admin' } },   // JSON subset
+ *     contentType: 'application/json',                             // or 'application/*'
+ *   }
+ *
+ * Query and header values are a string (equals), a list (one of),
+ * { regex } or { exists }. The body matches when it contains the given
+ * subset: objects key by key, arrays when every listed item matches one of
+ * the body's items, scalars by strict equality.
+ *
+ * Response-level conditions (utils/execution.js) still pick the response
+ * once a mock has been chosen. Pure functions — no DB or HTTP.
+ */
+
+const { comparePathSpecificity } = require('./execution');
+
+const MATCHER_KEYS = ['query', 'headers', 'body', 'contentType'];
+
+function parseRequestMatchers(value) {
+    try {
+        const parsed = typeof value === 'string' ? JSON.parse(value || '{}') : value;
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+function checkValueMatcher(where, matcher) {
+    if (isScalar(matcher)) return null;
+    if (Array.isArray(matcher)) {
+        return matcher.length > 0 && matcher.every(isScalar) ? null : `${where} must list at least one string`;
+    }
+    if (isPlainObject(matcher)) {
+        const keys = Object.keys(matcher);
+        if (keys.length !== 1 || !['regex', 'exists'].includes(keys[0])) return `${where} must be a value, a list, { regex } or { exists }`;
+        if (keys[0] === 'exists') return typeof matcher.exists === 'boolean' ? null : `${where}.exists must be a boolean`;
+        try {
+            new RegExp(matcher.regex);
+        } catch {
+            return `${where}.regex is not a valid regular expression`;
+        }
+        return typeof matcher.regex === 'string' ? null : `${where}.regex must be a string`;
+    }
+    return `${where} must be a value, a list, { regex } or { exists }`;
+}
+
+/**
+ * Check a requestMatchers payload from the API (an object, or its JSON). Returns an error message or null.
+ */
+function checkRequestMatchers(value) {
+    let matchers = value;
+    if (typeof value === 'string') {
+        try {
+            matchers = JSON.parse(value);
+        } catch {
+            return 'requestMatchers must be valid JSON';
+        }
+    }
+    if (!isPlainObject(matchers)) return 'requestMatchers must be an object';
+
+    for (const [key, setting] of Object.entries(matchers)) {
+        if (!MATCHER_KEYS.includes(key)) return `Unknown requestMatchers key "${key}"`;
+        if (key === 'query' || key === 'headers') {
+            if (!isPlainObject(setting)) return `requestMatchers.${key} must be an object`;
+            for (const [name, matcher] of Object.entries(setting)) {
+                const error = checkValueMatcher(`requestMatchers.${key}.${name}`, matcher);
+                if (error) return error;
+            }
+        } else if (key === 'body') {
+            if (!isPlainObject(setting) && !Array.isArray(setting)) return 'requestMatchers.body must be a JSON object or array';
+        } else if (typeof setting !== 'string' || !/^[\w.+-]+\/[\w.+*-]+$/.test(setting.trim())) {
+            return 'requestMatchers.contentType must be a media type, e.g. "application/json"';
+        }
+    }
+    return null;
+}
+
+function valueMatches(matcher, actual) {
+    if (isPlainObject(matcher) && 'exists' in matcher) {
+        return matcher.exists === (actual !== undefined && actual !== null);
+    }
+    if (actual === undefined || actual === null) return false;
+    // Repeated query params (?tag=a&tag=b) match when any of their values does
+    const values = Array.isArray(actual) ? actual.map(String) : [String(actual)];
+    if (Array.isArray(matcher)) return values.some((value) => matcher.map(String).includes(value));
+    if (isPlainObject(matcher)) {
+        const regex = matcher.compiledRegex || new RegExp(matcher.regex);
+        return values.some((value) => regex.test(value));
+    }
+    return values.includes(String(matcher));
+}
+
+function bodyContains(actual, subset) {
+    if (Array.isArray(subset)) {
+        return Array.isArray(actual) && subset.every((item) => actual.some((candidate) => bodyContains(candidate, item)));
+    }
+    if (isPlainObject(subset)) {
+        return isPlainObject(actual) && Object.entries(subset).every(([key, value]) => bodyContains(actual[key], value));
+    }
+    return actual === subset;
+}
+
+function mediaType(value) {
+    return String(value || '').split(';')[0].trim().toLowerCase();
+}
+
+function contentTypeMatches(expected, header) {
+    const actual = mediaType(header);
+    const wanted = mediaType(expected);
+    if (wanted.endsWith('/*')) return actual.startsWith(wanted.slice(0, -1));
+    return actual === wanted;
+}
+
+function compileValueMatcher(matcher) {
+    if (!isPlainObject(matcher) || !('regex' in matcher)) return matcher;
+    try {
+        return { ...matcher, compiledRegex: new RegExp(matcher.regex) };
+    } catch {
+        return matcher;
+    }
+}
+
+function compileValueMatchers(matchers) {
+    return Object.fromEntries(Object.entries(matchers).map(([name, matcher]) => [name, compileValueMatcher(matcher)]));
+}
+
+/**
+ * A mock's matchers parsed once, with regexes compiled, for storing as
+ * `compiledMatchers` on a cached mock (see services/route-index.service.js).
+ *
+ * @param {object|string} matchers - mocks.request_matchers
+ * @returns {object}
+ */
+function compileRequestMatchers(matchers) {
+    const parsed = parseRequestMatchers(matchers);
+    return {
+        ...parsed,
+        ...(isPlainObject(parsed.query) ? { query: compileValueMatchers(parsed.query) } : {}),
+        ...(isPlainObject(parsed.headers) ? { headers: compileValueMatchers(parsed.headers) } : {}),
+    };
+}
+
+/**
+ * Whether a request satisfies a mock's matchers. A mock without matchers matches everything.
+ *
+ * @param {object|string} matchers - mocks.request_matchers
+ * @param {{ headers: object, query: object, body: any }} req
+ * @returns {boolean}
+ */
+function requestMatches(matchers, req) {
+    const { query = {}, headers = {}, body, contentType } = parseRequestMatchers(matchers);
+    const reqHeaders = req.headers || {};
+
+    for (const [name, matcher] of Object.entries(query)) {
+        if (!valueMatches(matcher, (req.query || {})[name])) return false;
+    }
+    for (const [name, matcher] of Object.entries(headers)) {
+        if (!valueMatches(matcher, reqHeaders[name.toLowerCase()])) return false;
+    }
+    if (contentType !== undefined && !contentTypeMatches(contentType, reqHeaders['content-type'])) return false;
+    if (body !== undefined && !bodyContains(req.body, body)) return false;
+    return true;
+}
+
+function countLeaves(subset) {
+    if (Array.isArray(subset)) return subset.reduce((sum, item) => sum + countLeaves(item), 0);
+    if (isPlainObject(subset)) return Object.values(subset).reduce((sum, value) => sum + countLeaves(value), 0);
+    return 1;
+}
+
+/**
+ * How specific a mock's matchers are: one point per query param, header and
+ * content type, and one per value in the body subset (at least one for a body).
+ */
+function matcherSpecificity(matchers) {
+    const { query = {}, headers = {}, body, contentType } = parseRequestMatchers(matchers);
+    return Object.keys(query).length
+        + Object.keys(headers).length
+        + (contentType !== undefined ? 1 : 0)
+        + (body !== undefined ? Math.max(1, countLeaves(body)) : 0);
+}
+
+/**
+ * Choose between mocks whose method and path fit the request. Candidates whose
+ * matchers fail are dropped; of the rest the most specific wins:
+ *
+ *   1. the more specific path (comparePathSpecificity — an exact path beats
+ *      a {param}, which beats a wildcard; then the query params it requires)
+ *   2. more matchers beat fewer (a mock without matchers is the fallback)
+ *   3. otherwise the order given (oldest mock first)
+ *
+ * @param {Array<{ mock: object, pathParams: object }>} candidates
+ * @param {object} req
+ * @returns {{ mock: object, pathParams: object } | null}
+ */
+function selectMock(candidates, req) {
+    const ranked = candidates
+        .map((candidate, index) => ({ ...candidate, index, matchers: candidate.mock.compiledMatchers || candidate.mock.request_matchers }))
+        .filter((candidate) => requestMatches(candidate.matchers, req))
+        .map((candidate) => ({ ...candidate, specificity: matcherSpecificity(candidate.matchers) }))
+        .sort((a, b) => comparePathSpecificity(a.mock.path, b.mock.path)
+            || (b.specificity - a.specificity)
+            || (a.index - b.index));
+    if (ranked.length === 0) return null;
+    return { mock: ranked[0].mock, pathParams: ranked[0].pathParams };
+}
+
+module.exports = {
+    MATCHER_KEYS,
+    parseRequestMatchers,
+    checkRequestMatchers,
+    compileRequestMatchers,
+    requestMatches,
+    matcherSpecificity,
+    selectMock,
+};
@@ -0,0 +1,136 @@
+/**
+ * utils/network.js
+ *
+ * Guards for outbound requests to user-supplied URLs (project upstreams, proxy
+ * responses, callbacks). Hosts that resolve to loopback, private, link-local
+ * (including the 169.254.169.254 cloud metadata service) or otherwise reserved
+ * addresses are refused, so a mock can't be used to reach the server's own network.
+ *
+ * Outbound requests go through fetchPublic, which checks the addresses a host
+ * resolves to inside the connection itself, so a DNS answer that changes
+ * between a check and the request (DNS rebinding) can't slip through.
+ *
+ * Set ALLOW_PRIVATE_NETWORK=true to lift the block, e.g. for a self-hosted
+ * instance proxying to services on localhost.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+
+const BLOCKED = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([prefix, bits]) => BLOCKED.addSubnet(prefix, bits, 'ipv4'));
+[
+    // ::/96 covers ::, ::1 and IPv4-compatible ::a.b.c.d; then NAT64, 6to4, ULA, link- and site-local, multicast
+    ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+].forEach(([prefix, bits]) => BLOCKED.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * True for loopback, private, link-local, multicast and reserved addresses
+ * (IPv4-mapped IPv6 addresses are checked as IPv4).
+ */
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function privateNetworkAllowed() {
+    return process.env.ALLOW_PRIVATE_NETWORK === 'true';
+}
+
+const blockedHost = (host) => Object.assign(new Error(`${host} resolves to a private or reserved address`), { code: 'BLOCKED_HOST' });
+
+/**
+ * Throw for non-http(s) URLs and private IP literals. Returns the host, without
+ * IPv6 brackets, when it still needs resolving (null for IP literals).
+ */
+function checkUrlTarget(url) {
+    const { protocol, hostname } = new URL(url);
+    if (!['http:', 'https:'].includes(protocol)) {
+        throw Object.assign(new Error(`Unsupported protocol ${protocol}`), { code: 'BLOCKED_HOST' });
+    }
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (!net.isIP(host)) return host;
+    if (isPrivateAddress(host)) throw blockedHost(hostname);
+    return null;
+}
+
+/**
+ * Resolve the URL's host and throw unless every address it resolves to is public.
+ *
+ * @param {string} url - Absolute http(s) URL
+ * @throws {Error} with code 'BLOCKED_HOST' for private or reserved targets
+ */
+async function assertPublicUrl(url) {
+    if (privateNetworkAllowed()) return;
+    const host = checkUrlTarget(url);
+    if (!host) return;
+    const addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) throw blockedHost(host);
+}
+
+/**
+ * `lookup` for outgoing sockets: resolves as dns.lookup does, but fails for
+ * hosts with a private or reserved address. The socket connects to exactly the
+ * addresses checked here.
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (!privateNetworkAllowed() && addresses.some(({ address }) => isPrivateAddress(address))) {
+            return callback(blockedHost(hostname));
+        }
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const publicAgent = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * fetch() for user-supplied URLs: refuses private and reserved targets, checked
+ * when each connection is made.
+ *
+ * @param {string} url - Absolute http(s) URL
+ * @param {object} [options] - fetch options
+ * @throws {Error} with code 'BLOCKED_HOST' for private or reserved targets
+ */
+async function fetchPublic(url, options = {}) {
+    if (!privateNetworkAllowed()) checkUrlTarget(url);
+    try {
+        return await fetch(url, { ...options, dispatcher: publicAgent });
+    } catch (err) {
+        if (err.cause?.code === 'BLOCKED_HOST') throw err.cause;
+        throw err;
+    }
+}
+
+/**
+ * Save-time check of a user-supplied URL. Returns an error message or null.
+ * Hosts that don't resolve (yet) are accepted — they're checked again before every request.
+ *
+ * @param {string} url
+ * @param {string} field - Name used in the message, e.g. 'upstreamUrl'
+ * @returns {Promise<string|null>}
+ */
+async function checkPublicUrl(url, field) {
+    try {
+        await assertPublicUrl(url);
+        return null;
+    } catch (err) {
+        if (err.code === 'BLOCKED_HOST') return `${field} must not point to a private or reserved address`;
+        if (err.code === 'ERR_INVALID_URL') return `${field} must be an http(s) URL`;
+        return null;
+    }
+}
+
+module.exports = {
+    isPrivateAddress,
+    assertPublicUrl,
+    checkPublicUrl,
+    fetchPublic,
+};
@@ -0,0 +1,504 @@
+/**
+ * utils/openapi.js
+ *
+ * Conversion between OpenAPI / Swagger documents and MockBird endpoints.
+ * Pure functions — the route handlers take care of persistence.
+ *
+ * An "endpoint" is the normalized shape consumed by services/import.service.js:
+ *   { name, path, method, description, responseType, expectedBody, expectedHeaders,
+ *     responses: [{ name, statusCode, headers, body, isDefault }] }
+ */
+
+const yaml = require('js-yaml');
+const { templatePath, patternParams, patternQuery } = require('./execution');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const MAX_SAMPLE_DEPTH = 8;
+
+/**
+ * Parse a JSON or YAML document. Objects are returned as-is.
+ * Throws on unparseable input.
+ */
+function parseSpecDocument(input) {
+    if (input && typeof input === 'object') return input;
+    if (typeof input !== 'string' || !input.trim()) {
+        throw new Error('Document is empty');
+    }
+    try {
+        return JSON.parse(input);
+    } catch {
+        const doc = yaml.load(input);
+        if (!doc || typeof doc !== 'object') throw new Error('Document is not a JSON or YAML object');
+        return doc;
+    }
+}
+
+/**
+ * Resolve a local JSON reference such as "#/components/schemas/User".
+ */
+function resolveRef(spec, ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#/')) return undefined;
+    return ref.slice(2).split('/').reduce((node, key) => {
+        if (node === undefined || node === null) return undefined;
+        return node[key.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }, spec);
+}
+
+function deref(spec, node, seen = new Set()) {
+    let current = node;
+    while (current && current.$ref) {
+        if (seen.has(current.$ref)) return {};
+        seen.add(current.$ref);
+        current = resolveRef(spec, current.$ref) || {};
+    }
+    return current;
+}
+
+const FORMAT_SAMPLES = {
+    'date-time': '2025-01-01T12:00:00Z',
+    date: '2025-01-01',
+    time: '12:00:00',
+    email: 'user@example.com',
+    uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+    uri: 'https://example.com',
+    url: 'https://example.com',
+    hostname: 'example.com',
+    ipv4: '192.168.0.1',
+    ipv6: '::1',
+    byte: 'U3dhZ2dlcg==',
+    password: '********',
+};
+
+/**
+ * Generate a sample value from a JSON Schema (OpenAPI flavour).
+ * Honours example/default/enum/const before falling back to type-based values.
+ */
+function sampleFromSchema(schemaNode, spec = {}, depth = 0, seen = new Set()) {
+    if (!schemaNode || depth > MAX_SAMPLE_DEPTH) return null;
+
+    if (schemaNode.$ref) {
+        if (seen.has(schemaNode.$ref)) return null; // recursive structure
+        const next = new Set(seen).add(schemaNode.$ref);
+        return sampleFromSchema(resolveRef(spec, schemaNode.$ref), spec, depth + 1, next);
+    }
+
+    const schema = schemaNode;
+    if (schema.example !== undefined) return schema.example;
+    if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+    if (schema.const !== undefined) return schema.const;
+    if (schema.default !== undefined) return schema.default;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+    if (Array.isArray(schema.allOf)) {
+        return schema.allOf.reduce((merged, part) => {
+            const value = sampleFromSchema(part, spec, depth + 1, seen);
+            return value && typeof value === 'object' && !Array.isArray(value) ? { ...merged, ...value } : merged;
+        }, {});
+    }
+    const variants = schema.oneOf || schema.anyOf;
+    if (Array.isArray(variants) && variants.length > 0) {
+        return sampleFromSchema(variants[0], spec, depth + 1, seen);
+    }
+
+    let type = schema.type;
+    if (Array.isArray(type)) type = type.find((t) => t !== 'null') || 'null';
+    if (!type) {
+        if (schema.properties || schema.additionalProperties) type = 'object';
+        else if (schema.items) type = 'array';
+    }
+
+    switch (type) {
+        case 'object': {
+            const result = {};
+            for (const [key, prop] of Object.entries(schema.properties || {})) {
+                result[key] = sampleFromSchema(prop, spec, depth + 1, seen);
+            }
+            return result;
+        }
+        case 'array':
+            return schema.items ? [sampleFromSchema(schema.items, spec, depth + 1, seen)] : [];
+        case 'integer':
+            return schema.minimum !== undefined ? Math.ceil(schema.minimum) : 1;
+        case 'number':
+            return schema.minimum !== undefined ? schema.minimum : 1.5;
+        case 'boolean':
+            return true;
+        case 'string':
+            return FORMAT_SAMPLES[schema.format] || 'string';
+        case 'null':
+            return null;
+        default:
+            return null;
+    }
+}
+
+function pickMediaType(content = {}) {
+    const types = Object.keys(content);
+    return types.find((t) => t === 'application/json')
+        || types.find((t) => /[+/]json/.test(t))
+        || types[0]
+        || null;
+}
+
+function responseTypeFor(mediaType) {
+    if (!mediaType || /json/.test(mediaType)) return 'json';
+    if (/xml/.test(mediaType)) return 'xml';
+    if (/html/.test(mediaType)) return 'html';
+    return 'text';
+}
+
+function serializeBody(value, mediaType) {
+    if (value === undefined) return '';
+    if (typeof value === 'string' && !/json/.test(mediaType || 'json')) return value;
+    return JSON.stringify(value, null, 2);
+}
+
+/**
+ * Pick an example for an OpenAPI 3 media type object.
+ */
+function exampleFromMedia(media, spec) {
+    if (!media) return undefined;
+    if (media.example !== undefined) return media.example;
+    if (media.examples && typeof media.examples === 'object') {
+        const first = Object.values(media.examples)[0];
+        const resolved = deref(spec, first);
+        if (resolved && resolved.value !== undefined) return resolved.value;
+    }
+    if (media.schema) return sampleFromSchema(media.schema, spec);
+    return undefined;
+}
+
+function statusFromKey(key) {
+    if (key === 'default') return 500;
+    const normalized = String(key).toUpperCase().replace(/X/g, '0');
+    const code = parseInt(normalized, 10);
+    return Number.isInteger(code) && code >= 100 && code <= 599 ? code : 200;
+}
+
+function headerExamples(headers, spec) {
+    const result = {};
+    for (const [name, raw] of Object.entries(headers || {})) {
+        const header = deref(spec, raw);
+        const value = header.example !== undefined
+            ? header.example
+            : (header.schema ? sampleFromSchema(header.schema, spec) : header.default);
+        if (value !== undefined && value !== null) result[name] = String(value);
+    }
+    return result;
+}
+
+function convertResponses(operation, spec, isSwagger2, produces) {
+    const responses = [];
+    for (const [key, raw] of Object.entries(operation.responses || {})) {
+        const response = deref(spec, raw);
+        const statusCode = statusFromKey(key);
+        let mediaType;
+        let example;
+
+        if (isSwagger2) {
+            const examples = response.examples || {};
+            mediaType = Object.keys(examples).find((t) => /json/.test(t)) || Object.keys(examples)[0]
+                || (produces || []).find((t) => /json/.test(t)) || (produces || [])[0] || 'application/json';
+            example = examples[mediaType] !== undefined
+                ? examples[mediaType]
+                : (response.schema ? sampleFromSchema(response.schema, spec) : undefined);
+        } else {
+            mediaType = pickMediaType(response.content);
+            example = mediaType ? exampleFromMedia(response.content[mediaType], spec) : undefined;
+        }
+
+        const headers = headerExamples(response.headers, spec);
+        if (mediaType && example !== undefined) headers['Content-Type'] = mediaType;
+
+        responses.push({
+            name: (response.description || `Status ${key}`).split('\n')[0].slice(0, 100),
+            statusCode,
+            headers,
+            body: serializeBody(example, mediaType),
+            mediaType,
+            isDefault: false,
+        });
+    }
+
+    responses.sort((a, b) => a.statusCode - b.statusCode);
+    const preferred = responses.find((r) => r.statusCode >= 200 && r.statusCode < 300) || responses[0];
+    if (preferred) preferred.isDefault = true;
+    return responses;
+}
+
+function convertRequest(operation, pathItem, spec, isSwagger2) {
+    const params = [...(pathItem.parameters || []), ...(operation.parameters || [])].map((p) => deref(spec, p));
+
+    const expectedHeaders = {};
+    for (const param of params.filter((p) => p.in === 'header')) {
+        const value = param.example !== undefined
+            ? param.example
+            : sampleFromSchema(param.schema || param, spec);
+        expectedHeaders[param.name] = value === null || value === undefined ? '' : String(value);
+    }
+
+    let bodyExample;
+    if (isSwagger2) {
+        const bodyParam = params.find((p) => p.in === 'body');
+        if (bodyParam) bodyExample = bodyParam.schema ? sampleFromSchema(bodyParam.schema, spec) : undefined;
+    } else if (operation.requestBody) {
+        const requestBody = deref(spec, operation.requestBody);
+        const mediaType = pickMediaType(requestBody.content);
+        if (mediaType) bodyExample = exampleFromMedia(requestBody.content[mediaType], spec);
+    }
+
+    return {
+        expectedBody: bodyExample === undefined ? '' : JSON.stringify(bodyExample, null, 2),
+        expectedHeaders: JSON.stringify(expectedHeaders),
+    };
+}
+
+/**
+ * Convert an OpenAPI 3.x or Swagger 2.0 document into MockBird endpoints.
+ *
+ * @param {object|string} input - Parsed document, or JSON/YAML text
+ * @returns {{ title: string|null, description: string, endpoints: Array }}
+ */
+function openApiToEndpoints(input) {
+    const spec = parseSpecDocument(input);
+    const isSwagger2 = String(spec.swagger || '').startsWith('2.');
+    const isOpenApi3 = String(spec.openapi || '').startsWith('3.');
+    if (!isSwagger2 && !isOpenApi3) {
+        throw new Error('Expected an OpenAPI 3.x ("openapi") or Swagger 2.0 ("swagger") document');
+    }
+
+    // Swagger 2 paths are relative to basePath ("/v1" + "/pets" is served at /v1/pets)
+    const basePath = isSwagger2 ? String(spec.basePath || '').replace(/\/+$/, '') : '';
+    const prefix = basePath && !basePath.startsWith('/') ? `/${basePath}` : basePath;
+
+    const endpoints = [];
+    for (const [path, rawPathItem] of Object.entries(spec.paths || {})) {
+        const pathItem = deref(spec, rawPathItem) || {};
+        for (const method of HTTP_METHODS) {
+            const operation = pathItem[method];
+            if (!operation) continue;
+
+            const responses = convertResponses(operation, spec, isSwagger2, operation.produces || spec.produces);
+            const defaultResponse = responses.find((r) => r.isDefault);
+            const { expectedBody, expectedHeaders } = convertRequest(operation, pathItem, spec, isSwagger2);
+
+            endpoints.push({
+                name: (operation.summary || operation.operationId || `${method.toUpperCase()} ${path}`).slice(0, 200),
+                path: prefix + (path.startsWith('/') ? path : `/${path}`),
+                method: method.toUpperCase(),
+                description: operation.description || operation.summary || '',
+                responseType: responseTypeFor(defaultResponse?.mediaType),
+                expectedBody,
+                expectedHeaders,
+                responses: responses.map(({ mediaType, ...rest }) => rest),
+            });
+        }
+    }
+
+    return {
+        title: spec.info?.title || null,
+        description: spec.info?.description || '',
+        endpoints,
+    };
+}
+
+// ─── Export ──────────────────────────────────────────────────────────────────
+
+const TYPE_MEDIA = {
+    json: 'application/json',
+    xml: 'application/xml',
+    text: 'text/plain',
+    html: 'text/html',
+};
+
+function parseJsonObject(text) {
+    if (text && typeof text === 'object') return text;
+    try {
+        const parsed = JSON.parse(text || '{}');
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Turn a stored body into an example value: JSON media types are parsed,
+ * anything that fails to parse is kept as a string.
+ */
+function exampleFromBody(body, mediaType) {
+    if (!/json/.test(mediaType)) return body;
+    try {
+        return JSON.parse(body);
+    } catch {
+        return body;
+    }
+}
+
+function operationIdFor(mock, used) {
+    const base = (mock.name || `${mock.method} ${mock.path}`)
+        .replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''))
+        .replace(/^./, (c) => c.toLowerCase()) || 'operation';
+    let id = base;
+    for (let i = 2; used.has(id); i++) id = `${base}${i}`;
+    used.add(id);
+    return id;
+}
+
+function exampleKey(name, used) {
+    const base = String(name || 'example').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'example';
+    let key = base;
+    for (let i = 2; used.has(key); i++) key = `${base}-${i}`;
+    used.add(key);
+    return key;
+}
+
+function buildResponses(mock, responses) {
+    const byStatus = new Map();
+    for (const resp of responses) {
+        const code = String(resp.status_code || 200);
+        if (!byStatus.has(code)) byStatus.set(code, []);
+        byStatus.get(code).push(resp);
+    }
+
+    const result = {};
+    for (const [code, rows] of byStatus) {
+        const entry = { description: rows.map((r) => r.name || 'Response').join(' / ') };
+        const headers = {};
+        let mediaType = null;
+        const examples = {};
+        const usedKeys = new Set();
+
+        for (const row of rows) {
+            const rowHeaders = parseJsonObject(row.headers);
+            for (const [name, value] of Object.entries(rowHeaders)) {
+                if (name.toLowerCase() === 'content-type') {
+                    mediaType = mediaType || String(value).split(';')[0].trim();
+                } else if (!headers[name]) {
+                    headers[name] = { schema: { type: 'string' }, example: String(value) };
+                }
+            }
+        }
+        mediaType = mediaType || TYPE_MEDIA[mock.response_type] || 'application/json';
+
+        const withBodies = rows.filter((r) => r.body);
+        for (const row of withBodies) {
+            examples[exampleKey(row.name, usedKeys)] = { summary: row.name || 'Response', value: exampleFromBody(row.body, mediaType) };
+        }
+
+        if (Object.keys(headers).length > 0) entry.headers = headers;
+        if (withBodies.length === 1) {
+            entry.content = { [mediaType]: { example: exampleFromBody(withBodies[0].body, mediaType) } };
+        } else if (withBodies.length > 1) {
+            entry.content = { [mediaType]: { examples } };
+        }
+        result[code] = entry;
+    }
+
+    if (Object.keys(result).length === 0) {
+        result.default = { description: 'No response configured' };
+    }
+    return result;
+}
+
+// Typed path params ({id:int}, {slug:[a-z-]+}) keep their type in the export
+function paramSchema(type) {
+    if (type === 'int') return { type: 'integer' };
+    if (type === 'number') return { type: 'number' };
+    if (type === 'uuid') return { type: 'string', format: 'uuid' };
+    if (type === 'alpha') return { type: 'string', pattern: '^[A-Za-z]+$' };
+    if (type === 'alnum') return { type: 'string', pattern: '^[A-Za-z0-9]+$' };
+    if (type) return { type: 'string', pattern: `^(?:${type})$` };
+    return { type: 'string' };
+}
+
+function buildOperation(mock, responses, usedOperationIds) {
+    const operation = {
+        operationId: operationIdFor(mock, usedOperationIds),
+        summary: mock.name,
+    };
+    if (mock.description) operation.description = mock.description;
+
+    const parameters = [];
+    for (const param of patternParams(mock.path)) {
+        parameters.push({ name: param.name, in: 'path', required: true, schema: paramSchema(param.type) });
+    }
+    for (const { key, value } of patternQuery(mock.path)) {
+        const parameter = { name: key, in: 'query', required: true, schema: { type: 'string' } };
+        if (value !== null) parameter.schema.enum = [value];
+        parameters.push(parameter);
+    }
+    for (const [name, value] of Object.entries(parseJsonObject(mock.expected_headers))) {
+        parameters.push({ name, in: 'header', schema: { type: 'string' }, example: String(value) });
+    }
+    if (parameters.length > 0) operation.parameters = parameters;
+
+    if (mock.expected_body) {
+        let parsed;
+        try {
+            parsed = JSON.parse(mock.expected_body);
+        } catch {
+            parsed = undefined;
+        }
+        if (parsed === undefined) {
+            operation.requestBody = { content: { 'text/plain': { example: mock.expected_body } } };
+        } else if (mock.validation_mode === 'schema') {
+            // Validated mocks store a JSON Schema rather than an example
+            operation.requestBody = { required: true, content: { 'application/json': { schema: parsed } } };
+        } else {
+            operation.requestBody = { content: { 'application/json': { example: parsed } } };
+        }
+    }
+
+    operation.responses = buildResponses(mock, responses);
+    return operation;
+}
+
+/**
+ * Render a project's mocks as an OpenAPI 3.1 document.
+ *
+ * @param {object} project - Project row
+ * @param {Array} mocks - Mock rows, each with a `responses` array of mock_responses rows
+ * @param {{ serverUrl?: string }} options - Base URL clients should call (e.g. https://host/m/slug)
+ * @returns {object}
+ */
+function buildOpenApiDocument(project, mocks, { serverUrl } = {}) {
+    const doc = {
+        openapi: '3.1.0',
+        info: {
+            title: project.name,
+            version: '1.0.0',
+        },
+    };
+    if (project.description) doc.info.description = project.description;
+    if (serverUrl) doc.servers = [{ url: serverUrl }];
+    doc.paths = {};
+
+    const usedOperationIds = new Set();
+    for (const mock of mocks) {
+        const method = String(mock.method || 'GET').toLowerCase();
+        if (!HTTP_METHODS.includes(method)) continue;
+
+        const path = templatePath(mock.path);
+        const pathItem = doc.paths[path] || (doc.paths[path] = {});
+        const operation = buildOperation(mock, mock.responses || [], usedOperationIds);
+
+        if (pathItem[method]) {
+            // Two mocks on the same path + method: fold the extra responses into the first operation
+            for (const [code, entry] of Object.entries(operation.responses)) {
+                if (!pathItem[method].responses[code]) pathItem[method].responses[code] = entry;
+            }
+        } else {
+            pathItem[method] = operation;
+        }
+    }
+
+    return doc;
+}
+
+module.exports = {
+    parseSpecDocument,
+    openApiToEndpoints,
+    buildOpenApiDocument,
+    sampleFromSchema,
+    resolveRef,
+};
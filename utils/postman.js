@@ -0,0 +1,310 @@
+/**
+ * utils/postman.js
+ *
+ * Conversion between Postman Collection v2.1 / Insomnia v4 exports and
+ * MockBird endpoints (the normalized shape documented in utils/openapi.js).
+ * Pure functions — the route handlers take care of persistence.
+ */
+
+const { STATUS_CODES } = require('http');
+const { parseSpecDocument, sampleFromSchema } = require('./openapi');
+const { parseRequestMatchers } = require('./matchers');
+const { templatePath, patternQuery } = require('./execution');
+
+const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+/**
+ * Normalize one URL path segment: ":id", "{{id}}" and "{{ _.id }}" all become "{id}".
+ */
+function normalizeSegment(segment) {
+    const colon = segment.match(/^:(\w+)$/);
+    if (colon) return `{${colon[1]}}`;
+    const variable = segment.match(/^{{\s*(?:_\.)?([\w-]+)\s*}}$/);
+    if (variable) return `{${variable[1]}}`;
+    return segment;
+}
+
+/**
+ * Extract the mock path from a raw request URL, dropping any leading
+ * {{baseUrl}}-style variable, scheme + host, query string and fragment.
+ */
+function pathFromRawUrl(raw) {
+    let rest = String(raw || '').trim().split(/[?#]/)[0];
+    rest = rest.replace(/^{{[^}]+}}/, '');
+    rest = rest.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '');
+    if (!rest.startsWith('/')) {
+        // "api.example.com/users" — drop the host segment
+        const slash = rest.indexOf('/');
+        rest = slash === -1 ? '/' : rest.slice(slash);
+    }
+    return toMockPath(rest.split('/'));
+}
+
+function toMockPath(segments) {
+    const cleaned = segments.filter((s) => s !== '').map(normalizeSegment);
+    return `/${cleaned.join('/')}`;
+}
+
+function headerArrayToObject(headers, keyField = 'key') {
+    const result = {};
+    for (const header of headers || []) {
+        if (!header || header.disabled || !header[keyField]) continue;
+        result[header[keyField]] = String(header.value ?? '');
+    }
+    return result;
+}
+
+function responseTypeFromHeaders(headers, fallback) {
+    const contentType = Object.entries(headers || {}).find(([k]) => k.toLowerCase() === 'content-type')?.[1] || '';
+    if (/json/.test(contentType)) return 'json';
+    if (/xml/.test(contentType)) return 'xml';
+    if (/html/.test(contentType)) return 'html';
+    if (/text/.test(contentType)) return 'text';
+    return ['json', 'xml', 'html', 'text'].includes(fallback) ? fallback : 'json';
+}
+
+function markDefault(responses) {
+    const preferred = responses.find((r) => r.statusCode >= 200 && r.statusCode < 300) || responses[0];
+    if (preferred) preferred.isDefault = true;
+    return responses;
+}
+
+// ─── Postman import ──────────────────────────────────────────────────────────
+
+function postmanRequestPath(url) {
+    if (!url) return '/';
+    if (typeof url === 'string') return pathFromRawUrl(url);
+    if (Array.isArray(url.path)) return toMockPath(url.path.map((p) => (typeof p === 'string' ? p : p.value || '')));
+    return pathFromRawUrl(url.raw);
+}
+
+function postmanBody(body) {
+    if (!body || body.disabled) return '';
+    if (body.mode === 'raw') return body.raw || '';
+    if (body.mode === 'urlencoded' || body.mode === 'formdata') {
+        const fields = {};
+        for (const field of body[body.mode] || []) {
+            if (!field.disabled && field.key) fields[field.key] = field.value ?? '';
+        }
+        return JSON.stringify(fields, null, 2);
+    }
+    if (body.mode === 'graphql' && body.graphql) return JSON.stringify(body.graphql, null, 2);
+    return '';
+}
+
+function flattenPostmanItems(items, trail = []) {
+    const requests = [];
+    for (const item of items || []) {
+        if (Array.isArray(item.item)) {
+            requests.push(...flattenPostmanItems(item.item, [...trail, item.name]));
+        } else if (item.request) {
+            requests.push({ item, folders: trail });
+        }
+    }
+    return requests;
+}
+
+/**
+ * Convert a Postman Collection v2.1 (or v2.0) into MockBird endpoints.
+ * Saved example responses become mock responses.
+ */
+function postmanToEndpoints(input) {
+    const collection = parseSpecDocument(input);
+    if (!collection.info || !Array.isArray(collection.item)) {
+        throw new Error('Expected a Postman collection with "info" and "item"');
+    }
+
+    const endpoints = flattenPostmanItems(collection.item).map(({ item, folders }) => {
+        const req = typeof item.request === 'string' ? { url: item.request, method: 'GET' } : item.request;
+        const responses = (item.response || []).map((example) => {
+            const headers = headerArrayToObject(example.header);
+            return {
+                name: example.name || `Status ${example.code || 200}`,
+                statusCode: Number(example.code) || 200,
+                headers,
+                body: example.body || '',
+                isDefault: false,
+                previewLanguage: example._postman_previewlanguage,
+            };
+        });
+        if (responses.length === 0) {
+            responses.push({ name: 'Default', statusCode: 200, headers: {}, body: '', isDefault: false });
+        }
+        markDefault(responses);
+        const defaultResponse = responses.find((r) => r.isDefault);
+
+        const description = typeof req.description === 'string'
+            ? req.description
+            : (req.description?.content || (typeof item.description === 'string' ? item.description : ''));
+
+        return {
+            name: item.name || `${req.method || 'GET'} ${postmanRequestPath(req.url)}`,
+            path: postmanRequestPath(req.url),
+            method: (req.method || 'GET').toUpperCase(),
+            description: description || (folders.length ? `Folder: ${folders.join(' / ')}` : ''),
+            responseType: responseTypeFromHeaders(defaultResponse.headers, defaultResponse.previewLanguage),
+            expectedBody: postmanBody(req.body),
+            expectedHeaders: JSON.stringify(headerArrayToObject(req.header)),
+            responses: responses.map(({ previewLanguage, ...rest }) => rest),
+        };
+    });
+
+    const info = collection.info;
+    return {
+        title: info.name || null,
+        description: typeof info.description === 'string' ? info.description : (info.description?.content || ''),
+        endpoints,
+    };
+}
+
+// ─── Insomnia import ─────────────────────────────────────────────────────────
+
+/**
+ * Convert an Insomnia v4 export into MockBird endpoints.
+ * Insomnia exports carry no saved responses, so each request gets an empty 200.
+ */
+function insomniaToEndpoints(input) {
+    const doc = parseSpecDocument(input);
+    if (doc._type !== 'export' || !Array.isArray(doc.resources)) {
+        throw new Error('Expected an Insomnia export ("_type": "export") with a "resources" array');
+    }
+
+    const workspace = doc.resources.find((r) => r._type === 'workspace');
+    const endpoints = doc.resources
+        .filter((r) => r._type === 'request')
+        .map((r) => {
+            const path = pathFromRawUrl(r.url);
+            let expectedBody = r.body?.text || '';
+            if (!expectedBody && Array.isArray(r.body?.params)) {
+                expectedBody = JSON.stringify(headerArrayToObject(r.body.params, 'name'), null, 2);
+            }
+            return {
+                name: r.name || `${r.method || 'GET'} ${path}`,
+                path,
+                method: (r.method || 'GET').toUpperCase(),
+                description: r.description || '',
+                responseType: 'json',
+                expectedBody,
+                expectedHeaders: JSON.stringify(headerArrayToObject(r.headers, 'name')),
+                responses: [{ name: 'Default', statusCode: 200, headers: {}, body: '', isDefault: true }],
+            };
+        });
+
+    return {
+        title: workspace?.name || null,
+        description: workspace?.description || '',
+        endpoints,
+    };
+}
+
+// ─── Postman export ──────────────────────────────────────────────────────────
+
+function parseJsonObject(text) {
+    try {
+        const parsed = typeof text === 'string' ? JSON.parse(text || '{}') : text;
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+function postmanUrl(path, query = []) {
+    const segments = path.split('/').filter(Boolean).map((s) => s.replace(/^{([^}]+)}$/, ':$1'));
+    const variables = segments.filter((s) => s.startsWith(':')).map((s) => ({ key: s.slice(1), value: '' }));
+    const search = query.map(({ key, value }) => `${key}=${value}`).join('&');
+    const url = {
+        raw: `{{baseUrl}}/${segments.join('/')}${search ? `?${search}` : ''}`,
+        host: ['{{baseUrl}}'],
+        path: segments,
+    };
+    if (query.length > 0) url.query = query;
+    if (variables.length > 0) url.variable = variables;
+    return url;
+}
+
+// Plain-value query and header matchers become part of the example request, so it reaches this mock
+function matcherEntries(values = {}) {
+    return Object.entries(values)
+        .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+        .map(([key, value]) => ({ key, value: String(value) }));
+}
+
+// Validated mocks store a JSON Schema — Postman needs an example payload instead
+function exampleRequestBody(mock) {
+    if (mock.validation_mode !== 'schema') return mock.expected_body;
+    try {
+        return JSON.stringify(sampleFromSchema(JSON.parse(mock.expected_body)), null, 2);
+    } catch {
+        return mock.expected_body;
+    }
+}
+
+function previewLanguage(headers, responseType) {
+    const type = responseTypeFromHeaders(headers, responseType);
+    return type === 'text' ? 'text' : type;
+}
+
+/**
+ * Render a project's mocks as a Postman Collection v2.1 whose {{baseUrl}}
+ * points at the project's public mock URL.
+ *
+ * @param {object} project - Project row
+ * @param {Array} mocks - Mock rows, each with a `responses` array of mock_responses rows
+ * @param {{ serverUrl?: string }} options
+ * @returns {object}
+ */
+function buildPostmanCollection(project, mocks, { serverUrl = '' } = {}) {
+    // GraphQL overrides (method GRAPHQL) are not HTTP requests of their own
+    const item = mocks.filter((mock) => mock.method !== 'GRAPHQL').map((mock) => {
+        const matchers = parseRequestMatchers(mock.request_matchers);
+        const header = Object.entries(parseJsonObject(mock.expected_headers)).map(([key, value]) => ({ key, value: String(value) }));
+        for (const entry of matcherEntries(matchers.headers)) {
+            if (!header.some(({ key }) => key.toLowerCase() === entry.key.toLowerCase())) header.push(entry);
+        }
+        const request = {
+            method: mock.method,
+            header,
+            url: postmanUrl(templatePath(mock.path), [
+                ...patternQuery(mock.path).map(({ key, value }) => ({ key, value: value ?? '' })),
+                ...matcherEntries(matchers.query),
+            ]),
+        };
+        if (mock.description) request.description = mock.description;
+        if (mock.expected_body) {
+            request.body = { mode: 'raw', raw: exampleRequestBody(mock), options: { raw: { language: 'json' } } };
+        }
+
+        return {
+            name: mock.name,
+            request,
+            response: (mock.responses || []).map((resp) => {
+                const headers = parseJsonObject(resp.headers);
+                return {
+                    name: resp.name || 'Response',
+                    originalRequest: request,
+                    status: STATUS_CODES[resp.status_code] || '',
+                    code: resp.status_code,
+                    _postman_previewlanguage: previewLanguage(headers, mock.response_type),
+                    header: Object.entries(headers).map(([key, value]) => ({ key, value: String(value) })),
+                    body: resp.body || '',
+                };
+            }),
+        };
+    });
+
+    const info = { _postman_id: project.project_id, name: project.name, schema: POSTMAN_SCHEMA };
+    if (project.description) info.description = project.description;
+
+    return {
+        info,
+        item,
+        variable: [{ key: 'baseUrl', value: serverUrl }],
+    };
+}
+
+module.exports = {
+    postmanToEndpoints,
+    insomniaToEndpoints,
+    buildPostmanCollection,
+    pathFromRawUrl,
+};
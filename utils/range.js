@@ -0,0 +1,35 @@
+/**
+ * utils/range.js
+ *
+ * HTTP Range header handling for file responses. Only single byte ranges are
+ * honoured; multi-range requests get the whole body, as RFC 9110 allows.
+ */
+
+/**
+ * Parse a Range header against a body of `size` bytes.
+ *
+ * @param {string|undefined} header - e.g. "bytes=0-499", "bytes=500-", "bytes=-200"
+ * @param {number} size - Body length in bytes
+ * @returns {{ start: number, end: number } | 'unsatisfiable' | null}
+ *   Inclusive byte offsets, 'unsatisfiable' (→ 416), or null to send the whole body
+ */
+function parseRange(header, size) {
+    if (!header) return null;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        const length = Number(match[2]);
+        if (length === 0 || size === 0) return 'unsatisfiable';
+        return { start: Math.max(0, size - length), end: size - 1 };
+    }
+
+    const start = Number(match[1]);
+    const end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    if (match[2] !== '' && Number(match[2]) < start) return null;
+    if (start >= size) return 'unsatisfiable';
+    return { start, end };
+}
+
+module.exports = { parseRange };
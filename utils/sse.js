@@ -0,0 +1,85 @@
+/**
+ * utils/sse.js
+ *
+ * Server-Sent Events responses (mock_responses.kind = 'sse'). A response's
+ * sse_config describes the stream:
+ *
+ *   {
+ *     events: [
+ *       { event: 'token', data: 'Hel', id: '1', delay: 50 },
+ *       { data: { done: true }, delay: 200 },            // objects are sent as JSON
+ *     ],
+ *     loop: false,                                       // start over after the last event
+ *     retry: 3000,                                       // optional reconnection hint (ms)
+ *   }
+ *
+ * `delay` is waited before each event. Pure functions — routes/m.js does the streaming.
+ */
+
+const MAX_EVENTS = 1000;
+const MAX_EVENT_DELAY_MS = 60000;
+
+function parseSseConfig(value) {
+    try {
+        const parsed = typeof value === 'string' ? JSON.parse(value || '{}') : value;
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+// Field values are single-line: a newline would start a new field
+function isFieldValue(value) {
+    return (typeof value === 'string' || typeof value === 'number') && !/[\r\n]/.test(String(value));
+}
+
+/**
+ * Check an sseConfig from the API. Returns an error message or null.
+ */
+function checkSseConfig(value) {
+    const config = parseSseConfig(value);
+    if (!Array.isArray(config.events) || config.events.length === 0) return 'sseConfig.events must be a non-empty array';
+    if (config.events.length > MAX_EVENTS) return `sseConfig.events is limited to ${MAX_EVENTS} events`;
+
+    for (const [index, event] of config.events.entries()) {
+        const where = `sseConfig.events[${index}]`;
+        if (!event || typeof event !== 'object' || Array.isArray(event)) return `${where} must be an object`;
+        if (event.data === undefined) return `${where}.data is required`;
+        if (event.event !== undefined && !isFieldValue(event.event)) return `${where}.event must be a single-line string`;
+        if (event.id !== undefined && !isFieldValue(event.id)) return `${where}.id must be a single-line string`;
+        if (event.delay !== undefined && !(Number.isInteger(event.delay) && event.delay >= 0 && event.delay <= MAX_EVENT_DELAY_MS)) {
+            return `${where}.delay must be an integer from 0 to ${MAX_EVENT_DELAY_MS} (ms)`;
+        }
+    }
+
+    if (config.loop !== undefined && typeof config.loop !== 'boolean') return 'sseConfig.loop must be a boolean';
+    // A loop without pauses would spin as fast as the socket accepts writes
+    if (config.loop && !config.events.some((event) => event.delay > 0)) return 'sseConfig.loop needs at least one event with a delay';
+    if (config.retry !== undefined && !(Number.isInteger(config.retry) && config.retry >= 0)) {
+        return 'sseConfig.retry must be a non-negative integer (ms)';
+    }
+    return null;
+}
+
+/**
+ * Serialize one event in text/event-stream format. Multi-line data is split
+ * over several `data:` lines, which clients join back with newlines.
+ *
+ * @param {{ event?: string, id?: string|number, data: any }} event
+ * @returns {string}
+ */
+function formatSseEvent({ event, id, data }) {
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    let out = '';
+    if (id !== undefined) out += `id: ${id}\n`;
+    if (event !== undefined) out += `event: ${event}\n`;
+    for (const line of text.split(/\r\n|\r|\n/)) out += `data: ${line}\n`;
+    return `${out}\n`;
+}
+
+module.exports = {
+    MAX_EVENTS,
+    parseSseConfig,
+    checkSseConfig,
+    formatSseEvent,
+};
@@ -0,0 +1,377 @@
+/**
+ * utils/templating.js
+ *
+ * Response body templating for mock execution.
+ * Bodies may reference the incoming request and a handful of helpers:
+ *
+ *   {{request.params.id}}            path params extracted by matchPath
+ *   {{request.query.page}}           query string values
+ *   {{request.body.user.email}}      JSON body fields (dot / [index] paths)
+ *   {{request.headers.x-api-key}}    request headers (lowercase names)
+ *   {{uuid}} {{now}} {{timestamp}}   generated values
+ *   {{randomInt 1 100}}              helpers with arguments
+ *   {{faker.name}} {{faker.email}}   fake data (see FAKER below)
+ *   {{#repeat 3}}...{{/repeat}}      repeat a block (comma-joined by default)
+ *   {{#each request.body.items}}...{{this.sku}}...{{/each}}
+ *
+ * Pure string processing — no database or HTTP side effects.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const TAG_RE = /{{\s*([^{}]*?)\s*}}/g;
+
+// ─── Fake data ───────────────────────────────────────────────────────────────
+
+const FIRST_NAMES = ['Olivia', 'Liam', 'Emma', 'Noah', 'Ava', 'Mateo', 'Sophia', 'Arjun', 'Mia', 'Lucas', 'Priya', 'Ethan', 'Chloe', 'Kenji', 'Zara', 'Leo'];
+const LAST_NAMES = ['Smith', 'Johnson', 'Garcia', 'Patel', 'Kim', 'Nguyen', 'Brown', 'Martinez', 'Silva', 'Müller', 'Rossi', 'Sharma', 'Williams', 'Lee', 'Cohen', 'Okafor'];
+const CITIES = ['San Francisco', 'London', 'Berlin', 'Tokyo', 'Bengaluru', 'Toronto', 'Sydney', 'Paris', 'Lisbon', 'Austin', 'Singapore', 'Amsterdam'];
+const COUNTRIES = ['US', 'GB', 'DE', 'JP', 'IN', 'CA', 'AU', 'FR', 'PT', 'SG', 'NL', 'BR'];
+const STREETS = ['Main St', 'Oak Ave', 'Pine Rd', 'Maple Dr', 'Market St', 'Elm St', 'Park Ln', 'Cedar Ct'];
+const COMPANIES = ['Acme Corp', 'Globex', 'Initech', 'Umbrella Labs', 'Hooli', 'Stark Industries', 'Wayne Enterprises', 'Soylent Co'];
+const JOB_TITLES = ['Software Engineer', 'Product Manager', 'Designer', 'Data Scientist', 'QA Engineer', 'Engineering Manager', 'DevOps Engineer'];
+const WORDS = ['lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do', 'eiusmod', 'tempor', 'incididunt', 'labore', 'magna', 'aliqua'];
+const DOMAINS = ['example.com', 'mail.test', 'mockbird.dev', 'acme.io'];
+const COLORS = ['red', 'green', 'blue', 'orange', 'purple', 'teal', 'black', 'white'];
+
+// Upper bound on {{#repeat}} iterations, so a template can't render an unbounded body
+const MAX_REPEAT = 1000;
+// Nested blocks multiply, so each render is also capped as a whole
+const MAX_RENDER_ITERATIONS = 10000;
+const MAX_RENDER_CHARS = 5 * 1024 * 1024;
+
+function randomInt(min = 0, max = 100) {
+    const lo = Math.ceil(Number(min));
+    const hi = Math.floor(Number(max));
+    if (Number.isNaN(lo) || Number.isNaN(hi) || hi < lo) return lo || 0;
+    return lo + Math.floor(Math.random() * (hi - lo + 1));
+}
+
+function pick(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+function words(count = 3) {
+    return Array.from({ length: Math.max(1, Number(count) || 1) }, () => pick(WORDS)).join(' ');
+}
+
+function sentence(count = 8) {
+    const text = words(count);
+    return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+}
+
+/**
+ * Fake data helpers available as {{faker.<name>}}.
+ * Each helper may take positional arguments, e.g. {{faker.words 5}}.
+ */
+const FAKER = {
+    firstName: () => pick(FIRST_NAMES),
+    lastName: () => pick(LAST_NAMES),
+    name: () => `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`,
+    fullName: () => `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`,
+    username: () => `${pick(FIRST_NAMES).toLowerCase()}${randomInt(1, 999)}`,
+    email: () => `${pick(FIRST_NAMES).toLowerCase()}.${pick(LAST_NAMES).toLowerCase()}@${pick(DOMAINS)}`,
+    phone: () => `+1-555-${String(randomInt(100, 999))}-${String(randomInt(1000, 9999))}`,
+    city: () => pick(CITIES),
+    country: () => pick(COUNTRIES),
+    street: () => `${randomInt(1, 9999)} ${pick(STREETS)}`,
+    zip: () => String(randomInt(10000, 99999)),
+    company: () => pick(COMPANIES),
+    jobTitle: () => pick(JOB_TITLES),
+    color: () => pick(COLORS),
+    word: () => pick(WORDS),
+    words,
+    sentence,
+    paragraph: (count = 3) => Array.from({ length: Math.max(1, Number(count) || 1) }, () => sentence()).join(' '),
+    uuid: () => uuidv4(),
+    number: (min = 0, max = 1000) => randomInt(min, max),
+    price: (min = 1, max = 500) => Number((randomInt(min * 100, max * 100) / 100).toFixed(2)),
+    boolean: () => Math.random() < 0.5,
+    url: () => `https://${pick(DOMAINS)}/${pick(WORDS)}`,
+    avatar: () => `https://placehold.co/100x100?text=${pick(FIRST_NAMES).charAt(0)}${pick(LAST_NAMES).charAt(0)}`,
+    pastDate: (days = 365) => new Date(Date.now() - randomInt(1, Number(days) || 365) * 86400000).toISOString(),
+    futureDate: (days = 365) => new Date(Date.now() + randomInt(1, Number(days) || 365) * 86400000).toISOString(),
+};
+
+/**
+ * Serialized JSON from the `json` helper: inserted as is outside JSON strings.
+ */
+class RawJson {
+    constructor(text) {
+        this.text = text;
+    }
+
+    toString() {
+        return this.text;
+    }
+}
+
+/**
+ * Top-level helpers, e.g. {{uuid}} or {{randomInt 1 10}}.
+ */
+const HELPERS = {
+    uuid: () => uuidv4(),
+    now: (format) => (format === 'unix' ? Math.floor(Date.now() / 1000) : new Date().toISOString()),
+    timestamp: () => Date.now(),
+    randomInt: (min, max) => randomInt(min, max),
+    randomFloat: (min = 0, max = 1, decimals = 2) => {
+        const value = Number(min) + Math.random() * (Number(max) - Number(min));
+        return Number(value.toFixed(Number(decimals)));
+    },
+    oneOf: (...options) => pick(options),
+    lowercase: (value) => String(value ?? '').toLowerCase(),
+    uppercase: (value) => String(value ?? '').toUpperCase(),
+    default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value),
+    json: (value) => new RawJson(JSON.stringify(value ?? null)),
+};
+
+// ─── Parsing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Split an expression into whitespace-separated tokens, keeping quoted strings intact.
+ */
+function tokenize(expr) {
+    const tokens = [];
+    const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let m;
+    while ((m = re.exec(expr)) !== null) {
+        if (m[1] !== undefined) tokens.push({ literal: m[1] });
+        else if (m[2] !== undefined) tokens.push({ literal: m[2] });
+        else tokens.push({ raw: m[3] });
+    }
+    return tokens;
+}
+
+function parseExpression(expr) {
+    const [head, ...rest] = tokenize(expr);
+    const args = [];
+    const hash = {};
+    for (const token of rest) {
+        const kv = token.raw && token.raw.match(/^([A-Za-z_]\w*)=(.+)$/);
+        if (kv) {
+            hash[kv[1]] = kv[2].replace(/^["']|["']$/g, '');
+        } else {
+            args.push(token);
+        }
+    }
+    return { name: head?.raw ?? head?.literal ?? '', args, hash };
+}
+
+/**
+ * Parse a template string into a tree of text, expression and block nodes.
+ * Throws on unbalanced block tags.
+ */
+function parseTemplate(template) {
+    const root = { children: [] };
+    const stack = [root];
+    let last = 0;
+    let m;
+
+    TAG_RE.lastIndex = 0;
+    while ((m = TAG_RE.exec(template)) !== null) {
+        const current = stack[stack.length - 1];
+        if (m.index > last) current.children.push({ type: 'text', value: template.slice(last, m.index) });
+        last = TAG_RE.lastIndex;
+
+        const inner = m[1];
+        if (inner.startsWith('#')) {
+            const block = { type: 'block', ...parseExpression(inner.slice(1)), children: [] };
+            current.children.push(block);
+            stack.push(block);
+        } else if (inner.startsWith('/')) {
+            const name = inner.slice(1).trim();
+            if (stack.length === 1 || current.name !== name) {
+                throw new Error(`Unexpected closing tag {{/${name}}}`);
+            }
+            stack.pop();
+        } else {
+            current.children.push({ type: 'expr', ...parseExpression(inner), raw: m[0] });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Unclosed block {{#${stack[stack.length - 1].name}}}`);
+    }
+    if (last < template.length) root.children.push({ type: 'text', value: template.slice(last) });
+    return root;
+}
+
+// ─── Evaluation ──────────────────────────────────────────────────────────────
+
+/**
+ * Read a dot/bracket path (e.g. "items[0].sku" or "items.0.sku") from an object.
+ */
+function getPath(obj, path) {
+    if (!path) return obj;
+    const parts = path.replace(/\[(\w+)\]/g, '.$1').split('.').filter(Boolean);
+    let value = obj;
+    for (const part of parts) {
+        if (value === undefined || value === null || typeof value !== 'object') return undefined;
+        value = value[part];
+    }
+    return value;
+}
+
+function resolvePath(path, scope) {
+    if (path === 'this') return scope.item;
+    if (path.startsWith('this.')) return getPath(scope.item, path.slice(5));
+    if (path.startsWith('@')) return scope.locals[path.slice(1)];
+
+    // request.headers lookups are case-insensitive, like Express
+    if (path.startsWith('request.headers.')) {
+        return getPath(scope.root.request?.headers, path.slice(16).toLowerCase());
+    }
+
+    const fromRoot = getPath(scope.root, path);
+    if (fromRoot !== undefined) return fromRoot;
+    return scope.item && typeof scope.item === 'object' ? getPath(scope.item, path) : undefined;
+}
+
+function resolveArg(token, scope) {
+    if (token.literal !== undefined) return token.literal;
+    const raw = token.raw;
+    if (/^-?\d+(\.\d+)?$/.test(raw)) return Number(raw);
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+    return resolvePath(raw, scope);
+}
+
+function evaluateExpression(node, scope) {
+    const args = node.args.map((a) => resolveArg(a, scope));
+    if (node.name.startsWith('faker.')) {
+        const fn = FAKER[node.name.slice(6)];
+        return fn ? fn(...args) : undefined;
+    }
+    if (Object.prototype.hasOwnProperty.call(HELPERS, node.name)) {
+        return HELPERS[node.name](...args);
+    }
+    return resolvePath(node.name, scope);
+}
+
+function limitExceeded(message) {
+    return Object.assign(new Error(message), { code: 'TEMPLATE_LIMIT' });
+}
+
+/**
+ * Follow the JSON string state through literal template text, so values know
+ * whether they land inside a JSON string or between values.
+ */
+function trackJsonText(text, render) {
+    for (const char of text) {
+        if (render.escaped) {
+            render.escaped = false;
+        } else if (render.inString && char === '\\') {
+            render.escaped = true;
+        } else if (char === '"') {
+            render.inString = !render.inString;
+        }
+    }
+}
+
+// Strings written unquoted between JSON values: a number or literal can't add structure
+const JSON_SCALAR_RE = /^(?:-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)$/;
+
+/**
+ * Text for a value. In JSON mode a value inside a JSON string is escaped, and
+ * one between values is written as a JSON value (strings quoted unless they are
+ * a number, true, false or null), so request data can't add structure to the document.
+ */
+function stringify(value, render) {
+    if (value === undefined || value === null) return '';
+    let text;
+    if (value instanceof RawJson) text = value.text;
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    else text = String(value);
+
+    if (!render.json) return text;
+    if (render.inString) return JSON.stringify(text).slice(1, -1);
+    return typeof value === 'string' && !JSON_SCALAR_RE.test(value) ? JSON.stringify(value) : text;
+}
+
+function emit(text, render) {
+    render.chars += text.length;
+    if (render.chars > MAX_RENDER_CHARS) throw limitExceeded(`Template output exceeds ${MAX_RENDER_CHARS} characters`);
+    return text;
+}
+
+function renderNodes(nodes, scope) {
+    const { render } = scope;
+    let out = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            if (render.json) trackJsonText(node.value, render);
+            out += emit(node.value, render);
+        } else if (node.type === 'expr') {
+            out += emit(stringify(evaluateExpression(node, scope), render), render);
+        } else {
+            out += renderBlock(node, scope);
+        }
+    }
+    return out;
+}
+
+function renderBlock(node, scope) {
+    const { render } = scope;
+    let items;
+    if (node.name === 'repeat') {
+        const [min, max] = node.args.map((a) => resolveArg(a, scope));
+        const count = max !== undefined ? randomInt(min, max) : Number(min) || 0;
+        items = Array.from({ length: Math.min(Math.max(0, Math.floor(count)), MAX_REPEAT) }, (_, i) => i);
+    } else if (node.name === 'each') {
+        const list = node.args[0] ? resolveArg(node.args[0], scope) : undefined;
+        items = Array.isArray(list) ? list : [];
+    } else {
+        throw new Error(`Unknown block helper {{#${node.name}}}`);
+    }
+
+    render.iterations += items.length;
+    if (render.iterations > MAX_RENDER_ITERATIONS) {
+        throw limitExceeded(`Template blocks exceed ${MAX_RENDER_ITERATIONS} iterations in total`);
+    }
+
+    const separator = node.hash.comma === 'false' ? '' : ',';
+    return items
+        .map((item, index) => renderNodes(node.children, {
+            root: scope.root,
+            item: node.name === 'each' ? item : scope.item,
+            locals: { index, first: index === 0, last: index === items.length - 1 },
+            render,
+        }))
+        .join(separator);
+}
+
+/**
+ * Render a template string against a context object.
+ *
+ * @param {string} template - Raw response body (or header value)
+ * @param {object} context - e.g. { request: { params, query, body, headers, method, path } }
+ * @param {{ json?: boolean }} options - json: the template is a JSON document; values are
+ *   escaped inside JSON strings and written as JSON values everywhere else
+ * @returns {string}
+ * @throws {Error} with code 'TEMPLATE_LIMIT' when a render exceeds MAX_RENDER_ITERATIONS block
+ *   iterations or MAX_RENDER_CHARS characters
+ */
+function renderTemplate(template, context = {}, { json = false } = {}) {
+    if (typeof template !== 'string' || !template.includes('{{')) return template;
+    const tree = parseTemplate(template);
+    const render = { json, inString: false, escaped: false, iterations: 0, chars: 0 };
+    return renderNodes(tree.children, { root: context, item: undefined, locals: {}, render });
+}
+
+/**
+ * Build the templating context from an Express request (or a plain equivalent).
+ */
+function buildTemplateContext(req, pathParams = {}, mockPath = req.path) {
+    return {
+        request: {
+            method: req.method,
+            path: mockPath,
+            params: pathParams,
+            query: req.query || {},
+            headers: req.headers || {},
+            body: req.body === undefined ? {} : req.body,
+        },
+    };
+}
+
+module.exports = { renderTemplate, buildTemplateContext, getPath, FAKER, HELPERS };
@@ -0,0 +1,165 @@
+/**
+ * utils/validation.js
+ *
+ * Request validation for mocks with a validation_mode:
+ *
+ *   off    → nothing is checked (default)
+ *   schema → expected_body is a JSON Schema the request body must satisfy
+ *   infer  → expected_body is an example; a schema is inferred from it
+ *            (same types, every example key required, extra keys allowed)
+ *
+ * In both active modes each key of expected_headers must be present on the
+ * request. No database or HTTP side effects.
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const VALIDATION_MODES = ['off', 'schema', 'infer'];
+const VALIDATION_STATUSES = [400, 422];
+
+// Methods whose requests normally carry no body — only headers are checked
+const BODYLESS_METHODS = new Set(['GET', 'HEAD', 'DELETE', 'OPTIONS']);
+
+const MAX_CACHED_VALIDATORS = 500;
+
+const ajv = new Ajv({ allErrors: true, strict: false, addUsedSchema: false });
+addFormats(ajv);
+
+// Compiled validators keyed by schema text — compiling is far slower than validating
+const validatorCache = new Map();
+
+/**
+ * Build a JSON Schema describing an example value.
+ *
+ * @param {*} example
+ * @returns {object}
+ */
+function inferSchema(example) {
+    if (example === null) return { type: 'null' };
+    if (Array.isArray(example)) {
+        return example.length > 0 ? { type: 'array', items: inferSchema(example[0]) } : { type: 'array' };
+    }
+    if (typeof example === 'object') {
+        const properties = {};
+        for (const [key, value] of Object.entries(example)) properties[key] = inferSchema(value);
+        return { type: 'object', properties, required: Object.keys(example) };
+    }
+    if (typeof example === 'number') return { type: 'number' };
+    if (typeof example === 'boolean') return { type: 'boolean' };
+    return { type: 'string' };
+}
+
+function parseJson(text) {
+    if (typeof text !== 'string') return text;
+    return JSON.parse(text);
+}
+
+/**
+ * The schema a mock validates bodies against, or null when it has none.
+ * Throws when expected_body isn't valid JSON.
+ */
+function schemaForMock(mock) {
+    if (!mock.expected_body || !String(mock.expected_body).trim()) return null;
+    const parsed = parseJson(mock.expected_body);
+    return mock.validation_mode === 'infer' ? inferSchema(parsed) : parsed;
+}
+
+function getValidator(schema) {
+    const key = JSON.stringify(schema);
+    let validate = validatorCache.get(key);
+    if (!validate) {
+        validate = ajv.compile(schema);
+        if (validatorCache.size >= MAX_CACHED_VALIDATORS) validatorCache.clear();
+        validatorCache.set(key, validate);
+    }
+    return validate;
+}
+
+/**
+ * Check that a mock's validation settings are usable. Returns an error message or null.
+ *
+ * @param {string} mode - validation_mode
+ * @param {string} expectedBody - expected_body text
+ * @returns {string|null}
+ */
+function checkValidationConfig(mode, expectedBody) {
+    if (!VALIDATION_MODES.includes(mode)) return `validationMode must be one of: ${VALIDATION_MODES.join(', ')}`;
+    if (mode === 'off' || !expectedBody || !String(expectedBody).trim()) return null;
+    try {
+        getValidator(schemaForMock({ validation_mode: mode, expected_body: expectedBody }));
+        return null;
+    } catch (err) {
+        return mode === 'schema'
+            ? `expectedBody is not a valid JSON Schema: ${err.message}`
+            : `expectedBody must be a JSON example to infer a schema from: ${err.message}`;
+    }
+}
+
+function formatAjvError(error) {
+    const path = error.keyword === 'required'
+        ? `${error.instancePath}/${error.params.missingProperty}`
+        : (error.instancePath || '/');
+    return { location: 'body', path, message: error.message, keyword: error.keyword };
+}
+
+/**
+ * Validate an incoming request against a mock's expectations.
+ *
+ * @param {object} mock - Mock row (validation_mode, expected_body, expected_headers)
+ * @param {{ method: string, headers: object, body: any }} req
+ * @returns {Array<{ location: string, path: string, message: string, keyword?: string }>} Empty when valid
+ */
+function validateRequest(mock, req) {
+    if (!mock.validation_mode || mock.validation_mode === 'off') return [];
+    const errors = [];
+
+    let expectedHeaders = {};
+    try {
+        expectedHeaders = parseJson(mock.expected_headers || '{}') || {};
+    } catch {
+        expectedHeaders = {};
+    }
+    for (const name of Object.keys(expectedHeaders)) {
+        if (req.headers[name.toLowerCase()] === undefined) {
+            errors.push({ location: 'header', path: name, message: 'is required' });
+        }
+    }
+
+    if (BODYLESS_METHODS.has(String(req.method).toUpperCase())) return errors;
+
+    let validate;
+    try {
+        const schema = schemaForMock(mock);
+        if (!schema) return errors;
+        validate = getValidator(schema);
+    } catch {
+        // Unusable expected_body — rejected on save, so only legacy rows get here
+        return errors;
+    }
+
+    let body = req.body;
+    if (typeof body === 'string') {
+        try {
+            body = JSON.parse(body);
+        } catch {
+            errors.push({ location: 'body', path: '/', message: 'must be valid JSON' });
+            return errors;
+        }
+    }
+    if (body === undefined) {
+        errors.push({ location: 'body', path: '/', message: 'is required' });
+        return errors;
+    }
+
+    if (!validate(body)) errors.push(...validate.errors.map(formatAjvError));
+    return errors;
+}
+
+module.exports = {
+    VALIDATION_MODES,
+    VALIDATION_STATUSES,
+    inferSchema,
+    checkValidationConfig,
+    validateRequest,
+};
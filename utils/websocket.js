@@ -0,0 +1,162 @@
+/**
+ * utils/websocket.js
+ *
+ * Scripts for WebSocket mock endpoints (the ws_endpoints table). An endpoint's
+ * behaviour is split over four JSON columns:
+ *
+ *   onConnect:  [{ data, delay? }]                          // sent when a client connects
+ *   replies:    [{ conditions?, data?, delay?, broadcast?, close? }]
+ *   broadcasts: [{ data, intervalMs }]                      // sent periodically
+ *   close:      { afterMs, code?, reason? } | null          // scripted disconnect
+ *
+ * Incoming messages are matched against `replies` in order with the response
+ * condition model: `body` conditions read the message (parsed as JSON when it
+ * is JSON), `header` / `query` read the handshake and `path` the endpoint params.
+ * The first reply that matches is sent; `broadcast: true` sends it to every
+ * client of the endpoint. Pure functions — services/websocket.service.js runs them.
+ */
+
+const { responseMatchesConditions } = require('./execution');
+
+const MAX_SCRIPT_ITEMS = 100;
+const MAX_BROADCASTS = 10;
+const MAX_DELAY_MS = 60000;
+const MIN_BROADCAST_INTERVAL_MS = 100;
+
+function parseJsonColumn(value, fallback) {
+    try {
+        const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+        return parsed === undefined || parsed === null ? fallback : parsed;
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * An endpoint row's script as plain values.
+ */
+function parseWsScript(endpoint) {
+    const list = (value) => {
+        const parsed = parseJsonColumn(value, []);
+        return Array.isArray(parsed) ? parsed : [];
+    };
+    const close = parseJsonColumn(endpoint.close_config, null);
+    return {
+        onConnect: list(endpoint.on_connect),
+        replies: list(endpoint.replies),
+        broadcasts: list(endpoint.broadcasts),
+        close: close && typeof close === 'object' && !Array.isArray(close) ? close : null,
+    };
+}
+
+/**
+ * Close codes an application may send (same rule as the ws library).
+ */
+function isCloseCode(code) {
+    return Number.isInteger(code)
+        && ((code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) || (code >= 3000 && code <= 4999));
+}
+
+function isDelay(value) {
+    return Number.isInteger(value) && value >= 0 && value <= MAX_DELAY_MS;
+}
+
+function checkClose(close, where) {
+    if (!close || typeof close !== 'object' || Array.isArray(close)) return `${where} must be an object`;
+    if (close.code !== undefined && !isCloseCode(close.code)) return `${where}.code must be 1000-1014 (not 1004-1006) or 3000-4999`;
+    if (close.reason !== undefined && (typeof close.reason !== 'string' || Buffer.byteLength(close.reason) > 123)) {
+        return `${where}.reason must be a string of at most 123 bytes`;
+    }
+    return null;
+}
+
+function checkList(list, where, max) {
+    if (!Array.isArray(list)) return `${where} must be an array`;
+    if (list.length > max) return `${where} is limited to ${max} entries`;
+    for (const [index, item] of list.entries()) {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) return `${where}[${index}] must be an object`;
+        if (item.delay !== undefined && !isDelay(item.delay)) return `${where}[${index}].delay must be an integer from 0 to ${MAX_DELAY_MS} (ms)`;
+    }
+    return null;
+}
+
+/**
+ * Check a script from the API (only the keys present). Returns an error message or null.
+ *
+ * @param {{ onConnect?: Array, replies?: Array, broadcasts?: Array, close?: object|null }} script
+ */
+function checkWsScript({ onConnect, replies, broadcasts, close }) {
+    if (onConnect !== undefined) {
+        const error = checkList(onConnect, 'onConnect', MAX_SCRIPT_ITEMS);
+        if (error) return error;
+        const missing = onConnect.findIndex((message) => message.data === undefined);
+        if (missing !== -1) return `onConnect[${missing}].data is required`;
+    }
+
+    if (replies !== undefined) {
+        const error = checkList(replies, 'replies', MAX_SCRIPT_ITEMS);
+        if (error) return error;
+        for (const [index, reply] of replies.entries()) {
+            if (reply.data === undefined && reply.close === undefined) return `replies[${index}] needs data or close`;
+            if (reply.conditions !== undefined && (reply.conditions === null || typeof reply.conditions !== 'object')) {
+                return `replies[${index}].conditions must be an array or a condition group`;
+            }
+            if (reply.broadcast !== undefined && typeof reply.broadcast !== 'boolean') return `replies[${index}].broadcast must be a boolean`;
+            if (reply.close !== undefined) {
+                const closeError = checkClose(reply.close, `replies[${index}].close`);
+                if (closeError) return closeError;
+            }
+        }
+    }
+
+    if (broadcasts !== undefined) {
+        const error = checkList(broadcasts, 'broadcasts', MAX_BROADCASTS);
+        if (error) return error;
+        for (const [index, broadcast] of broadcasts.entries()) {
+            if (broadcast.data === undefined) return `broadcasts[${index}].data is required`;
+            if (!(Number.isInteger(broadcast.intervalMs) && broadcast.intervalMs >= MIN_BROADCAST_INTERVAL_MS)) {
+                return `broadcasts[${index}].intervalMs must be an integer of at least ${MIN_BROADCAST_INTERVAL_MS} (ms)`;
+            }
+        }
+    }
+
+    if (close !== undefined && close !== null) {
+        const error = checkClose(close, 'close');
+        if (error) return error;
+        if (!isDelay(close.afterMs)) return `close.afterMs must be an integer from 0 to ${MAX_DELAY_MS} (ms)`;
+    }
+    return null;
+}
+
+/**
+ * Incoming frame → condition subject: JSON when it parses, the text otherwise.
+ */
+function parseMessage(raw) {
+    const text = Buffer.isBuffer(raw) ? raw.toString('utf8') : String(raw);
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * First reply whose conditions match the message, or null.
+ *
+ * @param {Array} replies
+ * @param {any} message - Parsed message (see parseMessage)
+ * @param {{ headers: object, query: object, ip?: string }} handshake
+ * @param {Record<string, string>} pathParams
+ */
+function matchReply(replies, message, handshake, pathParams = {}) {
+    const req = { ...handshake, method: 'GET', body: message };
+    return replies.find((reply) => responseMatchesConditions({ conditions: reply.conditions || [] }, req, pathParams).matches) || null;
+}
+
+module.exports = {
+    parseWsScript,
+    isCloseCode,
+    checkWsScript,
+    parseMessage,
+    matchReply,
+};